@@ -0,0 +1,87 @@
+const express = require('express');
+const router = express.Router();
+const { listAuditEntries, toCsv } = require('../services/auditService');
+const { requireRole } = require('./middleware');
+
+const MAX_LIMIT = 1000;
+// Maximum number of entries in a CSV export
+const MAX_EXPORT_ROWS = 50000;
+const RESULTS = ['success', 'denied', 'failure'];
+
+/**
+ * Validates the filters of an audit log request
+ * @param {Object} query - Request query (user, action, camera_id, recording_id, result, from, to, limit, offset)
+ * @returns {{filters: Object, error: string|null}} The validated filters or an error message
+ */
+function parseFilters(query) {
+  const filters = {};
+  const { user, action, camera_id, recording_id, result, from, to, limit, offset } = query;
+
+  if (user) filters.username = String(user);
+  if (action) filters.action = String(action);
+
+  if (result) {
+    if (!RESULTS.includes(result)) {
+      return { filters, error: `Parameter 'result' must be one of: ${RESULTS.join(', ')}.` };
+    }
+    filters.result = result;
+  }
+
+  for (const [key, value] of [['from', from], ['to', to]]) {
+    if (value === undefined) continue;
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+      return { filters, error: `Parameter '${key}' must be a valid date.` };
+    }
+    filters[key] = date;
+  }
+
+  for (const [key, name, value] of [['cameraId', 'camera_id', camera_id], ['recordingId', 'recording_id', recording_id], ['offset', 'offset', offset]]) {
+    if (value === undefined) continue;
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 0) {
+      return { filters, error: `Parameter '${name}' must be a non-negative integer.` };
+    }
+    filters[key] = number;
+  }
+
+  if (limit !== undefined) {
+    const number = Number(limit);
+    if (!Number.isInteger(number) || number < 1 || number > MAX_LIMIT) {
+      return { filters, error: `Parameter 'limit' must be an integer between 1 and ${MAX_LIMIT}.` };
+    }
+    filters.limit = number;
+  }
+
+  return { filters, error: null };
+}
+
+// The audit log is for admins only
+router.use(requireRole('admin'));
+
+// GET /api/audit - Audit log entries, newest first (?format=csv exports all matching entries as CSV)
+router.get('/', async (req, res) => {
+  const { filters, error } = parseFilters(req.query);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    if (req.query.format === 'csv') {
+      const { entries } = await listAuditEntries({ ...filters, limit: MAX_EXPORT_ROWS, offset: 0 });
+      const date = new Date().toISOString().slice(0, 10);
+      res.set({
+        'Content-Type': 'text/csv; charset=utf-8',
+        'Content-Disposition': `attachment; filename="audit-log-${date}.csv"`
+      });
+      return res.send(toCsv(entries));
+    }
+
+    res.json(await listAuditEntries(filters));
+  } catch (err) {
+    console.error('Error fetching audit log:', err);
+    res.status(500).json({ error: 'Database error while fetching the audit log.' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,75 @@
+const express = require('express');
+const router = express.Router();
+const { login, logout, updateUser, verifyPassword, validateUserFields, SESSION_TTL_MS } = require('../services/authService');
+const { authenticate, getSessionToken, SESSION_COOKIE } = require('./middleware');
+const db = require('../db/db');
+
+// POST /api/auth/login - Log in with username and password
+// Sets the session cookie; the token is also returned for clients that send it as a Bearer token
+router.post('/login', async (req, res) => {
+  const { username, password } = req.body || {};
+  if (typeof username !== 'string' || typeof password !== 'string' || !username || !password) {
+    return res.status(400).json({ error: 'Username and password are required.' });
+  }
+
+  try {
+    const session = await login(username, password);
+    if (!session) {
+      return res.status(401).json({ error: 'Invalid username or password.' });
+    }
+    res.cookie(SESSION_COOKIE, session.token, {
+      httpOnly: true,
+      sameSite: 'lax',
+      maxAge: SESSION_TTL_MS,
+      path: '/'
+    });
+    res.json({ user: session.user, token: session.token, expires_at: session.expiresAt });
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({ error: 'Failed to log in.' });
+  }
+});
+
+// POST /api/auth/logout - End the current session
+router.post('/logout', async (req, res) => {
+  try {
+    const token = getSessionToken(req);
+    if (token) {
+      await logout(token);
+    }
+    res.clearCookie(SESSION_COOKIE, { path: '/' });
+    res.json({ message: 'Logged out.' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Failed to log out.' });
+  }
+});
+
+// GET /api/auth/me - Get the logged in user
+router.get('/me', authenticate, (req, res) => {
+  res.json(req.user);
+});
+
+// PUT /api/auth/password - Change the password of the logged in user (ends all of their sessions)
+router.put('/password', authenticate, async (req, res) => {
+  const { currentPassword, newPassword } = req.body || {};
+  const validationError = validateUserFields({ password: newPassword });
+  if (typeof currentPassword !== 'string' || validationError) {
+    return res.status(400).json({ error: validationError || 'The current password is required.' });
+  }
+
+  try {
+    const user = await db('users').where({ id: req.user.id }).first();
+    if (!(await verifyPassword(currentPassword, user.password_hash))) {
+      return res.status(403).json({ error: 'The current password is wrong.' });
+    }
+    await updateUser(req.user.id, { password: newPassword });
+    res.clearCookie(SESSION_COOKIE, { path: '/' });
+    res.json({ message: 'Password changed. Please log in again.' });
+  } catch (error) {
+    console.error('Password change error:', error);
+    res.status(500).json({ error: 'Failed to change the password.' });
+  }
+});
+
+module.exports = router;
@@ -2,39 +2,99 @@ const express = require('express');
 const router = express.Router();
 const db = require('../db/db');
 const { testConnection } = require('../services/onvifService');
-const { startStream, stopStream } = require('../services/streamService');
-const { startRecording, stopRecording } = require('../services/recordingService');
-const { scanSubnet, getLocalSubnet } = require('../services/discoveryService');
+const { getStreamHealth } = require('../services/streamService');
+const { acquireLease, renewLease, releaseLease } = require('../services/viewerService');
+const { startRecording, stopRecording, getRecordingHealth, startPreEventBuffer, stopPreEventBuffer } = require('../services/recordingService');
+const { scanSubnet, resolveScanOptions } = require('../services/discoveryService');
 const { getCameraTime, syncCameraTime } = require('../services/timeSyncService');
 const { checkPTZCapability, movePTZ, stopPTZ } = require('../services/ptzService');
+const { startSubscription, stopSubscription } = require('../services/onvifEventService');
+const { resolveSnapshotOptions, captureSnapshot } = require('../services/snapshotService');
+const { forgetAudioCodec } = require('../services/audioService');
+const { markManualStop } = require('../services/scheduleService');
+const { encryptPassword, toPublicCamera } = require('../services/credentialService');
+const { loadAccess, permissionsOf, hasPermission, getCameraPermissions, deletePermissions } = require('../services/permissionService');
+const { requireRole, requireCameraPermission, audit } = require('./middleware');
 const onvif = require('onvif');
 
-// GET /api/cameras - List all cameras
+// Recording modes: one MP4 per session, or fixed-length segments for 24/7 recording
+const RECORDING_MODES = ['manual', 'continuous'];
+// Allowed segment length range (seconds) for continuous recording
+const MIN_SEGMENT_DURATION = 60;
+const MAX_SEGMENT_DURATION = 3600;
+// Maximum pre-event buffer length (seconds); 0 disables the buffer
+const MAX_PRE_EVENT_SECONDS = 120;
+
+/**
+ * Validates a segment duration value
+ * @param {*} value - Segment duration in seconds
+ * @returns {boolean} True if the value is an integer within the allowed range
+ */
+function isValidSegmentDuration(value) {
+    const duration = Number(value);
+    return Number.isInteger(duration) && duration >= MIN_SEGMENT_DURATION && duration <= MAX_SEGMENT_DURATION;
+}
+
+/**
+ * Validates a pre-event buffer length
+ * @param {*} value - Buffer length in seconds
+ * @returns {boolean} True if the value is an integer between 0 and the maximum
+ */
+function isValidPreEventSeconds(value) {
+    const seconds = Number(value);
+    return Number.isInteger(seconds) && seconds >= 0 && seconds <= MAX_PRE_EVENT_SECONDS;
+}
+
+/**
+ * (Re)start a camera's pre-event buffer in the background, logging failures
+ * @param {number} cameraId - Camera ID
+ */
+function restartPreEventBuffer(cameraId) {
+    stopPreEventBuffer(cameraId);
+    startPreEventBuffer(cameraId).catch(err => {
+        console.error(`[pre-event] Failed to start buffer for camera ${cameraId}:`, err.message);
+    });
+}
+
+// GET /api/cameras - List the cameras the user may view (live or recordings), with the user's permissions on each
 router.get('/', async (req, res) => {
   try {
     const cameras = await db('cameras').select('*');
-    res.json(cameras);
+    const access = await loadAccess(req.user);
+    const visibleCameras = cameras.filter(camera => {
+      const permissions = permissionsOf(access, camera.id);
+      return hasPermission(permissions, 'view_live') || hasPermission(permissions, 'view_recordings');
+    });
+    // Credentials never leave the server
+    res.json(visibleCameras.map(camera => ({ ...toPublicCamera(camera), permissions: [...permissionsOf(access, camera.id)] })));
   } catch (error) {
     console.error('Database error:', error);
     res.status(500).json({ error: 'Database error while fetching cameras.' });
   }
 });
 
-// GET /api/cameras/discover - Discover ONVIF cameras on the network using subnet scan
-router.get('/discover', async (req, res) => {
+// GET /api/cameras/discover - Discover ONVIF cameras on the network using multicast and subnet scan
+router.get('/discover', requireRole('operator'), async (req, res) => {
     console.log('[Discovery] Starting subnet scan...');
 
+    // Ranges (CIDR, address ranges) or a subnet base with start and end; default: the local network
+    const scanOptions = {
+        ranges: req.query.ranges,
+        subnet: req.query.subnet,
+        start: parseInt(req.query.start) || undefined,
+        end: parseInt(req.query.end) || undefined,
+        interface: req.query.interface
+    };
     try {
-        // Get subnet from query params or auto-detect
-        const subnet = req.query.subnet || getLocalSubnet();
-        const start = parseInt(req.query.start) || (typeof subnet === 'object' ? subnet.start : 1);
-        const end = parseInt(req.query.end) || (typeof subnet === 'object' ? subnet.end : 254);
+        resolveScanOptions(scanOptions);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
 
+    try {
         // Perform subnet scan
         const devices = await scanSubnet({
-            subnet,
-            start,
-            end,
+            ...scanOptions,
             onProgress: (progress) => {
                 // Log progress
                 if (progress.scanned % 25 === 0 || progress.percentage === 100) {
@@ -51,8 +111,8 @@ router.get('/discover', async (req, res) => {
 });
 
 // POST /api/cameras - Add a new camera
-router.post('/', async (req, res) => {
-    const { name, host, port, user, pass, xaddr, type, stream_path } = req.body;
+router.post('/', audit('camera.create'), requireRole('admin'), async (req, res) => {
+    const { name, host, port, user, pass, xaddr, type, stream_path, recording_mode, segment_duration, pre_event_seconds, audio_enabled } = req.body;
 
     if (!name || !host) {
         return res.status(400).json({ error: 'Missing required fields: name, host' });
@@ -65,6 +125,22 @@ router.post('/', async (req, res) => {
         return res.status(400).json({ error: 'Invalid camera type. Must be "onvif" or "rtsp".' });
     }
 
+    if (recording_mode !== undefined && !RECORDING_MODES.includes(recording_mode)) {
+        return res.status(400).json({ error: 'Invalid recording mode. Must be "manual" or "continuous".' });
+    }
+
+    if (segment_duration !== undefined && !isValidSegmentDuration(segment_duration)) {
+        return res.status(400).json({ error: `Segment duration must be an integer between ${MIN_SEGMENT_DURATION} and ${MAX_SEGMENT_DURATION} seconds.` });
+    }
+
+    if (pre_event_seconds !== undefined && !isValidPreEventSeconds(pre_event_seconds)) {
+        return res.status(400).json({ error: `Pre-event buffer must be an integer between 0 and ${MAX_PRE_EVENT_SECONDS} seconds.` });
+    }
+
+    if (audio_enabled !== undefined && typeof audio_enabled !== 'boolean') {
+        return res.status(400).json({ error: "Field 'audio_enabled' must be a boolean." });
+    }
+
     try {
         // Test connection only for ONVIF cameras
         if (cameraType === 'onvif') {
@@ -73,16 +149,35 @@ router.post('/', async (req, res) => {
         // For RTSP cameras, we skip the connection test (will fail when stream starts if invalid)
 
         // Save to the database
-        const cameraData = { name, host, port, user, pass, type: cameraType };
+        const cameraData = { name, host, port, user, pass: encryptPassword(pass), type: cameraType };
         if (cameraType === 'onvif' && xaddr) {
             cameraData.xaddr = xaddr;
         }
         if (cameraType === 'rtsp' && stream_path) {
             cameraData.stream_path = stream_path;
         }
+        if (recording_mode) {
+            cameraData.recording_mode = recording_mode;
+        }
+        if (segment_duration !== undefined) {
+            cameraData.segment_duration = Number(segment_duration);
+        }
+        if (pre_event_seconds !== undefined) {
+            cameraData.pre_event_seconds = Number(pre_event_seconds);
+        }
+        if (audio_enabled !== undefined) {
+            cameraData.audio_enabled = audio_enabled;
+        }
 
         const [newCamera] = await db('cameras').insert(cameraData).returning('*');
-        res.status(201).json(newCamera);
+        res.locals.audit = { cameraId: newCamera.id };
+        if (newCamera.type === 'onvif') {
+            startSubscription(newCamera.id);
+        }
+        if (newCamera.pre_event_seconds > 0) {
+            restartPreEventBuffer(newCamera.id);
+        }
+        res.status(201).json({ ...toPublicCamera(newCamera), permissions: [...await getCameraPermissions(req.user, newCamera.id)] });
 
     } catch (error) {
         console.error('Error adding camera:', error);
@@ -102,13 +197,15 @@ router.post('/', async (req, res) => {
 });
 
 // PUT /api/cameras/:id - Update a camera
-router.put('/:id', async (req, res) => {
+router.put('/:id', audit('camera.update'), requireCameraPermission('admin'), async (req, res) => {
     const { id } = req.params;
     const updates = req.body;
 
     // Define allowed fields for update (whitelist)
-    const ALLOWED_UPDATE_FIELDS = ['name', 'host', 'port', 'user', 'pass', 'xaddr'];
+    const ALLOWED_UPDATE_FIELDS = ['name', 'host', 'port', 'user', 'pass', 'xaddr', 'recording_mode', 'segment_duration', 'pre_event_seconds', 'audio_enabled'];
     const CONNECTION_FIELDS = ['host', 'port', 'user', 'pass', 'xaddr'];
+    // Fields that require the pre-event buffer to be restarted
+    const PRE_EVENT_FIELDS = [...CONNECTION_FIELDS, 'recording_mode', 'pre_event_seconds', 'audio_enabled'];
 
     // Validate and filter allowed fields
     const allowedUpdates = {};
@@ -147,6 +244,42 @@ router.put('/:id', async (req, res) => {
                     allowedUpdates[key] = port;
                     break;
 
+                case 'recording_mode':
+                    if (!RECORDING_MODES.includes(value)) {
+                        return res.status(400).json({
+                            error: 'Invalid recording mode. Must be "manual" or "continuous".'
+                        });
+                    }
+                    allowedUpdates[key] = value;
+                    break;
+
+                case 'segment_duration':
+                    if (!isValidSegmentDuration(value)) {
+                        return res.status(400).json({
+                            error: `Segment duration must be an integer between ${MIN_SEGMENT_DURATION} and ${MAX_SEGMENT_DURATION} seconds.`
+                        });
+                    }
+                    allowedUpdates[key] = Number(value);
+                    break;
+
+                case 'pre_event_seconds':
+                    if (!isValidPreEventSeconds(value)) {
+                        return res.status(400).json({
+                            error: `Pre-event buffer must be an integer between 0 and ${MAX_PRE_EVENT_SECONDS} seconds.`
+                        });
+                    }
+                    allowedUpdates[key] = Number(value);
+                    break;
+
+                case 'audio_enabled':
+                    if (typeof value !== 'boolean') {
+                        return res.status(400).json({
+                            error: `Field '${key}' must be a boolean.`
+                        });
+                    }
+                    allowedUpdates[key] = value;
+                    break;
+
                 default:
                     // Should not reach here, but handle defensively
                     invalidFields.push(key);
@@ -203,6 +336,11 @@ router.put('/:id', async (req, res) => {
             }
         }
 
+        // Passwords are only stored encrypted
+        if (allowedUpdates.pass !== undefined) {
+            allowedUpdates.pass = encryptPassword(allowedUpdates.pass);
+        }
+
         // Perform the update
         const count = await db('cameras').where({ id: Number(id) }).update(allowedUpdates);
 
@@ -213,7 +351,19 @@ router.put('/:id', async (req, res) => {
 
         // Fetch and return the updated camera
         const updatedCamera = await db('cameras').where({ id: Number(id) }).first();
-        res.json(updatedCamera);
+
+        // Probe the audio again with the new settings
+        forgetAudioCodec(updatedCamera.id);
+
+        // Subscribe again with the new connection settings
+        if (isConnectionUpdate && updatedCamera.type === 'onvif') {
+            await stopSubscription(updatedCamera.id);
+            startSubscription(updatedCamera.id);
+        }
+        if (PRE_EVENT_FIELDS.some(field => allowedUpdates.hasOwnProperty(field))) {
+            restartPreEventBuffer(updatedCamera.id);
+        }
+        res.json({ ...toPublicCamera(updatedCamera), permissions: [...await getCameraPermissions(req.user, updatedCamera.id)] });
 
     } catch (error) {
         console.error(`Error updating camera ${id}:`, error);
@@ -222,14 +372,18 @@ router.put('/:id', async (req, res) => {
 });
 
 // DELETE /api/cameras/:id - Delete a camera
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', audit('camera.delete'), requireCameraPermission('admin'), async (req, res) => {
     const { id } = req.params;
     try {
+        await stopSubscription(Number(id));
+        stopPreEventBuffer(Number(id));
+        forgetAudioCodec(Number(id));
         const count = await db('cameras').where({ id: Number(id) }).del();
 
         if (count === 0) {
             return res.status(404).json({ error: `Camera with ID ${id} not found.` });
         }
+        await deletePermissions({ cameraId: Number(id) });
 
         res.status(204).send(); // 204 No Content
 
@@ -240,11 +394,11 @@ router.delete('/:id', async (req, res) => {
 });
 
 
-// POST /api/cameras/:id/stream/start - Start a stream
-router.post('/:id/stream/start', async (req, res) => {
+// POST /api/cameras/:id/stream/start - Start watching a stream (starts it if needed) and get a viewer lease
+router.post('/:id/stream/start', requireCameraPermission('view_live'), async (req, res) => {
     const { id } = req.params;
     try {
-        const result = await startStream(Number(id));
+        const result = await acquireLease(Number(id), req.user, req.ip);
         // Respond immediately. The HLS player on the frontend is responsible for polling the playlist.
         res.json(result);
     } catch (error) {
@@ -253,23 +407,74 @@ router.post('/:id/stream/start', async (req, res) => {
     }
 });
 
-// POST /api/cameras/:id/stream/stop - Stop a stream
-router.post('/:id/stream/stop', (req, res) => {
+// POST /api/cameras/:id/stream/heartbeat - Renew a viewer lease
+router.post('/:id/stream/heartbeat', requireCameraPermission('view_live'), (req, res) => {
+    const { id } = req.params;
+    const { leaseId } = req.body || {};
+    if (typeof leaseId !== 'string') {
+        return res.status(400).json({ error: 'leaseId is required.' });
+    }
+
+    const lease = renewLease(leaseId, Number(id), req.user);
+    if (!lease) {
+        return res.status(404).json({ error: 'The lease has expired or the stream is no longer running. Start the stream again.' });
+    }
+    res.json(lease);
+});
+
+// POST /api/cameras/:id/stream/stop - Stop watching a stream (it stops after the idle timeout if nobody else watches it)
+// The lease may also be passed as ?leaseId=, so that a closing page can release it without a JSON body.
+router.post('/:id/stream/stop', requireCameraPermission('view_live'), (req, res) => {
+    const { id } = req.params;
+    const leaseId = req.body?.leaseId ?? req.query.leaseId;
+    if (typeof leaseId !== 'string') {
+        return res.status(400).json({ error: 'leaseId is required.' });
+    }
+
+    if (!releaseLease(leaseId, Number(id), req.user)) {
+        return res.json({ success: false, message: `No lease ${leaseId} found for camera ${id}.` });
+    }
+    res.json({ success: true, message: `Stopped watching camera ${id}.` });
+});
+
+// GET /api/cameras/:id/health - Health of the camera's stream and recording (null if there is none)
+router.get('/:id/health', requireCameraPermission('view_live'), (req, res) => {
+    const cameraId = Number(req.params.id);
+    res.json({ stream: getStreamHealth(cameraId), recording: getRecordingHealth(cameraId) });
+});
+
+// GET /api/cameras/:id/snapshot - Current still image of the camera (JPEG); optional width and quality (1-100)
+router.get('/:id/snapshot', requireCameraPermission('view_live'), async (req, res) => {
     const { id } = req.params;
+    let options;
     try {
-        const result = stopStream(Number(id));
-        res.json(result);
+        options = resolveSnapshotOptions(req.query);
     } catch (error) {
-        console.error(`Error stopping stream for camera ${id}:`, error);
-        res.status(500).json({ error: error.message });
+        return res.status(400).json({ error: error.message });
+    }
+
+    try {
+        const camera = await db('cameras').where({ id: Number(id) }).first();
+
+        if (!camera) {
+            return res.status(404).json({ error: `Camera with ID ${id} not found.` });
+        }
+
+        const { image, source } = await captureSnapshot(camera, options);
+        res.set({ 'Content-Type': 'image/jpeg', 'Cache-Control': 'no-store', 'X-Snapshot-Source': source });
+        res.send(image);
+    } catch (error) {
+        console.error(`Error taking snapshot of camera ${id}:`, error.message);
+        res.status(502).json({ error: 'Failed to take a snapshot. Check that the camera is reachable.' });
     }
 });
 
 // POST /api/cameras/:id/recording/start - Start recording
-router.post('/:id/recording/start', async (req, res) => {
+router.post('/:id/recording/start', audit('recording.start'), requireCameraPermission('view_live', 'operator'), async (req, res) => {
     const { id } = req.params;
     try {
         const result = await startRecording(Number(id));
+        res.locals.audit = { recordingId: result.recordingId };
         res.json(result);
     } catch (error) {
         console.error(`Error starting recording for camera ${id}:`, error);
@@ -278,10 +483,16 @@ router.post('/:id/recording/start', async (req, res) => {
 });
 
 // POST /api/cameras/:id/recording/stop - Stop recording
-router.post('/:id/recording/stop', (req, res) => {
+router.post('/:id/recording/stop', audit('recording.stop'), requireCameraPermission('view_live', 'operator'), async (req, res) => {
     const { id } = req.params;
     try {
-        const result = stopRecording(Number(id));
+        // Keep the scheduler from starting it again inside the current window
+        await markManualStop(Number(id));
+        // Resolves once the file has been finalized
+        const result = await stopRecording(Number(id));
+        if (!result.success) {
+            return res.status(404).json({ error: result.message });
+        }
         res.json(result);
     } catch (error) {
         console.error(`Error stopping recording for camera ${id}:`, error);
@@ -290,7 +501,7 @@ router.post('/:id/recording/stop', (req, res) => {
 });
 
 // GET /api/cameras/:id/time - Get camera's current time
-router.get('/:id/time', async (req, res) => {
+router.get('/:id/time', requireCameraPermission('view_live'), async (req, res) => {
     const { id } = req.params;
     try {
         const camera = await db('cameras').where({ id: Number(id) }).first();
@@ -315,7 +526,7 @@ router.get('/:id/time', async (req, res) => {
 });
 
 // POST /api/cameras/:id/sync-time - Synchronize camera time with server time
-router.post('/:id/sync-time', async (req, res) => {
+router.post('/:id/sync-time', audit('camera.sync_time'), requireCameraPermission('view_live', 'operator'), async (req, res) => {
     const { id } = req.params;
     try {
         const camera = await db('cameras').where({ id: Number(id) }).first();
@@ -332,6 +543,7 @@ router.post('/:id/sync-time', async (req, res) => {
             xaddr: camera.xaddr
         });
 
+        res.locals.audit = { params: { beforeTime: result.beforeTime, serverTime: result.serverTime } };
         res.json(result);
     } catch (error) {
         console.error(`Error syncing time for camera ${id}:`, error);
@@ -340,7 +552,7 @@ router.post('/:id/sync-time', async (req, res) => {
 });
 
 // GET /api/cameras/:id/ptz/capabilities - Check PTZ capabilities
-router.get('/:id/ptz/capabilities', async (req, res) => {
+router.get('/:id/ptz/capabilities', requireCameraPermission('view_live'), async (req, res) => {
     const { id } = req.params;
     try {
         const camera = await db('cameras').where({ id: Number(id) }).first();
@@ -365,7 +577,7 @@ router.get('/:id/ptz/capabilities', async (req, res) => {
 });
 
 // POST /api/cameras/:id/ptz/move - Move camera PTZ
-router.post('/:id/ptz/move', async (req, res) => {
+router.post('/:id/ptz/move', audit('ptz.move'), requireCameraPermission('control_ptz'), async (req, res) => {
     const { id } = req.params;
     const { x, y, zoom, timeout } = req.body;
 
@@ -395,7 +607,7 @@ router.post('/:id/ptz/move', async (req, res) => {
 });
 
 // POST /api/cameras/:id/ptz/stop - Stop PTZ movement
-router.post('/:id/ptz/stop', async (req, res) => {
+router.post('/:id/ptz/stop', audit('ptz.stop'), requireCameraPermission('control_ptz'), async (req, res) => {
     const { id } = req.params;
     const { panTilt, zoom } = req.body;
 
@@ -425,7 +637,7 @@ router.post('/:id/ptz/stop', async (req, res) => {
 });
 
 // GET /api/cameras/:id/capabilities - Get camera capabilities based on type
-router.get('/:id/capabilities', async (req, res) => {
+router.get('/:id/capabilities', requireCameraPermission('view_live'), async (req, res) => {
     const { id } = req.params;
 
     try {
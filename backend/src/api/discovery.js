@@ -0,0 +1,106 @@
+const express = require('express');
+const router = express.Router();
+const { createJob, getJob, listJobs, cancelJob } = require('../services/discoveryJobService');
+const { getNetworkInterfaces, getLocalSubnet } = require('../services/discoveryService');
+const { requireRole } = require('./middleware');
+
+/**
+ * Validates the types of a discovery job request body
+ * Ranges and the interface are checked by the discovery service when the job is created.
+ * @param {Object} body - Request body (ranges, interface, multicast, or subnet, start and end)
+ * @returns {{options: Object, error: string|null}} The scan options or an error message
+ */
+function parseScanOptions(body) {
+  const options = {};
+  const { ranges, interface: networkInterface, multicast, subnet, start, end } = body || {};
+
+  if (ranges !== undefined && ranges !== null) {
+    if (!(typeof ranges === 'string' || (Array.isArray(ranges) && ranges.every(range => typeof range === 'string')))) {
+      return { options, error: "Field 'ranges' must be a string or an array of strings." };
+    }
+    options.ranges = ranges;
+  }
+
+  if (networkInterface !== undefined && networkInterface !== null && networkInterface !== '') {
+    if (typeof networkInterface !== 'string') {
+      return { options, error: "Field 'interface' must be a string." };
+    }
+    options.interface = networkInterface;
+  }
+
+  if (multicast !== undefined) {
+    if (typeof multicast !== 'boolean') {
+      return { options, error: "Field 'multicast' must be a boolean." };
+    }
+    options.multicast = multicast;
+  }
+
+  // Subnet base with host numbers, as accepted by GET /api/cameras/discover
+  if (subnet !== undefined && subnet !== null && subnet !== '') {
+    options.subnet = String(subnet);
+    for (const [key, value] of [['start', start], ['end', end]]) {
+      if (value === undefined || value === null || value === '') continue;
+      const number = Number(value);
+      if (!Number.isInteger(number) || number < 1 || number > 254) {
+        return { options, error: `Field '${key}' must be an integer between 1 and 254.` };
+      }
+      options[key] = number;
+    }
+  }
+
+  return { options, error: null };
+}
+
+// Scanning the network is for operators and admins
+router.use(requireRole('operator'));
+
+// GET /api/discovery/interfaces - Network interfaces that can be scanned
+router.get('/interfaces', (req, res) => {
+  res.json({ interfaces: getNetworkInterfaces(), default: getLocalSubnet() });
+});
+
+// POST /api/discovery/jobs - Start a scan in the background
+router.post('/jobs', (req, res) => {
+  const { options, error } = parseScanOptions(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  // Only one scan runs at a time; a running scan is returned instead of starting a new one
+  let result;
+  try {
+    result = createJob(options);
+  } catch (err) {
+    // Invalid range or interface
+    return res.status(400).json({ error: err.message });
+  }
+  res.status(result.created ? 202 : 200).json(result.job);
+});
+
+// GET /api/discovery/jobs - Recent discovery jobs, newest first
+router.get('/jobs', (req, res) => {
+  res.json(listJobs());
+});
+
+// GET /api/discovery/jobs/:jobId - Progress and devices of a discovery job
+router.get('/jobs/:jobId', (req, res) => {
+  const job = getJob(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({ error: `Discovery job ${req.params.jobId} not found.` });
+  }
+  res.json(job);
+});
+
+// POST /api/discovery/jobs/:jobId/cancel - Cancel a running discovery job
+router.post('/jobs/:jobId/cancel', (req, res) => {
+  const job = cancelJob(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({ error: `Discovery job ${req.params.jobId} not found.` });
+  }
+  if (job.status !== 'running') {
+    return res.status(409).json({ error: `Discovery job ${job.id} has already ${job.status === 'failed' ? 'failed' : 'finished'}.` });
+  }
+  res.json({ message: 'Discovery job is being cancelled.', job });
+});
+
+module.exports = router;
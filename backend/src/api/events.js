@@ -0,0 +1,83 @@
+const express = require('express');
+// mergeParams gives access to :id when mounted at /api/cameras/:id/events
+const router = express.Router({ mergeParams: true });
+const { loadCamera } = require('./middleware');
+const { listEvents } = require('../services/eventService');
+const { getAccessibleCameraIds } = require('../services/permissionService');
+
+const MAX_LIMIT = 1000;
+
+/**
+ * Validates the filters of an event list request
+ * @param {Object} query - Request query (type, source, camera_id, from, to, after_id, limit)
+ * @returns {{filters: Object, error: string|null}} The validated filters or an error message
+ */
+function parseFilters(query) {
+  const filters = {};
+  const { type, source, camera_id, from, to, after_id, limit } = query;
+
+  if (type) filters.type = String(type);
+  if (source) filters.source = String(source);
+
+  for (const [key, value] of [['from', from], ['to', to]]) {
+    if (value === undefined) continue;
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+      return { filters, error: `Parameter '${key}' must be a valid date.` };
+    }
+    filters[key] = date;
+  }
+
+  for (const [key, name, value] of [['cameraId', 'camera_id', camera_id], ['afterId', 'after_id', after_id]]) {
+    if (value === undefined) continue;
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 0) {
+      return { filters, error: `Parameter '${name}' must be a non-negative integer.` };
+    }
+    filters[key] = number;
+  }
+
+  if (limit !== undefined) {
+    const number = Number(limit);
+    if (!Number.isInteger(number) || number < 1 || number > MAX_LIMIT) {
+      return { filters, error: `Parameter 'limit' must be an integer between 1 and ${MAX_LIMIT}.` };
+    }
+    filters.limit = number;
+  }
+
+  return { filters, error: null };
+}
+
+// Only the per-camera route has an :id parameter
+router.use((req, res, next) => (req.params.id !== undefined ? loadCamera(req, res, next) : next()));
+
+// GET /api/events - Event feed of all cameras
+// GET /api/cameras/:id/events - Events of a camera
+router.get('/', async (req, res) => {
+  const { filters, error } = parseFilters(req.query);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  if (req.camera) {
+    filters.cameraId = req.camera.id;
+  }
+
+  try {
+    // Only events of cameras the user may see (live or recordings)
+    const cameraIds = await getAccessibleCameraIds(req.user, ['view_live', 'view_recordings']);
+    if (cameraIds) {
+      if (req.camera && !cameraIds.includes(req.camera.id)) {
+        return res.status(403).json({ error: `You don't have access to camera ${req.camera.id}.` });
+      }
+      filters.cameraIds = cameraIds;
+    }
+
+    const events = await listEvents(filters);
+    res.json(events);
+  } catch (err) {
+    console.error('Error fetching events:', err);
+    res.status(500).json({ error: 'Database error while fetching events.' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,149 @@
+const express = require('express');
+const router = express.Router();
+const fs = require('fs');
+const db = require('../db/db');
+const { createExport, getExport, listExports, getExportFile, deleteExport, MAX_EXPORT_RANGE_MS } = require('../services/exportService');
+const { hasRole } = require('../services/authService');
+const { getCameraPermissions, hasPermission } = require('../services/permissionService');
+const { audit } = require('./middleware');
+
+/**
+ * Validates the body of an export request
+ * @param {Object} body - Request body (camera_id, from, to)
+ * @returns {{options: Object, error: string|null}} The camera ID and time range or an error message
+ */
+function parseExportOptions(body) {
+  const options = {};
+  const { camera_id, from, to } = body || {};
+
+  const cameraId = Number(camera_id);
+  if (!Number.isInteger(cameraId) || cameraId < 1) {
+    return { options, error: "Field 'camera_id' must be a camera ID." };
+  }
+  options.cameraId = cameraId;
+
+  for (const [key, value] of [['from', from], ['to', to]]) {
+    const date = typeof value === 'string' || typeof value === 'number' ? new Date(value) : null;
+    if (!date || isNaN(date.getTime())) {
+      return { options, error: `Field '${key}' must be a valid date.` };
+    }
+    options[key] = date;
+  }
+
+  if (options.from >= options.to) {
+    return { options, error: "Field 'from' must be before 'to'." };
+  }
+  if (options.to - options.from > MAX_EXPORT_RANGE_MS) {
+    return { options, error: `The time range must not be longer than ${MAX_EXPORT_RANGE_MS / (60 * 60 * 1000)} hours.` };
+  }
+  return { options, error: null };
+}
+
+/**
+ * Loads an export the user may access: their own exports, or any export for admins
+ * Sends 404 if the export does not exist or belongs to another user.
+ * @param {Object} req - Request with the :exportId parameter
+ * @param {Object} res - Response
+ * @returns {Promise<Object|null>} The export, or null if a response has been sent
+ */
+async function loadOwnExport(req, res) {
+  const exportRow = await getExport(Number(req.params.exportId));
+  if (!exportRow || (exportRow.user_id !== req.user.id && !hasRole(req.user.role, 'admin'))) {
+    res.status(404).json({ error: `Export ${req.params.exportId} not found.` });
+    return null;
+  }
+  return exportRow;
+}
+
+// POST /api/exports - Queue the export of a time range of a camera's recordings
+router.post('/', audit('recording.export'), async (req, res) => {
+  const { options, error } = parseExportOptions(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  res.locals.audit = { cameraId: options.cameraId };
+
+  try {
+    const camera = await db('cameras').where({ id: options.cameraId }).first();
+    if (!camera) {
+      return res.status(404).json({ error: `Camera with ID ${options.cameraId} not found.` });
+    }
+    const permissions = await getCameraPermissions(req.user, camera.id);
+    if (!hasPermission(permissions, 'view_recordings')) {
+      return res.status(403).json({ error: `You don't have the view_recordings permission for camera ${camera.id}.` });
+    }
+
+    const exportRow = await createExport({ ...options, user: req.user });
+    if (!exportRow) {
+      return res.status(404).json({ error: `Camera ${camera.id} has no recordings in the time range.` });
+    }
+    res.status(202).json(exportRow);
+  } catch (err) {
+    console.error('Error creating export:', err);
+    res.status(500).json({ error: 'An internal server error occurred while creating the export.' });
+  }
+});
+
+// GET /api/exports - The user's exports (all exports for admins), newest first
+router.get('/', async (req, res) => {
+  try {
+    res.json(await listExports(hasRole(req.user.role, 'admin') ? {} : { userId: req.user.id }));
+  } catch (error) {
+    console.error('Database error while fetching exports:', error);
+    res.status(500).json({ error: 'Database error while fetching exports.' });
+  }
+});
+
+// GET /api/exports/:exportId - Status and progress of an export
+router.get('/:exportId', async (req, res) => {
+  try {
+    const exportRow = await loadOwnExport(req, res);
+    if (exportRow) {
+      res.json(exportRow);
+    }
+  } catch (error) {
+    console.error(`Error fetching export ${req.params.exportId}:`, error);
+    res.status(500).json({ error: 'Database error while fetching the export.' });
+  }
+});
+
+// GET /api/exports/:exportId/download - Download the MP4 file of a completed export
+router.get('/:exportId/download', async (req, res) => {
+  try {
+    const exportRow = await loadOwnExport(req, res);
+    if (!exportRow) return;
+
+    if (exportRow.status !== 'completed') {
+      return res.status(409).json({ error: `Export ${exportRow.id} is not completed (${exportRow.status}).` });
+    }
+    // Access to the camera's recordings may have been revoked since the export was created
+    const permissions = await getCameraPermissions(req.user, exportRow.camera_id);
+    if (!hasPermission(permissions, 'view_recordings')) {
+      return res.status(403).json({ error: `You don't have the view_recordings permission for camera ${exportRow.camera_id}.` });
+    }
+    const file = getExportFile(exportRow);
+    if (!fs.existsSync(file)) {
+      return res.status(404).json({ error: `The file of export ${exportRow.id} no longer exists.` });
+    }
+    res.download(file, exportRow.filename);
+  } catch (error) {
+    console.error(`Error downloading export ${req.params.exportId}:`, error);
+    res.status(500).json({ error: 'An internal server error occurred while downloading the export.' });
+  }
+});
+
+// DELETE /api/exports/:exportId - Cancel a queued or running export, or delete a finished one
+router.delete('/:exportId', async (req, res) => {
+  try {
+    const exportRow = await loadOwnExport(req, res);
+    if (!exportRow) return;
+
+    await deleteExport(exportRow.id);
+    res.status(204).send();
+  } catch (error) {
+    console.error(`Error deleting export ${req.params.exportId}:`, error);
+    res.status(500).json({ error: 'An internal server error occurred while deleting the export.' });
+  }
+});
+
+module.exports = router;
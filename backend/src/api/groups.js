@@ -0,0 +1,121 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../db/db');
+const { listGroups, getGroup, createGroup, updateGroup, deleteGroup } = require('../services/permissionService');
+const { requireRole } = require('./middleware');
+
+/**
+ * Validates the fields of a group request body
+ * @param {Object} body - Request body (name, user_ids)
+ * @param {boolean} partial - If true, missing fields are allowed (for updates)
+ * @returns {Promise<string|null>} An error message, or null if the body is valid
+ */
+async function validateGroup(body, partial) {
+  const { name, user_ids } = body;
+
+  if (!partial || name !== undefined) {
+    if (typeof name !== 'string' || name.trim() === '' || name.length > 64) {
+      return "Field 'name' must be a non-empty string of at most 64 characters.";
+    }
+  }
+  if (user_ids !== undefined) {
+    if (!Array.isArray(user_ids) || !user_ids.every(Number.isInteger)) {
+      return "Field 'user_ids' must be an array of user IDs.";
+    }
+    const users = await db('users').whereIn('id', user_ids).select('id');
+    const missing = user_ids.filter(userId => !users.some(user => user.id === userId));
+    if (missing.length > 0) {
+      return `Users not found: ${missing.join(', ')}.`;
+    }
+  }
+  return null;
+}
+
+// Group management is for admins only
+router.use(requireRole('admin'));
+
+// GET /api/groups - List all groups with their members
+router.get('/', async (req, res) => {
+  try {
+    res.json(await listGroups());
+  } catch (error) {
+    console.error('Database error:', error);
+    res.status(500).json({ error: 'Failed to fetch groups.' });
+  }
+});
+
+// GET /api/groups/:groupId - Get a group
+router.get('/:groupId', async (req, res) => {
+  try {
+    const group = await getGroup(Number(req.params.groupId));
+    if (!group) {
+      return res.status(404).json({ error: `Group with ID ${req.params.groupId} not found.` });
+    }
+    res.json(group);
+  } catch (error) {
+    console.error('Database error:', error);
+    res.status(500).json({ error: 'Failed to fetch group.' });
+  }
+});
+
+// POST /api/groups - Create a group
+router.post('/', async (req, res) => {
+  try {
+    const error = await validateGroup(req.body || {}, false);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const group = await createGroup({ name: req.body.name.trim(), user_ids: req.body.user_ids });
+    res.status(201).json(group);
+  } catch (error) {
+    if (error.code === 'SQLITE_CONSTRAINT') {
+      return res.status(409).json({ error: `Group '${req.body.name}' already exists.` });
+    }
+    console.error('Database error:', error);
+    res.status(500).json({ error: 'Failed to create group.' });
+  }
+});
+
+// PUT /api/groups/:groupId - Rename a group and/or replace its members
+router.put('/:groupId', async (req, res) => {
+  try {
+    const body = req.body || {};
+    if (body.name === undefined && body.user_ids === undefined) {
+      return res.status(400).json({ error: 'No valid fields provided for update.' });
+    }
+    const error = await validateGroup(body, true);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const group = await updateGroup(Number(req.params.groupId), {
+      name: body.name !== undefined ? body.name.trim() : undefined,
+      user_ids: body.user_ids
+    });
+    if (!group) {
+      return res.status(404).json({ error: `Group with ID ${req.params.groupId} not found.` });
+    }
+    res.json(group);
+  } catch (error) {
+    if (error.code === 'SQLITE_CONSTRAINT') {
+      return res.status(409).json({ error: `Group '${req.body.name}' already exists.` });
+    }
+    console.error('Database error:', error);
+    res.status(500).json({ error: 'Failed to update group.' });
+  }
+});
+
+// DELETE /api/groups/:groupId - Delete a group (its camera permissions are removed)
+router.delete('/:groupId', async (req, res) => {
+  try {
+    const deleted = await deleteGroup(Number(req.params.groupId));
+    if (!deleted) {
+      return res.status(404).json({ error: `Group with ID ${req.params.groupId} not found.` });
+    }
+    res.status(204).send();
+  } catch (error) {
+    console.error('Database error:', error);
+    res.status(500).json({ error: 'Failed to delete group.' });
+  }
+});
+
+module.exports = router;
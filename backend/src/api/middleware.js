@@ -0,0 +1,217 @@
+const db = require('../db/db');
+const { getSessionUser, hasRole } = require('../services/authService');
+const { getCameraPermissions, hasPermission } = require('../services/permissionService');
+const { recordAudit } = require('../services/auditService');
+
+// Name of the cookie that holds the session token
+const SESSION_COOKIE = 'session';
+
+/**
+ * Middleware that loads the camera from the :id route parameter into req.camera,
+ * or responds with 404 if it does not exist
+ */
+async function loadCamera(req, res, next) {
+  try {
+    const camera = await db('cameras').where({ id: Number(req.params.id) }).first();
+    if (!camera) {
+      return res.status(404).json({ error: `Camera with ID ${req.params.id} not found.` });
+    }
+    req.camera = camera;
+    next();
+  } catch (error) {
+    console.error('Database error:', error);
+    res.status(500).json({ error: 'Database error while fetching camera.' });
+  }
+}
+
+/**
+ * Read the session token from the session cookie or an 'Authorization: Bearer' header
+ * @param {import('express').Request} req - Request
+ * @returns {string|null} Session token
+ */
+function getSessionToken(req) {
+  const header = req.headers.authorization || '';
+  if (header.startsWith('Bearer ')) {
+    return header.slice('Bearer '.length).trim();
+  }
+  for (const part of (req.headers.cookie || '').split(';')) {
+    const [name, ...value] = part.trim().split('=');
+    if (name === SESSION_COOKIE) {
+      return decodeURIComponent(value.join('='));
+    }
+  }
+  return null;
+}
+
+/**
+ * Middleware that loads the user of the session into req.user,
+ * or responds with 401 if there is no valid session
+ */
+async function authenticate(req, res, next) {
+  try {
+    const user = await getSessionUser(getSessionToken(req));
+    if (!user) {
+      return res.status(401).json({ error: 'Authentication required.' });
+    }
+    req.user = user;
+    next();
+  } catch (error) {
+    console.error('Database error:', error);
+    res.status(500).json({ error: 'Database error while checking the session.' });
+  }
+}
+
+/**
+ * Creates a middleware that responds with 403 unless the user has at least the given role
+ * (admin > operator > viewer). Must run after authenticate.
+ * @param {string} role - Minimum role
+ */
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!req.user || !hasRole(req.user.role, role)) {
+      return res.status(403).json({ error: `This action requires the ${role} role.` });
+    }
+    next();
+  };
+}
+
+/**
+ * Creates a middleware that responds with 403 unless the user has the given permission on the
+ * camera from the :id route parameter (and, if given, at least the given role).
+ * The camera 'admin' permission allows everything. Must run after authenticate.
+ * @param {string} permission - Camera permission ('view_live', 'view_recordings', 'control_ptz' or 'admin')
+ * @param {string} [role] - Minimum global role
+ */
+function requireCameraPermission(permission, role) {
+  return async (req, res, next) => {
+    try {
+      const permissions = await getCameraPermissions(req.user, Number(req.params.id));
+      const allowed = permissions.has('admin') || (hasPermission(permissions, permission) && (!role || hasRole(req.user.role, role)));
+      if (!allowed) {
+        return res.status(403).json({ error: `You don't have the ${permission} permission for camera ${req.params.id}.` });
+      }
+      next();
+    } catch (error) {
+      console.error('Database error:', error);
+      res.status(500).json({ error: 'Database error while checking camera permissions.' });
+    }
+  };
+}
+
+/**
+ * Creates a middleware for a static directory that only serves the files of cameras on which
+ * the user has the given permission. Files that belong to no camera are only served to admins.
+ * @param {string} permission - Camera permission
+ * @param {function(string): Promise<number|null>} getCameraId - Resolves the request path to a camera ID
+ */
+function authorizeCameraFiles(permission, getCameraId) {
+  return async (req, res, next) => {
+    let filePath;
+    try {
+      filePath = decodeURIComponent(req.path);
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid file path.' });
+    }
+
+    try {
+      const cameraId = await getCameraId(filePath);
+      const allowed = cameraId === null
+        ? req.user.role === 'admin'
+        : hasPermission(await getCameraPermissions(req.user, cameraId), permission);
+      if (!allowed) {
+        return res.status(403).json({ error: "You don't have access to this file." });
+      }
+      next();
+    } catch (error) {
+      console.error('Database error:', error);
+      res.status(500).json({ error: 'Database error while checking camera permissions.' });
+    }
+  };
+}
+
+// /streams/<camera id>/stream.m3u8 and its segments
+const authorizeStreamFiles = authorizeCameraFiles('view_live', async (filePath) => {
+  const cameraId = Number(filePath.split('/')[1]);
+  return Number.isInteger(cameraId) ? cameraId : null;
+});
+
+// /recordings/<filename> of a recording
+const authorizeRecordingFiles = authorizeCameraFiles('view_recordings', async (filePath) => {
+  const recording = await db('recordings').where({ filename: filePath.slice(1) }).first();
+  return recording ? recording.camera_id : null;
+});
+
+// /thumbnails/<thumbnail>, and the sprite sheet and WebVTT track of a recording
+const authorizeThumbnailFiles = authorizeCameraFiles('view_recordings', async (filePath) => {
+  const name = filePath.slice(1);
+  const recording = await db('recordings')
+    .where({ thumbnail: name })
+    .orWhere({ sprite: name })
+    .orWhere({ sprite_vtt: name })
+    .first();
+  return recording ? recording.camera_id : null;
+});
+
+// /snapshots/<filename> of a saved snapshot
+const authorizeSnapshotFiles = authorizeCameraFiles('view_recordings', async (filePath) => {
+  const snapshot = await db('snapshots').where({ filename: filePath.slice(1) }).first();
+  return snapshot ? snapshot.camera_id : null;
+});
+
+// /timelapses/<filename> of a timelapse video
+const authorizeTimelapseFiles = authorizeCameraFiles('view_recordings', async (filePath) => {
+  const timelapse = await db('timelapses').where({ filename: filePath.slice(1) }).first();
+  return timelapse ? timelapse.camera_id : null;
+});
+
+/**
+ * Creates a middleware that writes the outcome of the request to the audit log once the response
+ * has been sent. Place it before the permission checks, so that denied attempts are logged as well.
+ * The :id route parameter is the target camera (or recording), and the request body the parameters;
+ * route handlers can add details in res.locals.audit ({ cameraId, recordingId, params }).
+ * @param {string} action - Action, e.g. 'ptz.move'
+ * @param {'camera'|'recording'} [target='camera'] - What the :id route parameter refers to
+ */
+function audit(action, target = 'camera') {
+  return (req, res, next) => {
+    const id = req.params.id !== undefined ? Number(req.params.id) : undefined;
+    let responseBody = null;
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      responseBody = body;
+      return json(body);
+    };
+
+    res.on('finish', () => {
+      const status = res.statusCode;
+      const details = res.locals.audit || {};
+      recordAudit({
+        user: req.user,
+        action,
+        result: status < 400 ? 'success' : (status === 401 || status === 403 ? 'denied' : 'failure'),
+        cameraId: details.cameraId ?? (target === 'camera' ? id : undefined),
+        recordingId: details.recordingId ?? (target === 'recording' ? id : undefined),
+        params: { ...(req.body || {}), ...(details.params || {}) },
+        statusCode: status,
+        error: status >= 400 && responseBody ? (responseBody.error || responseBody.message || null) : null,
+        ip: req.ip
+      });
+    });
+    next();
+  };
+}
+
+module.exports = {
+  loadCamera,
+  authenticate,
+  requireRole,
+  requireCameraPermission,
+  authorizeStreamFiles,
+  authorizeRecordingFiles,
+  authorizeThumbnailFiles,
+  authorizeSnapshotFiles,
+  authorizeTimelapseFiles,
+  audit,
+  getSessionToken,
+  SESSION_COOKIE
+};
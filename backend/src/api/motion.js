@@ -0,0 +1,92 @@
+const express = require('express');
+// mergeParams gives access to :id from the parent path /api/cameras/:id/motion
+const router = express.Router({ mergeParams: true });
+const { loadCamera, requireCameraPermission } = require('./middleware');
+const { getMotionSettings, updateMotionSettings, isDetecting } = require('../services/motionService');
+
+/**
+ * Validates a list of detection zones
+ * @param {*} zones - Zones from the request body
+ * @returns {boolean} True if every zone is a rectangle inside the frame (fractions 0-1)
+ */
+function isValidZones(zones) {
+  return Array.isArray(zones) && zones.every(zone =>
+    zone && ['x', 'y', 'width', 'height'].every(key => typeof zone[key] === 'number') &&
+    zone.x >= 0 && zone.y >= 0 && zone.width > 0 && zone.height > 0 &&
+    zone.x + zone.width <= 1 && zone.y + zone.height <= 1
+  );
+}
+
+/**
+ * Validates motion settings from a request body
+ * @param {Object} body - Request body
+ * @returns {{changes: Object, error: string|null}} The validated settings or an error message
+ */
+function parseSettings(body) {
+  const changes = {};
+
+  for (const [key, value] of Object.entries(body || {})) {
+    switch (key) {
+      case 'enabled':
+      case 'record_on_motion':
+        if (typeof value !== 'boolean') {
+          return { changes, error: `Field '${key}' must be a boolean.` };
+        }
+        break;
+      case 'sensitivity':
+        if (!Number.isInteger(value) || value < 1 || value > 100) {
+          return { changes, error: 'Sensitivity must be an integer between 1 and 100.' };
+        }
+        break;
+      case 'hold_seconds':
+        if (!Number.isInteger(value) || value < 1 || value > 3600) {
+          return { changes, error: 'Hold time must be an integer between 1 and 3600 seconds.' };
+        }
+        break;
+      case 'zones':
+        if (!isValidZones(value)) {
+          return { changes, error: "Field 'zones' must be an array of { x, y, width, height } rectangles with values between 0 and 1." };
+        }
+        break;
+      default:
+        return { changes, error: `Invalid or disallowed field: ${key}` };
+    }
+    changes[key] = value;
+  }
+
+  if (Object.keys(changes).length === 0) {
+    return { changes, error: 'No valid settings provided.' };
+  }
+  return { changes, error: null };
+}
+
+router.use(loadCamera, requireCameraPermission('view_live'));
+
+// GET /api/cameras/:id/motion - Get motion detection settings and detector state
+router.get('/', async (req, res) => {
+  try {
+    const settings = await getMotionSettings(req.camera.id);
+    res.json({ ...settings, running: isDetecting(req.camera.id) });
+  } catch (error) {
+    console.error(`Error fetching motion settings for camera ${req.camera.id}:`, error);
+    res.status(500).json({ error: 'Database error while fetching motion settings.' });
+  }
+});
+
+// PUT /api/cameras/:id/motion - Update motion detection settings (restarts the detector)
+router.put('/', requireCameraPermission('view_live', 'operator'), async (req, res) => {
+  const { changes, error } = parseSettings(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const settings = await updateMotionSettings(req.camera.id, changes);
+    res.json({ ...settings, running: isDetecting(req.camera.id) });
+  } catch (err) {
+    console.error(`Error updating motion settings for camera ${req.camera.id}:`, err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
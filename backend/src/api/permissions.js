@@ -0,0 +1,34 @@
+const express = require('express');
+// mergeParams gives access to :id from the parent path /api/cameras/:id/permissions
+const router = express.Router({ mergeParams: true });
+const { loadCamera, requireCameraPermission } = require('./middleware');
+const { getCameraAcl, validateAclEntries, setCameraAcl } = require('../services/permissionService');
+
+// The access list of a camera is managed by admins and users with the admin permission on it
+router.use(loadCamera, requireCameraPermission('admin'));
+
+// GET /api/cameras/:id/permissions - Get the access list of a camera
+router.get('/', async (req, res) => {
+  try {
+    res.json(await getCameraAcl(req.camera.id));
+  } catch (error) {
+    console.error(`Error fetching permissions of camera ${req.camera.id}:`, error);
+    res.status(500).json({ error: 'Database error while fetching camera permissions.' });
+  }
+});
+
+// PUT /api/cameras/:id/permissions - Replace the access list of a camera (an empty list removes the restriction)
+router.put('/', async (req, res) => {
+  try {
+    const error = await validateAclEntries(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    res.json(await setCameraAcl(req.camera.id, req.body));
+  } catch (error) {
+    console.error(`Error updating permissions of camera ${req.camera.id}:`, error);
+    res.status(500).json({ error: 'Database error while updating camera permissions.' });
+  }
+});
+
+module.exports = router;
@@ -1,37 +1,216 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../db/db');
-const fs = require('fs');
-const path = require('path');
+const { deleteRecording, checkMergeable, mergeRecordings, listRecordings, RECORDING_SORT_COLUMNS } = require('../services/recordingService');
+const { hasRole } = require('../services/authService');
+const { loadAccess, hasPermission, getCameraPermissions, getAccessibleCameraIds } = require('../services/permissionService');
+const { audit } = require('./middleware');
 
-// Base path for recordings
-const recordingsBasePath = path.join(__dirname, '../../recordings');
+const MAX_LIMIT = 500;
+const MAX_MERGE_RECORDINGS = 100;
+const ORDERS = ['asc', 'desc'];
 
-// GET /api/recordings - List all finished recordings
+/**
+ * Parses a true/false query parameter
+ * @param {string} value - Parameter value
+ * @returns {boolean|null} The flag, or null if the value is not 'true' or 'false'
+ */
+function parseFlag(value) {
+  return value === 'true' ? true : value === 'false' ? false : null;
+}
+
+/**
+ * Validates the filters of a recording list request
+ * @param {Object} query - Request query (camera_id, from, to, min_duration, has_events, bookmarked, sort, order, limit, offset)
+ * @returns {{filters: Object, error: string|null}} The validated filters or an error message
+ */
+function parseFilters(query) {
+  const filters = {};
+  const { camera_id, from, to, min_duration, has_events, bookmarked, sort, order, limit, offset } = query;
+
+  // One or more cameras: camera_id=1,2 or camera_id=1&camera_id=2
+  if (camera_id !== undefined) {
+    const cameraIds = [].concat(camera_id).flatMap(value => String(value).split(',')).map(Number);
+    if (cameraIds.some(cameraId => !Number.isInteger(cameraId) || cameraId < 0)) {
+      return { filters, error: "Parameter 'camera_id' must be a comma-separated list of camera IDs." };
+    }
+    filters.cameraIds = cameraIds;
+  }
+
+  for (const [key, value] of [['from', from], ['to', to]]) {
+    if (value === undefined) continue;
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+      return { filters, error: `Parameter '${key}' must be a valid date.` };
+    }
+    filters[key] = date;
+  }
+
+  if (min_duration !== undefined) {
+    const number = Number(min_duration);
+    if (!Number.isFinite(number) || number < 0) {
+      return { filters, error: "Parameter 'min_duration' must be a non-negative number of seconds." };
+    }
+    filters.minDuration = number;
+  }
+
+  for (const [key, name, value] of [['hasEvents', 'has_events', has_events], ['bookmarked', 'bookmarked', bookmarked]]) {
+    if (value === undefined) continue;
+    const flag = parseFlag(value);
+    if (flag === null) {
+      return { filters, error: `Parameter '${name}' must be 'true' or 'false'.` };
+    }
+    filters[key] = flag;
+  }
+
+  if (sort !== undefined) {
+    if (!Object.hasOwn(RECORDING_SORT_COLUMNS, sort)) {
+      return { filters, error: `Parameter 'sort' must be one of: ${Object.keys(RECORDING_SORT_COLUMNS).join(', ')}.` };
+    }
+    filters.sort = sort;
+  }
+  if (order !== undefined) {
+    if (!ORDERS.includes(order)) {
+      return { filters, error: "Parameter 'order' must be 'asc' or 'desc'." };
+    }
+    filters.order = order;
+  }
+
+  if (offset !== undefined) {
+    const number = Number(offset);
+    if (!Number.isInteger(number) || number < 0) {
+      return { filters, error: "Parameter 'offset' must be a non-negative integer." };
+    }
+    filters.offset = number;
+  }
+
+  if (limit !== undefined) {
+    const number = Number(limit);
+    if (!Number.isInteger(number) || number < 1 || number > MAX_LIMIT) {
+      return { filters, error: `Parameter 'limit' must be an integer between 1 and ${MAX_LIMIT}.` };
+    }
+    filters.limit = number;
+  }
+
+  return { filters, error: null };
+}
+
+/**
+ * Validates the body of a merge request
+ * @param {Object} body - Request body (recording_ids, delete_sources)
+ * @returns {{recordingIds: Array<number>, deleteSources: boolean, error: string|null}} The recordings to merge or an error message
+ */
+function parseMergeRequest(body) {
+  const { recording_ids, delete_sources } = body || {};
+
+  if (!Array.isArray(recording_ids) || recording_ids.some(id => !Number.isInteger(id) || id < 1)) {
+    return { recordingIds: [], deleteSources: false, error: "Field 'recording_ids' must be an array of recording IDs." };
+  }
+  const recordingIds = [...new Set(recording_ids)];
+  if (recordingIds.length < 2 || recordingIds.length > MAX_MERGE_RECORDINGS) {
+    return { recordingIds, deleteSources: false, error: `Between 2 and ${MAX_MERGE_RECORDINGS} recordings can be merged.` };
+  }
+  if (delete_sources !== undefined && typeof delete_sources !== 'boolean') {
+    return { recordingIds, deleteSources: false, error: "Field 'delete_sources' must be true or false." };
+  }
+  return { recordingIds, deleteSources: delete_sources === true, error: null };
+}
+
+// GET /api/recordings - List the finished recordings of the cameras the user may view recordings of
 router.get('/', async (req, res) => {
+  const { filters, error } = parseFilters(req.query);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
   try {
-    const recordings = await db('recordings')
-      .leftJoin('cameras', 'recordings.camera_id', 'cameras.id')
-      .select(
-        'recordings.id',
-        'recordings.filename',
-        'recordings.start_time',
-        'recordings.end_time',
-        'recordings.thumbnail',
-        db.raw("COALESCE(cameras.name, 'Deleted Camera') as camera_name")
-      )
-      .where('recordings.is_finished', true)
-      .orderBy('recordings.start_time', 'desc');
-
-    res.json(recordings);
+    // Recordings of deleted cameras are visible to users who may view the recordings of cameras without an access list
+    const accessibleCameraIds = await getAccessibleCameraIds(req.user, ['view_recordings']);
+    if (accessibleCameraIds) {
+      const access = await loadAccess(req.user);
+      filters.accessibleCameraIds = accessibleCameraIds;
+      filters.includeDeletedCameras = hasPermission(access.defaults, 'view_recordings');
+    }
+
+    res.json(await listRecordings(filters));
   } catch (error) {
     console.error('Database error while fetching recordings:', error);
     res.status(500).json({ error: 'Database error while fetching recordings.' });
   }
 });
 
+// POST /api/recordings/merge - Concatenate recordings of one camera into a new recording
+router.post('/merge', audit('recording.merge', 'recording'), async (req, res) => {
+  const { recordingIds, deleteSources, error } = parseMergeRequest(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const recordings = await db('recordings').whereIn('id', recordingIds).where('is_finished', true);
+    const missing = recordingIds.filter(id => !recordings.some(recording => recording.id === id));
+    if (missing.length > 0) {
+      return res.status(404).json({ error: `Recording(s) ${missing.join(', ')} not found.` });
+    }
+    const cameraId = recordings[0].camera_id;
+    if (recordings.some(recording => recording.camera_id !== cameraId)) {
+      return res.status(400).json({ error: 'All recordings must belong to the same camera.' });
+    }
+    res.locals.audit = { cameraId };
+
+    // Creating a recording needs the operator role, deleting recordings the admin permission on the camera
+    const permissions = await getCameraPermissions(req.user, cameraId);
+    if (!permissions.has('admin') && !(hasPermission(permissions, 'view_recordings') && hasRole(req.user.role, 'operator'))) {
+      return res.status(403).json({ error: `You don't have the permission to merge recordings of camera ${cameraId}.` });
+    }
+    if (deleteSources && !permissions.has('admin')) {
+      return res.status(403).json({ error: `You don't have the admin permission for camera ${cameraId}.` });
+    }
+
+    const incompatibility = await checkMergeable(recordings);
+    if (incompatibility) {
+      return res.status(409).json({ error: incompatibility });
+    }
+
+    const recording = await mergeRecordings(recordings, { deleteSources });
+    res.locals.audit = { cameraId, recordingId: recording.id };
+    res.status(201).json({ ...recording, is_bookmarked: !!recording.is_bookmarked, is_finished: !!recording.is_finished });
+  } catch (err) {
+    console.error('Error merging recordings:', err);
+    res.status(500).json({ error: 'An internal server error occurred while merging the recordings.' });
+  }
+});
+
+// PUT /api/recordings/:id/bookmark - Bookmark a recording or remove its bookmark
+router.put('/:id/bookmark', async (req, res) => {
+  const { id } = req.params;
+  const { bookmarked } = req.body || {};
+
+  if (typeof bookmarked !== 'boolean') {
+    return res.status(400).json({ error: "Field 'bookmarked' must be true or false." });
+  }
+
+  try {
+    const recording = await db('recordings').where({ id: Number(id), is_finished: true }).first();
+    if (!recording) {
+      return res.status(404).json({ error: `Recording with ID ${id} not found.` });
+    }
+
+    const permissions = await getCameraPermissions(req.user, recording.camera_id);
+    if (!hasPermission(permissions, 'view_recordings')) {
+      return res.status(403).json({ error: `You don't have the view_recordings permission for camera ${recording.camera_id}.` });
+    }
+
+    await db('recordings').where({ id: recording.id }).update({ is_bookmarked: bookmarked });
+    res.json({ id: recording.id, is_bookmarked: bookmarked });
+  } catch (error) {
+    console.error(`Error bookmarking recording ${id}:`, error);
+    res.status(500).json({ error: 'Database error while bookmarking the recording.' });
+  }
+});
+
 // DELETE /api/recordings/:id - Delete a recording
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', audit('recording.delete', 'recording'), async (req, res) => {
   const { id } = req.params;
 
   try {
@@ -42,24 +221,16 @@ router.delete('/:id', async (req, res) => {
       return res.status(404).json({ error: `Recording with ID ${id} not found.` });
     }
 
-    // Construct file path
-    const filePath = path.join(recordingsBasePath, recording.filename);
+    res.locals.audit = { cameraId: recording.camera_id, params: { filename: recording.filename } };
 
-    // Delete the file from filesystem
-    try {
-      if (fs.existsSync(filePath)) {
-        fs.unlinkSync(filePath);
-        console.log(`[recordings] Deleted file: ${filePath}`);
-      } else {
-        console.warn(`[recordings] File not found: ${filePath}, will delete database record anyway`);
-      }
-    } catch (fileError) {
-      console.error(`[recordings] Error deleting file ${filePath}:`, fileError);
-      // Continue to delete database record even if file deletion fails
+    // Deleting recordings requires the admin permission on their camera
+    const permissions = await getCameraPermissions(req.user, recording.camera_id);
+    if (!permissions.has('admin')) {
+      return res.status(403).json({ error: `You don't have the admin permission for camera ${recording.camera_id}.` });
     }
 
-    // Delete the record from database
-    const count = await db('recordings').where({ id: Number(id) }).del();
+    // Delete the MP4 file, thumbnail and database record
+    const count = await deleteRecording(recording);
 
     if (count === 0) {
       return res.status(404).json({ error: `Recording with ID ${id} not found in database.` });
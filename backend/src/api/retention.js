@@ -0,0 +1,118 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../db/db');
+const { getPolicies, setPolicy, deleteCameraPolicy, getDiskUsage, enforceRetention } = require('../services/retentionService');
+const { requireRole } = require('./middleware');
+
+/**
+ * Validates the rule fields of a retention policy request body
+ * @param {Object} body - Request body
+ * @param {Array<string>} fields - Fields allowed for this policy scope
+ * @returns {{rules: Object, error: string|null}} The validated rules or an error message
+ */
+function parseRules(body, fields) {
+  const rules = {};
+
+  for (const [key, value] of Object.entries(body || {})) {
+    if (!fields.includes(key)) {
+      return { rules, error: `Invalid or disallowed field: ${key}` };
+    }
+    // null (or an empty value) removes the limit
+    if (value === null || value === '') {
+      rules[key] = null;
+      continue;
+    }
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1) {
+      return { rules, error: `Field '${key}' must be a positive integer or null.` };
+    }
+    rules[key] = number;
+  }
+
+  if (Object.keys(rules).length === 0) {
+    return { rules, error: 'No valid policy fields provided.' };
+  }
+  return { rules, error: null };
+}
+
+// Retention policies decide which recordings are deleted, so they are for admins only
+router.use(requireRole('admin'));
+
+// GET /api/retention - Get the global and per-camera retention policies and disk usage
+router.get('/', async (req, res) => {
+  try {
+    const policies = await getPolicies();
+    const disk = await getDiskUsage();
+    res.json({ ...policies, disk });
+  } catch (error) {
+    console.error('Error fetching retention policies:', error);
+    res.status(500).json({ error: 'Database error while fetching retention policies.' });
+  }
+});
+
+// PUT /api/retention/global - Create or update the global retention policy
+router.put('/global', async (req, res) => {
+  const { rules, error } = parseRules(req.body, ['max_age_days', 'max_total_bytes', 'min_free_bytes']);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const policy = await setPolicy(null, rules);
+    res.json(policy);
+  } catch (err) {
+    console.error('Error updating global retention policy:', err);
+    res.status(500).json({ error: 'An internal server error occurred while updating the retention policy.' });
+  }
+});
+
+// PUT /api/retention/cameras/:cameraId - Create or update a camera's retention policy
+router.put('/cameras/:cameraId', async (req, res) => {
+  const { cameraId } = req.params;
+  const { rules, error } = parseRules(req.body, ['max_age_days', 'max_total_bytes']);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const camera = await db('cameras').where({ id: Number(cameraId) }).first();
+    if (!camera) {
+      return res.status(404).json({ error: `Camera with ID ${cameraId} not found.` });
+    }
+
+    const policy = await setPolicy(camera.id, rules);
+    res.json(policy);
+  } catch (err) {
+    console.error(`Error updating retention policy for camera ${cameraId}:`, err);
+    res.status(500).json({ error: 'An internal server error occurred while updating the retention policy.' });
+  }
+});
+
+// DELETE /api/retention/cameras/:cameraId - Remove a camera's policy (the global policy applies again)
+router.delete('/cameras/:cameraId', async (req, res) => {
+  const { cameraId } = req.params;
+
+  try {
+    const count = await deleteCameraPolicy(Number(cameraId));
+    if (count === 0) {
+      return res.status(404).json({ error: `No retention policy found for camera ${cameraId}.` });
+    }
+    res.status(204).send();
+  } catch (error) {
+    console.error(`Error deleting retention policy for camera ${cameraId}:`, error);
+    res.status(500).json({ error: 'An internal server error occurred while deleting the retention policy.' });
+  }
+});
+
+// POST /api/retention/run - Enforce the retention policies immediately
+router.post('/run', async (req, res) => {
+  try {
+    const result = await enforceRetention();
+    res.json(result);
+  } catch (error) {
+    console.error('Error enforcing retention policies:', error);
+    res.status(500).json({ error: 'An internal server error occurred while enforcing retention policies.' });
+  }
+});
+
+module.exports = router;
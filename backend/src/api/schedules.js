@@ -0,0 +1,105 @@
+const express = require('express');
+// mergeParams gives access to :id from the parent path /api/cameras/:id/schedules
+const router = express.Router({ mergeParams: true });
+const { loadCamera, requireCameraPermission } = require('./middleware');
+const { getSchedules, createSchedule, updateSchedule, deleteSchedule } = require('../services/scheduleService');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Validates schedule fields from a request body
+ * @param {Object} body - Request body
+ * @param {boolean} partial - If true, missing fields are allowed (for updates)
+ * @returns {string|null} An error message, or null if the body is valid
+ */
+function validateSchedule(body, partial) {
+  const { days, start_time, end_time, enabled } = body;
+
+  if (!partial || days !== undefined) {
+    if (!Array.isArray(days) || days.length === 0 ||
+        !days.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) {
+      return "Field 'days' must be a non-empty array of weekdays (0 = Sunday ... 6 = Saturday).";
+    }
+  }
+  if (!partial || start_time !== undefined) {
+    if (typeof start_time !== 'string' || !TIME_PATTERN.test(start_time)) {
+      return "Field 'start_time' must be a time in HH:MM format.";
+    }
+  }
+  if (!partial || end_time !== undefined) {
+    if (typeof end_time !== 'string' || !TIME_PATTERN.test(end_time)) {
+      return "Field 'end_time' must be a time in HH:MM format.";
+    }
+  }
+  if (enabled !== undefined && typeof enabled !== 'boolean') {
+    return "Field 'enabled' must be a boolean.";
+  }
+  return null;
+}
+
+router.use(loadCamera, requireCameraPermission('view_live'));
+
+// GET /api/cameras/:id/schedules - List a camera's recording schedules
+router.get('/', async (req, res) => {
+  try {
+    const schedules = await getSchedules(req.camera.id);
+    res.json(schedules);
+  } catch (error) {
+    console.error(`Error fetching schedules for camera ${req.camera.id}:`, error);
+    res.status(500).json({ error: 'Database error while fetching schedules.' });
+  }
+});
+
+// POST /api/cameras/:id/schedules - Create a recording schedule
+router.post('/', requireCameraPermission('view_live', 'operator'), async (req, res) => {
+  const error = validateSchedule(req.body, false);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const schedule = await createSchedule(req.camera.id, req.body);
+    res.status(201).json(schedule);
+  } catch (err) {
+    console.error(`Error creating schedule for camera ${req.camera.id}:`, err);
+    res.status(500).json({ error: 'An internal server error occurred while creating the schedule.' });
+  }
+});
+
+// PUT /api/cameras/:id/schedules/:scheduleId - Update a recording schedule
+router.put('/:scheduleId', requireCameraPermission('view_live', 'operator'), async (req, res) => {
+  const { scheduleId } = req.params;
+  const error = validateSchedule(req.body, true);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const schedule = await updateSchedule(req.camera.id, Number(scheduleId), req.body);
+    if (!schedule) {
+      return res.status(404).json({ error: `Schedule with ID ${scheduleId} not found.` });
+    }
+    res.json(schedule);
+  } catch (err) {
+    console.error(`Error updating schedule ${scheduleId}:`, err);
+    res.status(500).json({ error: 'An internal server error occurred while updating the schedule.' });
+  }
+});
+
+// DELETE /api/cameras/:id/schedules/:scheduleId - Delete a recording schedule
+router.delete('/:scheduleId', requireCameraPermission('view_live', 'operator'), async (req, res) => {
+  const { scheduleId } = req.params;
+
+  try {
+    const count = await deleteSchedule(req.camera.id, Number(scheduleId));
+    if (count === 0) {
+      return res.status(404).json({ error: `Schedule with ID ${scheduleId} not found.` });
+    }
+    res.status(204).send();
+  } catch (error) {
+    console.error(`Error deleting schedule ${scheduleId}:`, error);
+    res.status(500).json({ error: 'An internal server error occurred while deleting the schedule.' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,126 @@
+const express = require('express');
+// mergeParams gives access to :id when mounted at /api/cameras/:id/snapshots
+const router = express.Router({ mergeParams: true });
+const { loadCamera, requireCameraPermission } = require('./middleware');
+const { resolveSnapshotOptions, saveSnapshot, getSnapshot, listSnapshots, deleteSnapshot } = require('../services/snapshotService');
+const { loadAccess, hasPermission, getCameraPermissions, getAccessibleCameraIds } = require('../services/permissionService');
+
+const MAX_LIMIT = 200;
+
+/**
+ * Validates the filters of a snapshot list request
+ * @param {Object} query - Request query (camera_id, limit, offset)
+ * @returns {{filters: Object, error: string|null}} The validated filters or an error message
+ */
+function parseFilters(query) {
+  const filters = {};
+  const { camera_id, limit, offset } = query;
+
+  if (camera_id !== undefined) {
+    const cameraId = Number(camera_id);
+    if (!Number.isInteger(cameraId) || cameraId < 1) {
+      return { filters, error: "Parameter 'camera_id' must be a camera ID." };
+    }
+    filters.cameraId = cameraId;
+  }
+
+  if (limit !== undefined) {
+    const number = Number(limit);
+    if (!Number.isInteger(number) || number < 1 || number > MAX_LIMIT) {
+      return { filters, error: `Parameter 'limit' must be an integer between 1 and ${MAX_LIMIT}.` };
+    }
+    filters.limit = number;
+  }
+
+  if (offset !== undefined) {
+    const number = Number(offset);
+    if (!Number.isInteger(number) || number < 0) {
+      return { filters, error: "Parameter 'offset' must be a non-negative integer." };
+    }
+    filters.offset = number;
+  }
+
+  return { filters, error: null };
+}
+
+// Only the per-camera route has an :id parameter
+router.use((req, res, next) => (req.params.id !== undefined ? loadCamera(req, res, next) : next()));
+
+/**
+ * Middleware for routes that only exist under /api/cameras/:id/snapshots
+ */
+function onlyPerCamera(req, res, next) {
+  if (!req.camera) {
+    return res.status(404).json({ error: `Cannot ${req.method} ${req.originalUrl} without a camera.` });
+  }
+  next();
+}
+
+// GET /api/snapshots - Snapshot gallery of the cameras the user may view recordings of, newest first
+// GET /api/cameras/:id/snapshots - Snapshots of a camera
+router.get('/', async (req, res) => {
+  const { filters, error } = parseFilters(req.query);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  if (req.camera) {
+    filters.cameraId = req.camera.id;
+  }
+
+  try {
+    // Like recordings, snapshots of deleted cameras are visible to users who may view the recordings of cameras without an access list
+    const accessibleCameraIds = await getAccessibleCameraIds(req.user, ['view_recordings']);
+    if (accessibleCameraIds) {
+      if (req.camera && !accessibleCameraIds.includes(req.camera.id)) {
+        return res.status(403).json({ error: `You don't have the view_recordings permission for camera ${req.camera.id}.` });
+      }
+      const access = await loadAccess(req.user);
+      filters.accessibleCameraIds = accessibleCameraIds;
+      filters.includeDeletedCameras = hasPermission(access.defaults, 'view_recordings');
+    }
+
+    res.json(await listSnapshots(filters));
+  } catch (err) {
+    console.error('Error fetching snapshots:', err);
+    res.status(500).json({ error: 'Database error while fetching snapshots.' });
+  }
+});
+
+// POST /api/cameras/:id/snapshots - Take a snapshot and save it to the gallery; optional width and quality (1-100)
+router.post('/', onlyPerCamera, requireCameraPermission('view_live'), async (req, res) => {
+  let options;
+  try {
+    options = resolveSnapshotOptions(req.body || {});
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  try {
+    res.status(201).json(await saveSnapshot(req.camera, options, req.user));
+  } catch (err) {
+    console.error(`Error saving snapshot of camera ${req.camera.id}:`, err.message);
+    res.status(502).json({ error: 'Failed to take a snapshot. Check that the camera is reachable.' });
+  }
+});
+
+// DELETE /api/snapshots/:snapshotId - Delete a snapshot (camera admin)
+router.delete('/:snapshotId', async (req, res) => {
+  try {
+    const snapshot = await getSnapshot(Number(req.params.snapshotId));
+    if (!snapshot || (req.camera && snapshot.camera_id !== req.camera.id)) {
+      return res.status(404).json({ error: `Snapshot ${req.params.snapshotId} not found.` });
+    }
+    const permissions = await getCameraPermissions(req.user, snapshot.camera_id);
+    if (!permissions.has('admin')) {
+      return res.status(403).json({ error: `You don't have the admin permission for camera ${snapshot.camera_id}.` });
+    }
+
+    await deleteSnapshot(snapshot);
+    res.status(204).send();
+  } catch (err) {
+    console.error(`Error deleting snapshot ${req.params.snapshotId}:`, err);
+    res.status(500).json({ error: 'An internal server error occurred while deleting the snapshot.' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,138 @@
+const express = require('express');
+const router = express.Router();
+const { subscribe } = require('../services/statusService');
+const { getActiveStreamIds, getStreamHealthAll } = require('../services/streamService');
+const { getActiveRecordingIds, getRecordingHealthAll } = require('../services/recordingService');
+const { getCameraStatuses } = require('../services/cameraHealthService');
+const { getViewerCounts } = require('../services/viewerService');
+const { hasRole } = require('../services/authService');
+const { loadAccess, permissionsOf, hasPermission } = require('../services/permissionService');
+
+// Comment line sent periodically so that proxies don't close an idle connection
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+
+// Messages about recorded video need view_recordings; stream messages need view_live
+const RECORDING_MESSAGE_TYPES = ['recording.finalized', 'thumbnail.ready', 'sprite.ready', 'timelapse.progress', 'timelapse.finished'];
+
+/**
+ * Check if a user may see a camera (live or recordings)
+ * @param {Set<string>} permissions - The user's permissions on the camera
+ * @returns {boolean} True if the camera is visible
+ */
+function canSeeCamera(permissions) {
+  return hasPermission(permissions, 'view_live') || hasPermission(permissions, 'view_recordings');
+}
+
+/**
+ * Check if a status message may be sent to a user
+ * @param {{id: number, role: string}} user - User
+ * @param {{type: string, data: Object}} message - Status message
+ * @returns {Promise<boolean>} True if the user may receive the message
+ */
+async function canReceive(user, { type, data }) {
+  if (type.startsWith('discovery.')) {
+    return hasRole(user.role, 'operator');
+  }
+  if (type.startsWith('export.')) {
+    // Like the export list: the owner and admins
+    return data.userId === user.id || hasRole(user.role, 'admin');
+  }
+  if (data.cameraId === undefined) {
+    return true;
+  }
+
+  // Loaded for every message, so that changed access lists apply to open connections
+  const permissions = permissionsOf(await loadAccess(user), data.cameraId);
+  if (type.startsWith('stream.')) {
+    return hasPermission(permissions, 'view_live');
+  }
+  if (RECORDING_MESSAGE_TYPES.includes(type)) {
+    return hasPermission(permissions, 'view_recordings');
+  }
+  return canSeeCamera(permissions);
+}
+
+/**
+ * Keep the entries of an object keyed by camera ID for which a check passes
+ * @param {Object<number, *>} byCamera - Values by camera ID
+ * @param {function(number): boolean} check - Check for a camera ID
+ * @returns {Object<number, *>} Filtered values
+ */
+function filterByCamera(byCamera, check) {
+  return Object.fromEntries(Object.entries(byCamera).filter(([cameraId]) => check(Number(cameraId))));
+}
+
+/**
+ * Current state of streams, recordings and cameras, limited to the cameras the user may see
+ * @param {{id: number, role: string}} user - User
+ * @returns {Promise<{streams: Array<number>, recordings: Array<number>, cameras: Object<number, string>, streamHealth: Object<number, Object>, recordingHealth: Object<number, Object>, viewers: Object<number, number>}>}
+ */
+async function getSnapshot(user) {
+  const access = await loadAccess(user);
+  const canViewLive = cameraId => hasPermission(permissionsOf(access, cameraId), 'view_live');
+  const canSee = cameraId => canSeeCamera(permissionsOf(access, cameraId));
+  return {
+    streams: getActiveStreamIds().filter(canViewLive),
+    recordings: getActiveRecordingIds().filter(canSee),
+    cameras: filterByCamera(getCameraStatuses(), canSee),
+    streamHealth: filterByCamera(getStreamHealthAll(), canViewLive),
+    recordingHealth: filterByCamera(getRecordingHealthAll(), canSee),
+    viewers: filterByCamera(getViewerCounts(), canViewLive)
+  };
+}
+
+// GET /api/status - Current state and health of streams, recordings and cameras, and the number of viewers
+router.get('/', async (req, res) => {
+  try {
+    res.json(await getSnapshot(req.user));
+  } catch (error) {
+    console.error('Database error while fetching the status:', error);
+    res.status(500).json({ error: 'Database error while fetching the status.' });
+  }
+});
+
+// GET /api/status/events - Server-Sent Events channel with live status changes
+router.get('/events', async (req, res) => {
+  let snapshot;
+  try {
+    snapshot = await getSnapshot(req.user);
+  } catch (error) {
+    console.error('Database error while fetching the status:', error);
+    return res.status(500).json({ error: 'Database error while fetching the status.' });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.flushHeaders();
+
+  const send = (message) => {
+    res.write(`data: ${JSON.stringify(message)}\n\n`);
+  };
+
+  // Start with the full state, so that a (re)connecting client does not miss anything
+  send({ type: 'snapshot', data: snapshot, time: new Date().toISOString() });
+
+  // Messages are checked one after another, so that they are sent in order
+  let pending = Promise.resolve();
+  const unsubscribe = subscribe((message) => {
+    pending = pending
+      .then(() => canReceive(req.user, message))
+      .then((allowed) => {
+        if (allowed && !res.writableEnded) {
+          send(message);
+        }
+      })
+      .catch(err => console.error(`[status] Failed to check access to a ${message.type} message:`, err.message));
+  });
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../db/db');
+const { listSessions } = require('../services/viewerService');
+const { requireRole } = require('./middleware');
+
+// Only admins see who is watching what
+router.use(requireRole('admin'));
+
+// GET /api/streams - Running streams with their viewers
+router.get('/', async (req, res) => {
+  try {
+    const sessions = listSessions();
+    const cameras = await db('cameras').select('id', 'name').whereIn('id', sessions.map(session => session.cameraId));
+    res.json(sessions.map(session => ({
+      ...session,
+      cameraName: cameras.find(camera => camera.id === session.cameraId)?.name ?? null
+    })));
+  } catch (error) {
+    console.error('Database error while listing stream sessions:', error);
+    res.status(500).json({ error: 'Database error while listing stream sessions.' });
+  }
+});
+
+module.exports = router;
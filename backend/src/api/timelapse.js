@@ -0,0 +1,75 @@
+const express = require('express');
+// mergeParams gives access to :id from the parent path /api/cameras/:id/timelapse
+const router = express.Router({ mergeParams: true });
+const { loadCamera, requireCameraPermission } = require('./middleware');
+const {
+  MIN_CAPTURE_INTERVAL, MAX_CAPTURE_INTERVAL, getCaptureSettings, getCaptureStatus, updateCaptureSettings
+} = require('../services/timelapseCaptureService');
+
+/**
+ * Validates frame capture settings from a request body
+ * @param {Object} body - Request body
+ * @returns {{changes: Object, error: string|null}} The validated settings or an error message
+ */
+function parseSettings(body) {
+  const changes = {};
+
+  for (const [key, value] of Object.entries(body || {})) {
+    switch (key) {
+      case 'enabled':
+        if (typeof value !== 'boolean') {
+          return { changes, error: `Field '${key}' must be a boolean.` };
+        }
+        break;
+      case 'interval_seconds':
+        if (!Number.isInteger(value) || value < MIN_CAPTURE_INTERVAL || value > MAX_CAPTURE_INTERVAL) {
+          return { changes, error: `Interval must be an integer between ${MIN_CAPTURE_INTERVAL} and ${MAX_CAPTURE_INTERVAL} seconds.` };
+        }
+        break;
+      case 'width':
+        if (value !== null && (!Number.isInteger(value) || value < 16 || value > 3840)) {
+          return { changes, error: "Field 'width' must be null (full resolution) or an integer between 16 and 3840." };
+        }
+        break;
+      default:
+        return { changes, error: `Invalid or disallowed field: ${key}` };
+    }
+    changes[key] = value;
+  }
+
+  if (Object.keys(changes).length === 0) {
+    return { changes, error: 'No valid settings provided.' };
+  }
+  return { changes, error: null };
+}
+
+router.use(loadCamera, requireCameraPermission('view_live'));
+
+// GET /api/cameras/:id/timelapse - Get the frame capture settings and the state of the capture job
+router.get('/', async (req, res) => {
+  try {
+    const settings = await getCaptureSettings(req.camera.id);
+    res.json({ ...settings, ...(await getCaptureStatus(req.camera.id)) });
+  } catch (error) {
+    console.error(`Error fetching timelapse settings for camera ${req.camera.id}:`, error);
+    res.status(500).json({ error: 'Database error while fetching timelapse settings.' });
+  }
+});
+
+// PUT /api/cameras/:id/timelapse - Update the frame capture settings (restarts the capture job)
+router.put('/', requireCameraPermission('view_live', 'operator'), async (req, res) => {
+  const { changes, error } = parseSettings(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const settings = await updateCaptureSettings(req.camera.id, changes);
+    res.json({ ...settings, ...(await getCaptureStatus(req.camera.id)) });
+  } catch (err) {
+    console.error(`Error updating timelapse settings for camera ${req.camera.id}:`, err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
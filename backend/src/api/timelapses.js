@@ -0,0 +1,166 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../db/db');
+const {
+  MAX_TIMELAPSE_RANGE_MS, MIN_FRAME_RATE, MAX_FRAME_RATE, MIN_SAMPLE_INTERVAL, MAX_SAMPLE_INTERVAL,
+  createTimelapse, getTimelapse, listTimelapses, deleteTimelapse
+} = require('../services/timelapseService');
+const { loadAccess, hasPermission, getCameraPermissions, getAccessibleCameraIds } = require('../services/permissionService');
+const { audit } = require('./middleware');
+
+// Defaults of the optional fields of a timelapse request
+const DEFAULT_FRAME_RATE = 25;
+const DEFAULT_SAMPLE_INTERVAL = 60;
+
+/**
+ * Validates the body of a timelapse request
+ * @param {Object} body - Request body (camera_id, source, from, to, frame_rate, sample_interval)
+ * @returns {{options: Object, error: string|null}} The timelapse options or an error message
+ */
+function parseTimelapseOptions(body) {
+  const options = {};
+  const { camera_id, source, from, to, frame_rate, sample_interval } = body || {};
+
+  const cameraId = Number(camera_id);
+  if (!Number.isInteger(cameraId) || cameraId < 1) {
+    return { options, error: "Field 'camera_id' must be a camera ID." };
+  }
+  options.cameraId = cameraId;
+
+  if (source !== 'frames' && source !== 'recordings') {
+    return { options, error: "Field 'source' must be 'frames' or 'recordings'." };
+  }
+  options.source = source;
+
+  for (const [key, value] of [['from', from], ['to', to]]) {
+    const date = typeof value === 'string' || typeof value === 'number' ? new Date(value) : null;
+    if (!date || isNaN(date.getTime())) {
+      return { options, error: `Field '${key}' must be a valid date.` };
+    }
+    options[key] = date;
+  }
+  if (options.from >= options.to) {
+    return { options, error: "Field 'from' must be before 'to'." };
+  }
+  if (options.to - options.from > MAX_TIMELAPSE_RANGE_MS) {
+    return { options, error: `The time range must not be longer than ${MAX_TIMELAPSE_RANGE_MS / (24 * 60 * 60 * 1000)} days.` };
+  }
+
+  options.frameRate = frame_rate === undefined ? DEFAULT_FRAME_RATE : frame_rate;
+  if (!Number.isInteger(options.frameRate) || options.frameRate < MIN_FRAME_RATE || options.frameRate > MAX_FRAME_RATE) {
+    return { options, error: `Field 'frame_rate' must be an integer between ${MIN_FRAME_RATE} and ${MAX_FRAME_RATE}.` };
+  }
+
+  if (source === 'recordings') {
+    options.sampleInterval = sample_interval === undefined ? DEFAULT_SAMPLE_INTERVAL : sample_interval;
+    if (!Number.isInteger(options.sampleInterval) || options.sampleInterval < MIN_SAMPLE_INTERVAL || options.sampleInterval > MAX_SAMPLE_INTERVAL) {
+      return { options, error: `Field 'sample_interval' must be an integer between ${MIN_SAMPLE_INTERVAL} and ${MAX_SAMPLE_INTERVAL} seconds.` };
+    }
+  }
+  return { options, error: null };
+}
+
+/**
+ * Loads a timelapse of a camera whose recordings the user may view
+ * Sends 404 if the timelapse does not exist or the user has no access to it.
+ * @param {Object} req - Request with the :timelapseId parameter
+ * @param {Object} res - Response
+ * @returns {Promise<{timelapse: Object, permissions: Set<string>}|null>} The timelapse and the user's permissions on its camera, or null if a response has been sent
+ */
+async function loadTimelapse(req, res) {
+  const timelapse = await getTimelapse(Number(req.params.timelapseId));
+  const permissions = timelapse ? await getCameraPermissions(req.user, timelapse.camera_id) : new Set();
+  if (!timelapse || !hasPermission(permissions, 'view_recordings')) {
+    res.status(404).json({ error: `Timelapse ${req.params.timelapseId} not found.` });
+    return null;
+  }
+  return { timelapse, permissions };
+}
+
+// POST /api/timelapses - Queue a timelapse of a camera's captured frames or recordings
+router.post('/', audit('recording.timelapse'), async (req, res) => {
+  const { options, error } = parseTimelapseOptions(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  res.locals.audit = { cameraId: options.cameraId };
+
+  try {
+    const camera = await db('cameras').where({ id: options.cameraId }).first();
+    if (!camera) {
+      return res.status(404).json({ error: `Camera with ID ${options.cameraId} not found.` });
+    }
+    const permissions = await getCameraPermissions(req.user, camera.id);
+    if (!hasPermission(permissions, 'view_recordings')) {
+      return res.status(403).json({ error: `You don't have the view_recordings permission for camera ${camera.id}.` });
+    }
+
+    const timelapse = await createTimelapse({ ...options, user: req.user });
+    if (!timelapse) {
+      return res.status(404).json({ error: `Camera ${camera.id} has no ${options.source === 'frames' ? 'captured frames' : 'recordings'} in the time range.` });
+    }
+    res.status(202).json(timelapse);
+  } catch (err) {
+    console.error('Error creating timelapse:', err);
+    res.status(500).json({ error: 'An internal server error occurred while creating the timelapse.' });
+  }
+});
+
+// GET /api/timelapses - Timelapses of the cameras the user may view recordings of, newest first
+router.get('/', async (req, res) => {
+  const filters = {};
+  if (req.query.camera_id !== undefined) {
+    filters.cameraId = Number(req.query.camera_id);
+    if (!Number.isInteger(filters.cameraId) || filters.cameraId < 1) {
+      return res.status(400).json({ error: "Parameter 'camera_id' must be a camera ID." });
+    }
+  }
+
+  try {
+    // Like recordings, timelapses of deleted cameras are visible to users who may view the recordings of cameras without an access list
+    const accessibleCameraIds = await getAccessibleCameraIds(req.user, ['view_recordings']);
+    if (accessibleCameraIds) {
+      const access = await loadAccess(req.user);
+      filters.accessibleCameraIds = accessibleCameraIds;
+      filters.includeDeletedCameras = hasPermission(access.defaults, 'view_recordings');
+    }
+    res.json(await listTimelapses(filters));
+  } catch (error) {
+    console.error('Database error while fetching timelapses:', error);
+    res.status(500).json({ error: 'Database error while fetching timelapses.' });
+  }
+});
+
+// GET /api/timelapses/:timelapseId - Status and progress of a timelapse
+router.get('/:timelapseId', async (req, res) => {
+  try {
+    const loaded = await loadTimelapse(req, res);
+    if (loaded) {
+      res.json(loaded.timelapse);
+    }
+  } catch (error) {
+    console.error(`Error fetching timelapse ${req.params.timelapseId}:`, error);
+    res.status(500).json({ error: 'Database error while fetching the timelapse.' });
+  }
+});
+
+// DELETE /api/timelapses/:timelapseId - Cancel a queued or running timelapse, or delete a finished one
+// (the user who requested it, or camera admins)
+router.delete('/:timelapseId', async (req, res) => {
+  try {
+    const loaded = await loadTimelapse(req, res);
+    if (!loaded) return;
+
+    const { timelapse, permissions } = loaded;
+    if (timelapse.user_id !== req.user.id && !permissions.has('admin')) {
+      return res.status(403).json({ error: `Only the user who requested timelapse ${timelapse.id} or camera admins can delete it.` });
+    }
+    await deleteTimelapse(timelapse.id);
+    res.status(204).send();
+  } catch (error) {
+    console.error(`Error deleting timelapse ${req.params.timelapseId}:`, error);
+    res.status(500).json({ error: 'An internal server error occurred while deleting the timelapse.' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,36 @@
+const express = require('express');
+// mergeParams gives access to :id from the parent path /api/cameras/:id/timeline
+const router = express.Router({ mergeParams: true });
+const { loadCamera, requireCameraPermission } = require('./middleware');
+const { getTimeline } = require('../services/timelineService');
+
+// Longest time range of one timeline request
+const MAX_RANGE_MS = 31 * 24 * 60 * 60 * 1000;
+const DEFAULT_RANGE_MS = 24 * 60 * 60 * 1000;
+
+router.use(loadCamera, requireCameraPermission('view_recordings'));
+
+// GET /api/cameras/:id/timeline - Recorded spans, recordings and events of a camera in a time range
+router.get('/', async (req, res) => {
+  const to = req.query.to !== undefined ? new Date(req.query.to) : new Date();
+  const from = req.query.from !== undefined ? new Date(req.query.from) : new Date(to.getTime() - DEFAULT_RANGE_MS);
+
+  if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+    return res.status(400).json({ error: "Parameters 'from' and 'to' must be valid dates." });
+  }
+  if (from >= to) {
+    return res.status(400).json({ error: "Parameter 'from' must be before 'to'." });
+  }
+  if (to - from > MAX_RANGE_MS) {
+    return res.status(400).json({ error: 'The time range must not be longer than 31 days.' });
+  }
+
+  try {
+    res.json(await getTimeline(req.camera.id, from, to));
+  } catch (error) {
+    console.error(`Error fetching timeline of camera ${req.camera.id}:`, error);
+    res.status(500).json({ error: 'Database error while fetching the timeline.' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,90 @@
+const express = require('express');
+const router = express.Router();
+const { listUsers, createUser, updateUser, deleteUser, validateUserFields } = require('../services/authService');
+const { requireRole } = require('./middleware');
+
+// User management is for admins only
+router.use(requireRole('admin'));
+
+// GET /api/users - List all users
+router.get('/', async (req, res) => {
+  try {
+    res.json(await listUsers());
+  } catch (error) {
+    console.error('Database error:', error);
+    res.status(500).json({ error: 'Failed to fetch users.' });
+  }
+});
+
+// POST /api/users - Create a user
+router.post('/', async (req, res) => {
+  const { username, password, role } = req.body || {};
+  if (username === undefined || password === undefined) {
+    return res.status(400).json({ error: 'Username and password are required.' });
+  }
+  const validationError = validateUserFields({ username, password, role });
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  try {
+    const user = await createUser({ username, password, role });
+    res.status(201).json(user);
+  } catch (error) {
+    if (error.code === 'SQLITE_CONSTRAINT') {
+      return res.status(409).json({ error: `User '${username}' already exists.` });
+    }
+    console.error('Database error:', error);
+    res.status(500).json({ error: 'Failed to create user.' });
+  }
+});
+
+// PUT /api/users/:id - Change the role and/or password of a user
+router.put('/:id', async (req, res) => {
+  const { role, password } = req.body || {};
+  if (role === undefined && password === undefined) {
+    return res.status(400).json({ error: 'No valid fields provided for update.' });
+  }
+  const validationError = validateUserFields({ role, password });
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  try {
+    const user = await updateUser(Number(req.params.id), { role, password });
+    if (!user) {
+      return res.status(404).json({ error: `User with ID ${req.params.id} not found.` });
+    }
+    res.json(user);
+  } catch (error) {
+    if (error.message.startsWith('The last admin')) {
+      return res.status(409).json({ error: error.message });
+    }
+    console.error('Database error:', error);
+    res.status(500).json({ error: 'Failed to update user.' });
+  }
+});
+
+// DELETE /api/users/:id - Delete a user
+router.delete('/:id', async (req, res) => {
+  const userId = Number(req.params.id);
+  if (userId === req.user.id) {
+    return res.status(409).json({ error: 'You cannot delete your own account.' });
+  }
+
+  try {
+    const deleted = await deleteUser(userId);
+    if (!deleted) {
+      return res.status(404).json({ error: `User with ID ${req.params.id} not found.` });
+    }
+    res.status(204).send();
+  } catch (error) {
+    if (error.message.startsWith('The last admin')) {
+      return res.status(409).json({ error: error.message });
+    }
+    console.error('Database error:', error);
+    res.status(500).json({ error: 'Failed to delete user.' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,25 @@
+/**
+ * Adds per-camera recording mode settings
+ * - recording_mode: 'manual' (one MP4 per session) or 'continuous' (fixed-length segments)
+ * - segment_duration: Segment length in seconds for continuous mode
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = function(knex) {
+  return knex.schema.table('cameras', function(table) {
+    table.string('recording_mode').notNullable().defaultTo('manual');
+    table.integer('segment_duration').notNullable().defaultTo(900);
+  });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = function(knex) {
+  return knex.schema.table('cameras', function(table) {
+    table.dropColumn('recording_mode');
+    table.dropColumn('segment_duration');
+  });
+};
@@ -0,0 +1,28 @@
+/**
+ * Creates the retention_policies table
+ * - A row with camera_id = NULL holds the global policy
+ * - Rows with a camera_id override the global rules for that camera
+ * - NULL limits mean "no limit"
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = function(knex) {
+  return knex.schema.createTable('retention_policies', (table) => {
+    table.increments('id').primary();
+    table.integer('camera_id').unsigned().nullable().unique();
+    table.foreign('camera_id').references('id').inTable('cameras').onDelete('CASCADE');
+    table.integer('max_age_days').nullable();
+    table.bigInteger('max_total_bytes').nullable();
+    table.bigInteger('min_free_bytes').nullable(); // Global policy only
+    table.timestamps(true, true);
+  });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = function(knex) {
+  return knex.schema.dropTable('retention_policies');
+};
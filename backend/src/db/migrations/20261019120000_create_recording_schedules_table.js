@@ -0,0 +1,29 @@
+/**
+ * Creates the recording_schedules table
+ * - days: Comma-separated days of the week the window starts on (0 = Sunday ... 6 = Saturday)
+ * - start_time / end_time: Local server time as 'HH:MM'. A window whose end is not after
+ *   its start runs over midnight into the next day (e.g. 18:00-08:00).
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = function(knex) {
+  return knex.schema.createTable('recording_schedules', (table) => {
+    table.increments('id').primary();
+    table.integer('camera_id').unsigned().notNullable();
+    table.foreign('camera_id').references('id').inTable('cameras').onDelete('CASCADE');
+    table.string('days').notNullable();
+    table.string('start_time', 5).notNullable();
+    table.string('end_time', 5).notNullable();
+    table.boolean('enabled').notNullable().defaultTo(true);
+    table.timestamps(true, true);
+  });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = function(knex) {
+  return knex.schema.dropTable('recording_schedules');
+};
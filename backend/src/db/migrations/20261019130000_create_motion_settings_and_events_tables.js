@@ -0,0 +1,44 @@
+/**
+ * Creates the motion_settings and events tables
+ * - motion_settings: Optional per-camera motion detector configuration
+ *   (zones are stored as JSON: [{ x, y, width, height }] in fractions of the frame, 0-1)
+ * - events: Camera events such as detected motion (data holds type-specific JSON details)
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async function(knex) {
+  await knex.schema.createTable('motion_settings', (table) => {
+    table.increments('id').primary();
+    table.integer('camera_id').unsigned().notNullable().unique();
+    table.foreign('camera_id').references('id').inTable('cameras').onDelete('CASCADE');
+    table.boolean('enabled').notNullable().defaultTo(false);
+    table.integer('sensitivity').notNullable().defaultTo(50); // 1 (least) - 100 (most sensitive)
+    table.text('zones').nullable(); // NULL = whole frame
+    table.boolean('record_on_motion').notNullable().defaultTo(false);
+    table.integer('hold_seconds').notNullable().defaultTo(10); // Post-motion hold time
+    table.timestamps(true, true);
+  });
+
+  await knex.schema.createTable('events', (table) => {
+    table.increments('id').primary();
+    table.integer('camera_id').unsigned().notNullable();
+    table.foreign('camera_id').references('id').inTable('cameras').onDelete('CASCADE');
+    table.string('type').notNullable(); // e.g. 'motion'
+    table.string('source').notNullable(); // e.g. 'detector'
+    table.timestamp('start_time').defaultTo(knex.fn.now());
+    table.timestamp('end_time').nullable();
+    table.text('data').nullable();
+    table.timestamps(true, true);
+    table.index(['camera_id', 'start_time']);
+  });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = async function(knex) {
+  await knex.schema.dropTable('events');
+  await knex.schema.dropTable('motion_settings');
+};
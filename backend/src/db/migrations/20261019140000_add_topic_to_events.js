@@ -0,0 +1,21 @@
+/**
+ * Adds the original ONVIF topic to events (e.g. 'RuleEngine/CellMotionDetector/Motion')
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = function(knex) {
+  return knex.schema.table('events', function(table) {
+    table.string('topic').nullable();
+  });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = function(knex) {
+  return knex.schema.table('events', function(table) {
+    table.dropColumn('topic');
+  });
+};
@@ -0,0 +1,22 @@
+/**
+ * Adds a pre-event buffer length to cameras: recordings include this many seconds
+ * from before they were started (0 = no buffer)
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = function(knex) {
+  return knex.schema.table('cameras', function(table) {
+    table.integer('pre_event_seconds').notNullable().defaultTo(0);
+  });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = function(knex) {
+  return knex.schema.table('cameras', function(table) {
+    table.dropColumn('pre_event_seconds');
+  });
+};
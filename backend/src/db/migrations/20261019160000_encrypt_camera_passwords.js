@@ -0,0 +1,29 @@
+const { encryptPassword, decryptPassword, isEncrypted } = require('../../services/credentialService');
+
+/**
+ * Encrypts the camera passwords that are stored in plaintext (AES-256-GCM, see credentialService)
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async function(knex) {
+  const cameras = await knex('cameras').select('id', 'pass');
+  for (const camera of cameras) {
+    if (camera.pass && !isEncrypted(camera.pass)) {
+      await knex('cameras').where({ id: camera.id }).update({ pass: encryptPassword(camera.pass) });
+    }
+  }
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = async function(knex) {
+  const cameras = await knex('cameras').select('id', 'pass');
+  for (const camera of cameras) {
+    if (isEncrypted(camera.pass)) {
+      await knex('cameras').where({ id: camera.id }).update({ pass: decryptPassword(camera.pass) });
+    }
+  }
+};
@@ -0,0 +1,37 @@
+/**
+ * Creates the users and sessions tables
+ * - users.role: 'admin' (everything), 'operator' (recording, PTZ, schedules, motion, discovery)
+ *   or 'viewer' (live streams and recordings only)
+ * - users.password_hash: 'scrypt:<salt>:<hash>' (see authService)
+ * - sessions.token_hash: SHA-256 of the session token; the token itself is only known to the client
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async function(knex) {
+  await knex.schema.createTable('users', (table) => {
+    table.increments('id').primary();
+    table.string('username').notNullable().unique();
+    table.string('password_hash').notNullable();
+    table.string('role').notNullable().defaultTo('viewer');
+    table.timestamps(true, true);
+  });
+
+  await knex.schema.createTable('sessions', (table) => {
+    table.increments('id').primary();
+    table.integer('user_id').unsigned().notNullable();
+    table.foreign('user_id').references('id').inTable('users').onDelete('CASCADE');
+    table.string('token_hash', 64).notNullable().unique();
+    table.datetime('expires_at').notNullable();
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+  });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = async function(knex) {
+  await knex.schema.dropTable('sessions');
+  await knex.schema.dropTable('users');
+};
@@ -0,0 +1,50 @@
+/**
+ * Creates the user_groups, user_group_members and camera_permissions tables
+ * - camera_permissions: Access control entries of a camera for one user or one group
+ *   (exactly one of user_id and group_id is set). A camera without entries is
+ *   accessible according to the global roles; once it has entries, only the listed
+ *   users and groups (and admins) have access to it.
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async function(knex) {
+  await knex.schema.createTable('user_groups', (table) => {
+    table.increments('id').primary();
+    table.string('name').notNullable().unique();
+    table.timestamps(true, true);
+  });
+
+  await knex.schema.createTable('user_group_members', (table) => {
+    table.integer('group_id').unsigned().notNullable();
+    table.foreign('group_id').references('id').inTable('user_groups').onDelete('CASCADE');
+    table.integer('user_id').unsigned().notNullable();
+    table.foreign('user_id').references('id').inTable('users').onDelete('CASCADE');
+    table.primary(['group_id', 'user_id']);
+  });
+
+  await knex.schema.createTable('camera_permissions', (table) => {
+    table.increments('id').primary();
+    table.integer('camera_id').unsigned().notNullable();
+    table.foreign('camera_id').references('id').inTable('cameras').onDelete('CASCADE');
+    table.integer('user_id').unsigned().nullable();
+    table.foreign('user_id').references('id').inTable('users').onDelete('CASCADE');
+    table.integer('group_id').unsigned().nullable();
+    table.foreign('group_id').references('id').inTable('user_groups').onDelete('CASCADE');
+    table.boolean('view_live').notNullable().defaultTo(false);
+    table.boolean('view_recordings').notNullable().defaultTo(false);
+    table.boolean('control_ptz').notNullable().defaultTo(false);
+    table.boolean('admin').notNullable().defaultTo(false); // Implies all other permissions
+    table.timestamps(true, true);
+  });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = async function(knex) {
+  await knex.schema.dropTable('camera_permissions');
+  await knex.schema.dropTable('user_group_members');
+  await knex.schema.dropTable('user_groups');
+};
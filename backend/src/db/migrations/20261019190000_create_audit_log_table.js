@@ -0,0 +1,44 @@
+/**
+ * Creates the append-only audit_log table
+ * - One row per operator action (camera changes, recording start/stop/delete, PTZ, time sync),
+ *   including actions that were denied or failed
+ * - username is copied so that entries stay readable after a user is deleted; camera_id and
+ *   recording_id have no foreign keys for the same reason
+ * - Triggers reject UPDATE and DELETE, so entries cannot be changed through the database connection
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async function(knex) {
+  await knex.schema.createTable('audit_log', (table) => {
+    table.increments('id').primary();
+    table.timestamp('time').notNullable().defaultTo(knex.fn.now());
+    table.integer('user_id').unsigned().nullable();
+    table.string('username').nullable();
+    table.string('ip').nullable();
+    table.string('action').notNullable(); // e.g. 'ptz.move'
+    table.integer('camera_id').unsigned().nullable();
+    table.integer('recording_id').unsigned().nullable();
+    table.text('params').nullable(); // JSON
+    table.string('result').notNullable(); // 'success', 'denied' or 'failure'
+    table.integer('status_code').nullable();
+    table.text('error').nullable();
+    table.index(['time']);
+    table.index(['camera_id', 'time']);
+  });
+
+  await knex.raw(`CREATE TRIGGER audit_log_no_update BEFORE UPDATE ON audit_log
+    BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END`);
+  await knex.raw(`CREATE TRIGGER audit_log_no_delete BEFORE DELETE ON audit_log
+    BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END`);
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = async function(knex) {
+  await knex.raw('DROP TRIGGER IF EXISTS audit_log_no_delete');
+  await knex.raw('DROP TRIGGER IF EXISTS audit_log_no_update');
+  await knex.schema.dropTable('audit_log');
+};
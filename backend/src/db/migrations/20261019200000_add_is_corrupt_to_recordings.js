@@ -0,0 +1,21 @@
+/**
+ * Recordings that could not be recovered after a crash are flagged instead of deleted,
+ * so that their files can still be inspected
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = function(knex) {
+  return knex.schema.table('recordings', function(table) {
+    table.boolean('is_corrupt').notNullable().defaultTo(false);
+  });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = function(knex) {
+  return knex.schema.table('recordings', function(table) {
+    table.dropColumn('is_corrupt');
+  });
+};
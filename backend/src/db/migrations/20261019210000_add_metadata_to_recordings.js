@@ -0,0 +1,32 @@
+/**
+ * Metadata read from the recording file with ffprobe after the recording has been finalized
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = function(knex) {
+  return knex.schema.table('recordings', function(table) {
+    table.float('duration');           // Seconds
+    table.bigInteger('file_size');     // Bytes
+    table.string('video_codec');       // e.g. 'h264'
+    table.integer('width');
+    table.integer('height');
+    table.float('frame_rate');         // Frames per second
+    table.integer('bitrate');          // Bits per second (all streams)
+  });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = function(knex) {
+  return knex.schema.table('recordings', function(table) {
+    table.dropColumn('duration');
+    table.dropColumn('file_size');
+    table.dropColumn('video_codec');
+    table.dropColumn('width');
+    table.dropColumn('height');
+    table.dropColumn('frame_rate');
+    table.dropColumn('bitrate');
+  });
+};
@@ -0,0 +1,24 @@
+/**
+ * Adds a bookmark flag to recordings, and indexes for filtering and sorting the recording list
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = function(knex) {
+  return knex.schema.table('recordings', function(table) {
+    table.boolean('is_bookmarked').notNullable().defaultTo(false);
+    table.index(['start_time']);
+    table.index(['camera_id', 'start_time']);
+  });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = function(knex) {
+  return knex.schema.table('recordings', function(table) {
+    table.dropIndex(['camera_id', 'start_time']);
+    table.dropIndex(['start_time']);
+    table.dropColumn('is_bookmarked');
+  });
+};
@@ -0,0 +1,38 @@
+/**
+ * Creates the exports table
+ * - One row per clip export: a time range of a camera's recordings cut into one MP4 file in a background job
+ * - status: 'queued', 'running', 'completed', 'failed' or 'cancelled'; progress is a percentage
+ * - start_time and end_time are the requested range; the file is deleted when expires_at has passed
+ * - camera_id has no foreign key, so that exports of a deleted camera stay downloadable until they expire
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = function(knex) {
+  return knex.schema.createTable('exports', (table) => {
+    table.increments('id').primary();
+    table.integer('camera_id').unsigned().notNullable();
+    table.integer('user_id').unsigned().nullable();
+    table.foreign('user_id').references('id').inTable('users').onDelete('SET NULL');
+    table.timestamp('start_time').notNullable();
+    table.timestamp('end_time').notNullable();
+    table.string('status').notNullable().defaultTo('queued');
+    table.float('progress').notNullable().defaultTo(0);
+    table.string('filename').nullable();
+    table.bigInteger('file_size').nullable();
+    table.boolean('reencoded').notNullable().defaultTo(false);
+    table.text('error').nullable();
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+    table.timestamp('finished_at').nullable();
+    table.timestamp('expires_at').nullable();
+    table.index(['user_id']);
+  });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = function(knex) {
+  return knex.schema.dropTable('exports');
+};
@@ -0,0 +1,30 @@
+/**
+ * Creates the snapshots table
+ * - One row per still image saved to the snapshot gallery; the JPEG file is stored in the snapshots directory
+ * - source: 'onvif' (the camera's snapshot URI) or 'ffmpeg' (a frame grabbed from the stream)
+ * - camera_id has no foreign key, so that snapshots of a deleted camera stay in the gallery
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = function(knex) {
+  return knex.schema.createTable('snapshots', (table) => {
+    table.increments('id').primary();
+    table.integer('camera_id').unsigned().notNullable();
+    table.integer('user_id').unsigned().nullable();
+    table.foreign('user_id').references('id').inTable('users').onDelete('SET NULL');
+    table.string('filename').notNullable().unique();
+    table.bigInteger('file_size').notNullable();
+    table.string('source').notNullable();
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+    table.index(['camera_id']);
+  });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = function(knex) {
+  return knex.schema.dropTable('snapshots');
+};
@@ -0,0 +1,64 @@
+/**
+ * Creates the timelapse_settings, timelapse_frames and timelapses tables
+ * - timelapse_settings: Optional per-camera frame capture job that saves a still image every interval_seconds
+ *   (width NULL = the camera's full resolution)
+ * - timelapse_frames: The captured frames; the JPEG files are stored in the timelapse_frames directory
+ * - timelapses: One row per timelapse job: frames of a time range, or frames sampled every sample_interval
+ *   seconds from the recordings, encoded into an MP4 file at frame_rate frames per second
+ *   (status: 'queued', 'running', 'completed', 'failed' or 'cancelled'; progress is a percentage)
+ * - camera_id of frames and timelapses has no foreign key, so that they stay available after the camera is deleted
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async function(knex) {
+  await knex.schema.createTable('timelapse_settings', (table) => {
+    table.increments('id').primary();
+    table.integer('camera_id').unsigned().notNullable().unique();
+    table.foreign('camera_id').references('id').inTable('cameras').onDelete('CASCADE');
+    table.boolean('enabled').notNullable().defaultTo(false);
+    table.integer('interval_seconds').notNullable().defaultTo(300);
+    table.integer('width').nullable();
+    table.timestamps(true, true);
+  });
+
+  await knex.schema.createTable('timelapse_frames', (table) => {
+    table.increments('id').primary();
+    table.integer('camera_id').unsigned().notNullable();
+    table.string('filename').notNullable().unique();
+    table.bigInteger('file_size').notNullable();
+    table.timestamp('captured_at').notNullable();
+    table.index(['camera_id', 'captured_at']);
+  });
+
+  await knex.schema.createTable('timelapses', (table) => {
+    table.increments('id').primary();
+    table.integer('camera_id').unsigned().notNullable();
+    table.integer('user_id').unsigned().nullable();
+    table.foreign('user_id').references('id').inTable('users').onDelete('SET NULL');
+    table.string('source').notNullable(); // 'frames' or 'recordings'
+    table.timestamp('start_time').notNullable();
+    table.timestamp('end_time').notNullable();
+    table.integer('frame_rate').notNullable();
+    table.integer('sample_interval').nullable(); // Seconds between frames taken from the recordings
+    table.string('status').notNullable().defaultTo('queued');
+    table.float('progress').notNullable().defaultTo(0);
+    table.string('filename').nullable();
+    table.bigInteger('file_size').nullable();
+    table.float('duration').nullable(); // Seconds
+    table.text('error').nullable();
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+    table.timestamp('finished_at').nullable();
+    table.index(['camera_id']);
+  });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = async function(knex) {
+  await knex.schema.dropTable('timelapses');
+  await knex.schema.dropTable('timelapse_frames');
+  await knex.schema.dropTable('timelapse_settings');
+};
@@ -0,0 +1,33 @@
+/**
+ * Scrub-preview sprite sheet of a recording: frames at a fixed interval tiled into one JPEG,
+ * and a WebVTT thumbnails track that maps time ranges to the tiles
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = function(knex) {
+  return knex.schema.table('recordings', function(table) {
+    table.string('sprite');                // Sprite sheet in the thumbnails directory
+    table.string('sprite_vtt');            // WebVTT track in the thumbnails directory
+    table.float('sprite_interval');        // Seconds between two frames
+    table.integer('sprite_frames');        // Number of tiles
+    table.integer('sprite_columns');       // Tiles per row
+    table.integer('sprite_tile_width');    // Pixels
+    table.integer('sprite_tile_height');   // Pixels
+  });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = function(knex) {
+  return knex.schema.table('recordings', function(table) {
+    table.dropColumn('sprite');
+    table.dropColumn('sprite_vtt');
+    table.dropColumn('sprite_interval');
+    table.dropColumn('sprite_frames');
+    table.dropColumn('sprite_columns');
+    table.dropColumn('sprite_tile_width');
+    table.dropColumn('sprite_tile_height');
+  });
+};
@@ -0,0 +1,22 @@
+/**
+ * Adds an audio switch to cameras: when enabled, the camera's audio track is kept in
+ * the live stream and the recordings (copied if AAC, transcoded to AAC otherwise)
+ *
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = function(knex) {
+  return knex.schema.table('cameras', function(table) {
+    table.boolean('audio_enabled').notNullable().defaultTo(false);
+  });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = function(knex) {
+  return knex.schema.table('cameras', function(table) {
+    table.dropColumn('audio_enabled');
+  });
+};
@@ -0,0 +1,21 @@
+/**
+ * Recordings that were merged into a new recording and kept: exports and timelapses use the
+ * merged recording instead, so that the same footage is not joined twice
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = function(knex) {
+  return knex.schema.table('recordings', function(table) {
+    table.integer('merged_into');          // ID of the merged recording
+  });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = function(knex) {
+  return knex.schema.table('recordings', function(table) {
+    table.dropColumn('merged_into');
+  });
+};
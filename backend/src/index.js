@@ -9,26 +9,195 @@ app.use((req, res, next) => {
   next();
 });
 
-// Enable CORS for requests from the frontend development server
-app.use(cors({ origin: 'http://localhost:5173' }));
+// Enable CORS for requests from the frontend development server (with the session cookie)
+app.use(cors({ origin: 'http://localhost:5173', credentials: true }));
 
 app.use(express.json());
 
-// Serve static files from the "public" directory
-app.use(express.static('public'));
+// Login and logout are the only API routes that don't need a session
+const { authenticate, authorizeStreamFiles, authorizeRecordingFiles, authorizeThumbnailFiles, authorizeSnapshotFiles, authorizeTimelapseFiles } = require('./api/middleware');
+const authRoutes = require('./api/auth');
+app.use('/api/auth', authRoutes);
+
+// Everything else (API, live streams, recordings, thumbnails, snapshots and timelapses) requires a logged in user
+app.use(['/api', '/streams', '/recordings', '/thumbnails', '/snapshots', '/timelapses'], authenticate);
+
+// Live streams, recordings, thumbnails, snapshots and timelapses are only served to users with access to their camera
+app.use('/streams', authorizeStreamFiles);
+app.use('/recordings', authorizeRecordingFiles);
+app.use('/thumbnails', authorizeThumbnailFiles);
+app.use('/snapshots', authorizeSnapshotFiles);
+app.use('/timelapses', authorizeTimelapseFiles);
+
+// Serve the files only under the paths that are checked above; a root mount of "public" would also
+// answer paths like //streams/... or /%73treams/..., which the checks don't match
+app.use('/streams', express.static('public/streams'));
 app.use('/recordings', express.static('recordings'));
 app.use('/thumbnails', express.static('thumbnails'));
+app.use('/snapshots', express.static('snapshots'));
+app.use('/timelapses', express.static('timelapses'));
 
 // Import and use camera routes
 const cameraRoutes = require('./api/cameras');
 const recordingRoutes = require('./api/recordings');
+const retentionRoutes = require('./api/retention');
+const scheduleRoutes = require('./api/schedules');
+const motionRoutes = require('./api/motion');
+const eventRoutes = require('./api/events');
+const statusRoutes = require('./api/status');
+const discoveryRoutes = require('./api/discovery');
+const userRoutes = require('./api/users');
+const groupRoutes = require('./api/groups');
+const permissionRoutes = require('./api/permissions');
+const auditRoutes = require('./api/audit');
+const streamRoutes = require('./api/streams');
+const timelineRoutes = require('./api/timeline');
+const exportRoutes = require('./api/exports');
+const snapshotRoutes = require('./api/snapshots');
+const timelapseRoutes = require('./api/timelapse');
+const timelapseJobRoutes = require('./api/timelapses');
+app.use('/api/cameras/:id/schedules', scheduleRoutes);
+app.use('/api/cameras/:id/motion', motionRoutes);
+app.use('/api/cameras/:id/events', eventRoutes);
+app.use('/api/cameras/:id/permissions', permissionRoutes);
+app.use('/api/cameras/:id/timeline', timelineRoutes);
+app.use('/api/cameras/:id/snapshots', snapshotRoutes);
+app.use('/api/cameras/:id/timelapse', timelapseRoutes);
 app.use('/api/cameras', cameraRoutes);
 app.use('/api/recordings', recordingRoutes);
+app.use('/api/retention', retentionRoutes);
+app.use('/api/events', eventRoutes);
+app.use('/api/status', statusRoutes);
+app.use('/api/discovery', discoveryRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/groups', groupRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/streams', streamRoutes);
+app.use('/api/exports', exportRoutes);
+app.use('/api/snapshots', snapshotRoutes);
+app.use('/api/timelapses', timelapseJobRoutes);
+
+const { startRetentionService } = require('./services/retentionService');
+const { startScheduler } = require('./services/scheduleService');
+const { startMotionDetection, stopMotionDetection } = require('./services/motionService');
+const { startOnvifEvents } = require('./services/onvifEventService');
+const { startPreEventBuffers, stopPreEventBuffers, startRecordingWatchdog, stopAllRecordings } = require('./services/recordingService');
+const { startStreamWatchdog, stopAllStreams } = require('./services/streamService');
+const { recoverRecordings } = require('./services/recoveryService');
+const { startExportService, stopExports } = require('./services/exportService');
+const { startSpriteService, stopSprites } = require('./services/spriteService');
+const { startTimelapseService, stopTimelapses } = require('./services/timelapseService');
+const { startTimelapseCapture, stopTimelapseCapture } = require('./services/timelapseCaptureService');
+const { startViewerSessions } = require('./services/viewerService');
+const { startCameraHealthChecks } = require('./services/cameraHealthService');
+const { reencryptCredentials } = require('./services/credentialService');
+const { ensureAdminUser } = require('./services/authService');
+const db = require('./db/db');
+
+// Time the recordings get to be finalized on shutdown before the process exits anyway
+const SHUTDOWN_TIMEOUT_MS = 30 * 1000;
+
+let server = null;
+let shuttingDown = false;
 
 app.get('/', (req, res) => {
   res.send('ONVIF Backend Server is running!');
 });
 
-app.listen(port, () => {
-  console.log(`Backend server listening at http://localhost:${port}`);
-});
+/**
+ * Start accepting requests and start the background services
+ */
+function startServer() {
+  server = app.listen(port, () => {
+    console.log(`Backend server listening at http://localhost:${port}`);
+
+    // Create the first admin account on a fresh installation
+    ensureAdminUser().catch(err => console.error('[auth] Failed to create the admin user:', err));
+
+    // Encrypt passwords that are still stored in plaintext or with a previous key (completes a key rotation)
+    reencryptCredentials(db).catch(err => console.error('[credentials] Failed to re-encrypt camera passwords:', err));
+
+    // Delete old recordings in the background according to the retention policies
+    startRetentionService();
+
+    // Fail exports interrupted by the last shutdown and delete expired exports
+    startExportService().catch(err => console.error('[export] Failed to start the export service:', err));
+
+    // Generate the scrub-preview sprite sheets of recordings that don't have one yet
+    startSpriteService().catch(err => console.error('[sprites] Failed to start the sprite service:', err));
+
+    // Fail timelapses interrupted by the last shutdown, and capture timelapse frames of the cameras with frame capture enabled
+    startTimelapseService().catch(err => console.error('[timelapse] Failed to start the timelapse service:', err));
+    startTimelapseCapture().catch(err => console.error('[timelapse] Failed to start frame capture:', err));
+
+    // Keep the last seconds of video of cameras with a pre-event buffer, so recordings include what happened before they started
+    startPreEventBuffers().catch(err => console.error('[pre-event] Failed to start pre-event buffers:', err));
+
+    // Start and stop recordings according to the recording schedules
+    startScheduler();
+
+    // Start the motion detectors of cameras with motion detection enabled
+    startMotionDetection().catch(err => console.error('[motion] Failed to start motion detection:', err));
+
+    // Restart streams and recordings whose FFmpeg crashed or stopped producing output
+    startStreamWatchdog();
+    startRecordingWatchdog();
+
+    // Stop live streams whose viewers have all left (closed the tile or stopped sending heartbeats)
+    startViewerSessions();
+
+    // Check periodically which cameras are reachable (pushed to the browser as camera.online / camera.offline)
+    startCameraHealthChecks();
+
+    // Subscribe to the events (motion, tampering, digital inputs) reported by the ONVIF cameras
+    startOnvifEvents().catch(err => console.error('[onvif-events] Failed to start event subscriptions:', err));
+  });
+}
+
+/**
+ * Stop the server on SIGTERM or SIGINT (Ctrl+C): running recordings are finalized, so that they don't
+ * have to be recovered at the next start, and streams, buffers and detectors are stopped.
+ * A second signal exits immediately.
+ * @param {string} signal - The received signal
+ */
+async function shutdown(signal) {
+  if (shuttingDown) {
+    process.exit(1);
+  }
+  shuttingDown = true;
+  console.log(`[server] ${signal} received, shutting down...`);
+
+  setTimeout(() => {
+    console.error(`[server] Recordings were not finalized within ${SHUTDOWN_TIMEOUT_MS / 1000}s, exiting anyway`);
+    process.exit(1);
+  }, SHUTDOWN_TIMEOUT_MS).unref();
+
+  if (server) {
+    server.close();
+  }
+
+  try {
+    stopAllStreams();
+    stopPreEventBuffers();
+    stopExports();
+    stopSprites();
+    stopTimelapses();
+    stopTimelapseCapture();
+    await stopAllRecordings();
+    await stopMotionDetection();
+  } catch (err) {
+    console.error('[server] Error during shutdown:', err);
+  }
+
+  console.log('[server] Shutdown complete.');
+  process.exit(0);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+// Finish the recordings of a previous run that ended without finalizing them (crash, power loss) and remove
+// orphaned files. This runs before any request is accepted, because files of new recordings have no finished row yet.
+recoverRecordings()
+  .catch(err => console.error('[recovery] Failed to recover recordings:', err))
+  .finally(startServer);
@@ -0,0 +1,57 @@
+/**
+ * Fills in the metadata (duration, size, codec, resolution, frame rate, bitrate) of finished
+ * recordings that were made before it was stored.
+ *
+ * Usage (from the backend directory):
+ *   npm run backfill-metadata            # Recordings without metadata
+ *   npm run backfill-metadata -- --all   # All recordings, e.g. after files have been replaced
+ */
+const fs = require('fs');
+const path = require('path');
+const db = require('../db/db');
+const { probeRecording } = require('../services/recordingService');
+
+const recordingsBasePath = path.join(__dirname, '../../recordings');
+
+/**
+ * Probe the recordings and store their metadata
+ * @param {boolean} all - Also probe recordings that already have metadata
+ * @returns {Promise<{updated: number, missing: number, failed: number}>} Number of updated recordings,
+ *   recordings without a file and recordings whose file could not be read
+ */
+async function backfillMetadata(all) {
+    const query = db('recordings').where('is_finished', true).orderBy('id', 'asc');
+    if (!all) {
+        query.whereNull('duration');
+    }
+    const recordings = await query;
+    console.log(`[metadata] Reading metadata of ${recordings.length} recording(s)...`);
+
+    const result = { updated: 0, missing: 0, failed: 0 };
+    for (const recording of recordings) {
+        if (!fs.existsSync(path.join(recordingsBasePath, recording.filename))) {
+            console.warn(`[metadata] File of recording ${recording.id} (${recording.filename}) is missing, skipped`);
+            result.missing += 1;
+            continue;
+        }
+
+        const metadata = await probeRecording(recording.filename);
+        if (Object.keys(metadata).length === 0) {
+            result.failed += 1;
+            continue;
+        }
+        await db('recordings').where({ id: recording.id }).update(metadata);
+        result.updated += 1;
+    }
+    return result;
+}
+
+backfillMetadata(process.argv.includes('--all'))
+    .then(({ updated, missing, failed }) => {
+        console.log(`[metadata] Updated ${updated} recording(s); ${missing} without file, ${failed} could not be read.`);
+    })
+    .catch((err) => {
+        console.error('[metadata] Backfill failed:', err);
+        process.exitCode = 1;
+    })
+    .finally(() => db.destroy());
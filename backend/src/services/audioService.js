@@ -0,0 +1,75 @@
+const { getAudioCodec } = require('./probeService');
+const { maskCredentials } = require('./credentialService');
+
+// Bitrate of audio that is transcoded to AAC
+const AAC_BITRATE = '64k';
+
+// Sample rate of audio that is transcoded to AAC; G.711 is 8 kHz, which some browsers cannot play back
+const AAC_SAMPLE_RATE = '44100';
+
+// Probed audio codec by camera: Map<cameraId, Promise<string|null|undefined>> (undefined = the probe failed)
+// The live stream, the recordings and the pre-event buffer of a camera all use the same result, so that
+// buffered segments can be stitched in front of a recording; the entry is dropped when the camera is changed
+// or when the probe has failed.
+const audioCodecs = new Map();
+
+/**
+ * Get the audio codec of a camera, probing its stream only the first time
+ * @param {Object} camera - Camera configuration
+ * @param {string} inputUrl - RTSP URL of the camera
+ * @returns {Promise<string|null|undefined>} Codec name, null if the camera has no audio track, undefined if it is unknown
+ */
+function getCameraAudioCodec(camera, inputUrl) {
+    if (!audioCodecs.has(camera.id)) {
+        const probe = getAudioCodec(inputUrl).catch((err) => {
+            console.error(`[audio] Failed to probe the audio of camera ${camera.id}:`, maskCredentials(err.message));
+            // Not cached, so that the next start probes again (e.g. the camera was offline); unless the entry has been replaced meanwhile
+            if (audioCodecs.get(camera.id) === probe) {
+                audioCodecs.delete(camera.id);
+            }
+            return undefined;
+        });
+        audioCodecs.set(camera.id, probe);
+    }
+    return audioCodecs.get(camera.id);
+}
+
+/**
+ * Forget the probed audio codec of a camera, e.g. after its connection or audio setting has changed
+ * @param {number} cameraId - Camera ID
+ */
+function forgetAudioCodec(cameraId) {
+    audioCodecs.delete(cameraId);
+}
+
+/**
+ * Get the FFmpeg audio arguments for a camera's live stream, recordings and pre-event buffer.
+ * Without audio enabled, or if the camera has no audio track, audio is dropped. An AAC track is
+ * copied as is; any other codec (e.g. G.711 PCMA/PCMU) is transcoded to AAC, which HLS and MP4 support.
+ * @param {Object} camera - Camera configuration (audio_enabled)
+ * @param {string} inputUrl - RTSP URL of the camera
+ * @returns {Promise<Array<string>>} FFmpeg output arguments for audio
+ */
+async function getAudioArgs(camera, inputUrl) {
+    if (!camera.audio_enabled) {
+        return ['-an'];
+    }
+
+    // If the probe failed, whatever there is gets transcoded; the optional map below keeps a camera without audio working
+    const audioCodec = await getCameraAudioCodec(camera, inputUrl);
+    if (audioCodec === null) {
+        console.log(`[audio] Camera ${camera.id} has no audio track.`);
+        return ['-an'];
+    }
+
+    const codecArgs = audioCodec === 'aac'
+        ? ['-c:a', 'copy']
+        : ['-c:a', 'aac', '-b:a', AAC_BITRATE, '-ar', AAC_SAMPLE_RATE];
+    return [
+        '-map', '0:v:0',
+        '-map', '0:a:0?',
+        ...codecArgs
+    ];
+}
+
+module.exports = { getAudioArgs, forgetAudioCodec };
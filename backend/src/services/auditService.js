@@ -0,0 +1,151 @@
+const db = require('../db/db');
+
+// Parameters that are never written to the audit log
+const SECRET_PARAMS = ['pass', 'password', 'currentPassword', 'newPassword'];
+
+const CSV_COLUMNS = ['id', 'time', 'username', 'user_id', 'ip', 'action', 'camera_id', 'recording_id', 'result', 'status_code', 'error', 'params'];
+
+/**
+ * Convert a database row into the API representation
+ * @param {Object} row - Row from the audit_log table
+ * @returns {Object} Entry with params parsed from JSON
+ */
+function formatEntry(row) {
+    return {
+        ...row,
+        params: row.params ? JSON.parse(row.params) : null
+    };
+}
+
+/**
+ * Replace secrets in request parameters, so that the log shows that they were changed but not their value
+ * @param {Object|null} params - Parameters
+ * @returns {Object|null} Parameters without secrets
+ */
+function redactParams(params) {
+    if (!params || typeof params !== 'object' || Object.keys(params).length === 0) {
+        return null;
+    }
+    const redacted = { ...params };
+    for (const key of SECRET_PARAMS) {
+        if (redacted[key] !== undefined) {
+            redacted[key] = '***';
+        }
+    }
+    return redacted;
+}
+
+/**
+ * Append an entry to the audit log
+ * Failures are logged and swallowed: a broken audit log must not break the action itself.
+ * @param {Object} entry - Entry details
+ * @param {{id: number, username: string}|null} entry.user - User who performed the action
+ * @param {string} entry.action - Action, e.g. 'ptz.move'
+ * @param {string} entry.result - 'success', 'denied' or 'failure'
+ * @param {number} [entry.cameraId] - Target camera
+ * @param {number} [entry.recordingId] - Target recording
+ * @param {Object} [entry.params] - Parameters of the action (secrets are redacted)
+ * @param {number} [entry.statusCode] - HTTP status code of the response
+ * @param {string} [entry.error] - Error message of a denied or failed action
+ * @param {string} [entry.ip] - Client address
+ * @returns {Promise<void>}
+ */
+async function recordAudit({ user, action, result, cameraId = null, recordingId = null, params = null, statusCode = null, error = null, ip = null }) {
+    try {
+        const redacted = redactParams(params);
+        await db('audit_log').insert({
+            time: new Date(),
+            user_id: user ? user.id : null,
+            username: user ? user.username : null,
+            ip,
+            action,
+            camera_id: Number.isInteger(cameraId) ? cameraId : null,
+            recording_id: Number.isInteger(recordingId) ? recordingId : null,
+            params: redacted ? JSON.stringify(redacted) : null,
+            result,
+            status_code: statusCode,
+            error
+        });
+    } catch (err) {
+        console.error(`[audit] Failed to record '${action}':`, err.message);
+    }
+}
+
+/**
+ * Build the query for audit log entries matching the filters
+ * @param {Object} filters - Filters (see listAuditEntries)
+ * @returns {import("knex").Knex.QueryBuilder} Query
+ */
+function buildQuery({ username, action, cameraId, recordingId, result, from, to }) {
+    const query = db('audit_log');
+    if (username) query.where('username', username);
+    if (action) query.where('action', 'like', action.endsWith('.') ? `${action}%` : action);
+    if (cameraId !== undefined) query.where('camera_id', cameraId);
+    if (recordingId !== undefined) query.where('recording_id', recordingId);
+    if (result) query.where('result', result);
+    if (from) query.where('time', '>=', from);
+    if (to) query.where('time', '<=', to);
+    return query;
+}
+
+/**
+ * List audit log entries, newest first
+ * @param {Object} [filters] - Filters
+ * @param {string} [filters.username] - Only actions of this user
+ * @param {string} [filters.action] - Only this action, or all actions with this prefix if it ends with '.' (e.g. 'ptz.')
+ * @param {number} [filters.cameraId] - Only actions on this camera
+ * @param {number} [filters.recordingId] - Only actions on this recording
+ * @param {string} [filters.result] - Only 'success', 'denied' or 'failure'
+ * @param {Date} [filters.from] - Only actions at or after this time
+ * @param {Date} [filters.to] - Only actions at or before this time
+ * @param {number} [filters.limit=100] - Maximum number of entries
+ * @param {number} [filters.offset=0] - Number of entries to skip
+ * @returns {Promise<{entries: Array<Object>, total: number}>} Entries and the number of matching entries
+ */
+async function listAuditEntries({ limit = 100, offset = 0, ...filters } = {}) {
+    const rows = await buildQuery(filters)
+        .select('*')
+        .orderBy('time', 'desc')
+        .orderBy('id', 'desc')
+        .limit(limit)
+        .offset(offset);
+    const { count } = await buildQuery(filters).count('id as count').first();
+
+    return { entries: rows.map(formatEntry), total: Number(count) };
+}
+
+/**
+ * Quote a value for CSV
+ * @param {*} value - Value
+ * @returns {string} CSV field
+ */
+function csvField(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format audit log entries as CSV (times as ISO 8601, params as JSON)
+ * @param {Array<Object>} entries - Entries from listAuditEntries
+ * @returns {string} CSV with a header row
+ */
+function toCsv(entries) {
+    const lines = [CSV_COLUMNS.join(',')];
+    for (const entry of entries) {
+        lines.push(CSV_COLUMNS.map(column => {
+            if (column === 'time') return csvField(new Date(entry.time).toISOString());
+            if (column === 'params') return csvField(entry.params ? JSON.stringify(entry.params) : null);
+            return csvField(entry[column]);
+        }).join(','));
+    }
+    return `${lines.join('\r\n')}\r\n`;
+}
+
+module.exports = {
+    recordAudit,
+    listAuditEntries,
+    toCsv
+};
@@ -0,0 +1,261 @@
+const crypto = require('crypto');
+const util = require('util');
+const db = require('../db/db');
+const { deletePermissions } = require('./permissionService');
+
+const scrypt = util.promisify(crypto.scrypt);
+
+// Roles from least to most privileged; every role includes the permissions of the roles before it
+const ROLES = ['viewer', 'operator', 'admin'];
+
+const MIN_PASSWORD_LENGTH = 8;
+const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const KEY_LENGTH = 64;
+
+/**
+ * Hash a password with scrypt and a random salt
+ * @param {string} password - Password
+ * @returns {Promise<string>} 'scrypt:<salt>:<hash>' (hex)
+ */
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(password, salt, KEY_LENGTH);
+    return `scrypt:${salt.toString('hex')}:${hash.toString('hex')}`;
+}
+
+/**
+ * Check a password against a stored hash (in constant time)
+ * @param {string} password - Password
+ * @param {string} passwordHash - Stored hash
+ * @returns {Promise<boolean>} True if the password matches
+ */
+async function verifyPassword(password, passwordHash) {
+    const [scheme, salt, hash] = String(passwordHash).split(':');
+    if (scheme !== 'scrypt' || !salt || !hash) {
+        return false;
+    }
+    const expected = Buffer.from(hash, 'hex');
+    const actual = await scrypt(String(password), Buffer.from(salt, 'hex'), expected.length);
+    return crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * SHA-256 of a session token, as stored in the sessions table
+ * @param {string} token - Session token
+ * @returns {string} Hex digest
+ */
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Check if a role has at least the permissions of another role
+ * @param {string} role - Role of the user
+ * @param {string} requiredRole - Minimum role
+ * @returns {boolean} True if the role is sufficient
+ */
+function hasRole(role, requiredRole) {
+    return ROLES.indexOf(role) >= ROLES.indexOf(requiredRole) && ROLES.includes(role);
+}
+
+/**
+ * Remove the password hash from a user before it is sent to a client
+ * @param {Object} user - User from the database
+ * @returns {{id: number, username: string, role: string, created_at: *, updated_at: *}} User
+ */
+function toPublicUser(user) {
+    const { password_hash, ...publicUser } = user;
+    return publicUser;
+}
+
+/**
+ * Validate a username, password and role (only the given fields are checked)
+ * @param {Object} fields - Fields to validate
+ * @returns {string|null} Error message, or null if the fields are valid
+ */
+function validateUserFields({ username, password, role }) {
+    if (username !== undefined && (typeof username !== 'string' || !/^[A-Za-z0-9_.@-]{3,64}$/.test(username))) {
+        return 'Username must be 3-64 characters (letters, digits, _ . @ -).';
+    }
+    if (password !== undefined && (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH)) {
+        return `Password must be at least ${MIN_PASSWORD_LENGTH} characters long.`;
+    }
+    if (role !== undefined && !ROLES.includes(role)) {
+        return `Role must be one of: ${ROLES.join(', ')}.`;
+    }
+    return null;
+}
+
+/**
+ * List all users
+ * @returns {Promise<Array<Object>>} Users without password hashes
+ */
+async function listUsers() {
+    const users = await db('users').select('*').orderBy('username');
+    return users.map(toPublicUser);
+}
+
+/**
+ * Create a user
+ * @param {{username: string, password: string, role?: string}} fields - New user
+ * @returns {Promise<Object>} The created user
+ */
+async function createUser({ username, password, role = 'viewer' }) {
+    const [user] = await db('users')
+        .insert({ username, password_hash: await hashPassword(password), role })
+        .returning('*');
+    return toPublicUser(user);
+}
+
+/**
+ * Count the admins other than a user
+ * @param {number} userId - User to leave out
+ * @returns {Promise<number>} Number of other admins
+ */
+async function countOtherAdmins(userId) {
+    const { count } = await db('users').where({ role: 'admin' }).whereNot({ id: userId }).count('id as count').first();
+    return Number(count);
+}
+
+/**
+ * Update the role and/or password of a user
+ * Changing the password ends the user's sessions. The last admin cannot be demoted.
+ * @param {number} userId - User ID
+ * @param {{role?: string, password?: string}} updates - New values
+ * @returns {Promise<Object|null>} The updated user, or null if it does not exist
+ * @throws {Error} If the last admin would be demoted
+ */
+async function updateUser(userId, { role, password }) {
+    const user = await db('users').where({ id: userId }).first();
+    if (!user) {
+        return null;
+    }
+
+    const changes = {};
+    if (role !== undefined && role !== user.role) {
+        if (user.role === 'admin' && await countOtherAdmins(userId) === 0) {
+            throw new Error('The last admin cannot be demoted.');
+        }
+        changes.role = role;
+    }
+    if (password !== undefined) {
+        changes.password_hash = await hashPassword(password);
+    }
+
+    if (Object.keys(changes).length > 0) {
+        await db('users').where({ id: userId }).update({ ...changes, updated_at: db.fn.now() });
+    }
+    if (changes.password_hash) {
+        await db('sessions').where({ user_id: userId }).del();
+    }
+    return toPublicUser(await db('users').where({ id: userId }).first());
+}
+
+/**
+ * Delete a user with their sessions, group memberships and camera permissions
+ * @param {number} userId - User ID
+ * @returns {Promise<boolean>} False if the user does not exist
+ * @throws {Error} If the user is the last admin
+ */
+async function deleteUser(userId) {
+    const user = await db('users').where({ id: userId }).first();
+    if (!user) {
+        return false;
+    }
+    if (user.role === 'admin' && await countOtherAdmins(userId) === 0) {
+        throw new Error('The last admin cannot be deleted.');
+    }
+    await db('sessions').where({ user_id: userId }).del();
+    await db('user_group_members').where({ user_id: userId }).del();
+    await deletePermissions({ userId });
+    await db('users').where({ id: userId }).del();
+    return true;
+}
+
+/**
+ * Check the credentials of a user and start a session
+ * @param {string} username - Username
+ * @param {string} password - Password
+ * @returns {Promise<{token: string, expiresAt: Date, user: Object}|null>} The session, or null if the credentials are wrong
+ */
+async function login(username, password) {
+    const user = await db('users').where({ username: String(username) }).first();
+    if (!user || !(await verifyPassword(password, user.password_hash))) {
+        return null;
+    }
+
+    // Expired sessions are cleaned up on every login
+    await db('sessions').where('expires_at', '<=', new Date()).del();
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = new Date(Date.now() + SESSION_TTL_MS);
+    await db('sessions').insert({ user_id: user.id, token_hash: hashToken(token), expires_at: expiresAt });
+
+    console.log(`[auth] User '${user.username}' logged in.`);
+    return { token, expiresAt, user: toPublicUser(user) };
+}
+
+/**
+ * End a session
+ * @param {string} token - Session token
+ * @returns {Promise<void>}
+ */
+async function logout(token) {
+    await db('sessions').where({ token_hash: hashToken(token) }).del();
+}
+
+/**
+ * Get the user of a session
+ * @param {string} token - Session token
+ * @returns {Promise<Object|null>} The user, or null if the session does not exist or has expired
+ */
+async function getSessionUser(token) {
+    if (!token) {
+        return null;
+    }
+    const user = await db('sessions')
+        .join('users', 'sessions.user_id', 'users.id')
+        .where('sessions.token_hash', hashToken(token))
+        .where('sessions.expires_at', '>', new Date())
+        .select('users.*')
+        .first();
+    return user ? toPublicUser(user) : null;
+}
+
+/**
+ * Create the first admin if there are no users yet
+ * The password is taken from ADMIN_PASSWORD, or generated and printed once.
+ * @returns {Promise<void>}
+ */
+async function ensureAdminUser() {
+    const { count } = await db('users').count('id as count').first();
+    if (Number(count) > 0) {
+        return;
+    }
+
+    const username = process.env.ADMIN_USERNAME || 'admin';
+    const password = process.env.ADMIN_PASSWORD || crypto.randomBytes(12).toString('base64url');
+    await createUser({ username, password, role: 'admin' });
+
+    if (process.env.ADMIN_PASSWORD) {
+        console.log(`[auth] Created admin user '${username}' with the password from ADMIN_PASSWORD.`);
+    } else {
+        console.log(`[auth] Created admin user '${username}' with password '${password}'. Change it after the first login.`);
+    }
+}
+
+module.exports = {
+    ROLES,
+    SESSION_TTL_MS,
+    hasRole,
+    validateUserFields,
+    verifyPassword,
+    listUsers,
+    createUser,
+    updateUser,
+    deleteUser,
+    login,
+    logout,
+    getSessionUser,
+    ensureAdminUser
+};
@@ -0,0 +1,83 @@
+const net = require('net');
+const db = require('../db/db');
+const { publish } = require('./statusService');
+
+// How often cameras are checked, and how long a connection attempt may take
+const CHECK_INTERVAL_MS = 30 * 1000;
+const CONNECT_TIMEOUT_MS = 5 * 1000;
+
+// Last known reachability: Map<cameraId, 'online' | 'offline'>
+const cameraStatuses = new Map();
+
+let checkTimer = null;
+
+/**
+ * Check if a TCP connection to the camera can be opened
+ * ONVIF cameras are checked on their ONVIF (HTTP) port, RTSP cameras on their RTSP port.
+ * @param {Object} camera - Camera from the database
+ * @returns {Promise<boolean>} True if the camera accepted the connection
+ */
+function probeCamera(camera) {
+    return new Promise((resolve) => {
+        const socket = net.connect({ host: camera.host, port: camera.port || 80 });
+        const finish = (online) => {
+            socket.destroy();
+            resolve(online);
+        };
+        socket.setTimeout(CONNECT_TIMEOUT_MS);
+        socket.once('connect', () => finish(true));
+        socket.once('timeout', () => finish(false));
+        socket.once('error', () => finish(false));
+    });
+}
+
+/**
+ * Check all cameras once and broadcast 'camera.online' / 'camera.offline' on changes
+ * @returns {Promise<void>}
+ */
+async function checkCameras() {
+    const cameras = await db('cameras').select('id', 'host', 'port');
+
+    // Forget deleted cameras
+    const ids = new Set(cameras.map(camera => camera.id));
+    for (const cameraId of cameraStatuses.keys()) {
+        if (!ids.has(cameraId)) {
+            cameraStatuses.delete(cameraId);
+        }
+    }
+
+    const results = await Promise.all(cameras.map(probeCamera));
+    cameras.forEach((camera, index) => {
+        const status = results[index] ? 'online' : 'offline';
+        if (cameraStatuses.get(camera.id) !== status) {
+            cameraStatuses.set(camera.id, status);
+            console.log(`[health] Camera ${camera.id} is ${status}`);
+            publish(`camera.${status}`, { cameraId: camera.id });
+        }
+    });
+}
+
+/**
+ * Get the last known reachability of all cameras
+ * @returns {Object<number, string>} 'online' or 'offline' by camera ID (cameras not checked yet are missing)
+ */
+function getCameraStatuses() {
+    return Object.fromEntries(cameraStatuses);
+}
+
+/**
+ * Start checking the cameras periodically
+ */
+function startCameraHealthChecks() {
+    if (checkTimer) {
+        return;
+    }
+
+    const run = () => {
+        checkCameras().catch(err => console.error('[health] Camera check failed:', err));
+    };
+    run();
+    checkTimer = setInterval(run, CHECK_INTERVAL_MS);
+}
+
+module.exports = { checkCameras, getCameraStatuses, startCameraHealthChecks };
@@ -0,0 +1,147 @@
+const crypto = require('crypto');
+const { scanSubnet, resolveScanOptions } = require('./discoveryService');
+const { publish } = require('./statusService');
+
+// Finished jobs are kept this long (and at most this many), so results survive closing the dialog
+const JOB_TTL_MS = 30 * 60 * 1000;
+const MAX_JOBS = 10;
+
+// Discovery jobs, oldest first: Map<jobId, { job, controller }>
+const jobs = new Map();
+
+/**
+ * Remove expired finished jobs and limit the cache size
+ */
+function pruneJobs() {
+    const now = Date.now();
+    for (const [jobId, { job }] of jobs) {
+        if (job.status !== 'running' && now - new Date(job.finished_at).getTime() > JOB_TTL_MS) {
+            jobs.delete(jobId);
+        }
+    }
+    for (const [jobId, { job }] of jobs) {
+        if (jobs.size <= MAX_JOBS) break;
+        if (job.status !== 'running') {
+            jobs.delete(jobId);
+        }
+    }
+}
+
+/**
+ * Mark a job as finished and broadcast its result
+ * @param {Object} job - Job to update
+ * @param {string} status - 'completed', 'cancelled' or 'failed'
+ * @param {string|null} [error] - Error message for failed jobs
+ */
+function finishJob(job, status, error = null) {
+    job.status = status;
+    job.error = error;
+    job.finished_at = new Date().toISOString();
+    console.log(`[Discovery] Job ${job.id} ${status}. Found ${job.devices.length} device(s).`);
+    publish('discovery.finished', { jobId: job.id, status, error, devices: job.devices });
+}
+
+/**
+ * Start a subnet scan in the background
+ * If a scan is already running, that job is returned instead of starting a second one.
+ * @param {Object} [options] - Scan options (see scanSubnet)
+ * @param {string|Array<string>} [options.ranges] - Address ranges (default: the local network)
+ * @param {string} [options.interface] - Network interface
+ * @param {boolean} [options.multicast=true] - Send a multicast probe before the unicast sweep
+ * @returns {{job: Object, created: boolean}} The job and whether it was newly created
+ * @throws {Error} If a range or the interface is invalid
+ */
+function createJob(options = {}) {
+    // Validated first, so that invalid input is reported to the caller
+    const { labels, total, networkInterface } = resolveScanOptions(options);
+
+    const running = [...jobs.values()].find(({ job }) => job.status === 'running');
+    if (running) {
+        return { job: running.job, created: false };
+    }
+    pruneJobs();
+
+    const multicast = options.multicast !== false;
+
+    const job = {
+        id: crypto.randomUUID(),
+        status: 'running',
+        ranges: labels,
+        interface: networkInterface ? networkInterface.name : null,
+        multicast,
+        progress: { scanned: 0, total, percentage: 0 },
+        devices: [],
+        error: null,
+        created_at: new Date().toISOString(),
+        finished_at: null
+    };
+    const controller = new AbortController();
+    jobs.set(job.id, { job, controller });
+
+    console.log(`[Discovery] Job ${job.id} started: ${labels.join(', ')}`);
+
+    scanSubnet({
+        ranges: labels,
+        interface: job.interface,
+        multicast,
+        signal: controller.signal,
+        onProgress: ({ scanned, total, percentage }) => {
+            job.progress = { scanned, total, percentage };
+            publish('discovery.progress', { jobId: job.id, progress: job.progress });
+        },
+        onDevice: (device) => {
+            job.devices.push(device);
+            publish('discovery.device', { jobId: job.id, device });
+        }
+    })
+        .then(() => finishJob(job, controller.signal.aborted ? 'cancelled' : 'completed'))
+        .catch((err) => {
+            console.error(`[Discovery] Job ${job.id} failed:`, err);
+            finishJob(job, 'failed', err.message);
+        });
+
+    return { job, created: true };
+}
+
+/**
+ * Get a discovery job
+ * @param {string} jobId - Job ID
+ * @returns {Object|null} The job, or null if it does not exist (anymore)
+ */
+function getJob(jobId) {
+    const entry = jobs.get(jobId);
+    return entry ? entry.job : null;
+}
+
+/**
+ * List the cached discovery jobs, newest first
+ * @returns {Array<Object>} Jobs
+ */
+function listJobs() {
+    pruneJobs();
+    return [...jobs.values()].map(({ job }) => job).reverse();
+}
+
+/**
+ * Cancel a running discovery job
+ * The scan stops after the batch of addresses that is being probed; devices found so far are kept.
+ * @param {string} jobId - Job ID
+ * @returns {Object|null} The job, or null if it does not exist
+ */
+function cancelJob(jobId) {
+    const entry = jobs.get(jobId);
+    if (!entry) {
+        return null;
+    }
+    if (entry.job.status === 'running') {
+        entry.controller.abort();
+    }
+    return entry.job;
+}
+
+module.exports = {
+    createJob,
+    getJob,
+    listJobs,
+    cancelJob
+};
@@ -1,14 +1,27 @@
+const crypto = require('crypto');
 const dgram = require('dgram');
 const os = require('os');
+const xml2js = require('xml2js');
+
+// WS-Discovery multicast group and port
+const MULTICAST_ADDRESS = '239.255.255.250';
+const DISCOVERY_PORT = 3702;
+
+// How long to collect ProbeMatches after a multicast probe
+const MULTICAST_TIMEOUT_MS = 3000;
+
+// Upper limit for the number of addresses of a unicast sweep (a /20 network)
+const MAX_SCAN_ADDRESSES = 4096;
 
 /**
  * Creates a WS-Discovery probe message
+ * @param {string} messageId - Message ID (urn:uuid:...), echoed in the RelatesTo header of the answers
  */
-function createProbeMessage() {
+function createProbeMessage(messageId) {
     return `<?xml version="1.0" encoding="UTF-8"?>
 <Envelope xmlns="http://www.w3.org/2003/05/soap-envelope" xmlns:dn="http://www.onvif.org/ver10/network/wsdl">
     <Header>
-        <wsa:MessageID xmlns:wsa="http://schemas.xmlsoap.org/ws/2004/08/addressing">urn:uuid:${generateUUID()}</wsa:MessageID>
+        <wsa:MessageID xmlns:wsa="http://schemas.xmlsoap.org/ws/2004/08/addressing">${messageId}</wsa:MessageID>
         <wsa:To xmlns:wsa="http://schemas.xmlsoap.org/ws/2004/08/addressing">urn:schemas-xmlsoap-org:ws:2005:04:discovery</wsa:To>
         <wsa:Action xmlns:wsa="http://schemas.xmlsoap.org/ws/2004/08/addressing">http://schemas.xmlsoap.org/ws/2005/04/discovery/Probe</wsa:Action>
     </Header>
@@ -22,78 +35,357 @@ function createProbeMessage() {
 }
 
 /**
- * Generate a simple UUID
+ * Convert an IPv4 address to a 32-bit number
+ * @param {string} ip - IPv4 address
+ * @returns {number|null} The address as unsigned number, or null if it is not a valid IPv4 address
  */
-function generateUUID() {
-    return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
-        const r = Math.random() * 16 | 0;
-        const v = c === 'x' ? r : (r & 0x3 | 0x8);
-        return v.toString(16);
-    });
+function ipToInt(ip) {
+    const parts = String(ip).trim().split('.');
+    if (parts.length !== 4 || !parts.every(part => /^\d{1,3}$/.test(part) && Number(part) <= 255)) {
+        return null;
+    }
+    return parts.reduce((value, part) => value * 256 + Number(part), 0);
 }
 
 /**
- * Parse ONVIF probe response
+ * Convert a 32-bit number to an IPv4 address
+ * @param {number} value - Unsigned address
+ * @returns {string} IPv4 address
  */
-function parseProbeResponse(xmlString) {
-    try {
-        // Extract XAddrs
-        const xaddrsMatch = xmlString.match(/<wsdd:XAddrs>(.*?)<\/wsdd:XAddrs>/);
-        const xaddr = xaddrsMatch ? xaddrsMatch[1].trim() : null;
+function intToIp(value) {
+    return [24, 16, 8, 0].map(shift => (value >>> shift) & 255).join('.');
+}
 
-        if (!xaddr) return null;
+/**
+ * Get the network mask of a prefix length as unsigned number
+ * @param {number} prefix - Prefix length (0-32)
+ * @returns {number} Network mask
+ */
+function prefixToMask(prefix) {
+    return prefix === 0 ? 0 : (0xffffffff << (32 - prefix)) >>> 0;
+}
 
-        // Parse URL to get IP and port
-        const urlMatch = xaddr.match(/https?:\/\/([^:\/]+):?(\d+)?/);
-        if (!urlMatch) return null;
+/**
+ * Parse one address range
+ * Accepted forms: CIDR ('10.20.0.0/22'), range ('10.0.0.5-10.0.0.50' or '10.0.0.5-50') and single addresses.
+ * The network and broadcast addresses of CIDR blocks up to /30 are left out.
+ * @param {string} value - Range
+ * @returns {{from: number, to: number, label: string}} First and last address (as numbers) and the normalised range
+ * @throws {Error} If the range is invalid
+ */
+function parseRange(value) {
+    const text = String(value).trim();
+
+    const cidr = text.match(/^([\d.]+)\/(\d{1,2})$/);
+    if (cidr) {
+        const ip = ipToInt(cidr[1]);
+        const prefix = Number(cidr[2]);
+        if (ip === null || prefix > 32) {
+            throw new Error(`Invalid CIDR range '${text}'.`);
+        }
+        const network = (ip & prefixToMask(prefix)) >>> 0;
+        const broadcast = (network + 2 ** (32 - prefix) - 1) >>> 0;
+        const hostsOnly = prefix <= 30;
+        return {
+            from: hostsOnly ? network + 1 : network,
+            to: hostsOnly ? broadcast - 1 : broadcast,
+            label: `${intToIp(network)}/${prefix}`
+        };
+    }
 
-        const address = urlMatch[1];
-        const port = urlMatch[2] ? parseInt(urlMatch[2]) : 80;
+    const range = text.match(/^([\d.]+)\s*-\s*([\d.]+)$/);
+    if (range) {
+        const from = ipToInt(range[1]);
+        // '10.0.0.5-50' is short for '10.0.0.5-10.0.0.50'
+        const to = /^\d{1,3}$/.test(range[2])
+            ? ipToInt(`${range[1].split('.').slice(0, 3).join('.')}.${range[2]}`)
+            : ipToInt(range[2]);
+        if (from === null || to === null || from > to) {
+            throw new Error(`Invalid address range '${text}'.`);
+        }
+        return { from, to, label: `${intToIp(from)}-${intToIp(to)}` };
+    }
 
-        // Extract name/model from Scopes
-        const scopesMatch = xmlString.match(/<wsdd:Scopes>(.*?)<\/wsdd:Scopes>/);
-        let name = 'Unknown Camera';
-        let manufacturer = 'Unknown';
+    const ip = ipToInt(text);
+    if (ip === null) {
+        throw new Error(`Invalid address or range '${text}'. Use CIDR notation (e.g. 10.20.0.0/22), a range (e.g. 192.168.1.10-192.168.1.50) or a single address.`);
+    }
+    return { from: ip, to: ip, label: intToIp(ip) };
+}
 
-        if (scopesMatch) {
-            const scopes = scopesMatch[1];
-            const nameMatch = scopes.match(/onvif:\/\/www\.onvif\.org\/name\/([^\s]+)/);
-            const hwMatch = scopes.match(/onvif:\/\/www\.onvif\.org\/hardware\/([^\s]+)/);
+/**
+ * Parse a list of address ranges
+ * Overlapping ranges are merged, so that no address is probed twice.
+ * @param {string|Array<string>} input - Ranges (an array, or a string separated by commas or whitespace)
+ * @returns {{ranges: Array<{from: number, to: number}>, labels: Array<string>, total: number}}
+ *   The merged ranges (sorted), the normalised input ranges and the number of addresses
+ * @throws {Error} If a range is invalid or there are too many addresses
+ */
+function parseRanges(input) {
+    const values = (Array.isArray(input) ? input : [input])
+        .flatMap(value => String(value).replace(/\s*-\s*/g, '-').split(/[,\s]+/))
+        .map(value => value.trim())
+        .filter(value => value !== '');
+    if (values.length === 0) {
+        throw new Error('No address range given.');
+    }
 
-            if (nameMatch) name = decodeURIComponent(nameMatch[1]);
-            if (hwMatch) manufacturer = decodeURIComponent(hwMatch[1]);
+    const parsed = values.map(parseRange).sort((a, b) => a.from - b.from);
+    const ranges = [];
+    for (const { from, to } of parsed) {
+        const last = ranges[ranges.length - 1];
+        if (last && from <= last.to + 1) {
+            last.to = Math.max(last.to, to);
+        } else {
+            ranges.push({ from, to });
         }
+    }
 
-        return {
-            address,
-            port,
-            name,
-            manufacturer,
-            xaddr,
-            hostname: address
-        };
+    const total = ranges.reduce((sum, { from, to }) => sum + (to - from + 1), 0);
+    if (total > MAX_SCAN_ADDRESSES) {
+        throw new Error(`Too many addresses to scan (${total}). At most ${MAX_SCAN_ADDRESSES} addresses (a /20 network) can be scanned at once.`);
+    }
+
+    return { ranges, labels: [...new Set(parsed.map(({ label }) => label))], total };
+}
+
+/**
+ * Check if an IPv4 address is in a private network (10/8, 172.16/12, 192.168/16)
+ * @param {string} ip - IPv4 address
+ * @returns {boolean} True for private addresses
+ */
+function isPrivateAddress(ip) {
+    const value = ipToInt(ip);
+    return value !== null && (
+        (value & prefixToMask(8)) >>> 0 === ipToInt('10.0.0.0') ||
+        (value & prefixToMask(12)) >>> 0 === ipToInt('172.16.0.0') ||
+        (value & prefixToMask(16)) >>> 0 === ipToInt('192.168.0.0')
+    );
+}
+
+/**
+ * List the IPv4 network interfaces that can be used for discovery
+ * @returns {Array<{name: string, address: string, netmask: string, prefix: number, cidr: string}>}
+ *   Interfaces with their address and network (e.g. cidr '10.20.0.0/22')
+ */
+function getNetworkInterfaces() {
+    const result = [];
+    const interfaces = os.networkInterfaces();
+
+    for (const name in interfaces) {
+        // Skip docker interfaces
+        if (name.startsWith('docker')) continue;
+
+        for (const iface of interfaces[name]) {
+            // Skip internal and IPv6 addresses
+            if (iface.internal || iface.family !== 'IPv4') continue;
+
+            const prefix = Number(iface.cidr.split('/')[1]);
+            const network = (ipToInt(iface.address) & prefixToMask(prefix)) >>> 0;
+            result.push({
+                name,
+                address: iface.address,
+                netmask: iface.netmask,
+                prefix,
+                cidr: `${intToIp(network)}/${prefix}`
+            });
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Get the local network to scan
+ * Private networks are preferred. Networks larger than the scan limit are reduced to the
+ * block of that size around the server's own address.
+ * @param {string} [interfaceName] - Only look at this network interface
+ * @returns {{interface: string|null, address: string|null, cidr: string}} The interface, its address and the network
+ */
+function getLocalSubnet(interfaceName) {
+    const interfaces = getNetworkInterfaces().filter(iface => !interfaceName || iface.name === interfaceName);
+    const iface = interfaces.find(candidate => isPrivateAddress(candidate.address)) || interfaces[0];
+
+    if (!iface) {
+        // Default to 192.168.0.x
+        return { interface: null, address: null, cidr: '192.168.0.0/24' };
+    }
+
+    const prefix = Math.max(iface.prefix, 32 - Math.log2(MAX_SCAN_ADDRESSES));
+    const network = (ipToInt(iface.address) & prefixToMask(prefix)) >>> 0;
+    return { interface: iface.name, address: iface.address, cidr: `${intToIp(network)}/${prefix}` };
+}
+
+/**
+ * Resolve the addresses and interface of a scan
+ * @param {Object} [options] - Scan options (see scanSubnet)
+ * @returns {{ranges: Array<{from: number, to: number}>, labels: Array<string>, total: number, networkInterface: Object|null}}
+ * @throws {Error} If a range or the interface is invalid
+ */
+function resolveScanOptions(options = {}) {
+    let networkInterface = null;
+    if (options.interface) {
+        networkInterface = getNetworkInterfaces().find(iface => iface.name === options.interface);
+        if (!networkInterface) {
+            throw new Error(`Network interface '${options.interface}' not found or has no IPv4 address.`);
+        }
+    }
+
+    let input;
+    const hasRanges = Array.isArray(options.ranges) ? options.ranges.length > 0 : !!options.ranges;
+    if (hasRanges) {
+        input = options.ranges;
+    } else if (options.subnet && /^\d{1,3}\.\d{1,3}\.\d{1,3}$/.test(options.subnet)) {
+        // Subnet base with host numbers (e.g. '192.168.0', 1, 254)
+        input = `${options.subnet}.${options.start || 1}-${options.subnet}.${options.end || 254}`;
+    } else if (options.subnet) {
+        input = options.subnet;
+    } else {
+        input = getLocalSubnet(options.interface).cidr;
+    }
+
+    return { ...parseRanges(input), networkInterface };
+}
+
+/**
+ * Get the text of a parsed XML element
+ * @param {*} node - Element parsed by xml2js
+ * @returns {string} Text content ('' if missing)
+ */
+function getText(node) {
+    if (node === undefined || node === null) return '';
+    if (typeof node === 'object') return String(node._ || '').trim();
+    return String(node).trim();
+}
+
+/**
+ * Decode a scope value; malformed escapes are kept as they are
+ * @param {string} value - URI-encoded value
+ * @returns {string} Decoded value
+ */
+function decodeScopeValue(value) {
+    try {
+        return decodeURIComponent(value);
+    } catch (err) {
+        return value;
+    }
+}
+
+/**
+ * Choose the device service address from the XAddrs of a ProbeMatch
+ * An address on the host that answered is preferred, then IPv4 addresses.
+ * @param {Array<string>} xaddrs - Service addresses
+ * @param {string} [responderAddress] - Address the answer came from
+ * @returns {URL|null} The chosen address
+ */
+function chooseXAddr(xaddrs, responderAddress) {
+    const urls = xaddrs
+        .map((xaddr) => {
+            try {
+                return new URL(xaddr);
+            } catch (err) {
+                return null;
+            }
+        })
+        .filter(url => url && (url.protocol === 'http:' || url.protocol === 'https:'));
+
+    return urls.find(url => url.hostname === responderAddress) ||
+        urls.find(url => ipToInt(url.hostname) !== null) ||
+        urls[0] ||
+        null;
+}
+
+/**
+ * Parse ONVIF probe response
+ * A response can contain several ProbeMatch elements, and each of them several XAddrs.
+ * @param {string} xmlString - ProbeMatches message
+ * @param {Object} [options] - Parse options
+ * @param {string} [options.responderAddress] - Address the answer came from (used when XAddrs are missing)
+ * @param {string} [options.messageId] - Message ID of the probe; answers to other probes are ignored
+ * @returns {Promise<Array<Object>>} Devices (address, port, hostname, name, manufacturer, hardware, location, xaddr, xaddrs, types, scopes)
+ */
+async function parseProbeResponse(xmlString, options = {}) {
+    try {
+        const xml = await xml2js.parseStringPromise(xmlString, {
+            explicitArray: false,
+            ignoreAttrs: true,
+            tagNameProcessors: [xml2js.processors.stripPrefix]
+        });
+
+        const envelope = xml && xml.Envelope;
+        const header = (envelope && envelope.Header) || {};
+        const relatesTo = getText(header.RelatesTo);
+        if (options.messageId && relatesTo && relatesTo !== options.messageId) {
+            return [];
+        }
+
+        const probeMatches = envelope && envelope.Body && envelope.Body.ProbeMatches;
+        if (!probeMatches || !probeMatches.ProbeMatch) {
+            return [];
+        }
+        const matches = Array.isArray(probeMatches.ProbeMatch) ? probeMatches.ProbeMatch : [probeMatches.ProbeMatch];
+
+        const devices = [];
+        for (const match of matches) {
+            const xaddrs = getText(match.XAddrs).split(/\s+/).filter(Boolean);
+            const types = getText(match.Types).split(/\s+/).filter(Boolean).map(type => type.replace(/^[^:]*:/, ''));
+            const scopes = getText(match.Scopes).split(/\s+/).filter(Boolean);
+
+            // Devices without (usable) XAddrs are reached on the address that answered
+            const url = chooseXAddr(xaddrs, options.responderAddress);
+            if (!url && !options.responderAddress) continue;
+
+            // Scope values: onvif://www.onvif.org/<key>/<value>
+            const scopeValues = {};
+            for (const scope of scopes) {
+                const scopeMatch = scope.match(/^onvif:\/\/www\.onvif\.org\/([^/]+)\/(.+)$/i);
+                if (scopeMatch && !scopeValues[scopeMatch[1].toLowerCase()]) {
+                    scopeValues[scopeMatch[1].toLowerCase()] = decodeScopeValue(scopeMatch[2]);
+                }
+            }
+
+            const address = url ? url.hostname.replace(/^\[|\]$/g, '') : options.responderAddress;
+            const port = url && url.port ? parseInt(url.port) : (url && url.protocol === 'https:' ? 443 : 80);
+            const hardware = scopeValues.hardware || null;
+
+            devices.push({
+                address,
+                port,
+                hostname: address,
+                name: scopeValues.name || 'Unknown Camera',
+                manufacturer: scopeValues.mfr || scopeValues.manufacturer || hardware || 'Unknown',
+                hardware,
+                location: scopeValues.location || null,
+                xaddr: url ? url.href : null,
+                xaddrs,
+                types,
+                scopes
+            });
+        }
+        return devices;
     } catch (err) {
         console.error('[Discovery] Error parsing response:', err);
-        return null;
+        return [];
     }
 }
 
 /**
  * Probe a single IP address
+ * @returns {Promise<Object|null>} The first device that answered, or null
  */
-async function probeIP(ip, port = 3702, timeout = 2000) {
+async function probeIP(ip, port = DISCOVERY_PORT, timeout = 2000) {
     return new Promise((resolve) => {
         const socket = dgram.createSocket('udp4');
-        const probeMessage = createProbeMessage();
-        const buffer = Buffer.from(probeMessage);
+        const messageId = `urn:uuid:${crypto.randomUUID()}`;
+        const buffer = Buffer.from(createProbeMessage(messageId));
         let resolved = false;
 
         socket.on('message', (msg, rinfo) => {
             if (!resolved) {
                 resolved = true;
-                const device = parseProbeResponse(msg.toString());
                 socket.close();
-                resolve(device);
+                parseProbeResponse(msg.toString(), { responderAddress: rinfo.address, messageId })
+                    .then(devices => resolve(devices[0] || null));
             }
         });
 
@@ -126,69 +418,161 @@ async function probeIP(ip, port = 3702, timeout = 2000) {
 }
 
 /**
- * Get local subnet IP range
+ * Send a WS-Discovery probe to the multicast group and collect all ProbeMatches
+ * The probe is sent twice, because UDP datagrams can get lost.
+ * @param {Object} [options] - Probe options
+ * @param {string} [options.interfaceAddress] - Send on the interface with this address (default: chosen by the OS)
+ * @param {number} [options.timeout=3000] - How long to wait for answers (ms)
+ * @param {Function} [options.onDevice] - Called with each device as soon as it answers
+ * @param {AbortSignal} [options.signal] - Stops waiting for answers when aborted
+ * @returns {Promise<Array>} Devices that answered (one per address)
  */
-function getLocalSubnet() {
-    const interfaces = os.networkInterfaces();
+function multicastProbe(options = {}) {
+    const timeout = options.timeout || MULTICAST_TIMEOUT_MS;
+    const onDevice = options.onDevice || (() => {});
+    const signal = options.signal;
 
-    for (const name in interfaces) {
-        for (const iface of interfaces[name]) {
-            // Skip internal and IPv6 addresses
-            if (iface.internal || iface.family !== 'IPv4') continue;
+    return new Promise((resolve) => {
+        const socket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+        const messageId = `urn:uuid:${crypto.randomUUID()}`;
+        const buffer = Buffer.from(createProbeMessage(messageId));
+        const devices = new Map();
+        const pending = [];
+        const timers = [];
+        let finished = false;
+
+        const finish = () => {
+            if (finished) return;
+            finished = true;
+            timers.forEach(clearTimeout);
+            if (signal) signal.removeEventListener('abort', finish);
+            socket.close();
+            Promise.all(pending).then(() => resolve([...devices.values()]));
+        };
+
+        socket.on('message', (msg, rinfo) => {
+            pending.push(parseProbeResponse(msg.toString(), { responderAddress: rinfo.address, messageId }).then((matches) => {
+                for (const device of matches) {
+                    if (!devices.has(device.address)) {
+                        devices.set(device.address, device);
+                        onDevice(device);
+                    }
+                }
+            }));
+        });
 
-            // Skip docker interfaces
-            if (name.startsWith('docker')) continue;
+        socket.on('error', (err) => {
+            console.error(`[Discovery] Multicast probe on ${options.interfaceAddress || 'default interface'} failed:`, err.message);
+            finish();
+        });
 
-            // Get network address
-            const ip = iface.address;
-            const parts = ip.split('.');
+        if (signal) {
+            if (signal.aborted) return finish();
+            signal.addEventListener('abort', finish);
+        }
 
-            if (parts[0] === '192' && parts[1] === '168') {
-                return {
-                    base: `${parts[0]}.${parts[1]}.${parts[2]}`,
-                    start: 1,
-                    end: 254
-                };
+        socket.bind(0, options.interfaceAddress, () => {
+            if (finished) return;
+            if (options.interfaceAddress) {
+                socket.setMulticastInterface(options.interfaceAddress);
             }
+
+            const send = () => {
+                if (finished) return;
+                socket.send(buffer, 0, buffer.length, DISCOVERY_PORT, MULTICAST_ADDRESS, (err) => {
+                    if (err) {
+                        console.error(`[Discovery] Failed to send multicast probe on ${options.interfaceAddress || 'default interface'}:`, err.message);
+                    }
+                });
+            };
+            send();
+            timers.push(setTimeout(send, 500));
+            timers.push(setTimeout(finish, timeout));
+        });
+    });
+}
+
+/**
+ * Yield the addresses of a list of ranges
+ * @param {Array<{from: number, to: number}>} ranges - Address ranges
+ */
+function* iterateAddresses(ranges) {
+    for (const { from, to } of ranges) {
+        for (let value = from; value <= to; value++) {
+            yield intToIp(value);
         }
     }
-
-    // Default to 192.168.0.x
-    return { base: '192.168.0', start: 1, end: 254 };
 }
 
 /**
- * Scan subnet for ONVIF cameras
+ * Scan for ONVIF cameras
+ * A multicast probe finds the cameras on the local network segment first; then every address
+ * of the ranges is probed by unicast, for cameras that don't answer multicast probes
+ * (or are in other networks). Each camera is reported once.
  * @param {Object} options - Scan options
- * @param {string} options.subnet - Subnet base (e.g., '192.168.0')
- * @param {number} options.start - Start IP (e.g., 1)
- * @param {number} options.end - End IP (e.g., 254)
+ * @param {string|Array<string>} [options.ranges] - Address ranges: CIDR (e.g. '10.20.0.0/22'), ranges
+ *   (e.g. '192.168.1.10-192.168.1.50') or addresses (default: the local network)
+ * @param {string} [options.subnet] - Subnet base (e.g., '192.168.0'), used with start and end if no ranges are given
+ * @param {number} [options.start] - Start IP (e.g., 1)
+ * @param {number} [options.end] - End IP (e.g., 254)
+ * @param {string} [options.interface] - Network interface for the multicast probe and the default network
+ * @param {boolean} [options.multicast=true] - Send a multicast probe before the unicast sweep
  * @param {Function} options.onProgress - Progress callback
- * @returns {Promise<Array>} Array of discovered devices
+ * @param {Function} [options.onDevice] - Called with each device as soon as it answers
+ * @param {AbortSignal} [options.signal] - Stops the scan after the current batch when aborted
+ * @returns {Promise<Array>} Array of discovered devices (found so far, if the scan was aborted)
+ * @throws {Error} If a range or the interface is invalid
  */
 async function scanSubnet(options = {}) {
-    const subnet = options.subnet || getLocalSubnet();
-    const base = typeof subnet === 'string' ? subnet : subnet.base;
-    const start = options.start || subnet.start || 1;
-    const end = options.end || subnet.end || 254;
+    const { ranges, labels, total, networkInterface } = resolveScanOptions(options);
     const onProgress = options.onProgress || (() => {});
+    const onDevice = options.onDevice || (() => {});
+    const signal = options.signal;
 
-    console.log(`[Discovery] Starting subnet scan: ${base}.${start}-${end}`);
+    console.log(`[Discovery] Starting subnet scan: ${labels.join(', ')}`);
 
     const devices = [];
-    const total = end - start + 1;
     let scanned = 0;
 
+    const addDevice = (device, source) => {
+        if (devices.some(d => d.address === device.address)) {
+            return;
+        }
+        console.log(`[Discovery] Found device at ${device.address}:${device.port} (${source})`);
+        const found = { ...device, source };
+        devices.push(found);
+        onDevice(found);
+    };
+
+    if (options.multicast !== false) {
+        const interfaces = networkInterface ? [networkInterface] : getNetworkInterfaces();
+        const probes = interfaces.length > 0 ? interfaces.map(iface => iface.address) : [undefined];
+        await Promise.all(probes.map(interfaceAddress => multicastProbe({
+            interfaceAddress,
+            signal,
+            onDevice: device => addDevice(device, 'multicast')
+        })));
+    }
+
     // Scan in batches to avoid overwhelming the network
     const batchSize = 10;
+    const addresses = iterateAddresses(ranges);
+    let next = addresses.next();
+
+    while (!next.done) {
+        if (signal && signal.aborted) {
+            console.log(`[Discovery] Subnet scan aborted after ${scanned} address(es).`);
+            return devices;
+        }
 
-    for (let i = start; i <= end; i += batchSize) {
         const batch = [];
 
-        for (let j = 0; j < batchSize && (i + j) <= end; j++) {
-            const ip = `${base}.${i + j}`;
+        for (let j = 0; j < batchSize && !next.done; j++, next = addresses.next()) {
+            const ip = next.value;
+            // Already answered the multicast probe
+            const known = devices.some(d => d.address === ip);
             batch.push(
-                probeIP(ip).then((device) => {
+                (known ? Promise.resolve(null) : probeIP(ip)).then((device) => {
                     scanned++;
                     onProgress({
                         scanned,
@@ -199,8 +583,7 @@ async function scanSubnet(options = {}) {
                     });
 
                     if (device) {
-                        console.log(`[Discovery] Found device at ${device.address}:${device.port}`);
-                        devices.push(device);
+                        addDevice(device, 'unicast');
                     }
 
                     return device;
@@ -219,5 +602,10 @@ async function scanSubnet(options = {}) {
 module.exports = {
     scanSubnet,
     probeIP,
+    multicastProbe,
+    parseProbeResponse,
+    parseRanges,
+    resolveScanOptions,
+    getNetworkInterfaces,
     getLocalSubnet
 };
@@ -0,0 +1,102 @@
+const db = require('../db/db');
+
+/**
+ * Convert a database row into the API representation
+ * @param {Object} row - Row from the events table
+ * @returns {Object} Event with data parsed from JSON
+ */
+function formatEvent(row) {
+    return {
+        ...row,
+        data: row.data ? JSON.parse(row.data) : null
+    };
+}
+
+/**
+ * Store a new camera event
+ * @param {Object} event - Event details
+ * @param {number} event.cameraId - Camera ID
+ * @param {string} event.type - Event type (e.g. 'motion')
+ * @param {string} event.source - What produced the event (e.g. 'detector', 'onvif')
+ * @param {string} [event.topic] - Original ONVIF topic, for events reported by the camera
+ * @param {Date} [event.startTime] - When the event started (default: now)
+ * @param {Date} [event.endTime] - When the event ended, for events without a duration
+ * @param {Object} [event.data] - Type-specific details
+ * @returns {Promise<Object>} The stored event
+ */
+async function createEvent({ cameraId, type, source, topic = null, startTime = new Date(), endTime = null, data = null }) {
+    const [row] = await db('events').insert({
+        camera_id: cameraId,
+        type,
+        source,
+        topic,
+        start_time: startTime,
+        end_time: endTime,
+        data: data ? JSON.stringify(data) : null
+    }).returning('*');
+
+    return formatEvent(row);
+}
+
+/**
+ * Mark an event as ended
+ * @param {number} eventId - Event ID
+ * @param {Object} [details] - End details
+ * @param {Date} [details.endTime] - When the event ended (default: now)
+ * @param {Object} [details.data] - Details to merge into the event data
+ * @returns {Promise<Object|null>} The updated event, or null if not found
+ */
+async function endEvent(eventId, { endTime = new Date(), data = null } = {}) {
+    const row = await db('events').where({ id: eventId }).first();
+    if (!row) {
+        return null;
+    }
+
+    const mergedData = data ? { ...(row.data ? JSON.parse(row.data) : {}), ...data } : null;
+    await db('events').where({ id: eventId }).update({
+        end_time: endTime,
+        ...(mergedData ? { data: JSON.stringify(mergedData) } : {}),
+        updated_at: db.fn.now()
+    });
+
+    return formatEvent(await db('events').where({ id: eventId }).first());
+}
+
+/**
+ * List stored events, newest first
+ * @param {Object} [filters] - Filters
+ * @param {number} [filters.cameraId] - Only events of this camera
+ * @param {Array<number>} [filters.cameraIds] - Only events of these cameras
+ * @param {string} [filters.type] - Only events of this type
+ * @param {string} [filters.source] - Only events from this source
+ * @param {Date} [filters.from] - Only events that started at or after this time
+ * @param {Date} [filters.to] - Only events that started at or before this time
+ * @param {number} [filters.afterId] - Only events with a higher ID (for polling the feed)
+ * @param {number} [filters.limit=100] - Maximum number of events
+ * @returns {Promise<Array<Object>>} Events
+ */
+async function listEvents({ cameraId, cameraIds, type, source, from, to, afterId, limit = 100 } = {}) {
+    const query = db('events')
+        .join('cameras', 'events.camera_id', 'cameras.id')
+        .select('events.*', 'cameras.name as camera_name')
+        .orderBy('events.start_time', 'desc')
+        .orderBy('events.id', 'desc')
+        .limit(limit);
+
+    if (cameraId !== undefined) query.where('events.camera_id', cameraId);
+    if (cameraIds) query.whereIn('events.camera_id', cameraIds);
+    if (type) query.where('events.type', type);
+    if (source) query.where('events.source', source);
+    if (from) query.where('events.start_time', '>=', from);
+    if (to) query.where('events.start_time', '<=', to);
+    if (afterId !== undefined) query.where('events.id', '>', afterId);
+
+    const rows = await query;
+    return rows.map(formatEvent);
+}
+
+module.exports = {
+    createEvent,
+    endEvent,
+    listEvents
+};
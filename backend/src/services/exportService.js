@@ -0,0 +1,373 @@
+const fs = require('fs');
+const path = require('path');
+const db = require('../db/db');
+const { publish } = require('./statusService');
+const { createFfmpegJobQueue, removeFile } = require('./ffmpegJobQueue');
+const { toMillis } = require('../utils/time');
+
+// Default time a finished export can be downloaded before its file is deleted
+const DEFAULT_EXPORT_TTL_HOURS = 24;
+
+// Longest time range of one export
+const MAX_EXPORT_RANGE_MS = 24 * 60 * 60 * 1000;
+
+// Interval of the sweep that deletes expired exports
+const SWEEP_INTERVAL_MS = 10 * 60 * 1000;
+
+// Base path for exported clips
+const exportsBasePath = path.join(__dirname, '../../exports');
+if (!fs.existsSync(exportsBasePath)) {
+    fs.mkdirSync(exportsBasePath, { recursive: true });
+}
+const recordingsBasePath = path.join(__dirname, '../../recordings');
+
+// Exports run one at a time, so they don't compete with live recordings for the CPU
+const jobs = createFfmpegJobQueue({ tag: 'export', processJob: processExport });
+
+let sweepTimer = null;
+
+/**
+ * Time a finished export is kept
+ * @returns {number} Time to live in milliseconds
+ */
+function getExportTtl() {
+    const value = process.env.EXPORT_TTL_HOURS;
+    const hours = value === undefined || value === '' ? DEFAULT_EXPORT_TTL_HOURS : Number(value);
+    return (Number.isFinite(hours) && hours > 0 ? hours : DEFAULT_EXPORT_TTL_HOURS) * 60 * 60 * 1000;
+}
+
+/**
+ * Convert a database row into the API representation
+ * @param {Object} row - Row from the exports table (with camera_name)
+ * @returns {Object} Export with times in milliseconds since the epoch
+ */
+function formatExport(row) {
+    return {
+        ...row,
+        start_time: toMillis(row.start_time),
+        end_time: toMillis(row.end_time),
+        created_at: toMillis(row.created_at),
+        finished_at: toMillis(row.finished_at),
+        expires_at: toMillis(row.expires_at),
+        reencoded: !!row.reencoded
+    };
+}
+
+/**
+ * Base query for exports with the name of their camera
+ * @returns {import('knex').Knex.QueryBuilder} Query
+ */
+function exportQuery() {
+    return db('exports')
+        .leftJoin('cameras', 'exports.camera_id', 'cameras.id')
+        .select('exports.*', 'cameras.name as camera_name');
+}
+
+/**
+ * Get the finished recordings of a camera that overlap a time range
+ * Recordings that were merged into another recording are left out; the merged recording covers their time.
+ * @param {number} cameraId - Camera ID
+ * @param {number} from - Start of the range (ms)
+ * @param {number} to - End of the range (ms)
+ * @returns {Promise<Array<Object>>} Recordings, oldest first
+ */
+async function findRecordings(cameraId, from, to) {
+    const rows = await db('recordings')
+        .select('id', 'filename', 'start_time', 'end_time', 'video_codec', 'width', 'height')
+        .where({ camera_id: cameraId, is_finished: true, is_corrupt: false })
+        .whereNull('merged_into')
+        .where('start_time', '<', to)
+        .where('end_time', '>', from)
+        .orderBy('start_time', 'asc');
+    return rows.map(row => ({ ...row, start_time: toMillis(row.start_time), end_time: toMillis(row.end_time) }));
+}
+
+/**
+ * Check whether recordings can be joined without re-encoding: all have the same known codec and resolution
+ * @param {Array<Object>} recordings - Recordings with their metadata
+ * @returns {boolean} True if the video can be copied
+ */
+function canStreamCopy(recordings) {
+    const [first] = recordings;
+    return recordings.every(rec => rec.video_codec && rec.width && rec.height &&
+        rec.video_codec === first.video_codec && rec.width === first.width && rec.height === first.height);
+}
+
+/**
+ * Build the concat demuxer list that cuts the time range out of the recordings
+ * Gaps between recordings are skipped, so the clip is as long as the recorded video in the range.
+ * @param {Array<Object>} recordings - Recordings, oldest first
+ * @param {number} from - Start of the range (ms)
+ * @param {number} to - End of the range (ms)
+ * @returns {{list: string, duration: number}} Contents of the list file and the expected clip length in seconds
+ */
+function buildConcatList(recordings, from, to) {
+    const lines = [];
+    let duration = 0;
+    for (const rec of recordings) {
+        const inpoint = Math.max(from - rec.start_time, 0) / 1000;
+        const outpoint = (Math.min(to, rec.end_time) - rec.start_time) / 1000;
+        // Single quotes in paths are escaped as '\''
+        lines.push(`file '${path.join(recordingsBasePath, rec.filename).replace(/'/g, "'\\''")}'`);
+        if (inpoint > 0) {
+            lines.push(`inpoint ${inpoint.toFixed(3)}`);
+        }
+        if (to < rec.end_time) {
+            lines.push(`outpoint ${outpoint.toFixed(3)}`);
+        }
+        duration += outpoint - inpoint;
+    }
+    return { list: `${lines.join('\n')}\n`, duration };
+}
+
+/**
+ * Mark an export as finished and broadcast the result
+ * @param {Object} exportRow - Export row
+ * @param {Object} changes - Columns to update (status, error, filename, file_size, ...)
+ */
+async function finishExport(exportRow, changes) {
+    await db('exports').where({ id: exportRow.id }).update({ ...changes, finished_at: new Date() });
+    publish('export.finished', { exportId: exportRow.id, cameraId: exportRow.camera_id, userId: exportRow.user_id, status: changes.status, error: changes.error || null });
+}
+
+/**
+ * Cut the time range of an export out of its camera's recordings into one MP4 file
+ * The video is copied when the recordings have the same codec and resolution (cuts then fall on
+ * keyframes); otherwise, or if copying fails, it is re-encoded.
+ * @param {number} exportId - Export ID
+ * @param {Object} job - State of the export in the job queue (cancelled when the export is deleted)
+ */
+async function processExport(exportId, job) {
+    const exportRow = await db('exports').where({ id: exportId }).first();
+    if (!exportRow || exportRow.status !== 'queued') {
+        return;
+    }
+    const from = toMillis(exportRow.start_time);
+    const to = toMillis(exportRow.end_time);
+    const filename = `export_${exportId}_camera_${exportRow.camera_id}_${new Date(from).toISOString().replace(/[:.]/g, '-')}.mp4`;
+    const outputFile = path.join(exportsBasePath, filename);
+    const listFile = path.join(exportsBasePath, `export_${exportId}.txt`);
+
+    await db('exports').where({ id: exportId }).update({ status: 'running', progress: 0 });
+    publish('export.progress', { exportId, cameraId: exportRow.camera_id, userId: exportRow.user_id, progress: 0 });
+    console.log(`[export] Export ${exportId} started: camera ${exportRow.camera_id}, ${new Date(from).toISOString()} - ${new Date(to).toISOString()}`);
+
+    let lastProgress = 0;
+    const onProgress = (progress) => {
+        // Only whole percentages are stored and broadcast
+        const rounded = Math.floor(progress);
+        if (rounded <= lastProgress) return;
+        lastProgress = rounded;
+        db('exports').where({ id: exportId }).update({ progress: rounded })
+            .catch(err => console.error(`[export] Failed to store progress of export ${exportId}:`, err));
+        publish('export.progress', { exportId, cameraId: exportRow.camera_id, userId: exportRow.user_id, progress: rounded });
+    };
+
+    try {
+        // Recordings may have been deleted (retention) while the export was queued
+        const recordings = (await findRecordings(exportRow.camera_id, from, to))
+            .filter(rec => fs.existsSync(path.join(recordingsBasePath, rec.filename)));
+        if (recordings.length === 0) {
+            throw new Error('There are no recordings in the time range any more.');
+        }
+
+        const { list, duration } = buildConcatList(recordings, from, to);
+        await fs.promises.writeFile(listFile, list);
+
+        const inputArgs = ['-hide_banner', '-nostats', '-progress', 'pipe:1', '-f', 'concat', '-safe', '0', '-i', listFile];
+        const outputArgs = ['-movflags', '+faststart', '-f', 'mp4', '-y', outputFile];
+        const copyArgs = [...inputArgs, '-map', '0:v:0', '-map', '0:a?', '-c', 'copy', ...outputArgs];
+        const encodeArgs = [...inputArgs, '-map', '0:v:0', '-map', '0:a?', '-c:v', 'libx264', '-preset', 'veryfast', '-crf', '23', '-c:a', 'aac', ...outputArgs];
+
+        let reencoded = !canStreamCopy(recordings);
+        if (!reencoded) {
+            try {
+                await jobs.runFfmpeg(copyArgs, { duration, onProgress });
+            } catch (err) {
+                if (job.cancelled) throw err;
+                console.warn(`[export] Copying the video of export ${exportId} failed, re-encoding:`, err.message);
+                reencoded = true;
+                lastProgress = 0;
+            }
+        }
+        if (reencoded) {
+            await jobs.runFfmpeg(encodeArgs, { duration, onProgress });
+        }
+        // Deleted after FFmpeg had already finished
+        if (job.cancelled) {
+            throw new Error('Export was cancelled.');
+        }
+
+        const stats = await fs.promises.stat(outputFile);
+        await finishExport(exportRow, {
+            status: 'completed',
+            progress: 100,
+            filename,
+            file_size: stats.size,
+            reencoded,
+            expires_at: new Date(Date.now() + getExportTtl())
+        });
+        console.log(`[export] Export ${exportId} completed: ${filename} (${stats.size} bytes${reencoded ? ', re-encoded' : ''})`);
+    } catch (err) {
+        await removeFile(outputFile, 'export');
+        if (job.cancelled) {
+            // Deleted while running: the row goes once FFmpeg has exited and the partial file is gone
+            await db('exports').where({ id: exportId }).del();
+            publish('export.finished', { exportId, cameraId: exportRow.camera_id, userId: exportRow.user_id, status: 'cancelled', error: null });
+            console.log(`[export] Export ${exportId} cancelled and deleted.`);
+        } else {
+            console.error(`[export] Export ${exportId} failed:`, err.message);
+            await finishExport(exportRow, { status: 'failed', error: err.message });
+        }
+    } finally {
+        await removeFile(listFile, 'export');
+    }
+}
+
+/**
+ * Queue the export of a time range of a camera's recordings
+ * @param {Object} options - Export options
+ * @param {number} options.cameraId - Camera ID
+ * @param {Date} options.from - Start of the range
+ * @param {Date} options.to - End of the range
+ * @param {Object} options.user - User who requested the export
+ * @returns {Promise<Object|null>} The queued export, or null if the camera has no recordings in the range
+ */
+async function createExport({ cameraId, from, to, user }) {
+    const recordings = await findRecordings(cameraId, from.getTime(), to.getTime());
+    if (recordings.length === 0) {
+        return null;
+    }
+
+    const [id] = await db('exports').insert({
+        camera_id: cameraId,
+        user_id: user.id,
+        start_time: from,
+        end_time: to,
+        status: 'queued',
+        created_at: new Date()
+    });
+    jobs.add(id);
+    return getExport(id);
+}
+
+/**
+ * Get an export
+ * @param {number} exportId - Export ID
+ * @returns {Promise<Object|null>} The export, or null if it does not exist
+ */
+async function getExport(exportId) {
+    const row = await exportQuery().where('exports.id', exportId).first();
+    return row ? formatExport(row) : null;
+}
+
+/**
+ * List exports, newest first
+ * @param {Object} [options] - Filters
+ * @param {number} [options.userId] - Only the exports of this user
+ * @returns {Promise<Array<Object>>} Exports
+ */
+async function listExports({ userId } = {}) {
+    const query = exportQuery().orderBy('exports.id', 'desc');
+    if (userId !== undefined) {
+        query.where('exports.user_id', userId);
+    }
+    return (await query).map(formatExport);
+}
+
+/**
+ * Get the path of an export's file
+ * @param {Object} exportRow - Completed export
+ * @returns {string} Absolute path of the MP4 file
+ */
+function getExportFile(exportRow) {
+    return path.join(exportsBasePath, exportRow.filename);
+}
+
+/**
+ * Cancel a queued or running export, or delete a finished one with its file
+ * @param {number} exportId - Export ID
+ * @returns {Promise<boolean>} False if the export does not exist
+ */
+async function deleteExport(exportId) {
+    const exportRow = await db('exports').where({ id: exportId }).first();
+    if (!exportRow) {
+        return false;
+    }
+
+    if (jobs.cancel(exportId) === 'running') {
+        // processExport() deletes the export and its partial file when FFmpeg has exited
+        return true;
+    }
+
+    if (exportRow.filename) {
+        await removeFile(path.join(exportsBasePath, exportRow.filename), 'export');
+    }
+    await db('exports').where({ id: exportId }).del();
+    console.log(`[export] Export ${exportId} deleted.`);
+    return true;
+}
+
+/**
+ * Delete expired exports with their files
+ * @returns {Promise<number>} Number of deleted exports
+ */
+async function deleteExpiredExports() {
+    const expired = await db('exports').where('expires_at', '<=', new Date());
+    for (const exportRow of expired) {
+        if (exportRow.filename) {
+            await removeFile(path.join(exportsBasePath, exportRow.filename), 'export');
+        }
+        await db('exports').where({ id: exportRow.id }).del();
+    }
+    if (expired.length > 0) {
+        console.log(`[export] Deleted ${expired.length} expired export(s).`);
+    }
+    return expired.length;
+}
+
+/**
+ * Start the export service: exports that were interrupted by a restart are marked as failed,
+ * files without an export are removed, and expired exports are deleted periodically
+ */
+async function startExportService() {
+    if (sweepTimer) return;
+
+    const interrupted = await db('exports').whereIn('status', ['queued', 'running'])
+        .update({ status: 'failed', error: 'The server was restarted during the export.', finished_at: new Date() });
+    if (interrupted > 0) {
+        console.log(`[export] Marked ${interrupted} interrupted export(s) as failed.`);
+    }
+
+    const filenames = new Set((await db('exports').whereNotNull('filename').select('filename')).map(row => row.filename));
+    for (const file of await fs.promises.readdir(exportsBasePath)) {
+        if (!filenames.has(file)) {
+            await removeFile(path.join(exportsBasePath, file), 'export');
+        }
+    }
+
+    const run = () => deleteExpiredExports().catch(err => console.error('[export] Failed to delete expired exports:', err));
+    run();
+    sweepTimer = setInterval(run, SWEEP_INTERVAL_MS);
+}
+
+/**
+ * Stop the export service on shutdown; a running export is aborted and marked as failed at the next start
+ */
+function stopExports() {
+    clearInterval(sweepTimer);
+    jobs.stop();
+}
+
+module.exports = {
+    MAX_EXPORT_RANGE_MS,
+    findRecordings,
+    buildConcatList,
+    createExport,
+    getExport,
+    listExports,
+    getExportFile,
+    deleteExport,
+    startExportService,
+    stopExports
+};
@@ -0,0 +1,160 @@
+const { spawn } = require('child_process');
+const fs = require('fs');
+const readline = require('readline');
+
+/**
+ * Delete a file if it exists
+ * @param {string} file - Path of the file
+ * @param {string} tag - Log tag of the caller, e.g. 'export'
+ */
+async function removeFile(file, tag) {
+    await fs.promises.unlink(file).catch(err => {
+        if (err.code !== 'ENOENT') {
+            console.error(`[${tag}] Failed to delete ${file}:`, err);
+        }
+    });
+}
+
+/**
+ * Create a queue of FFmpeg jobs (exports, timelapses, ...) that runs one job at a time, so that
+ * background encoding doesn't compete with live recordings for the CPU
+ *
+ * A job is identified by an ID (e.g. the export ID). While it is processed, its state is
+ * { id, process: ChildProcess|null, cancelled: boolean }; cancel() kills its FFmpeg process,
+ * after which processJob() sees job.cancelled and cleans up.
+ * @param {Object} options - Queue options
+ * @param {string} options.tag - Log tag, e.g. 'export'
+ * @param {function(number, Object): Promise<void>} options.processJob - Processes a job, given its ID and state
+ * @returns {Object} The queue
+ */
+function createFfmpegJobQueue({ tag, processJob }) {
+    // IDs of queued jobs, oldest first
+    const queue = [];
+
+    // The job being processed
+    let current = null;
+
+    // Set by stop() when the server shuts down: no further jobs are started
+    let stopped = false;
+
+    /**
+     * Start the next queued job if none is running
+     */
+    function runQueue() {
+        if (current || stopped || queue.length === 0) {
+            return;
+        }
+        const id = queue.shift();
+        current = { id, process: null, cancelled: false };
+        processJob(id, current)
+            .catch(err => console.error(`[${tag}] Error while processing job ${id}:`, err))
+            .finally(() => {
+                current = null;
+                runQueue();
+            });
+    }
+
+    /**
+     * Queue a job; a job that is already queued or running is not queued again
+     * @param {number} id - Job ID
+     */
+    function add(id) {
+        if (has(id)) {
+            return;
+        }
+        queue.push(id);
+        runQueue();
+    }
+
+    /**
+     * Check whether a job is queued or running
+     * @param {number} id - Job ID
+     * @returns {boolean} True if the job is queued or running
+     */
+    function has(id) {
+        return queue.includes(id) || (current !== null && current.id === id);
+    }
+
+    /**
+     * Cancel a job: a queued job is removed, the FFmpeg process of a running job is killed
+     * @param {number} id - Job ID
+     * @returns {'queued'|'running'|null} Where the job was, or null if it is neither queued nor running
+     */
+    function cancel(id) {
+        const queued = queue.indexOf(id);
+        if (queued !== -1) {
+            queue.splice(queued, 1);
+            return 'queued';
+        }
+        if (current && current.id === id) {
+            current.cancelled = true;
+            if (current.process) {
+                current.process.kill('SIGKILL');
+            }
+            return 'running';
+        }
+        return null;
+    }
+
+    /**
+     * Run FFmpeg for the running job and report its progress
+     * Progress is read from '-progress pipe:1' output, if the arguments ask for it.
+     * @param {Array<string>} ffmpegArgs - FFmpeg arguments
+     * @param {Object} [progress] - Progress reporting
+     * @param {number} [progress.duration] - Expected length of the output in seconds
+     * @param {function(number): void} [progress.onProgress] - Called with the percentage done
+     * @returns {Promise<number>} Number of encoded frames (0 if unknown); rejects if FFmpeg fails or the job is cancelled
+     */
+    function runFfmpeg(ffmpegArgs, { duration = 0, onProgress } = {}) {
+        const job = current;
+        return new Promise((resolve, reject) => {
+            const ffmpegProcess = spawn('ffmpeg', ffmpegArgs);
+            job.process = ffmpegProcess;
+
+            let stderr = '';
+            ffmpegProcess.stderr.on('data', (data) => {
+                stderr = (stderr + data.toString()).slice(-2000);
+            });
+
+            // -progress writes key=value lines; out_time_us is the position in the output, frame the frames encoded so far
+            let frames = 0;
+            readline.createInterface({ input: ffmpegProcess.stdout }).on('line', (line) => {
+                const [key, value] = line.split('=');
+                if (key === 'frame') {
+                    frames = Number(value) || frames;
+                } else if (key === 'out_time_us' && duration > 0 && onProgress) {
+                    const seconds = Number(value) / 1e6;
+                    if (Number.isFinite(seconds)) {
+                        onProgress(Math.min(Math.max(seconds / duration, 0), 1) * 100);
+                    }
+                }
+            });
+
+            ffmpegProcess.on('error', reject);
+            ffmpegProcess.on('close', (code) => {
+                job.process = null;
+                if (job.cancelled) {
+                    reject(new Error(`The ${tag} was cancelled.`));
+                } else if (code === 0) {
+                    resolve(frames);
+                } else {
+                    reject(new Error(`FFmpeg exited with code ${code}: ${stderr.trim().slice(-500)}`));
+                }
+            });
+        });
+    }
+
+    /**
+     * Stop the queue on shutdown: no further jobs are started and a running FFmpeg process is killed
+     */
+    function stop() {
+        stopped = true;
+        if (current && current.process) {
+            current.process.kill('SIGKILL');
+        }
+    }
+
+    return { add, has, cancel, runFfmpeg, stop };
+}
+
+module.exports = { createFfmpegJobQueue, removeFile };
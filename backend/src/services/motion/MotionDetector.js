@@ -0,0 +1,171 @@
+const { spawn } = require('child_process');
+const EventEmitter = require('events');
+const readline = require('readline');
+const { maskCredentials } = require('../credentialService');
+
+// Analysis resolution and frame rate; motion is detected on this low-res copy only
+const ANALYSIS_WIDTH = 320;
+const ANALYSIS_ZONE_SIZE = { width: 160, height: 120 };
+const DEFAULT_FPS = 5;
+
+/**
+ * CPU motion detector based on FFmpeg's scene change score (frame differencing)
+ *
+ * FFmpeg decodes the input, reduces it to a few low-res frames per second (optionally
+ * only the configured zones) and prints a scene score between 0 and 1 for each frame.
+ * A score above the sensitivity threshold counts as motion.
+ *
+ * Events:
+ * - 'motionstart' ({ time: Date, score: number })
+ * - 'motionend' ({ startTime: Date, endTime: Date, peakScore: number })
+ * - 'exit' (code: number|null) when FFmpeg exits
+ */
+class MotionDetector extends EventEmitter {
+  /**
+   * @param {Object} options - Detector options
+   * @param {number} options.cameraId - Camera ID (for logging)
+   * @param {Array<string>} options.inputArgs - FFmpeg input arguments (RTSP URL, file or lavfi testsrc)
+   * @param {number} [options.sensitivity=50] - 1 (least) to 100 (most sensitive)
+   * @param {Array<{x: number, y: number, width: number, height: number}>} [options.zones] - Detection zones in fractions of the frame; empty = whole frame
+   * @param {number} [options.holdSeconds=10] - Seconds without motion before the motion ends
+   * @param {number} [options.fps=5] - Analysed frames per second
+   */
+  constructor({ cameraId, inputArgs, sensitivity = 50, zones = [], holdSeconds = 10, fps = DEFAULT_FPS }) {
+    super();
+    this.cameraId = cameraId;
+    this.inputArgs = inputArgs;
+    this.threshold = MotionDetector.getThreshold(sensitivity);
+    this.zones = zones || [];
+    this.holdMs = holdSeconds * 1000;
+    this.fps = fps;
+
+    this.process = null;
+    this.motion = null; // { startTime, lastMotionAt, peakScore } while motion is active
+    this.holdTimer = null;
+  }
+
+  /**
+   * Convert a sensitivity (1-100) into a scene score threshold
+   * @param {number} sensitivity - Sensitivity value
+   * @returns {number} Threshold between ~0.001 (most sensitive) and ~0.1 (least sensitive)
+   */
+  static getThreshold(sensitivity) {
+    const clamped = Math.min(100, Math.max(1, sensitivity));
+    return 0.001 + 0.1 * Math.pow(1 - clamped / 100, 2);
+  }
+
+  /**
+   * Build the FFmpeg filter graph: low fps, low-res, zones cropped and placed side by side
+   * @returns {string} Filter graph for -filter_complex with output label [out]
+   */
+  buildFilterGraph() {
+    const score = "select='gte(scene,0)',metadata=print:key=lavfi.scene_score";
+    const base = `[0:v]fps=${this.fps}`;
+
+    if (this.zones.length === 0) {
+      return `${base},scale=${ANALYSIS_WIDTH}:-2,${score}[out]`;
+    }
+
+    const { width, height } = ANALYSIS_ZONE_SIZE;
+    const labels = this.zones.map((_, index) => `[z${index}]`);
+    const crops = this.zones.map((zone, index) =>
+      `[s${index}]crop=iw*${zone.width}:ih*${zone.height}:iw*${zone.x}:ih*${zone.y},scale=${width}:${height}${labels[index]}`
+    );
+    const split = this.zones.length > 1
+      ? `${base},split=${this.zones.length}${this.zones.map((_, index) => `[s${index}]`).join('')}`
+      : `${base}[s0]`;
+    const stack = this.zones.length > 1
+      ? `${labels.join('')}hstack=inputs=${this.zones.length},${score}[out]`
+      : `${labels[0]}${score}[out]`;
+
+    return [split, ...crops, stack].join(';');
+  }
+
+  /**
+   * Start the FFmpeg analysis process
+   */
+  start() {
+    const ffmpegArgs = [
+      ...this.inputArgs,
+      '-an',
+      '-filter_complex', this.buildFilterGraph(),
+      '-map', '[out]',
+      '-f', 'null', '-'
+    ];
+
+    console.log(`[motion] Starting detector for camera ${this.cameraId} (threshold ${this.threshold.toFixed(4)}):`, 'ffmpeg', maskCredentials(ffmpegArgs.join(' ')));
+    this.process = spawn('ffmpeg', ffmpegArgs);
+
+    // metadata=print logs one "lavfi.scene_score=<value>" line per analysed frame to stderr
+    const lines = readline.createInterface({ input: this.process.stderr });
+    lines.on('line', (line) => {
+      const match = line.match(/lavfi\.scene_score=([\d.]+)/);
+      if (match) {
+        this.handleScore(parseFloat(match[1]));
+      } else if (line.includes('error') || line.includes('Error')) {
+        console.error(`[motion] FFmpeg (cam-${this.cameraId}): ${line}`);
+      }
+    });
+
+    this.process.on('error', (err) => {
+      console.error(`[motion] Failed to start detector for camera ${this.cameraId}:`, err.message);
+    });
+
+    this.process.on('close', (code) => {
+      this.process = null;
+      this.endMotion();
+      this.emit('exit', code);
+    });
+  }
+
+  /**
+   * Stop the analysis process; an active motion is ended immediately
+   */
+  stop() {
+    if (this.process) {
+      this.process.kill('SIGINT');
+    }
+    this.endMotion();
+  }
+
+  /**
+   * Handle one scene score
+   * @param {number} score - Scene change score (0-1)
+   */
+  handleScore(score) {
+    if (score < this.threshold) {
+      return;
+    }
+
+    const now = new Date();
+    if (!this.motion) {
+      this.motion = { startTime: now, lastMotionAt: now, peakScore: score };
+      this.emit('motionstart', { time: now, score });
+    } else {
+      this.motion.lastMotionAt = now;
+      this.motion.peakScore = Math.max(this.motion.peakScore, score);
+    }
+
+    // Motion ends after holdSeconds without a score above the threshold
+    clearTimeout(this.holdTimer);
+    this.holdTimer = setTimeout(() => this.endMotion(), this.holdMs);
+  }
+
+  /**
+   * End the active motion, if any
+   */
+  endMotion() {
+    clearTimeout(this.holdTimer);
+    this.holdTimer = null;
+
+    if (!this.motion) {
+      return;
+    }
+
+    const { startTime, lastMotionAt, peakScore } = this.motion;
+    this.motion = null;
+    this.emit('motionend', { startTime, endTime: lastMotionAt, peakScore });
+  }
+}
+
+module.exports = MotionDetector;
@@ -0,0 +1,255 @@
+const db = require('../db/db');
+const MotionDetector = require('./motion/MotionDetector');
+const { getStreamStrategy } = require('./streamService');
+const { startRecording, stopRecording, isRecording } = require('./recordingService');
+const { createEvent, endEvent } = require('./eventService');
+
+// Delay before a crashed detector is started again
+const RESTART_DELAY_MS = 10 * 1000;
+
+const DEFAULT_SETTINGS = {
+    enabled: false,
+    sensitivity: 50,
+    zones: [],
+    record_on_motion: false,
+    hold_seconds: 10
+};
+
+// In-memory store for running detectors: Map<cameraId, { detector, eventId, startedRecording, restartTimer, stopping }>
+const activeDetectors = new Map();
+
+/**
+ * Convert a database row into the API representation
+ * @param {number} cameraId - Camera ID
+ * @param {Object|undefined} row - Row from motion_settings
+ * @returns {Object} Settings with defaults applied and zones parsed from JSON
+ */
+function formatSettings(cameraId, row) {
+    if (!row) {
+        return { camera_id: cameraId, ...DEFAULT_SETTINGS };
+    }
+    return {
+        camera_id: cameraId,
+        enabled: !!row.enabled,
+        sensitivity: row.sensitivity,
+        zones: row.zones ? JSON.parse(row.zones) : [],
+        record_on_motion: !!row.record_on_motion,
+        hold_seconds: row.hold_seconds
+    };
+}
+
+/**
+ * Get the motion detection settings of a camera
+ * @param {number} cameraId - Camera ID
+ * @returns {Promise<Object>} Settings (defaults if none are stored)
+ */
+async function getMotionSettings(cameraId) {
+    const row = await db('motion_settings').where({ camera_id: cameraId }).first();
+    return formatSettings(cameraId, row);
+}
+
+/**
+ * Update the motion detection settings of a camera and (re)start or stop its detector
+ * @param {number} cameraId - Camera ID
+ * @param {Object} changes - Settings to change (enabled, sensitivity, zones, record_on_motion, hold_seconds)
+ * @returns {Promise<Object>} The updated settings
+ */
+async function updateMotionSettings(cameraId, changes) {
+    const values = { ...changes };
+    if (values.zones !== undefined) {
+        values.zones = values.zones && values.zones.length > 0 ? JSON.stringify(values.zones) : null;
+    }
+
+    const existing = await db('motion_settings').where({ camera_id: cameraId }).first();
+    if (existing) {
+        await db('motion_settings').where({ camera_id: cameraId }).update({ ...values, updated_at: db.fn.now() });
+    } else {
+        await db('motion_settings').insert({ camera_id: cameraId, ...values });
+    }
+
+    const settings = await getMotionSettings(cameraId);
+
+    // Apply the new settings by restarting the detector
+    await stopDetector(cameraId);
+    if (settings.enabled) {
+        await startDetector(cameraId);
+    }
+
+    return settings;
+}
+
+/**
+ * Handle the start of a motion: store an event and optionally start a recording
+ * @param {number} cameraId - Camera ID
+ * @param {Object} settings - Motion settings
+ * @param {{time: Date, score: number}} motion - Motion details
+ */
+async function handleMotionStart(cameraId, settings, motion) {
+    const entry = activeDetectors.get(cameraId);
+    console.log(`[motion] Motion detected on camera ${cameraId} (score ${motion.score.toFixed(4)})`);
+
+    try {
+        const event = await createEvent({
+            cameraId,
+            type: 'motion',
+            source: 'detector',
+            startTime: motion.time,
+            data: { score: motion.score }
+        });
+        if (entry) entry.eventId = event.id;
+    } catch (err) {
+        console.error(`[motion] Failed to store motion event for camera ${cameraId}:`, err);
+    }
+
+    if (settings.record_on_motion && !isRecording(cameraId)) {
+        // Set before the start is awaited, so that a motion ending meanwhile still stops the recording
+        if (entry) entry.startedRecording = true;
+        try {
+            await startRecording(cameraId);
+        } catch (err) {
+            if (entry) entry.startedRecording = false;
+            console.error(`[motion] Failed to start motion recording for camera ${cameraId}:`, err.message);
+        }
+    }
+}
+
+/**
+ * Handle the end of a motion (after the hold time): close the event and stop the recording it started
+ * @param {number} cameraId - Camera ID
+ * @param {{startTime: Date, endTime: Date, peakScore: number}} motion - Motion details
+ */
+async function handleMotionEnd(cameraId, motion) {
+    const entry = activeDetectors.get(cameraId);
+    console.log(`[motion] Motion ended on camera ${cameraId}`);
+
+    if (entry?.eventId) {
+        const eventId = entry.eventId;
+        entry.eventId = null;
+        try {
+            await endEvent(eventId, { endTime: motion.endTime, data: { peak_score: motion.peakScore } });
+        } catch (err) {
+            console.error(`[motion] Failed to update motion event ${eventId}:`, err);
+        }
+    }
+
+    if (entry?.startedRecording) {
+        entry.startedRecording = false;
+        if (isRecording(cameraId)) {
+            stopRecording(cameraId).catch(err => {
+                console.error(`[motion] Failed to stop motion recording for camera ${cameraId}:`, err.message);
+            });
+        }
+    }
+}
+
+/**
+ * Start the motion detector of a camera
+ * @param {number} cameraId - Camera ID
+ * @returns {Promise<void>}
+ */
+async function startDetector(cameraId) {
+    if (activeDetectors.has(cameraId)) {
+        return;
+    }
+
+    const camera = await db('cameras').where({ id: cameraId }).first();
+    if (!camera) {
+        throw new Error(`Camera with ID ${cameraId} not found.`);
+    }
+    const settings = await getMotionSettings(cameraId);
+
+    // The detector opens its own connection to the camera
+    const inputUrl = await getStreamStrategy(camera).getInputUrl(camera);
+
+    const detector = new MotionDetector({
+        cameraId,
+        inputArgs: ['-rtsp_transport', 'tcp', '-i', inputUrl],
+        sensitivity: settings.sensitivity,
+        zones: settings.zones,
+        holdSeconds: settings.hold_seconds
+    });
+
+    const entry = { detector, eventId: null, startedRecording: false, restartTimer: null, stopping: false };
+    activeDetectors.set(cameraId, entry);
+
+    detector.on('motionstart', (motion) => handleMotionStart(cameraId, settings, motion));
+    detector.on('motionend', (motion) => handleMotionEnd(cameraId, motion));
+    detector.on('exit', (code) => {
+        console.log(`[motion] Detector for camera ${cameraId} exited with code ${code}`);
+        if (entry.stopping) {
+            return;
+        }
+
+        // Unexpected exit (camera offline, network error): try again later
+        entry.restartTimer = setTimeout(() => {
+            activeDetectors.delete(cameraId);
+            startDetector(cameraId).catch(err => {
+                console.error(`[motion] Failed to restart detector for camera ${cameraId}:`, err.message);
+            });
+        }, RESTART_DELAY_MS);
+    });
+
+    detector.start();
+}
+
+/**
+ * Stop the motion detector of a camera
+ * @param {number} cameraId - Camera ID
+ * @returns {Promise<void>} Resolves after the motion in progress (if any) has been closed
+ */
+async function stopDetector(cameraId) {
+    const entry = activeDetectors.get(cameraId);
+    if (!entry) {
+        return;
+    }
+
+    entry.stopping = true;
+    clearTimeout(entry.restartTimer);
+    entry.detector.stop();
+    // Give the motionend handler a chance to close the event before the entry is removed
+    await new Promise(resolve => setImmediate(resolve));
+    activeDetectors.delete(cameraId);
+}
+
+/**
+ * Check if motion detection is running for a camera
+ * @param {number} cameraId - Camera ID
+ * @returns {boolean} True if a detector is running
+ */
+function isDetecting(cameraId) {
+    const entry = activeDetectors.get(cameraId);
+    return !!entry && !!entry.detector.process;
+}
+
+/**
+ * Start the detectors of all cameras with motion detection enabled
+ * @returns {Promise<void>}
+ */
+async function startMotionDetection() {
+    const rows = await db('motion_settings').where({ enabled: true });
+    for (const row of rows) {
+        try {
+            await startDetector(row.camera_id);
+        } catch (err) {
+            console.error(`[motion] Failed to start detector for camera ${row.camera_id}:`, err.message);
+        }
+    }
+}
+
+/**
+ * Stop all detectors (when the server shuts down)
+ * @returns {Promise<void>} Resolves after the motions in progress have been closed
+ */
+async function stopMotionDetection() {
+    await Promise.all(Array.from(activeDetectors.keys(), cameraId => stopDetector(cameraId)));
+}
+
+module.exports = {
+    getMotionSettings,
+    updateMotionSettings,
+    startDetector,
+    stopDetector,
+    isDetecting,
+    startMotionDetection,
+    stopMotionDetection
+};
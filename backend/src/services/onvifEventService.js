@@ -0,0 +1,327 @@
+const { Cam } = require('onvif');
+const db = require('../db/db');
+const { createEvent, endEvent } = require('./eventService');
+const { decryptPassword } = require('./credentialService');
+
+// Delay before a failed subscription is created again; doubles on every failure up to the maximum
+const RETRY_DELAY_MS = 10 * 1000;
+const MAX_RETRY_DELAY_MS = 5 * 60 * 1000;
+
+// Maximum number of messages returned by a single PullMessages request
+const MESSAGE_LIMIT = 10;
+
+// Event types for known ONVIF topics (after namespace prefixes have been removed)
+const TOPIC_TYPES = [
+    { prefix: 'RuleEngine/CellMotionDetector/Motion', type: 'motion' },
+    { prefix: 'RuleEngine/MotionRegionDetector/Motion', type: 'motion' },
+    { prefix: 'VideoSource/MotionAlarm', type: 'motion' },
+    { prefix: 'VideoSource/GlobalSceneChange', type: 'tampering' },
+    { prefix: 'RuleEngine/TamperDetector', type: 'tampering' },
+    { prefix: 'VideoSource/ImageTooBlurry', type: 'tampering' },
+    { prefix: 'VideoSource/ImageTooDark', type: 'tampering' },
+    { prefix: 'VideoSource/ImageTooBright', type: 'tampering' },
+    { prefix: 'Device/Trigger/DigitalInput', type: 'digital_input' },
+    { prefix: 'Device/IO/DigitalInput', type: 'digital_input' }
+];
+
+// In-memory store for subscriptions: Map<cameraId, { cam, openEvents, retryTimer, retryDelay, stopping }>
+const activeSubscriptions = new Map();
+
+/**
+ * Remove the namespace prefixes from an ONVIF topic
+ * e.g. 'tns1:RuleEngine/CellMotionDetector/Motion' -> 'RuleEngine/CellMotionDetector/Motion'
+ * @param {string} topic - Topic as reported by the camera
+ * @returns {string} Normalised topic
+ */
+function normaliseTopic(topic) {
+    return String(topic)
+        .trim()
+        .split('/')
+        .map(part => part.replace(/^[^:]*:/, ''))
+        .filter(part => part !== '')
+        .join('/');
+}
+
+/**
+ * Map a normalised ONVIF topic to an event type
+ * @param {string} topic - Normalised topic
+ * @returns {string} 'motion', 'tampering', 'digital_input' or 'onvif' for other topics
+ */
+function getEventType(topic) {
+    const match = TOPIC_TYPES.find(({ prefix }) => topic.startsWith(prefix));
+    return match ? match.type : 'onvif';
+}
+
+/**
+ * Convert the SimpleItem list of a message source or data element into an object
+ * @param {Object} [element] - Parsed source or data element
+ * @returns {Object} Item values by name
+ */
+function getSimpleItems(element) {
+    const items = {};
+    if (!element || !element.simpleItem) {
+        return items;
+    }
+    const list = Array.isArray(element.simpleItem) ? element.simpleItem : [element.simpleItem];
+    for (const item of list) {
+        if (item && item.$) {
+            items[item.$.Name] = item.$.Value;
+        }
+    }
+    return items;
+}
+
+/**
+ * Wrap a callback-style Cam method in a promise
+ * @param {Cam} cam - Connected camera
+ * @param {string} method - Method name
+ * @param {...*} args - Arguments before the callback
+ * @returns {Promise<*>} The method's response data
+ */
+function callCam(cam, method, ...args) {
+    return new Promise((resolve, reject) => {
+        cam[method](...args, (err, data) => (err ? reject(err) : resolve(data)));
+    });
+}
+
+/**
+ * Connect to an ONVIF camera
+ * @param {Object} camera - Camera from the database
+ * @returns {Promise<Cam>} The connected camera
+ */
+function connectCamera(camera) {
+    const camOptions = {
+        hostname: camera.host,
+        username: camera.user,
+        password: decryptPassword(camera.pass),
+        port: camera.port || 80,
+        timeout: 10000
+    };
+
+    if (camera.xaddr) {
+        camOptions.xaddr = camera.xaddr;
+    }
+
+    return new Promise((resolve, reject) => {
+        const cam = new Cam(camOptions, function(err) {
+            if (err) {
+                return reject(new Error(`Failed to connect to camera: ${err.message}`));
+            }
+            resolve(this);
+        });
+    });
+}
+
+/**
+ * Store a notification message as an event
+ * Messages with a boolean state (IsMotion, State, ...) open an event when the state becomes true
+ * and close it when it becomes false; other messages are stored as events without a duration.
+ * @param {number} cameraId - Camera ID
+ * @param {Object} entry - Subscription entry
+ * @param {Object} message - Parsed NotificationMessage
+ */
+async function handleMessage(cameraId, entry, message) {
+    const rawTopic = message.topic && typeof message.topic === 'object' ? message.topic._ : message.topic;
+    if (!rawTopic) {
+        return;
+    }
+
+    const topic = normaliseTopic(rawTopic);
+    const type = getEventType(topic);
+    const body = (message.message && message.message.message) || {};
+    const attributes = body.$ || {};
+    const source = getSimpleItems(body.source);
+    const data = getSimpleItems(body.data);
+
+    const utcTime = attributes.UtcTime ? new Date(attributes.UtcTime) : null;
+    const time = utcTime && !isNaN(utcTime.getTime()) ? utcTime : new Date();
+    const state = Object.values(data).find(value => typeof value === 'boolean');
+
+    // The same topic can be reported for several sources (video sources, inputs, rules)
+    const key = `${topic}|${JSON.stringify(source)}`;
+    const openEventId = entry.openEvents.get(key);
+
+    if (state === undefined) {
+        await createEvent({
+            cameraId,
+            type,
+            source: 'onvif',
+            topic,
+            startTime: time,
+            endTime: time,
+            data: { source, data, operation: attributes.PropertyOperation || null }
+        });
+    } else if (state && !openEventId) {
+        const event = await createEvent({
+            cameraId,
+            type,
+            source: 'onvif',
+            topic,
+            startTime: time,
+            data: { source, data, operation: attributes.PropertyOperation || null }
+        });
+        entry.openEvents.set(key, event.id);
+        console.log(`[onvif-events] ${topic} started on camera ${cameraId}`);
+    } else if (!state && openEventId) {
+        entry.openEvents.delete(key);
+        await endEvent(openEventId, { endTime: time });
+        console.log(`[onvif-events] ${topic} ended on camera ${cameraId}`);
+    }
+}
+
+/**
+ * Close the events that are still open for a subscription
+ * @param {Object} entry - Subscription entry
+ */
+async function closeOpenEvents(entry) {
+    const eventIds = [...entry.openEvents.values()];
+    entry.openEvents.clear();
+    for (const eventId of eventIds) {
+        try {
+            await endEvent(eventId);
+        } catch (err) {
+            console.error(`[onvif-events] Failed to close event ${eventId}:`, err);
+        }
+    }
+}
+
+/**
+ * Create a PullPoint subscription and pull messages until the subscription is stopped or fails
+ * The subscription is renewed after every pull so that it does not expire.
+ * @param {number} cameraId - Camera ID
+ * @param {Object} entry - Subscription entry
+ */
+async function runSubscription(cameraId, entry) {
+    const camera = await db('cameras').where({ id: cameraId }).first();
+    if (!camera) {
+        throw new Error(`Camera with ID ${cameraId} not found.`);
+    }
+
+    entry.cam = await connectCamera(camera);
+    if (entry.stopping) {
+        return;
+    }
+
+    await callCam(entry.cam, 'createPullPointSubscription');
+    console.log(`[onvif-events] Subscribed to events of camera ${cameraId}`);
+    entry.retryDelay = RETRY_DELAY_MS;
+
+    while (!entry.stopping) {
+        // PullMessages waits up to one minute for new messages
+        const response = await callCam(entry.cam, 'pullMessages', { messageLimit: MESSAGE_LIMIT });
+        if (entry.stopping) {
+            break;
+        }
+        if (response && response.notificationMessage) {
+            const messages = Array.isArray(response.notificationMessage)
+                ? response.notificationMessage
+                : [response.notificationMessage];
+            for (const message of messages) {
+                try {
+                    await handleMessage(cameraId, entry, message);
+                } catch (err) {
+                    console.error(`[onvif-events] Failed to store event for camera ${cameraId}:`, err);
+                }
+            }
+        }
+
+        await callCam(entry.cam, 'renew', {});
+    }
+
+    // Stopped while a request was in progress
+    await unsubscribe(entry);
+}
+
+/**
+ * Release the PullPoint subscription on the camera (errors are ignored)
+ * @param {Object} entry - Subscription entry
+ * @returns {Promise<void>}
+ */
+async function unsubscribe(entry) {
+    if (!entry.cam || !entry.cam.events || !entry.cam.events.subscription) {
+        return;
+    }
+    try {
+        await callCam(entry.cam, 'unsubscribe');
+    } catch (err) {
+        // The subscription may already have expired on the camera
+    }
+}
+
+/**
+ * Start the event subscription of an ONVIF camera
+ * @param {number} cameraId - Camera ID
+ */
+function startSubscription(cameraId) {
+    if (activeSubscriptions.has(cameraId)) {
+        return;
+    }
+
+    const entry = { cam: null, openEvents: new Map(), retryTimer: null, retryDelay: RETRY_DELAY_MS, stopping: false };
+    activeSubscriptions.set(cameraId, entry);
+
+    const run = () => {
+        entry.retryTimer = null;
+        runSubscription(cameraId, entry)
+            .catch(async (err) => {
+                if (entry.stopping) {
+                    return;
+                }
+                console.error(`[onvif-events] Subscription for camera ${cameraId} failed: ${err.message}. Retrying in ${entry.retryDelay / 1000}s`);
+                await unsubscribe(entry);
+                entry.retryTimer = setTimeout(run, entry.retryDelay);
+                entry.retryDelay = Math.min(entry.retryDelay * 2, MAX_RETRY_DELAY_MS);
+            });
+    };
+    run();
+}
+
+/**
+ * Stop the event subscription of a camera and close its open events
+ * @param {number} cameraId - Camera ID
+ * @returns {Promise<void>}
+ */
+async function stopSubscription(cameraId) {
+    const entry = activeSubscriptions.get(cameraId);
+    if (!entry) {
+        return;
+    }
+
+    entry.stopping = true;
+    clearTimeout(entry.retryTimer);
+    activeSubscriptions.delete(cameraId);
+
+    await unsubscribe(entry);
+    await closeOpenEvents(entry);
+    console.log(`[onvif-events] Unsubscribed from events of camera ${cameraId}`);
+}
+
+/**
+ * Check if an event subscription is active for a camera
+ * @param {number} cameraId - Camera ID
+ * @returns {boolean} True if the camera has a subscription
+ */
+function isSubscribed(cameraId) {
+    const entry = activeSubscriptions.get(cameraId);
+    return !!entry && !!entry.cam && !!entry.cam.events && !!entry.cam.events.subscription;
+}
+
+/**
+ * Start the event subscriptions of all ONVIF cameras
+ * @returns {Promise<void>}
+ */
+async function startOnvifEvents() {
+    const cameras = await db('cameras').where({ type: 'onvif' });
+    for (const camera of cameras) {
+        startSubscription(camera.id);
+    }
+}
+
+module.exports = {
+    normaliseTopic,
+    getEventType,
+    startSubscription,
+    stopSubscription,
+    isSubscribed,
+    startOnvifEvents
+};
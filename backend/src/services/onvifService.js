@@ -1,4 +1,5 @@
 const { Cam } = require('onvif');
+const { decryptPassword } = require('./credentialService');
 
 async function testConnection(cameraConfig) {
     return new Promise((resolve, reject) => {
@@ -6,7 +7,7 @@ async function testConnection(cameraConfig) {
         const cam = new Cam({
             hostname: cameraConfig.host,
             username: cameraConfig.user,
-            password: cameraConfig.pass,
+            password: decryptPassword(cameraConfig.pass),
             port: cameraConfig.port || 80,
             timeout: 10000
         }, function(err) {
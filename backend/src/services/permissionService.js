@@ -0,0 +1,304 @@
+const db = require('../db/db');
+
+// Camera permissions; 'admin' implies all others and allows changing the camera and its access list
+const PERMISSIONS = ['view_live', 'view_recordings', 'control_ptz', 'admin'];
+
+// Permissions on cameras without access list entries, by global role
+const ROLE_PERMISSIONS = {
+    viewer: ['view_live', 'view_recordings'],
+    operator: ['view_live', 'view_recordings', 'control_ptz'],
+    admin: PERMISSIONS
+};
+
+/**
+ * Convert an access list row to the permissions it grants
+ * @param {Object} row - camera_permissions row
+ * @returns {Array<string>} Granted permissions
+ */
+function grantedPermissions(row) {
+    return row.admin ? PERMISSIONS : PERMISSIONS.filter(permission => !!row[permission]);
+}
+
+/**
+ * Load the camera permissions of a user
+ * Admins have every permission on every camera. For everybody else, cameras with access
+ * list entries are restricted to the permissions granted to the user and their groups;
+ * the other cameras keep the permissions of the user's role.
+ * @param {{id: number, role: string}} user - User
+ * @returns {Promise<{defaults: Set<string>, cameras: Map<number, Set<string>>}>} Permissions of the user
+ */
+async function loadAccess(user) {
+    const defaults = new Set(ROLE_PERMISSIONS[user.role] || []);
+    const cameras = new Map();
+    if (user.role === 'admin') {
+        return { defaults, cameras };
+    }
+
+    const restrictedCameras = await db('camera_permissions').distinct('camera_id');
+    for (const { camera_id } of restrictedCameras) {
+        cameras.set(camera_id, new Set());
+    }
+
+    const entries = await db('camera_permissions')
+        .where('user_id', user.id)
+        .orWhereIn('group_id', db('user_group_members').select('group_id').where('user_id', user.id));
+    for (const entry of entries) {
+        for (const permission of grantedPermissions(entry)) {
+            cameras.get(entry.camera_id).add(permission);
+        }
+    }
+
+    return { defaults, cameras };
+}
+
+/**
+ * Permissions on one camera
+ * @param {{defaults: Set<string>, cameras: Map<number, Set<string>>}} access - Result of loadAccess
+ * @param {number} cameraId - Camera ID
+ * @returns {Set<string>} Permissions
+ */
+function permissionsOf(access, cameraId) {
+    return access.cameras.get(cameraId) || access.defaults;
+}
+
+/**
+ * Get the permissions of a user on a camera
+ * @param {{id: number, role: string}} user - User
+ * @param {number} cameraId - Camera ID
+ * @returns {Promise<Set<string>>} Permissions
+ */
+async function getCameraPermissions(user, cameraId) {
+    return permissionsOf(await loadAccess(user), cameraId);
+}
+
+/**
+ * Check if a set of permissions includes a permission ('admin' includes all)
+ * @param {Set<string>} permissions - Permissions
+ * @param {string} permission - Required permission
+ * @returns {boolean} True if the permission is granted
+ */
+function hasPermission(permissions, permission) {
+    return permissions.has('admin') || permissions.has(permission);
+}
+
+/**
+ * Get the IDs of the cameras on which a user has any of the given permissions
+ * @param {{id: number, role: string}} user - User
+ * @param {Array<string>} permissions - Permissions, e.g. ['view_recordings']
+ * @returns {Promise<Array<number>|null>} Camera IDs, or null if the user has access to all cameras
+ */
+async function getAccessibleCameraIds(user, permissions) {
+    if (user.role === 'admin') {
+        return null;
+    }
+    const access = await loadAccess(user);
+    const cameras = await db('cameras').select('id');
+    return cameras
+        .map(camera => camera.id)
+        .filter(cameraId => permissions.some(permission => hasPermission(permissionsOf(access, cameraId), permission)));
+}
+
+/**
+ * Get the access list of a camera
+ * @param {number} cameraId - Camera ID
+ * @returns {Promise<Array<Object>>} Entries with the user or group name
+ */
+async function getCameraAcl(cameraId) {
+    const rows = await db('camera_permissions')
+        .leftJoin('users', 'camera_permissions.user_id', 'users.id')
+        .leftJoin('user_groups', 'camera_permissions.group_id', 'user_groups.id')
+        .select('camera_permissions.*', 'users.username', 'user_groups.name as group_name')
+        .where('camera_permissions.camera_id', cameraId)
+        .orderBy('camera_permissions.id');
+
+    return rows.map(row => ({
+        id: row.id,
+        camera_id: row.camera_id,
+        user_id: row.user_id,
+        username: row.username,
+        group_id: row.group_id,
+        group_name: row.group_name,
+        ...Object.fromEntries(PERMISSIONS.map(permission => [permission, !!row[permission]]))
+    }));
+}
+
+/**
+ * Validate access list entries and check that their users and groups exist
+ * @param {*} entries - Entries from the request body
+ * @returns {Promise<string|null>} Error message, or null if the entries are valid
+ */
+async function validateAclEntries(entries) {
+    if (!Array.isArray(entries)) {
+        return 'The access list must be an array.';
+    }
+
+    const principals = new Set();
+    for (const entry of entries) {
+        const hasUser = entry && entry.user_id !== undefined && entry.user_id !== null;
+        const hasGroup = entry && entry.group_id !== undefined && entry.group_id !== null;
+        if (hasUser === hasGroup) {
+            return 'Each entry must have either a user_id or a group_id.';
+        }
+        const principal = hasUser ? `user:${entry.user_id}` : `group:${entry.group_id}`;
+        if (principals.has(principal)) {
+            return `Duplicate entry for ${principal.replace(':', ' ')}.`;
+        }
+        principals.add(principal);
+
+        for (const [key, value] of Object.entries(entry)) {
+            if (key === 'user_id' || key === 'group_id') continue;
+            if (!PERMISSIONS.includes(key)) {
+                return `Invalid permission: ${key}. Allowed: ${PERMISSIONS.join(', ')}.`;
+            }
+            if (typeof value !== 'boolean') {
+                return `Permission '${key}' must be true or false.`;
+            }
+        }
+
+        const exists = hasUser
+            ? await db('users').where({ id: Number(entry.user_id) }).first()
+            : await db('user_groups').where({ id: Number(entry.group_id) }).first();
+        if (!exists) {
+            return `${hasUser ? 'User' : 'Group'} with ID ${hasUser ? entry.user_id : entry.group_id} not found.`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Replace the access list of a camera
+ * An empty list removes the restriction (access according to the global roles).
+ * @param {number} cameraId - Camera ID
+ * @param {Array<Object>} entries - Validated entries ({ user_id | group_id, view_live, view_recordings, control_ptz, admin })
+ * @returns {Promise<Array<Object>>} The new access list
+ */
+async function setCameraAcl(cameraId, entries) {
+    await db.transaction(async (trx) => {
+        await trx('camera_permissions').where({ camera_id: cameraId }).del();
+        for (const entry of entries) {
+            await trx('camera_permissions').insert({
+                camera_id: cameraId,
+                user_id: entry.user_id ?? null,
+                group_id: entry.group_id ?? null,
+                ...Object.fromEntries(PERMISSIONS.map(permission => [permission, entry[permission] === true]))
+            });
+        }
+    });
+    return getCameraAcl(cameraId);
+}
+
+/**
+ * Remove all access list entries of a camera, user or group (SQLite does not enforce the foreign keys)
+ * @param {{cameraId?: number, userId?: number, groupId?: number}} owner - Whose entries to remove
+ * @returns {Promise<void>}
+ */
+async function deletePermissions({ cameraId, userId, groupId }) {
+    if (cameraId !== undefined) await db('camera_permissions').where({ camera_id: cameraId }).del();
+    if (userId !== undefined) await db('camera_permissions').where({ user_id: userId }).del();
+    if (groupId !== undefined) await db('camera_permissions').where({ group_id: groupId }).del();
+}
+
+/**
+ * List all groups with the IDs of their members
+ * @returns {Promise<Array<{id: number, name: string, user_ids: Array<number>}>>} Groups
+ */
+async function listGroups() {
+    const groups = await db('user_groups').select('*').orderBy('name');
+    const members = await db('user_group_members').select('*');
+    return groups.map(group => ({
+        ...group,
+        user_ids: members.filter(member => member.group_id === group.id).map(member => member.user_id)
+    }));
+}
+
+/**
+ * Get a group with the IDs of its members
+ * @param {number} groupId - Group ID
+ * @returns {Promise<Object|null>} The group, or null if it does not exist
+ */
+async function getGroup(groupId) {
+    return (await listGroups()).find(group => group.id === groupId) || null;
+}
+
+/**
+ * Replace the members of a group
+ * @param {Object} trx - Transaction
+ * @param {number} groupId - Group ID
+ * @param {Array<number>} userIds - User IDs
+ * @returns {Promise<void>}
+ */
+async function setMembers(trx, groupId, userIds) {
+    await trx('user_group_members').where({ group_id: groupId }).del();
+    for (const userId of new Set(userIds)) {
+        await trx('user_group_members').insert({ group_id: groupId, user_id: userId });
+    }
+}
+
+/**
+ * Create a group
+ * @param {{name: string, user_ids?: Array<number>}} fields - Name and members
+ * @returns {Promise<Object>} The created group
+ */
+async function createGroup({ name, user_ids = [] }) {
+    let groupId;
+    await db.transaction(async (trx) => {
+        [{ id: groupId }] = await trx('user_groups').insert({ name }).returning('id');
+        await setMembers(trx, groupId, user_ids);
+    });
+    return getGroup(groupId);
+}
+
+/**
+ * Rename a group and/or replace its members
+ * @param {number} groupId - Group ID
+ * @param {{name?: string, user_ids?: Array<number>}} changes - New values
+ * @returns {Promise<Object|null>} The updated group, or null if it does not exist
+ */
+async function updateGroup(groupId, { name, user_ids }) {
+    const group = await db('user_groups').where({ id: groupId }).first();
+    if (!group) {
+        return null;
+    }
+    await db.transaction(async (trx) => {
+        if (name !== undefined) {
+            await trx('user_groups').where({ id: groupId }).update({ name, updated_at: db.fn.now() });
+        }
+        if (user_ids !== undefined) {
+            await setMembers(trx, groupId, user_ids);
+        }
+    });
+    return getGroup(groupId);
+}
+
+/**
+ * Delete a group with its memberships and access list entries
+ * @param {number} groupId - Group ID
+ * @returns {Promise<boolean>} False if the group does not exist
+ */
+async function deleteGroup(groupId) {
+    const count = await db('user_groups').where({ id: groupId }).del();
+    if (count === 0) {
+        return false;
+    }
+    await db('user_group_members').where({ group_id: groupId }).del();
+    await deletePermissions({ groupId });
+    return true;
+}
+
+module.exports = {
+    PERMISSIONS,
+    loadAccess,
+    permissionsOf,
+    getCameraPermissions,
+    hasPermission,
+    getAccessibleCameraIds,
+    getCameraAcl,
+    validateAclEntries,
+    setCameraAcl,
+    deletePermissions,
+    listGroups,
+    getGroup,
+    createGroup,
+    updateGroup,
+    deleteGroup
+};
@@ -0,0 +1,127 @@
+const { spawn } = require('child_process');
+const fs = require('fs');
+
+// A probe of a damaged file must not hang the caller
+const PROBE_TIMEOUT_MS = 30 * 1000;
+
+// Probing a camera stream delays its start, so an unreachable camera is given up on sooner
+const STREAM_PROBE_TIMEOUT_MS = 10 * 1000;
+
+/**
+ * Reads the container and stream information of a media file with ffprobe.
+ * @param {string} filePath - Path to the media file (or URL of a stream).
+ * @param {Object} [options] - Probe options.
+ * @param {Array<string>} [options.inputArgs] - ffprobe arguments placed before the input (e.g. the RTSP transport).
+ * @param {number} [options.timeoutMs] - Time after which ffprobe is killed.
+ * @returns {Promise<{format: Object, streams: Array<Object>}>} The parsed ffprobe output.
+ */
+function probeFile(filePath, { inputArgs = [], timeoutMs = PROBE_TIMEOUT_MS } = {}) {
+    return new Promise((resolve, reject) => {
+        const ffprobeArgs = [
+            '-v', 'error',
+            '-print_format', 'json',
+            '-show_format',
+            '-show_streams',
+            ...inputArgs,
+            filePath
+        ];
+        const ffprobeProcess = spawn('ffprobe', ffprobeArgs);
+
+        let stdout = '';
+        let stderr = '';
+        ffprobeProcess.stdout.on('data', (data) => {
+            stdout += data.toString();
+        });
+        ffprobeProcess.stderr.on('data', (data) => {
+            stderr += data.toString();
+        });
+
+        const timer = setTimeout(() => ffprobeProcess.kill('SIGKILL'), timeoutMs);
+
+        ffprobeProcess.on('close', (code) => {
+            clearTimeout(timer);
+            if (code !== 0) {
+                return reject(new Error(`ffprobe failed with code ${code}: ${stderr.trim()}`));
+            }
+            try {
+                const result = JSON.parse(stdout);
+                resolve({ format: result.format || {}, streams: result.streams || [] });
+            } catch (err) {
+                reject(new Error(`Failed to parse ffprobe output: ${err.message}`));
+            }
+        });
+
+        ffprobeProcess.on('error', (err) => {
+            clearTimeout(timer);
+            reject(err);
+        });
+    });
+}
+
+/**
+ * Gets the duration of a probed file.
+ * Fragmented MP4 files may only report it per stream, so the longest stream is used as a fallback.
+ * @param {{format: Object, streams: Array<Object>}} probe - The result of probeFile().
+ * @returns {number|null} Duration in seconds, or null if it is unknown.
+ */
+function getDuration(probe) {
+    const formatDuration = parseFloat(probe.format.duration);
+    if (Number.isFinite(formatDuration) && formatDuration > 0) {
+        return formatDuration;
+    }
+    const streamDurations = probe.streams.map(stream => parseFloat(stream.duration)).filter(duration => Number.isFinite(duration) && duration > 0);
+    return streamDurations.length > 0 ? Math.max(...streamDurations) : null;
+}
+
+/**
+ * Parses a frame rate as reported by ffprobe (e.g. '25/1' or '30000/1001').
+ * @param {string} [rate] - The frame rate fraction.
+ * @returns {number|null} Frames per second, or null if it is unknown.
+ */
+function parseFrameRate(rate) {
+    const [numerator, denominator] = String(rate).split('/').map(Number);
+    const fps = denominator ? numerator / denominator : numerator;
+    return Number.isFinite(fps) && fps > 0 ? Math.round(fps * 100) / 100 : null;
+}
+
+/**
+ * Reads the metadata that is stored with a recording: duration, file size, video codec,
+ * resolution, frame rate and bitrate. Values ffprobe cannot determine are null.
+ * @param {string} filePath - Path to the recording file.
+ * @returns {Promise<{duration: number|null, file_size: number, video_codec: string|null, width: number|null, height: number|null, frame_rate: number|null, bitrate: number|null}>} Column values for the recordings table.
+ */
+async function getRecordingMetadata(filePath) {
+    const probe = await probeFile(filePath);
+    const { size } = await fs.promises.stat(filePath);
+    const video = probe.streams.find(stream => stream.codec_type === 'video') || {};
+    const duration = getDuration(probe);
+
+    // Fragmented MP4 files don't always report a bitrate, so it is derived from the size
+    const bitrate = parseInt(probe.format.bit_rate, 10) || (duration ? Math.round(size * 8 / duration) : null);
+
+    return {
+        duration,
+        file_size: size,
+        video_codec: video.codec_name || null,
+        width: video.width || null,
+        height: video.height || null,
+        frame_rate: parseFrameRate(video.avg_frame_rate) ?? parseFrameRate(video.r_frame_rate),
+        bitrate
+    };
+}
+
+/**
+ * Gets the codec of the first audio track of a camera's RTSP stream.
+ * @param {string} inputUrl - RTSP URL of the camera.
+ * @returns {Promise<string|null>} Codec name as reported by ffprobe (e.g. 'aac', 'pcm_alaw'), or null if the stream has no audio.
+ */
+async function getAudioCodec(inputUrl) {
+    const probe = await probeFile(inputUrl, {
+        inputArgs: ['-rtsp_transport', 'tcp'],
+        timeoutMs: STREAM_PROBE_TIMEOUT_MS
+    });
+    const audio = probe.streams.find(stream => stream.codec_type === 'audio');
+    return audio ? audio.codec_name || null : null;
+}
+
+module.exports = { probeFile, getDuration, getRecordingMetadata, getAudioCodec };
@@ -1,4 +1,5 @@
 const { Cam } = require('onvif');
+const { decryptPassword } = require('./credentialService');
 
 /**
  * Check if a camera has PTZ capabilities
@@ -17,7 +18,7 @@ async function checkPTZCapability(cameraConfig) {
         const camOptions = {
             hostname: cameraConfig.host,
             username: cameraConfig.user,
-            password: cameraConfig.pass,
+            password: decryptPassword(cameraConfig.pass),
             port: cameraConfig.port || 80,
             timeout: 10000
         };
@@ -88,7 +89,7 @@ async function movePTZ(cameraConfig, movement) {
         const camOptions = {
             hostname: cameraConfig.host,
             username: cameraConfig.user,
-            password: cameraConfig.pass,
+            password: decryptPassword(cameraConfig.pass),
             port: cameraConfig.port || 80,
             timeout: 10000
         };
@@ -144,7 +145,7 @@ async function stopPTZ(cameraConfig, options = {}) {
         const camOptions = {
             hostname: cameraConfig.host,
             username: cameraConfig.user,
-            password: cameraConfig.pass,
+            password: decryptPassword(cameraConfig.pass),
             port: cameraConfig.port || 80,
             timeout: 10000
         };
@@ -1,5 +1,7 @@
 const { spawn } = require('child_process');
 const path = require('path');
+const { getAudioArgs } = require('../audioService');
+const { maskCredentials } = require('../credentialService');
 
 /**
  * Base class for camera recording strategies
@@ -21,8 +23,8 @@ class BaseRecordingStrategy {
   }
 
   /**
-   * Get FFmpeg input arguments for this camera type
-   * Must be implemented by subclasses
+   * Get FFmpeg input and video arguments for this camera type
+   * Must be implemented by subclasses; audio arguments are added by getAudioArgs()
    * @param {string} inputUrl - The input URL returned by getInputUrl()
    * @returns {Array<string>} FFmpeg arguments for input
    */
@@ -30,6 +32,16 @@ class BaseRecordingStrategy {
     throw new Error('getFFmpegInputArgs() must be implemented by subclass');
   }
 
+  /**
+   * Get FFmpeg audio arguments for the camera's recording
+   * @param {Object} camera - Camera configuration (audio_enabled)
+   * @param {string} inputUrl - The input URL returned by getInputUrl()
+   * @returns {Promise<Array<string>>} -an if audio is disabled or missing, otherwise AAC passthrough or transcoding
+   */
+  async getAudioArgs(camera, inputUrl) {
+    return getAudioArgs(camera, inputUrl);
+  }
+
   /**
    * Get FFmpeg output arguments for MP4 recording
    * @param {string} outputFile - Path to output MP4 file
@@ -43,6 +55,27 @@ class BaseRecordingStrategy {
     ];
   }
 
+  /**
+   * Get FFmpeg output arguments for continuous (segmented) MP4 recording
+   * Each closed segment is reported on stdout as a CSV line: filename,start,end
+   * @param {string} outputPattern - Path pattern for segment files (printf-style index)
+   * @param {number} segmentDuration - Segment length in seconds
+   * @returns {Array<string>} FFmpeg arguments for segment output
+   */
+  getSegmentOutputArgs(outputPattern, segmentDuration) {
+    return [
+      '-f', 'segment',
+      '-segment_time', String(segmentDuration),
+      '-segment_atclocktime', '1',  // Cut on wall-clock boundaries (e.g. every full 15 minutes)
+      '-segment_format', 'mp4',
+      '-segment_format_options', 'movflags=frag_keyframe+empty_moov',
+      '-reset_timestamps', '1',
+      '-segment_list', 'pipe:1',
+      '-segment_list_type', 'csv',
+      outputPattern
+    ];
+  }
+
   /**
    * Generate output filename for recording
    * @param {number} cameraId - Camera ID
@@ -54,24 +87,43 @@ class BaseRecordingStrategy {
     return path.join(this.recordingsBasePath, filename);
   }
 
+  /**
+   * Generate output filename pattern for a segmented recording session
+   * @param {number} cameraId - Camera ID
+   * @returns {string} Full path pattern for segment files
+   */
+  getSegmentOutputPattern(cameraId) {
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const pattern = `camera_${cameraId}_${timestamp}_seg%05d.mp4`;
+    return path.join(this.recordingsBasePath, pattern);
+  }
+
   /**
    * Spawn FFmpeg process for recording
    * @param {Object} camera - Camera configuration
-   * @returns {Promise<{process: ChildProcess, filename: string}>} FFmpeg process and output filename
+   * @param {Object} [options] - Recording options
+   * @param {number} [options.segmentDuration] - If set, record continuously in segments of this many seconds
+   * @returns {Promise<{process: ChildProcess, filename: string}>} FFmpeg process and output filename (or segment pattern)
    */
-  async spawnFFmpeg(camera) {
+  async spawnFFmpeg(camera, options = {}) {
     const inputUrl = await this.getInputUrl(camera);
-    const outputFile = this.getOutputFilename(camera.id);
+    const outputFile = options.segmentDuration
+      ? this.getSegmentOutputPattern(camera.id)
+      : this.getOutputFilename(camera.id);
 
     const inputArgs = this.getFFmpegInputArgs(inputUrl);
-    const outputArgs = this.getMP4OutputArgs(outputFile);
+    const audioArgs = await this.getAudioArgs(camera, inputUrl);
+    const outputArgs = options.segmentDuration
+      ? this.getSegmentOutputArgs(outputFile, options.segmentDuration)
+      : this.getMP4OutputArgs(outputFile);
 
     const ffmpegArgs = [
       ...inputArgs,
+      ...audioArgs,
       ...outputArgs
     ];
 
-    console.log(`[${this.constructor.name}] Starting FFmpeg recording for camera ${camera.id}:`, 'ffmpeg', ffmpegArgs.join(' '));
+    console.log(`[${this.constructor.name}] Starting FFmpeg recording for camera ${camera.id}:`, 'ffmpeg', maskCredentials(ffmpegArgs.join(' '))); // Hide password in logs
 
     const ffmpegProcess = spawn('ffmpeg', ffmpegArgs);
 
@@ -83,12 +135,13 @@ class BaseRecordingStrategy {
       // FFmpeg writes progress to stderr
       const message = data.toString();
       if (message.includes('error') || message.includes('Error')) {
-        console.error(`[FFmpeg recording stderr - ${camera.id}] ${message}`);
+        console.error(`[FFmpeg recording stderr - ${camera.id}] ${maskCredentials(message)}`);
       }
     });
 
     ffmpegProcess.on('error', (error) => {
-      console.error(`[FFmpeg recording error - ${camera.id}]`, error);
+      // The error also holds the spawn arguments, which include the camera's credentials
+      console.error(`[FFmpeg recording error - ${camera.id}]`, error.message);
     });
 
     return { process: ffmpegProcess, filename: path.basename(outputFile) };
@@ -1,5 +1,6 @@
 const BaseRecordingStrategy = require('./BaseRecordingStrategy');
 const { Cam } = require('onvif');
+const { decryptPassword } = require('../credentialService');
 
 /**
  * Recording strategy for ONVIF cameras
@@ -13,11 +14,12 @@ class ONVIFRecordingStrategy extends BaseRecordingStrategy {
    */
   async getInputUrl(camera) {
     return new Promise((resolve, reject) => {
+      const password = decryptPassword(camera.pass);
       const options = {
         hostname: camera.host,
         port: camera.port || 80,
         username: camera.user,
-        password: camera.pass
+        password
       };
 
       if (camera.xaddr) {
@@ -41,7 +43,7 @@ class ONVIFRecordingStrategy extends BaseRecordingStrategy {
 
           // Embed credentials in RTSP URL for FFmpeg
           const url = new URL(originalUrl);
-          const authenticatedRtspUrl = `rtsp://${camera.user}:${encodeURIComponent(camera.pass)}@${url.hostname}:${url.port}${url.pathname}${url.search}`;
+          const authenticatedRtspUrl = `rtsp://${camera.user}:${encodeURIComponent(password)}@${url.hostname}:${url.port}${url.pathname}${url.search}`;
 
           resolve(authenticatedRtspUrl);
         });
@@ -52,7 +54,6 @@ class ONVIFRecordingStrategy extends BaseRecordingStrategy {
   /**
    * Get FFmpeg arguments for ONVIF camera recording
    * Uses -c:v copy for low CPU usage (no re-encoding)
-   * Audio is disabled (-an) to avoid codec compatibility issues with MP4
    * @param {string} inputUrl - RTSP URL
    * @returns {Array<string>} FFmpeg input arguments
    */
@@ -60,8 +61,7 @@ class ONVIFRecordingStrategy extends BaseRecordingStrategy {
     return [
       '-rtsp_transport', 'tcp',
       '-i', inputUrl,
-      '-c:v', 'copy',
-      '-an'  // No audio (avoid codec compatibility issues)
+      '-c:v', 'copy'
     ];
   }
 }
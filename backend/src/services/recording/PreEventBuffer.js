@@ -0,0 +1,251 @@
+const { spawn } = require('child_process');
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { maskCredentials } = require('../credentialService');
+
+// Length of the short segments the buffer is made of
+const DEFAULT_SEGMENT_SECONDS = 2;
+
+// How long to wait for the segment that is being written when a recording is triggered
+const PENDING_SEGMENT_TIMEOUT_MS = 15 * 1000;
+
+/**
+ * Rolling pre-event (pre-roll) buffer of a camera
+ *
+ * FFmpeg records the stream continuously into short MP4 segments; only the segments
+ * covering the last N seconds are kept. When a recording is triggered, the buffered
+ * segments are captured and later stitched in front of the recording.
+ *
+ * Events:
+ * - 'segment' ({ file: string, startTime: Date, endTime: Date }) when a segment is closed
+ * - 'exit' (code: number|null) when FFmpeg exits
+ */
+class PreEventBuffer extends EventEmitter {
+  /**
+   * @param {Object} options - Buffer options
+   * @param {number} options.cameraId - Camera ID (for logging)
+   * @param {Array<string>} options.inputArgs - FFmpeg input arguments (from the recording strategy)
+   * @param {number} options.seconds - Seconds of video to keep
+   * @param {string} options.directory - Directory for the buffer segments (removed on stop)
+   * @param {number} [options.segmentSeconds=2] - Length of a buffer segment
+   */
+  constructor({ cameraId, inputArgs, seconds, directory, segmentSeconds = DEFAULT_SEGMENT_SECONDS }) {
+    super();
+    this.cameraId = cameraId;
+    this.inputArgs = inputArgs;
+    this.seconds = seconds;
+    this.directory = directory;
+    this.segmentSeconds = segmentSeconds;
+
+    this.process = null;
+    this.segments = []; // Closed segments, oldest first: { file, startTime, endTime }
+  }
+
+  /**
+   * Start the FFmpeg buffer process
+   */
+  start() {
+    fs.rmSync(this.directory, { recursive: true, force: true });
+    fs.mkdirSync(this.directory, { recursive: true });
+
+    const ffmpegArgs = [
+      ...this.inputArgs,
+      '-f', 'segment',
+      '-segment_time', String(this.segmentSeconds),
+      '-segment_format', 'mp4',
+      '-segment_format_options', 'movflags=frag_keyframe+empty_moov',
+      '-reset_timestamps', '1',
+      '-segment_list', 'pipe:1',
+      '-segment_list_type', 'csv',
+      path.join(this.directory, 'buffer_%06d.mp4')
+    ];
+
+    console.log(`[pre-event] Starting ${this.seconds}s buffer for camera ${this.cameraId}:`, 'ffmpeg', maskCredentials(ffmpegArgs.join(' ')));
+    this.process = spawn('ffmpeg', ffmpegArgs);
+
+    // The segment muxer prints "filename,start,end" to stdout each time a segment is closed
+    const segmentList = readline.createInterface({ input: this.process.stdout });
+    segmentList.on('line', (line) => {
+      const match = line.trim().match(/^"?(.+?)"?,(-?[\d.]+),(-?[\d.]+)$/);
+      if (match) {
+        this.addSegment(path.basename(match[1]), parseFloat(match[3]) - parseFloat(match[2]));
+      }
+    });
+
+    this.process.stderr.on('data', (data) => {
+      const message = data.toString();
+      if (message.includes('error') || message.includes('Error')) {
+        console.error(`[pre-event] FFmpeg (cam-${this.cameraId}): ${maskCredentials(message)}`);
+      }
+    });
+
+    this.process.on('error', (err) => {
+      console.error(`[pre-event] Failed to start buffer for camera ${this.cameraId}:`, err.message);
+    });
+
+    this.process.on('close', (code) => {
+      this.process = null;
+      this.segments = [];
+      fs.rm(this.directory, { recursive: true, force: true }, () => {});
+      this.emit('exit', code);
+    });
+  }
+
+  /**
+   * Stop the buffer process; its segments are deleted
+   */
+  stop() {
+    if (this.process) {
+      this.process.kill('SIGINT');
+    }
+  }
+
+  /**
+   * Register a closed segment and delete the segments that are no longer needed
+   * @param {string} filename - Segment filename
+   * @param {number} duration - Segment duration in seconds
+   */
+  addSegment(filename, duration) {
+    // The segment has just been closed, so it ends now
+    const endTime = new Date();
+    const segment = {
+      file: path.join(this.directory, filename),
+      startTime: new Date(endTime.getTime() - duration * 1000),
+      endTime
+    };
+    this.segments.push(segment);
+
+    // Keep the oldest segment only while the newer ones cover less than the buffer length
+    while (this.segments.length > 1 &&
+        endTime - this.segments[1].startTime >= this.seconds * 1000) {
+      const expired = this.segments.shift();
+      fs.unlink(expired.file, () => {});
+    }
+
+    this.emit('segment', segment);
+  }
+
+  /**
+   * Capture the buffered video for a recording that starts now
+   * The closed segments and the segment that is still being written are hard-linked into
+   * the target directory, so that they survive the buffer's own cleanup.
+   * @param {string} targetDirectory - Directory for the captured segments
+   * @returns {Promise<{directory: string, files: Array<string>, pendingFile: Promise<{file: string, startTime: Date}|null>, startTime: Date}|null>}
+   *   The captured files (oldest first), the segment still being written and the wall-clock time
+   *   of the first frame, or null if nothing is buffered yet
+   */
+  async capture(targetDirectory) {
+    if (!this.process || this.segments.length === 0) {
+      return null;
+    }
+
+    await fs.promises.mkdir(targetDirectory, { recursive: true });
+    const segments = [...this.segments];
+
+    // Also take the segment that is being written, once it is closed, so that there is no
+    // gap while the recording process connects to the camera
+    const pendingFile = new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        this.off('segment', onSegment);
+        resolve(null);
+      }, PENDING_SEGMENT_TIMEOUT_MS);
+      const onSegment = (segment) => {
+        clearTimeout(timer);
+        this.off('segment', onSegment);
+        PreEventBuffer.linkFile(segment.file, targetDirectory)
+          .then(file => resolve({ file, startTime: segment.startTime }), () => resolve(null));
+      };
+      this.on('segment', onSegment);
+    });
+
+    const files = [];
+    let startTime = null;
+    for (const segment of segments) {
+      try {
+        files.push(await PreEventBuffer.linkFile(segment.file, targetDirectory));
+        startTime = startTime || segment.startTime;
+      } catch (err) {
+        // Expired and deleted in the meantime
+      }
+    }
+
+    return { directory: targetDirectory, files, pendingFile, startTime: startTime || new Date() };
+  }
+
+  /**
+   * Hard-link a file into a directory (copies it if linking is not possible)
+   * @param {string} file - Source file
+   * @param {string} directory - Target directory
+   * @returns {Promise<string>} Path of the new file
+   */
+  static async linkFile(file, directory) {
+    const target = path.join(directory, path.basename(file));
+    try {
+      await fs.promises.link(file, target);
+    } catch (err) {
+      await fs.promises.copyFile(file, target);
+    }
+    return target;
+  }
+
+  /**
+   * Stitch captured pre-event segments in front of a recording (in place)
+   * The segment that was still being written when the recording was triggered runs on while the
+   * recording starts, so it is cut off where the recording begins; otherwise those frames would be repeated.
+   * @param {{directory: string, files: Array<string>, pendingFile: Promise<{file: string, startTime: Date}|null>}} capture - Result of capture()
+   * @param {string} recordingFile - Path of the finished recording
+   * @param {Date} recordingStart - When the recording's FFmpeg process was started
+   * @returns {Promise<void>} Rejects if FFmpeg fails; the recording is then left unchanged
+   */
+  static async stitch(capture, recordingFile, recordingStart) {
+    // Concat demuxer entries; single quotes in paths are escaped as '\''
+    const entry = file => `file '${file.replace(/'/g, "'\\''")}'`;
+    const entries = capture.files.map(entry);
+
+    const pending = await capture.pendingFile;
+    const pendingSeconds = pending ? (recordingStart - pending.startTime) / 1000 : 0;
+    if (pendingSeconds > 0) {
+      entries.push(`${entry(pending.file)}\noutpoint ${pendingSeconds.toFixed(3)}`);
+    }
+    if (entries.length === 0) {
+      return;
+    }
+    const listFile = path.join(capture.directory, 'concat.txt');
+    const outputFile = path.join(capture.directory, 'stitched.mp4');
+
+    const list = [...entries, entry(recordingFile)].join('\n');
+    await fs.promises.writeFile(listFile, `${list}\n`);
+
+    const ffmpegArgs = [
+      '-f', 'concat',
+      '-safe', '0',
+      '-i', listFile,
+      '-c', 'copy',
+      '-f', 'mp4',
+      '-movflags', 'frag_keyframe+empty_moov',
+      outputFile
+    ];
+
+    await new Promise((resolve, reject) => {
+      const ffmpegProcess = spawn('ffmpeg', ffmpegArgs);
+      let stderr = '';
+      ffmpegProcess.stderr.on('data', (data) => {
+        stderr += data.toString();
+      });
+      ffmpegProcess.on('error', reject);
+      ffmpegProcess.on('close', (code) => {
+        if (code === 0) {
+          resolve();
+        } else {
+          reject(new Error(`FFmpeg concat exited with code ${code}: ${stderr.slice(-500)}`));
+        }
+      });
+    });
+
+    await fs.promises.rename(outputFile, recordingFile);
+  }
+}
+
+module.exports = PreEventBuffer;
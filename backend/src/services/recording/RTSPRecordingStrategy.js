@@ -1,4 +1,5 @@
 const BaseRecordingStrategy = require('./BaseRecordingStrategy');
+const { decryptPassword } = require('../credentialService');
 
 /**
  * Recording strategy for generic RTSP cameras
@@ -19,8 +20,9 @@ class RTSPRecordingStrategy extends BaseRecordingStrategy {
     let rtspUrl = 'rtsp://';
 
     // Add credentials if provided
-    if (camera.user && camera.pass) {
-      rtspUrl += `${camera.user}:${encodeURIComponent(camera.pass)}@`;
+    const password = decryptPassword(camera.pass);
+    if (camera.user && password) {
+      rtspUrl += `${camera.user}:${encodeURIComponent(password)}@`;
     }
 
     rtspUrl += `${camera.host}:${camera.port}`;
@@ -39,7 +41,6 @@ class RTSPRecordingStrategy extends BaseRecordingStrategy {
   /**
    * Get FFmpeg arguments for RTSP camera recording
    * Uses -c:v copy for low CPU usage (no re-encoding)
-   * Audio is disabled (-an) to avoid codec compatibility issues with MP4
    * @param {string} inputUrl - RTSP URL
    * @returns {Array<string>} FFmpeg input arguments
    */
@@ -47,8 +48,7 @@ class RTSPRecordingStrategy extends BaseRecordingStrategy {
     return [
       '-rtsp_transport', 'tcp',
       '-i', inputUrl,
-      '-c:v', 'copy',
-      '-an'  // No audio (avoid codec compatibility issues)
+      '-c:v', 'copy'
     ];
   }
 }
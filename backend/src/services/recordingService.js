@@ -1,19 +1,71 @@
 const { spawn } = require('child_process');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
+const readline = require('readline');
 const db = require('../db/db');
 const ONVIFRecordingStrategy = require('./recording/ONVIFRecordingStrategy');
 const RTSPRecordingStrategy = require('./recording/RTSPRecordingStrategy');
+const PreEventBuffer = require('./recording/PreEventBuffer');
+const { publish } = require('./statusService');
+const { probeFile, getRecordingMetadata } = require('./probeService');
+const { queueSprite } = require('./spriteService');
+const { maskCredentials } = require('./credentialService');
+const {
+    WATCHDOG_INTERVAL_MS,
+    STALL_TIMEOUT_MS,
+    MAX_RESTART_ATTEMPTS,
+    STABLE_AFTER_MS,
+    getRestartDelay,
+    getLastOutputTime,
+    createHealth,
+    trackLastError
+} = require('./watchdogService');
 
 // In-memory store for active FFmpeg recording processes: Map<cameraId, { process: ChildProcess, recordingId: number, filename: string }>
+// Continuous recordings have recordingId = null, segmented = true and a filename pattern instead of a filename.
 const activeRecordings = new Map();
 
+// Supervision of recordings across FFmpeg restarts: Map<cameraId, { health, attempt, restartTimer, stopped, starting }>
+// Entries are removed when the recording is stopped; failed recordings stay until the next start or stop.
+// `starting` is set while startRecording() waits for the first FFmpeg process, so that concurrent starts are rejected.
+const supervisedRecordings = new Map();
+
+let watchdogTimer = null;
+
+// Set by stopAllRecordings() when the server shuts down: no recordings are started or restarted any more
+let shuttingDown = false;
+
+// Finalizations (stitching, thumbnail, database update) of recordings whose FFmpeg has exited
+const pendingFinalizations = new Set();
+
+// In-memory store for pre-event buffers: Map<cameraId, { buffer: PreEventBuffer, restartTimer, stopping }>
+const preEventBuffers = new Map();
+
+// Default segment length (seconds) for cameras in continuous recording mode
+const DEFAULT_SEGMENT_DURATION = 900;
+
+// Delay before a crashed pre-event buffer is started again
+const PRE_EVENT_RESTART_DELAY_MS = 10 * 1000;
+
+// Columns the recording list can be sorted by
+const RECORDING_SORT_COLUMNS = {
+    start_time: 'recordings.start_time',
+    end_time: 'recordings.end_time',
+    duration: 'recordings.duration',
+    file_size: 'recordings.file_size',
+    camera_name: 'camera_name'
+};
+
 // Base path for recordings output
 const recordingsBasePath = path.join(__dirname, '../../recordings');
 if (!fs.existsSync(recordingsBasePath)) {
     fs.mkdirSync(recordingsBasePath, { recursive: true });
 }
 
+// Working directory for pre-event buffers and captured pre-event segments (hidden from /recordings)
+const preEventBasePath = path.join(recordingsBasePath, '.prebuffer');
+
 // Base path for thumbnails output
 const thumbnailsBasePath = path.join(__dirname, '../../thumbnails');
 if (!fs.existsSync(thumbnailsBasePath)) {
@@ -81,16 +133,494 @@ function generateThumbnail(videoPath, thumbnailFilename) {
     });
 }
 
+/**
+ * Generates a thumbnail for a recording file, logging instead of failing.
+ * @param {string} filename - The recording filename (inside the recordings directory).
+ * @returns {Promise<string|null>} The thumbnail filename, or null if generation failed.
+ */
+async function createThumbnail(filename) {
+    try {
+        const thumbnailFilename = await generateThumbnail(path.join(recordingsBasePath, filename), filename.replace('.mp4', '.jpg'));
+        console.log(`Thumbnail generated for recording ${filename}: ${thumbnailFilename}`);
+        return thumbnailFilename;
+    } catch (err) {
+        console.error(`Failed to generate thumbnail for recording ${filename}:`, err);
+        // Continue without thumbnail - don't fail the recording
+        return null;
+    }
+}
+
+/**
+ * Reads the metadata (duration, size, codec, resolution, frame rate, bitrate) of a recording file,
+ * logging instead of failing.
+ * @param {string} filename - The recording filename (inside the recordings directory).
+ * @returns {Promise<object>} Column values for the recordings table, or an empty object if probing failed.
+ */
+async function probeRecording(filename) {
+    try {
+        return await getRecordingMetadata(path.join(recordingsBasePath, filename));
+    } catch (err) {
+        console.error(`Failed to read metadata of recording ${filename}:`, err.message);
+        // Continue without metadata - don't fail the recording
+        return {};
+    }
+}
+
+/**
+ * Parses one line of FFmpeg's CSV segment list.
+ * @param {string} line - A line in the form "filename,start,end".
+ * @returns {{filename: string, start: number, end: number}|null} The parsed entry, or null if malformed.
+ */
+function parseSegmentListEntry(line) {
+    const match = line.trim().match(/^"?(.+?)"?,(-?[\d.]+),(-?[\d.]+)$/);
+    if (!match) {
+        return null;
+    }
+    return { filename: path.basename(match[1]), start: parseFloat(match[2]), end: parseFloat(match[3]) };
+}
+
+/**
+ * Stores a closed segment of a continuous recording as its own finished recording.
+ * @param {number} cameraId - The ID of the camera.
+ * @param {{filename: string, start: number, end: number}} segment - The closed segment.
+ * @returns {Promise<object>} The inserted recording row.
+ */
+async function finalizeSegment(cameraId, segment) {
+    // The segment has just been closed, so it ends now and started (end - start) seconds ago
+    const endTime = new Date();
+    const startTime = new Date(endTime.getTime() - (segment.end - segment.start) * 1000);
+    const thumbnail = await createThumbnail(segment.filename);
+    const metadata = await probeRecording(segment.filename);
+
+    const [recording] = await db('recordings').insert({
+        camera_id: cameraId,
+        filename: segment.filename,
+        start_time: startTime,
+        end_time: endTime,
+        is_finished: true,
+        thumbnail,
+        ...metadata,
+    }).returning('*');
+
+    console.log(`Segment ${segment.filename} stored as recording ${recording.id}.`);
+    publish('recording.finalized', { cameraId, recordingId: recording.id, filename: segment.filename, segment: true });
+    if (thumbnail) {
+        publish('thumbnail.ready', { cameraId, recordingId: recording.id, thumbnail });
+    }
+    // Scrub previews are generated in the background (see spriteService)
+    queueSprite(recording.id);
+    return recording;
+}
+
+/**
+ * Starts a continuous recording that is cut into fixed-length MP4 segments.
+ * Each segment gets its own row in the recordings table as soon as it is closed.
+ * @param {Object} camera - Camera configuration from database.
+ * @param {BaseRecordingStrategy} strategy - Recording strategy for the camera.
+ * @param {Object} supervision - The recording's entry in supervisedRecordings.
+ * @returns {Promise<object>} An object containing the recording details.
+ */
+async function startSegmentedRecording(camera, strategy, supervision) {
+    const cameraId = camera.id;
+    const segmentDuration = camera.segment_duration || DEFAULT_SEGMENT_DURATION;
+
+    const { process: ffmpegProcess, filename } = await strategy.spawnFFmpeg(camera, { segmentDuration });
+
+    const recordingInfo = { process: ffmpegProcess, recordingId: null, filename, segmented: true, pendingSegments: [], startedAt: Date.now() };
+    activeRecordings.set(cameraId, recordingInfo);
+    trackLastError(ffmpegProcess, recordingInfo);
+
+    // The recording may have been stopped while a restart was starting up
+    if (supervision.stopped) {
+        ffmpegProcess.kill('SIGINT');
+    }
+
+    // The segment muxer prints one CSV line to stdout each time a segment is closed
+    const segmentList = readline.createInterface({ input: ffmpegProcess.stdout });
+    segmentList.on('line', (line) => {
+        const segment = parseSegmentListEntry(line);
+        if (segment) {
+            recordingInfo.pendingSegments.push(
+                finalizeSegment(cameraId, segment).catch((err) => {
+                    console.error(`Failed to store segment ${segment.filename} for camera ${cameraId}:`, err);
+                })
+            );
+        }
+    });
+
+    ffmpegProcess.stderr.on('data', (data) => {
+        const message = data.toString();
+        if (message.includes('error') || message.includes('Error')) {
+            console.error(`FFMPEG-REC (cam-${cameraId}): ${maskCredentials(message)}`);
+        }
+    });
+
+    const finishRecording = async (code) => {
+        console.log(`FFmpeg continuous recording process for camera ${cameraId} exited with code ${code}`);
+        const crashed = handleRecordingExit(cameraId, recordingInfo, supervision, code);
+
+        // Make sure the last segment has been stored before reporting back
+        await Promise.all(recordingInfo.pendingSegments);
+
+        // Segments that were closed before a failure are valid files and are kept.
+        if (code !== 0 && code !== 255 && !crashed) {
+            console.error(`FFmpeg continuous recording exited with error code ${code}.`);
+            publish('recording.failed', { cameraId, recordingId: null, error: `Recording process exited with an error code: ${code}` });
+            if (recordingInfo.stopReject) {
+                recordingInfo.stopReject(new Error(`Recording process exited with an error code: ${code}`));
+            }
+        } else if (recordingInfo.stopResolve) {
+            recordingInfo.stopResolve({ success: true, message: `Continuous recording for camera ${cameraId} stopped and finalized.` });
+        }
+    };
+    ffmpegProcess.on('close', (code) => trackFinalization(finishRecording(code)));
+
+    ffmpegProcess.on('error', (err) => {
+        // The 'close' event follows and cleans up
+        console.error(`Failed to start FFmpeg continuous recording for camera ${cameraId}:`, err.message);
+    });
+
+    publish('recording.started', { cameraId, recordingId: null, mode: 'continuous' });
+
+    return {
+        success: true,
+        message: `Continuous recording started for camera ${cameraId} (${segmentDuration}s segments).`,
+        recordingId: null,
+        filename,
+        mode: 'continuous',
+    };
+}
+
+/**
+ * Keeps track of a recording's finalization until it is done, so that a shutdown can wait for it.
+ * @param {Promise<void>} finalization - The finalization.
+ */
+function trackFinalization(finalization) {
+    const tracked = finalization
+        .catch((err) => console.error('[recordings] Failed to finalize recording:', err))
+        .finally(() => pendingFinalizations.delete(tracked));
+    pendingFinalizations.add(tracked);
+}
+
+/**
+ * Change the health state of a recording and broadcast it
+ * @param {number} cameraId - The ID of the camera.
+ * @param {Object} supervision - The recording's entry in supervisedRecordings.
+ * @param {string} state - 'running', 'restarting' or 'failed'.
+ * @param {Object} [changes] - Other health fields to change (restarts, lastError).
+ */
+function setRecordingHealth(cameraId, supervision, state, changes = {}) {
+    supervision.health = { ...supervision.health, ...changes, state, since: new Date().toISOString() };
+    publish('recording.health', { cameraId, health: supervision.health });
+}
+
+/**
+ * Handles the exit of a recording's FFmpeg process.
+ * An exit that was not requested through stopRecording() is a crash: the camera keeps counting as
+ * recording and a new recording is started after a growing delay.
+ * @param {number} cameraId - The ID of the camera.
+ * @param {Object} recordingInfo - The process's entry in activeRecordings.
+ * @param {Object} supervision - The recording's entry in supervisedRecordings.
+ * @param {number|null} code - Exit code of the process.
+ * @returns {boolean} True if the process crashed.
+ */
+function handleRecordingExit(cameraId, recordingInfo, supervision, code) {
+    const registered = activeRecordings.get(cameraId) === recordingInfo;
+    if (registered) {
+        activeRecordings.delete(cameraId);
+    }
+
+    const crashed = registered && !shuttingDown && !recordingInfo.stopResolve && !supervision.stopped && supervisedRecordings.get(cameraId) === supervision;
+    if (!crashed) {
+        if (registered) {
+            publish('recording.stopped', { cameraId });
+        }
+        return false;
+    }
+
+    const reason = `FFmpeg exited with code ${code}`;
+    const error = recordingInfo.stallError || (recordingInfo.ffmpegError ? `${reason}: ${recordingInfo.ffmpegError}` : reason);
+    scheduleRecordingRestart(cameraId, supervision, error);
+    return true;
+}
+
+/**
+ * Restarts a crashed or stalled recording after a growing delay, or gives up after too many attempts in a row.
+ * The restarted recording is a new recording (or a new series of segments).
+ * @param {number} cameraId - The ID of the camera.
+ * @param {Object} supervision - The recording's entry in supervisedRecordings.
+ * @param {string} error - Why the recording has to be restarted.
+ */
+function scheduleRecordingRestart(cameraId, supervision, error) {
+    supervision.attempt += 1;
+    if (supervision.attempt > MAX_RESTART_ATTEMPTS) {
+        console.error(`[recordings] Giving up recording of camera ${cameraId} after ${MAX_RESTART_ATTEMPTS} restarts: ${error}`);
+        setRecordingHealth(cameraId, supervision, 'failed', { lastError: error });
+        publish('recording.stopped', { cameraId });
+        publish('recording.failed', { cameraId, recordingId: null, error: `Gave up after ${MAX_RESTART_ATTEMPTS} restarts: ${error}` });
+        return;
+    }
+
+    const delay = getRestartDelay(supervision.attempt);
+    console.warn(`[recordings] Recording of camera ${cameraId} interrupted (${error}), restarting in ${delay / 1000}s (attempt ${supervision.attempt}/${MAX_RESTART_ATTEMPTS})`);
+    setRecordingHealth(cameraId, supervision, 'restarting', { lastError: error });
+
+    supervision.restartTimer = setTimeout(() => {
+        supervision.restartTimer = null;
+        supervision.health = { ...supervision.health, restarts: supervision.health.restarts + 1 };
+        launchRecording(cameraId, supervision).catch((err) => {
+            console.error(`[recordings] Failed to restart recording of camera ${cameraId}:`, err.message);
+            if (!supervision.stopped) {
+                scheduleRecordingRestart(cameraId, supervision, err.message);
+            }
+        });
+    }, delay);
+}
+
+/**
+ * Checks that the files of the running recordings keep growing.
+ * A stalled FFmpeg is asked to finish its file (and killed if it does not), after which the recording is restarted.
+ * A restarted recording counts as running again as soon as it writes video.
+ */
+function checkRecordings() {
+    const now = Date.now();
+    for (const [cameraId, recordingInfo] of activeRecordings) {
+        const supervision = supervisedRecordings.get(cameraId);
+        if (!supervision || !recordingInfo.process) {
+            continue;
+        }
+
+        if (recordingInfo.stallError) {
+            // Still running although it was asked to stop
+            if (now - recordingInfo.stalledAt > 2 * WATCHDOG_INTERVAL_MS) {
+                recordingInfo.process.kill('SIGKILL');
+            }
+            continue;
+        }
+
+        // Files of the recording: 'camera_1_<time>.mp4', or 'camera_1_<time>_seg00001.mp4' etc. for continuous recordings
+        const prefix = recordingInfo.filename.split('%')[0].replace(/\.mp4$/, '');
+        const lastOutput = getLastOutputTime(recordingsBasePath, prefix);
+        const advancing = lastOutput !== null && lastOutput >= recordingInfo.startedAt;
+
+        if (advancing && supervision.health.state === 'restarting') {
+            console.log(`[recordings] Recording of camera ${cameraId} recovered`);
+            setRecordingHealth(cameraId, supervision, 'running');
+        }
+        if (advancing && now - recordingInfo.startedAt >= STABLE_AFTER_MS) {
+            supervision.attempt = 0;
+        }
+
+        if (now - Math.max(recordingInfo.startedAt, lastOutput ?? 0) > STALL_TIMEOUT_MS) {
+            recordingInfo.stallError = `The recording has not grown for ${STALL_TIMEOUT_MS / 1000}s`;
+            recordingInfo.stalledAt = now;
+            console.warn(`[recordings] Recording of camera ${cameraId} stalled, stopping FFmpeg`);
+            recordingInfo.process.kill('SIGINT');
+        }
+    }
+}
+
+/**
+ * Captures the pre-event buffer of a camera for a recording that starts now.
+ * @param {number} cameraId - The ID of the camera.
+ * @param {number} recordingId - The ID of the new recording.
+ * @returns {Promise<object|null>} The capture (see PreEventBuffer.capture), or null if the camera has no buffered video.
+ */
+async function capturePreEvent(cameraId, recordingId) {
+    const entry = preEventBuffers.get(cameraId);
+    if (!entry) {
+        return null;
+    }
+
+    try {
+        return await entry.buffer.capture(path.join(preEventBasePath, `recording_${recordingId}`));
+    } catch (err) {
+        console.error(`[pre-event] Failed to capture buffer of camera ${cameraId}:`, err);
+        return null;
+    }
+}
+
+/**
+ * Stitches the captured pre-event video in front of a finished recording.
+ * If stitching fails the recording is kept as it is and its start time is reset to the trigger time.
+ * @param {number} recordingId - The ID of the recording.
+ * @param {object} preEvent - The capture returned by capturePreEvent().
+ * @param {string} filename - The recording filename.
+ * @param {Date} triggerTime - When the recording was started.
+ * @param {Date} recordingStart - When the recording's FFmpeg process was started; the buffered video is cut off there.
+ * @returns {Promise<void>}
+ */
+async function stitchPreEvent(recordingId, preEvent, filename, triggerTime, recordingStart) {
+    try {
+        await PreEventBuffer.stitch(preEvent, path.join(recordingsBasePath, filename), recordingStart);
+        console.log(`[pre-event] Pre-event video added to recording ${filename}.`);
+    } catch (err) {
+        console.error(`[pre-event] Failed to add pre-event video to recording ${filename}:`, err);
+        await db('recordings').where({ id: recordingId }).update({ start_time: triggerTime });
+    } finally {
+        discardPreEvent(preEvent);
+    }
+}
+
+/**
+ * Removes the captured pre-event segments of a recording.
+ * @param {object|null} preEvent - The capture returned by capturePreEvent().
+ */
+function discardPreEvent(preEvent) {
+    if (preEvent) {
+        fs.rm(preEvent.directory, { recursive: true, force: true }, () => {});
+    }
+}
+
+/**
+ * Starts the pre-event buffer of a camera, if it has one configured.
+ * Cameras in continuous mode record all the time and don't need a buffer.
+ * @param {number} cameraId - The ID of the camera.
+ * @returns {Promise<void>}
+ */
+async function startPreEventBuffer(cameraId) {
+    if (preEventBuffers.has(cameraId)) {
+        return;
+    }
+
+    const camera = await db('cameras').where({ id: cameraId }).first();
+    if (!camera) {
+        throw new Error(`Camera with ID ${cameraId} not found.`);
+    }
+    if (!camera.pre_event_seconds || camera.recording_mode === 'continuous') {
+        return;
+    }
+
+    const strategy = getRecordingStrategy(camera);
+    const inputUrl = await strategy.getInputUrl(camera);
+
+    const buffer = new PreEventBuffer({
+        cameraId,
+        // Same audio as the recording, so that the segments can be stitched in front of it
+        inputArgs: [...strategy.getFFmpegInputArgs(inputUrl), ...await strategy.getAudioArgs(camera, inputUrl)],
+        seconds: camera.pre_event_seconds,
+        // Unique per start: the directory of a stopped buffer is removed asynchronously
+        directory: path.join(preEventBasePath, `camera_${cameraId}_${Date.now()}`)
+    });
+
+    const entry = { buffer, restartTimer: null, stopping: false };
+    preEventBuffers.set(cameraId, entry);
+
+    buffer.on('exit', (code) => {
+        console.log(`[pre-event] Buffer for camera ${cameraId} exited with code ${code}`);
+        if (entry.stopping) {
+            return;
+        }
+
+        // Unexpected exit (camera offline, network error): try again later
+        entry.restartTimer = setTimeout(() => {
+            preEventBuffers.delete(cameraId);
+            startPreEventBuffer(cameraId).catch(err => {
+                console.error(`[pre-event] Failed to restart buffer for camera ${cameraId}:`, err.message);
+            });
+        }, PRE_EVENT_RESTART_DELAY_MS);
+    });
+
+    buffer.start();
+}
+
+/**
+ * Stops the pre-event buffer of a camera.
+ * @param {number} cameraId - The ID of the camera.
+ */
+function stopPreEventBuffer(cameraId) {
+    const entry = preEventBuffers.get(cameraId);
+    if (!entry) {
+        return;
+    }
+
+    entry.stopping = true;
+    clearTimeout(entry.restartTimer);
+    entry.buffer.stop();
+    preEventBuffers.delete(cameraId);
+}
+
+/**
+ * Stops the pre-event buffers of all cameras.
+ */
+function stopPreEventBuffers() {
+    for (const cameraId of Array.from(preEventBuffers.keys())) {
+        stopPreEventBuffer(cameraId);
+    }
+}
+
+/**
+ * Starts the pre-event buffers of all cameras that have one configured.
+ * @returns {Promise<void>}
+ */
+async function startPreEventBuffers() {
+    // Remove leftovers (buffers and captures) of a previous run
+    fs.rmSync(preEventBasePath, { recursive: true, force: true });
+
+    const cameras = await db('cameras').where('pre_event_seconds', '>', 0);
+    for (const camera of cameras) {
+        try {
+            await startPreEventBuffer(camera.id);
+        } catch (err) {
+            console.error(`[pre-event] Failed to start buffer for camera ${camera.id}:`, err.message);
+        }
+    }
+}
+
+/**
+ * Check if a recording file has any video in it.
+ * @param {string} filename - The recording filename.
+ * @returns {boolean} True if the file exists and is not empty.
+ */
+function hasRecordedVideo(filename) {
+    try {
+        return fs.statSync(path.join(recordingsBasePath, filename)).size > 0;
+    } catch (err) {
+        return false;
+    }
+}
+
 /**
  * Starts recording a camera's stream to an MP4 file.
+ * Cameras in continuous mode are recorded as a series of fixed-length segments instead.
+ * The recording is supervised: when FFmpeg crashes or stops writing, a new recording is started.
  * @param {number} cameraId - The ID of the camera.
  * @returns {Promise<object>} An object containing the recording details.
  */
 async function startRecording(cameraId) {
-    if (activeRecordings.has(cameraId)) {
+    if (shuttingDown) {
+        throw new Error('The server is shutting down.');
+    }
+    if (isRecording(cameraId)) {
         throw new Error(`Recording is already in progress for camera ${cameraId}.`);
     }
 
+    // Registered before the first await: isRecording() is true from here on
+    const supervision = { health: createHealth(), attempt: 0, restartTimer: null, stopped: false, starting: true };
+    supervisedRecordings.set(cameraId, supervision);
+
+    try {
+        const result = await launchRecording(cameraId, supervision);
+        publish('recording.health', { cameraId, health: supervision.health });
+        return result;
+    } catch (err) {
+        // A recording that cannot be started at all is not retried
+        if (supervisedRecordings.get(cameraId) === supervision) {
+            supervisedRecordings.delete(cameraId);
+        }
+        throw err;
+    } finally {
+        supervision.starting = false;
+    }
+}
+
+/**
+ * Spawns the FFmpeg process of a supervised recording.
+ * @param {number} cameraId - The ID of the camera.
+ * @param {Object} supervision - The recording's entry in supervisedRecordings.
+ * @returns {Promise<object>} An object containing the recording details.
+ */
+async function launchRecording(cameraId, supervision) {
     const camera = await db('cameras').where({ id: cameraId }).first();
     if (!camera) {
         throw new Error(`Camera with ID ${cameraId} not found.`);
@@ -99,85 +629,109 @@ async function startRecording(cameraId) {
     // Get appropriate strategy for this camera type
     const strategy = getRecordingStrategy(camera);
 
+    if (camera.recording_mode === 'continuous') {
+        return startSegmentedRecording(camera, strategy, supervision);
+    }
+
     // Create a record in the database
+    const triggerTime = new Date();
     const [recording] = await db('recordings').insert({
         camera_id: cameraId,
         filename: '',  // Will be updated after we get the filename from strategy
-        start_time: new Date(),
+        start_time: triggerTime,
     }).returning('*');
 
+    // Keep the seconds before the trigger; the recording then really starts with the buffered video
+    const preEvent = await capturePreEvent(cameraId, recording.id);
+    if (preEvent) {
+        await db('recordings').where({ id: recording.id }).update({ start_time: preEvent.startTime });
+    }
+
     try {
         // Spawn FFmpeg process using strategy
         const { process: ffmpegProcess, filename } = await strategy.spawnFFmpeg(camera);
 
-        // Update the recording with the actual filename
-        await db('recordings').where({ id: recording.id }).update({ filename });
+        // Register the process before the next await, so that an immediate exit is not missed
+        const recordingInfo = { process: ffmpegProcess, recordingId: recording.id, filename, startedAt: Date.now() };
+        activeRecordings.set(cameraId, recordingInfo);
+        trackLastError(ffmpegProcess, recordingInfo);
+        publish('recording.started', { cameraId, recordingId: recording.id, mode: 'manual' });
 
-        const outputPath = path.join(recordingsBasePath, filename);
-        activeRecordings.set(cameraId, { process: ffmpegProcess, recordingId: recording.id, filename });
+        // The recording may have been stopped while a restart was starting up
+        if (supervision.stopped) {
+            ffmpegProcess.kill('SIGINT');
+        }
 
         ffmpegProcess.stderr.on('data', (data) => {
             const message = data.toString();
             if (message.includes('error') || message.includes('Error')) {
-                console.error(`FFMPEG-REC (cam-${cameraId}): ${message}`);
+                console.error(`FFMPEG-REC (cam-${cameraId}): ${maskCredentials(message)}`);
             }
         });
 
-        ffmpegProcess.on('close', async (code) => {
+        const finishRecording = async (code) => {
             console.log(`FFmpeg recording process for camera ${cameraId} exited with code ${code}`);
-
-            // Get the recording info before deleting (to access stopResolve/stopReject if present)
-            const recordingInfo = activeRecordings.get(cameraId);
-            activeRecordings.delete(cameraId);
+            const crashed = handleRecordingExit(cameraId, recordingInfo, supervision, code);
 
             // A code of 255 is often sent on SIGINT. A code of 0 is a clean exit.
-            // Any other code indicates a problem.
-            if (code !== 0 && code !== 255) {
+            // Any other code indicates a problem. After a crash, or when FFmpeg was killed along with the server,
+            // the video recorded so far is kept.
+            if (code !== 0 && code !== 255 && !((crashed || shuttingDown) && hasRecordedVideo(filename))) {
                 console.error(`FFmpeg process exited with error code ${code}. Deleting recording record.`);
                 await db('recordings').where({ id: recording.id }).del();
+                discardPreEvent(preEvent);
+                if (!crashed) {
+                    publish('recording.failed', { cameraId, recordingId: recording.id, error: `Recording process exited with an error code: ${code}` });
+                }
 
                 // Reject the stopRecording promise if it exists
-                if (recordingInfo?.stopReject) {
+                if (recordingInfo.stopReject) {
                     recordingInfo.stopReject(new Error(`Recording process exited with an error code: ${code}`));
                 }
             } else {
-                // Generate thumbnail
-                let thumbnailFilename = null;
-                try {
-                    const thumbnailName = filename.replace('.mp4', '.jpg');
-                    thumbnailFilename = await generateThumbnail(outputPath, thumbnailName);
-                    console.log(`Thumbnail generated for recording ${filename}: ${thumbnailFilename}`);
-                } catch (err) {
-                    console.error(`Failed to generate thumbnail for recording ${filename}:`, err);
-                    // Continue without thumbnail - don't fail the recording
+                if (preEvent) {
+                    await stitchPreEvent(recording.id, preEvent, filename, triggerTime, new Date(recordingInfo.startedAt));
                 }
 
+                // Generate thumbnail and read the file's metadata
+                const thumbnailFilename = await createThumbnail(filename);
+                const metadata = await probeRecording(filename);
+
                 // Update the database record on a clean exit
                 await db('recordings').where({ id: recording.id }).update({
                     end_time: new Date(),
                     is_finished: true,
                     thumbnail: thumbnailFilename,
+                    ...metadata,
                 });
                 console.log(`Recording ${filename} marked as finished.`);
+                publish('recording.finalized', { cameraId, recordingId: recording.id, filename });
+                if (thumbnailFilename) {
+                    publish('thumbnail.ready', { cameraId, recordingId: recording.id, thumbnail: thumbnailFilename });
+                }
+                queueSprite(recording.id);
 
                 // Resolve the stopRecording promise if it exists
-                if (recordingInfo?.stopResolve) {
+                if (recordingInfo.stopResolve) {
                     recordingInfo.stopResolve({ success: true, message: `Recording for camera ${cameraId} stopped and finalized.` });
                 }
             }
-        });
+        };
+        ffmpegProcess.on('close', (code) => trackFinalization(finishRecording(code)));
 
-        ffmpegProcess.on('error', async (err) => {
-            console.error(`Failed to start FFmpeg recording for camera ${cameraId}:`, err);
-            activeRecordings.delete(cameraId);
-            // Delete the orphaned record from the database
-            await db('recordings').where({ id: recording.id }).del();
+        ffmpegProcess.on('error', (err) => {
+            // The 'close' event follows and deletes the orphaned record from the database
+            console.error(`Failed to start FFmpeg recording for camera ${cameraId}:`, err.message);
         });
 
+        // Update the recording with the actual filename
+        await db('recordings').where({ id: recording.id }).update({ filename });
+
         return { success: true, message: `Recording started for camera ${cameraId}.`, recordingId: recording.id, filename };
     } catch (err) {
         // If strategy throws an error, delete the database record
         await db('recordings').where({ id: recording.id }).del();
+        discardPreEvent(preEvent);
         throw err;
     }
 }
@@ -189,12 +743,26 @@ async function startRecording(cameraId) {
  */
 function stopRecording(cameraId) {
     return new Promise((resolve, reject) => {
+        // Stop the supervision first, so that the exit is not taken for a crash
+        const supervision = supervisedRecordings.get(cameraId);
+        if (supervision) {
+            supervision.stopped = true;
+            clearTimeout(supervision.restartTimer);
+            supervisedRecordings.delete(cameraId);
+        }
+
         if (!activeRecordings.has(cameraId)) {
+            // A recording that is still starting up is stopped as soon as its FFmpeg process has been spawned
+            if (supervision && (supervision.starting || supervision.health.state === 'restarting')) {
+                console.log(`Stopping recording for camera ${cameraId} (${supervision.starting ? 'start' : 'restart'} pending)`);
+                publish('recording.stopped', { cameraId });
+                return resolve({ success: true, message: `Recording for camera ${cameraId} stopped.` });
+            }
             return resolve({ success: false, message: `No active recording found for camera ${cameraId}.` });
         }
 
         const { process, recordingId } = activeRecordings.get(cameraId);
-        console.log(`Stopping recording for camera ${cameraId} (ID: ${recordingId})`);
+        console.log(`Stopping recording for camera ${cameraId} (ID: ${recordingId ?? 'continuous'})`);
 
         // Store the resolve/reject functions to be called after processing completes
         const recordingInfo = activeRecordings.get(cameraId);
@@ -207,4 +775,352 @@ function stopRecording(cameraId) {
     });
 }
 
-module.exports = { startRecording, stopRecording };
+/**
+ * Stops all recordings when the server shuts down and waits until their files are finalized.
+ * Recordings cannot be started any more afterwards.
+ * @returns {Promise<void>}
+ */
+async function stopAllRecordings() {
+    shuttingDown = true;
+    const cameraIds = getActiveRecordingIds();
+    console.log(`[recordings] Stopping ${cameraIds.length} recording(s)`);
+
+    await Promise.all(cameraIds.map(cameraId => stopRecording(cameraId).catch((err) => {
+        console.error(`[recordings] Failed to stop recording of camera ${cameraId}:`, err.message);
+    })));
+    // Also recordings that were stopped or crashed just before
+    await Promise.all(pendingFinalizations);
+}
+
+/**
+ * Deletes a recording's MP4 file, its thumbnail, sprite sheet and WebVTT track and its database row.
+ * If it was merged from recordings that were kept, these are no longer marked as merged.
+ * Missing files are logged and skipped so the database record is always removed.
+ * @param {Object} recording - Recording row from the database.
+ * @returns {Promise<number>} The number of deleted database rows.
+ */
+async function deleteRecording(recording) {
+    const filePaths = [];
+    if (recording.filename) {
+        filePaths.push(path.join(recordingsBasePath, recording.filename));
+    }
+    for (const file of [recording.thumbnail, recording.sprite, recording.sprite_vtt]) {
+        if (file) {
+            filePaths.push(path.join(thumbnailsBasePath, file));
+        }
+    }
+
+    for (const filePath of filePaths) {
+        try {
+            if (fs.existsSync(filePath)) {
+                fs.unlinkSync(filePath);
+                console.log(`[recordings] Deleted file: ${filePath}`);
+            } else {
+                console.warn(`[recordings] File not found: ${filePath}, will delete database record anyway`);
+            }
+        } catch (fileError) {
+            console.error(`[recordings] Error deleting file ${filePath}:`, fileError);
+            // Continue to delete database record even if file deletion fails
+        }
+    }
+
+    // The sources of a deleted merged recording are used for exports and timelapses again
+    await db('recordings').where({ merged_into: recording.id }).update({ merged_into: null });
+    return db('recordings').where({ id: recording.id }).del();
+}
+
+/**
+ * Describes the streams of a probed file, to compare recordings before they are concatenated.
+ * @param {{streams: Array<Object>}} probe - The result of probeFile().
+ * @returns {string} E.g. 'h264 1920x1080' or 'h264 1920x1080, aac'.
+ */
+function describeStreams(probe) {
+    return probe.streams
+        .filter(stream => stream.codec_type === 'video' || stream.codec_type === 'audio')
+        .map(stream => (stream.codec_type === 'video' ? `${stream.codec_name} ${stream.width}x${stream.height}` : stream.codec_name))
+        .join(', ');
+}
+
+/**
+ * Checks that recordings can be concatenated without re-encoding: their files exist and have the
+ * same streams with the same codecs and resolution.
+ * @param {Array<Object>} recordings - Recording rows from the database.
+ * @returns {Promise<string|null>} Why the recordings cannot be merged, or null if they can.
+ */
+async function checkMergeable(recordings) {
+    let first = null;
+    for (const recording of recordings) {
+        const filePath = path.join(recordingsBasePath, recording.filename);
+        if (!fs.existsSync(filePath)) {
+            return `The file of recording ${recording.id} is missing.`;
+        }
+        let streams;
+        try {
+            streams = describeStreams(await probeFile(filePath));
+        } catch (err) {
+            console.error(`[recordings] Failed to read recording ${recording.filename}:`, err.message);
+            return `Recording ${recording.id} could not be read.`;
+        }
+        if (!streams) {
+            return `Recording ${recording.id} has no video.`;
+        }
+        if (!first) {
+            first = { id: recording.id, streams };
+        } else if (streams !== first.streams) {
+            return `Recording ${recording.id} (${streams}) is not compatible with recording ${first.id} (${first.streams}).`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Concatenates recordings of one camera into a new recording with the FFmpeg concat demuxer,
+ * without re-encoding. Check them with checkMergeable() first.
+ * The new recording spans from the start of the first to the end of the last recording; gaps between
+ * the recordings are not filled, so its duration can be shorter.
+ * @param {Array<Object>} recordings - Recording rows of the same camera.
+ * @param {Object} [options]
+ * @param {boolean} [options.deleteSources=false] - Delete the merged recordings afterwards.
+ * @returns {Promise<object>} The inserted recording row.
+ */
+async function mergeRecordings(recordings, { deleteSources = false } = {}) {
+    const sources = [...recordings].sort((a, b) => new Date(a.start_time) - new Date(b.start_time));
+    const cameraId = sources[0].camera_id;
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const filename = `camera_${cameraId}_${timestamp}_merged.mp4`;
+    const outputFile = path.join(recordingsBasePath, filename);
+    const listFile = path.join(os.tmpdir(), `camera_${cameraId}_${timestamp}_merged.txt`);
+
+    // Concat demuxer list; single quotes in paths are escaped as '\''
+    const list = sources
+        .map(recording => `file '${path.join(recordingsBasePath, recording.filename).replace(/'/g, "'\\''")}'`)
+        .join('\n');
+    await fs.promises.writeFile(listFile, `${list}\n`);
+
+    const ffmpegArgs = [
+        '-f', 'concat',
+        '-safe', '0',
+        '-i', listFile,
+        '-map', '0',
+        '-c', 'copy',
+        '-movflags', '+faststart',
+        '-f', 'mp4',
+        outputFile
+    ];
+    console.log(`[recordings] Merging recordings ${sources.map(recording => recording.id).join(', ')} into ${filename}`);
+
+    try {
+        await new Promise((resolve, reject) => {
+            const ffmpegProcess = spawn('ffmpeg', ffmpegArgs);
+            let stderr = '';
+            ffmpegProcess.stderr.on('data', (data) => {
+                stderr = (stderr + data.toString()).slice(-2000);
+            });
+            ffmpegProcess.on('error', reject);
+            ffmpegProcess.on('close', (code) => {
+                if (code === 0) {
+                    resolve();
+                } else {
+                    reject(new Error(`FFmpeg concat exited with code ${code}: ${stderr.trim().slice(-500)}`));
+                }
+            });
+        });
+    } catch (err) {
+        await fs.promises.unlink(outputFile).catch(() => {});
+        throw err;
+    } finally {
+        await fs.promises.unlink(listFile).catch(() => {});
+    }
+
+    const thumbnail = await createThumbnail(filename);
+    const metadata = await probeRecording(filename);
+    const [recording] = await db('recordings').insert({
+        camera_id: cameraId,
+        filename,
+        start_time: sources[0].start_time,
+        end_time: sources[sources.length - 1].end_time,
+        is_finished: true,
+        is_bookmarked: sources.some(source => !!source.is_bookmarked),
+        thumbnail,
+        ...metadata,
+    }).returning('*');
+    console.log(`[recordings] Merged recording ${recording.id} stored (${filename}).`);
+
+    if (deleteSources) {
+        for (const source of sources) {
+            await deleteRecording(source);
+        }
+    } else {
+        // Kept sources stay in the list, but exports and timelapses only use the merged recording
+        await db('recordings').whereIn('id', sources.map(source => source.id)).update({ merged_into: recording.id });
+    }
+
+    publish('recording.finalized', { cameraId, recordingId: recording.id, filename });
+    if (thumbnail) {
+        publish('thumbnail.ready', { cameraId, recordingId: recording.id, thumbnail });
+    }
+    queueSprite(recording.id);
+    return recording;
+}
+
+/**
+ * Build the query for finished recordings matching the filters
+ * @param {Object} filters - Filters (see listRecordings)
+ * @returns {import("knex").Knex.QueryBuilder} Query
+ */
+function buildRecordingQuery({ accessibleCameraIds, includeDeletedCameras, cameraIds, from, to, minDuration, hasEvents, bookmarked }) {
+    const query = db('recordings')
+        .leftJoin('cameras', 'recordings.camera_id', 'cameras.id')
+        .where('recordings.is_finished', true);
+
+    if (accessibleCameraIds) {
+        query.where(access => {
+            access.whereIn('recordings.camera_id', accessibleCameraIds);
+            if (includeDeletedCameras) access.orWhereNull('cameras.id');
+        });
+    }
+    if (cameraIds) query.whereIn('recordings.camera_id', cameraIds);
+    // Recordings that overlap the time range
+    if (from) query.where('recordings.end_time', '>=', from);
+    if (to) query.where('recordings.start_time', '<=', to);
+    if (minDuration !== undefined) query.where('recordings.duration', '>=', minDuration);
+    if (hasEvents !== undefined) query[hasEvents ? 'whereExists' : 'whereNotExists'](overlappingEvents());
+    if (bookmarked !== undefined) query.where('recordings.is_bookmarked', bookmarked);
+    return query;
+}
+
+/**
+ * Subquery for the events of a recording's camera during the recording
+ * @returns {import("knex").Knex.QueryBuilder} Query
+ */
+function overlappingEvents() {
+    return db('events')
+        .select(1)
+        .whereRaw('events.camera_id = recordings.camera_id')
+        .whereRaw('events.start_time <= recordings.end_time')
+        .whereRaw('COALESCE(events.end_time, events.start_time) >= recordings.start_time');
+}
+
+/**
+ * List finished recordings, with the name of their camera and whether events happened during them
+ * @param {Object} [filters] - Filters
+ * @param {Array<number>|null} [filters.accessibleCameraIds] - Only recordings of these cameras (null = all cameras)
+ * @param {boolean} [filters.includeDeletedCameras] - With accessibleCameraIds: also recordings of deleted cameras
+ * @param {Array<number>} [filters.cameraIds] - Only recordings of these cameras
+ * @param {Date} [filters.from] - Only recordings that end at or after this time
+ * @param {Date} [filters.to] - Only recordings that start at or before this time
+ * @param {number} [filters.minDuration] - Only recordings of at least this many seconds
+ * @param {boolean} [filters.hasEvents] - Only recordings with (true) or without (false) events
+ * @param {boolean} [filters.bookmarked] - Only bookmarked (true) or not bookmarked (false) recordings
+ * @param {string} [filters.sort='start_time'] - Sort column (see RECORDING_SORT_COLUMNS)
+ * @param {string} [filters.order='desc'] - 'asc' or 'desc'
+ * @param {number} [filters.limit=50] - Maximum number of recordings
+ * @param {number} [filters.offset=0] - Number of recordings to skip
+ * @returns {Promise<{recordings: Array<Object>, total: number}>} Recordings and the number of matching recordings
+ */
+async function listRecordings({ sort = 'start_time', order = 'desc', limit = 50, offset = 0, ...filters } = {}) {
+    const rows = await buildRecordingQuery(filters)
+        .select(
+            'recordings.id',
+            'recordings.camera_id',
+            'recordings.filename',
+            'recordings.start_time',
+            'recordings.end_time',
+            'recordings.thumbnail',
+            'recordings.duration',
+            'recordings.file_size',
+            'recordings.video_codec',
+            'recordings.width',
+            'recordings.height',
+            'recordings.frame_rate',
+            'recordings.bitrate',
+            'recordings.is_bookmarked',
+            'recordings.sprite',
+            'recordings.sprite_vtt',
+            'recordings.sprite_interval',
+            'recordings.sprite_frames',
+            'recordings.sprite_columns',
+            'recordings.sprite_tile_width',
+            'recordings.sprite_tile_height',
+            db.raw("COALESCE(cameras.name, 'Deleted Camera') as camera_name"),
+            db.raw('EXISTS ? as has_events', [overlappingEvents()])
+        )
+        .orderBy(RECORDING_SORT_COLUMNS[sort], order)
+        .orderBy('recordings.id', order)
+        .limit(limit)
+        .offset(offset);
+    const { count } = await buildRecordingQuery(filters).count('recordings.id as count').first();
+
+    return {
+        recordings: rows.map(row => ({ ...row, is_bookmarked: !!row.is_bookmarked, has_events: !!row.has_events })),
+        total: Number(count)
+    };
+}
+
+/**
+ * Check if a camera is currently recording (or its recording is being started or restarted)
+ * @param {number} cameraId - The ID of the camera
+ * @returns {boolean} True if camera is recording
+ */
+function isRecording(cameraId) {
+    const supervision = supervisedRecordings.get(cameraId);
+    return activeRecordings.has(cameraId) || (!!supervision && (supervision.starting || supervision.health.state === 'restarting'));
+}
+
+/**
+ * Get the IDs of all cameras that are currently recording (or whose recording is being restarted)
+ * @returns {Array<number>} Camera IDs
+ */
+function getActiveRecordingIds() {
+    return Array.from(new Set([...activeRecordings.keys(), ...supervisedRecordings.keys()])).filter(isRecording);
+}
+
+/**
+ * Get the health of all supervised recordings (running, restarting and failed)
+ * @returns {Object<number, Object>} Health by camera ID
+ */
+function getRecordingHealthAll() {
+    return Object.fromEntries(Array.from(supervisedRecordings, ([cameraId, supervision]) => [cameraId, supervision.health]));
+}
+
+/**
+ * Get the health of a camera's recording
+ * @param {number} cameraId - The ID of the camera
+ * @returns {{state: string, restarts: number, lastError: string|null, since: string}|null} Health, or null if there is no supervised recording
+ */
+function getRecordingHealth(cameraId) {
+    const supervision = supervisedRecordings.get(cameraId);
+    return supervision ? supervision.health : null;
+}
+
+/**
+ * Start checking the running recordings for stalls periodically
+ */
+function startRecordingWatchdog() {
+    if (watchdogTimer) {
+        return;
+    }
+    watchdogTimer = setInterval(checkRecordings, WATCHDOG_INTERVAL_MS);
+}
+
+module.exports = {
+    startRecording,
+    stopRecording,
+    deleteRecording,
+    checkMergeable,
+    mergeRecordings,
+    listRecordings,
+    RECORDING_SORT_COLUMNS,
+    isRecording,
+    getActiveRecordingIds,
+    getRecordingHealth,
+    getRecordingHealthAll,
+    startRecordingWatchdog,
+    stopAllRecordings,
+    createThumbnail,
+    probeRecording,
+    startPreEventBuffer,
+    stopPreEventBuffer,
+    startPreEventBuffers,
+    stopPreEventBuffers
+};
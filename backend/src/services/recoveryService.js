@@ -0,0 +1,176 @@
+const fs = require('fs');
+const path = require('path');
+const db = require('../db/db');
+const { createThumbnail, deleteRecording } = require('./recordingService');
+const { getRecordingMetadata } = require('./probeService');
+
+// Base paths for recordings and thumbnails (see recordingService)
+const recordingsBasePath = path.join(__dirname, '../../recordings');
+const thumbnailsBasePath = path.join(__dirname, '../../thumbnails');
+
+// Segment of a continuous recording: 'camera_<id>_<time>_seg00001.mp4'
+const SEGMENT_FILENAME = /^camera_(\d+)_.+_seg\d+\.mp4$/;
+
+/**
+ * Check if a recording file exists and has any video in it
+ * @param {string} filename - Recording filename
+ * @returns {boolean} True if the file exists and is not empty
+ */
+function hasFile(filename) {
+    try {
+        return !!filename && fs.statSync(path.join(recordingsBasePath, filename)).size > 0;
+    } catch (err) {
+        return false;
+    }
+}
+
+/**
+ * Read the metadata of a recording file
+ * @param {string} filename - Recording filename
+ * @returns {Promise<Object|null>} Metadata columns (see getRecordingMetadata), or null if the file cannot be read
+ */
+async function probeMetadata(filename) {
+    try {
+        return await getRecordingMetadata(path.join(recordingsBasePath, filename));
+    } catch (err) {
+        console.error(`[recovery] Failed to probe ${filename}:`, err.message);
+        return null;
+    }
+}
+
+/**
+ * Finish a recording that was still being written when the server stopped.
+ * Fragmented MP4 files are playable up to the last complete fragment, so the real end time is
+ * taken from the file's duration. Files that cannot be read are flagged as corrupt.
+ * @param {Object} recording - Unfinished recording row
+ * @returns {Promise<string>} 'recovered', 'corrupt' or 'removed'
+ */
+async function recoverRecording(recording) {
+    if (!hasFile(recording.filename)) {
+        console.warn(`[recovery] Recording ${recording.id} has no video file, removing it`);
+        await deleteRecording(recording);
+        return 'removed';
+    }
+
+    const metadata = await probeMetadata(recording.filename);
+    if (!metadata || !metadata.duration) {
+        console.warn(`[recovery] Recording ${recording.id} (${recording.filename}) cannot be read, flagging it as corrupt`);
+        await db('recordings').where({ id: recording.id }).update({ is_corrupt: true });
+        return 'corrupt';
+    }
+
+    const endTime = new Date(new Date(recording.start_time).getTime() + metadata.duration * 1000);
+    const thumbnail = recording.thumbnail || await createThumbnail(recording.filename);
+    await db('recordings').where({ id: recording.id }).update({ end_time: endTime, is_finished: true, thumbnail, ...metadata });
+    console.log(`[recovery] Recovered recording ${recording.id} (${recording.filename}, ${Math.round(metadata.duration)}s)`);
+    return 'recovered';
+}
+
+/**
+ * Store the segment a continuous recording was writing when the server stopped.
+ * Segments only get a row when they are closed, so the last one of a session has none.
+ * @param {string} filename - Segment filename
+ * @param {number} cameraId - Camera ID taken from the filename
+ * @returns {Promise<boolean>} True if the segment was stored
+ */
+async function adoptSegment(filename, cameraId) {
+    const camera = await db('cameras').where({ id: cameraId }).first();
+    const metadata = camera ? await probeMetadata(filename) : null;
+    if (!metadata || !metadata.duration) {
+        return false;
+    }
+
+    // The segment was last written when the server stopped
+    const endTime = new Date(fs.statSync(path.join(recordingsBasePath, filename)).mtimeMs);
+    const startTime = new Date(endTime.getTime() - metadata.duration * 1000);
+    const thumbnail = await createThumbnail(filename);
+    await db('recordings').insert({
+        camera_id: cameraId,
+        filename,
+        start_time: startTime,
+        end_time: endTime,
+        is_finished: true,
+        thumbnail,
+        ...metadata,
+    });
+    console.log(`[recovery] Stored interrupted segment ${filename} of camera ${cameraId}`);
+    return true;
+}
+
+/**
+ * Delete a file, logging instead of failing
+ * @param {string} filePath - Path of the file
+ */
+function removeFile(filePath) {
+    try {
+        fs.unlinkSync(filePath);
+        console.log(`[recovery] Deleted orphaned file ${filePath}`);
+    } catch (err) {
+        console.error(`[recovery] Failed to delete ${filePath}:`, err.message);
+    }
+}
+
+/**
+ * Bring the recordings table and the recording files back in line after the server stopped
+ * without finalizing its recordings (crash, power loss, kill -9).
+ * Must run before any recording is started, because files being written have no finished row yet.
+ * - Unfinished recordings are finished from their file, or flagged as corrupt if it cannot be read
+ * - Recordings whose file is gone are removed
+ * - Files without a recording are removed, except interrupted continuous segments, which are stored
+ * @returns {Promise<Object>} Number of recovered, corrupt, removed and adopted recordings and deleted files
+ */
+async function recoverRecordings() {
+    const result = { recovered: 0, corrupt: 0, removed: 0, adopted: 0, deletedFiles: 0 };
+
+    // 1. Unfinished recordings (corrupt ones have been checked before)
+    const unfinished = await db('recordings').where({ is_finished: false, is_corrupt: false });
+    for (const recording of unfinished) {
+        try {
+            result[await recoverRecording(recording)] += 1;
+        } catch (err) {
+            console.error(`[recovery] Failed to recover recording ${recording.id}:`, err);
+        }
+    }
+
+    // 2. Finished recordings whose file has been deleted
+    const recordings = await db('recordings').select('id', 'filename', 'thumbnail', 'sprite', 'sprite_vtt', 'is_finished');
+    for (const recording of recordings.filter(recording => recording.is_finished && !hasFile(recording.filename))) {
+        console.warn(`[recovery] File of recording ${recording.id} (${recording.filename}) is missing, removing the recording`);
+        await deleteRecording(recording);
+        result.removed += 1;
+    }
+
+    // 3. Recording files, thumbnails and sprite sheets without a recording (the .prebuffer directory is handled by the pre-event buffers)
+    const knownFiles = new Set(await db('recordings').pluck('filename'));
+
+    for (const name of fs.readdirSync(recordingsBasePath)) {
+        if (!name.endsWith('.mp4') || knownFiles.has(name)) continue;
+
+        const segment = name.match(SEGMENT_FILENAME);
+        try {
+            if (segment && hasFile(name) && await adoptSegment(name, Number(segment[1]))) {
+                result.adopted += 1;
+                continue;
+            }
+        } catch (err) {
+            console.error(`[recovery] Failed to store segment ${name}:`, err);
+        }
+        removeFile(path.join(recordingsBasePath, name));
+        result.deletedFiles += 1;
+    }
+
+    // Read after the segments have been stored, whose thumbnails have just been created
+    const knownThumbnails = new Set((await db('recordings').select('thumbnail', 'sprite', 'sprite_vtt'))
+        .flatMap(row => [row.thumbnail, row.sprite, row.sprite_vtt])
+        .filter(Boolean));
+    for (const name of fs.readdirSync(thumbnailsBasePath)) {
+        if (!name.startsWith('camera_') || !/\.(jpg|vtt)$/.test(name) || knownThumbnails.has(name)) continue;
+        removeFile(path.join(thumbnailsBasePath, name));
+        result.deletedFiles += 1;
+    }
+
+    console.log(`[recovery] Recovered ${result.recovered}, flagged ${result.corrupt} as corrupt, removed ${result.removed} and stored ${result.adopted} interrupted segment(s); deleted ${result.deletedFiles} orphaned file(s).`);
+    return result;
+}
+
+module.exports = { recoverRecordings };
@@ -0,0 +1,212 @@
+const fs = require('fs');
+const path = require('path');
+const db = require('../db/db');
+const { deleteRecording } = require('./recordingService');
+
+// Base path for recordings (used for file sizes and free disk space)
+const recordingsBasePath = path.join(__dirname, '../../recordings');
+
+// How often the retention rules are enforced in the background
+const RETENTION_INTERVAL_MS = 10 * 60 * 1000;
+
+// Rule columns that can be set on a policy. min_free_bytes is only used on the global policy.
+const GLOBAL_POLICY_FIELDS = ['max_age_days', 'max_total_bytes', 'min_free_bytes'];
+const CAMERA_POLICY_FIELDS = ['max_age_days', 'max_total_bytes'];
+
+let retentionTimer = null;
+let isEnforcing = false;
+
+/**
+ * Get the size of a recording file
+ * @param {string} filename - Recording filename
+ * @returns {number} File size in bytes, or 0 if the file is missing
+ */
+function getRecordingSize(filename) {
+    try {
+        return fs.statSync(path.join(recordingsBasePath, filename)).size;
+    } catch (err) {
+        return 0;
+    }
+}
+
+/**
+ * Get disk usage of the filesystem holding the recordings directory
+ * @returns {Promise<{totalBytes: number, freeBytes: number}>} Disk size and free space in bytes
+ */
+async function getDiskUsage() {
+    const stats = await fs.promises.statfs(recordingsBasePath);
+    return {
+        totalBytes: stats.blocks * stats.bsize,
+        freeBytes: stats.bavail * stats.bsize
+    };
+}
+
+/**
+ * Get all retention policies
+ * @returns {Promise<{global: Object|null, cameras: Array<Object>}>} The global policy and per-camera policies
+ */
+async function getPolicies() {
+    const policies = await db('retention_policies')
+        .leftJoin('cameras', 'retention_policies.camera_id', 'cameras.id')
+        .select('retention_policies.*', 'cameras.name as camera_name')
+        .orderBy('retention_policies.camera_id', 'asc');
+
+    return {
+        global: policies.find(policy => policy.camera_id === null) || null,
+        cameras: policies.filter(policy => policy.camera_id !== null)
+    };
+}
+
+/**
+ * Create or update a retention policy
+ * @param {number|null} cameraId - Camera ID, or null for the global policy
+ * @param {Object} rules - Rule values (null = no limit)
+ * @param {number|null} [rules.max_age_days] - Delete recordings older than this many days
+ * @param {number|null} [rules.max_total_bytes] - Keep total recording size below this many bytes
+ * @param {number|null} [rules.min_free_bytes] - Keep at least this much free disk space (global only)
+ * @returns {Promise<Object>} The stored policy
+ */
+async function setPolicy(cameraId, rules) {
+    const fields = cameraId === null ? GLOBAL_POLICY_FIELDS : CAMERA_POLICY_FIELDS;
+    const values = {};
+    for (const field of fields) {
+        if (rules[field] !== undefined) {
+            values[field] = rules[field];
+        }
+    }
+
+    const existing = await db('retention_policies').where({ camera_id: cameraId }).first();
+    if (existing) {
+        await db('retention_policies').where({ id: existing.id }).update({ ...values, updated_at: db.fn.now() });
+    } else {
+        await db('retention_policies').insert({ camera_id: cameraId, ...values });
+    }
+
+    return db('retention_policies').where({ camera_id: cameraId }).first();
+}
+
+/**
+ * Delete the retention policy of a camera (the global policy applies again)
+ * @param {number} cameraId - Camera ID
+ * @returns {Promise<number>} Number of deleted policies
+ */
+function deleteCameraPolicy(cameraId) {
+    return db('retention_policies').where({ camera_id: cameraId }).del();
+}
+
+/**
+ * Apply all retention rules once, deleting the oldest finished recordings first.
+ * Rules are applied in order: maximum age, per-camera size, global size, minimum free disk space.
+ * @returns {Promise<{removed: Array<Object>, freedBytes: number}>} Summary of deleted recordings
+ */
+async function enforceRetention() {
+    if (isEnforcing) {
+        console.log('[retention] Retention run already in progress, skipping.');
+        return { removed: [], freedBytes: 0 };
+    }
+    isEnforcing = true;
+
+    const removed = [];
+    const removedIds = new Set();
+
+    const remove = async (recording, reason) => {
+        await deleteRecording(recording);
+        removedIds.add(recording.id);
+        removed.push({
+            id: recording.id,
+            camera_id: recording.camera_id,
+            filename: recording.filename,
+            size: recording.size,
+            reason
+        });
+        console.log(`[retention] Removed recording ${recording.id} (${recording.filename}, camera ${recording.camera_id}, ${recording.size} bytes): ${reason}`);
+    };
+
+    try {
+        const { global, cameras } = await getPolicies();
+        const cameraPolicies = new Map(cameras.map(policy => [policy.camera_id, policy]));
+
+        // Only finished recordings (and the ones flagged as corrupt after a crash) are candidates, oldest first
+        const recordings = (await db('recordings')
+            .where(query => query.where('is_finished', true).orWhere('is_corrupt', true))
+            .orderBy('start_time', 'asc'))
+            .map(recording => ({ ...recording, size: getRecordingSize(recording.filename) }));
+
+        // 1. Maximum age (camera rule overrides the global rule)
+        const now = Date.now();
+        for (const recording of recordings) {
+            const maxAgeDays = cameraPolicies.get(recording.camera_id)?.max_age_days ?? global?.max_age_days;
+            if (maxAgeDays && now - new Date(recording.start_time).getTime() > maxAgeDays * 24 * 60 * 60 * 1000) {
+                await remove(recording, `older than ${maxAgeDays} day(s)`);
+            }
+        }
+
+        // 2. Maximum total size per camera
+        for (const [cameraId, policy] of cameraPolicies) {
+            if (!policy.max_total_bytes) continue;
+
+            const cameraRecordings = recordings.filter(r => r.camera_id === cameraId && !removedIds.has(r.id));
+            let totalBytes = cameraRecordings.reduce((sum, r) => sum + r.size, 0);
+            for (const recording of cameraRecordings) {
+                if (totalBytes <= policy.max_total_bytes) break;
+                await remove(recording, `camera ${cameraId} exceeds ${policy.max_total_bytes} bytes`);
+                totalBytes -= recording.size;
+            }
+        }
+
+        // 3. Maximum total size across all cameras
+        if (global?.max_total_bytes) {
+            const remaining = recordings.filter(r => !removedIds.has(r.id));
+            let totalBytes = remaining.reduce((sum, r) => sum + r.size, 0);
+            for (const recording of remaining) {
+                if (totalBytes <= global.max_total_bytes) break;
+                await remove(recording, `total size exceeds ${global.max_total_bytes} bytes`);
+                totalBytes -= recording.size;
+            }
+        }
+
+        // 4. Minimum free disk space
+        if (global?.min_free_bytes) {
+            let { freeBytes } = await getDiskUsage();
+            for (const recording of recordings.filter(r => !removedIds.has(r.id))) {
+                if (freeBytes >= global.min_free_bytes) break;
+                await remove(recording, `free disk space below ${global.min_free_bytes} bytes`);
+                freeBytes += recording.size;
+            }
+            if (freeBytes < global.min_free_bytes) {
+                console.warn(`[retention] Free disk space is still below ${global.min_free_bytes} bytes after removing all eligible recordings.`);
+            }
+        }
+    } finally {
+        isEnforcing = false;
+    }
+
+    const freedBytes = removed.reduce((sum, r) => sum + r.size, 0);
+    if (removed.length > 0) {
+        console.log(`[retention] Run complete: removed ${removed.length} recording(s), freed ${freedBytes} bytes.`);
+    }
+    return { removed, freedBytes };
+}
+
+/**
+ * Start enforcing retention rules in the background
+ * @param {number} [intervalMs] - Interval between runs in milliseconds
+ */
+function startRetentionService(intervalMs = RETENTION_INTERVAL_MS) {
+    if (retentionTimer) return;
+
+    const run = () => enforceRetention().catch(err => console.error('[retention] Retention run failed:', err));
+
+    console.log(`[retention] Retention service started (every ${Math.round(intervalMs / 1000)}s).`);
+    run();
+    retentionTimer = setInterval(run, intervalMs);
+}
+
+module.exports = {
+    getPolicies,
+    setPolicy,
+    deleteCameraPolicy,
+    getDiskUsage,
+    enforceRetention,
+    startRetentionService
+};
@@ -0,0 +1,244 @@
+const db = require('../db/db');
+const { startRecording, stopRecording, isRecording } = require('./recordingService');
+
+// How often the scheduler checks the recording windows
+const SCHEDULER_INTERVAL_MS = 15 * 1000;
+
+// Cameras whose current recording was started by the scheduler (only these are stopped by it)
+const scheduledRecordings = new Set();
+
+// Recordings stopped by hand inside a window: Map<cameraId, Set<scheduleId>> of the windows that were open then.
+// The scheduler doesn't start the camera again until these windows have closed.
+const manualStops = new Map();
+
+let schedulerTimer = null;
+let isEvaluating = false;
+
+/**
+ * Convert a database row into the API representation
+ * @param {Object} row - Row from recording_schedules
+ * @returns {Object} Schedule with days as an array of numbers and enabled as a boolean
+ */
+function formatSchedule(row) {
+    return {
+        ...row,
+        days: row.days.split(',').filter(Boolean).map(Number),
+        enabled: !!row.enabled
+    };
+}
+
+/**
+ * Convert an 'HH:MM' string into minutes since midnight
+ * @param {string} time - Time of day
+ * @returns {number} Minutes since midnight
+ */
+function toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+/**
+ * Check whether a date falls inside a schedule's weekly window
+ * Windows whose end is not after their start run over midnight and belong to the day they start on.
+ * @param {Object} schedule - Schedule with days (array), start_time and end_time
+ * @param {Date} [date] - Point in time to check (local server time)
+ * @returns {boolean} True if recording should be active at that time
+ */
+function isWithinWindow(schedule, date = new Date()) {
+    const minutes = date.getHours() * 60 + date.getMinutes();
+    const today = date.getDay();
+    const yesterday = (today + 6) % 7;
+    const start = toMinutes(schedule.start_time);
+    const end = toMinutes(schedule.end_time);
+
+    if (start < end) {
+        return schedule.days.includes(today) && minutes >= start && minutes < end;
+    }
+
+    // Overnight (or full 24h) window
+    return (schedule.days.includes(today) && minutes >= start) ||
+        (schedule.days.includes(yesterday) && minutes < end);
+}
+
+/**
+ * Get all schedules of a camera
+ * @param {number} cameraId - Camera ID
+ * @returns {Promise<Array<Object>>} Schedules ordered by ID
+ */
+async function getSchedules(cameraId) {
+    const rows = await db('recording_schedules').where({ camera_id: cameraId }).orderBy('id', 'asc');
+    return rows.map(formatSchedule);
+}
+
+/**
+ * Get a single schedule of a camera
+ * @param {number} cameraId - Camera ID
+ * @param {number} scheduleId - Schedule ID
+ * @returns {Promise<Object|null>} The schedule, or null if not found
+ */
+async function getSchedule(cameraId, scheduleId) {
+    const row = await db('recording_schedules').where({ id: scheduleId, camera_id: cameraId }).first();
+    return row ? formatSchedule(row) : null;
+}
+
+/**
+ * Create a schedule for a camera
+ * @param {number} cameraId - Camera ID
+ * @param {Object} schedule - Schedule fields
+ * @param {Array<number>} schedule.days - Days of the week (0 = Sunday)
+ * @param {string} schedule.start_time - Window start 'HH:MM'
+ * @param {string} schedule.end_time - Window end 'HH:MM'
+ * @param {boolean} [schedule.enabled=true] - Whether the schedule is active
+ * @returns {Promise<Object>} The created schedule
+ */
+async function createSchedule(cameraId, schedule) {
+    const [row] = await db('recording_schedules').insert({
+        camera_id: cameraId,
+        days: schedule.days.join(','),
+        start_time: schedule.start_time,
+        end_time: schedule.end_time,
+        enabled: schedule.enabled !== false
+    }).returning('*');
+
+    evaluateSchedules();
+    return formatSchedule(row);
+}
+
+/**
+ * Update a schedule
+ * @param {number} cameraId - Camera ID
+ * @param {number} scheduleId - Schedule ID
+ * @param {Object} changes - Fields to update (same shape as createSchedule)
+ * @returns {Promise<Object|null>} The updated schedule, or null if not found
+ */
+async function updateSchedule(cameraId, scheduleId, changes) {
+    const updates = { updated_at: db.fn.now() };
+    if (changes.days !== undefined) updates.days = changes.days.join(',');
+    if (changes.start_time !== undefined) updates.start_time = changes.start_time;
+    if (changes.end_time !== undefined) updates.end_time = changes.end_time;
+    if (changes.enabled !== undefined) updates.enabled = changes.enabled;
+
+    const count = await db('recording_schedules').where({ id: scheduleId, camera_id: cameraId }).update(updates);
+    if (count === 0) {
+        return null;
+    }
+
+    evaluateSchedules();
+    return getSchedule(cameraId, scheduleId);
+}
+
+/**
+ * Delete a schedule
+ * @param {number} cameraId - Camera ID
+ * @param {number} scheduleId - Schedule ID
+ * @returns {Promise<number>} Number of deleted schedules
+ */
+async function deleteSchedule(cameraId, scheduleId) {
+    const count = await db('recording_schedules').where({ id: scheduleId, camera_id: cameraId }).del();
+    if (count > 0) {
+        evaluateSchedules();
+    }
+    return count;
+}
+
+/**
+ * Start or stop recordings so that they match the enabled schedules.
+ * Recordings that were started by hand are never stopped by the scheduler.
+ * A scheduled recording that died inside its window is started again on the next check.
+ * A recording that was stopped by hand is not started again before the windows open at that time have closed.
+ * @returns {Promise<void>}
+ */
+async function evaluateSchedules() {
+    if (isEvaluating) return;
+    isEvaluating = true;
+
+    try {
+        const rows = await db('recording_schedules').where({ enabled: true });
+        const now = new Date();
+
+        const openSchedules = rows.map(formatSchedule).filter(schedule => isWithinWindow(schedule, now));
+        const openScheduleIds = new Set(openSchedules.map(schedule => schedule.id));
+
+        // Cameras that have at least one active window right now
+        const camerasToRecord = new Set(openSchedules.map(schedule => schedule.camera_id));
+
+        // Forget manual stops whose windows have closed
+        for (const [cameraId, scheduleIds] of manualStops) {
+            if (![...scheduleIds].some(scheduleId => openScheduleIds.has(scheduleId))) {
+                manualStops.delete(cameraId);
+            }
+        }
+
+        for (const cameraId of camerasToRecord) {
+            if (isRecording(cameraId) || manualStops.has(cameraId)) continue;
+
+            try {
+                console.log(`[scheduler] Recording window open for camera ${cameraId}, starting recording.`);
+                await startRecording(cameraId);
+                scheduledRecordings.add(cameraId);
+            } catch (err) {
+                console.error(`[scheduler] Failed to start scheduled recording for camera ${cameraId}:`, err.message);
+            }
+        }
+
+        for (const cameraId of scheduledRecordings) {
+            if (camerasToRecord.has(cameraId)) continue;
+
+            scheduledRecordings.delete(cameraId);
+            if (!isRecording(cameraId)) continue;
+
+            console.log(`[scheduler] Recording window closed for camera ${cameraId}, stopping recording.`);
+            stopRecording(cameraId).catch(err => {
+                console.error(`[scheduler] Failed to stop scheduled recording for camera ${cameraId}:`, err.message);
+            });
+        }
+    } catch (err) {
+        console.error('[scheduler] Failed to evaluate recording schedules:', err);
+    } finally {
+        isEvaluating = false;
+    }
+}
+
+/**
+ * Remember that a camera's recording is being stopped by hand, so that the scheduler doesn't start it
+ * again before the windows that are open now have closed. Must be called before the recording is stopped.
+ * @param {number} cameraId - Camera ID
+ * @returns {Promise<void>}
+ */
+async function markManualStop(cameraId) {
+    if (!isRecording(cameraId)) {
+        return;
+    }
+    const rows = await db('recording_schedules').where({ camera_id: cameraId, enabled: true });
+    const openScheduleIds = rows.map(formatSchedule).filter(schedule => isWithinWindow(schedule)).map(schedule => schedule.id);
+    scheduledRecordings.delete(cameraId);
+    if (openScheduleIds.length > 0) {
+        console.log(`[scheduler] Recording of camera ${cameraId} stopped by hand, not restarting it before the window closes.`);
+        manualStops.set(cameraId, new Set(openScheduleIds));
+    }
+}
+
+/**
+ * Start checking the recording schedules in the background.
+ * Windows that are open at startup are picked up immediately, so schedules survive server restarts.
+ * @param {number} [intervalMs] - Interval between checks in milliseconds
+ */
+function startScheduler(intervalMs = SCHEDULER_INTERVAL_MS) {
+    if (schedulerTimer) return;
+
+    console.log(`[scheduler] Recording scheduler started (every ${Math.round(intervalMs / 1000)}s).`);
+    evaluateSchedules();
+    schedulerTimer = setInterval(evaluateSchedules, intervalMs);
+}
+
+module.exports = {
+    getSchedules,
+    getSchedule,
+    createSchedule,
+    updateSchedule,
+    deleteSchedule,
+    isWithinWindow,
+    evaluateSchedules,
+    markManualStop,
+    startScheduler
+};
@@ -0,0 +1,440 @@
+const { spawn } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const path = require('path');
+const { Cam } = require('onvif');
+const db = require('../db/db');
+const { decryptPassword, maskCredentials } = require('./credentialService');
+const { getStreamStrategy } = require('./streamService');
+const { toMillis } = require('../utils/time');
+
+// Time a camera gets to answer the snapshot URI request
+const HTTP_TIMEOUT_MS = 10 * 1000;
+
+// Time FFmpeg gets to connect to the stream and decode one frame
+const FFMPEG_TIMEOUT_MS = 15 * 1000;
+
+// Largest image accepted from a camera's snapshot URI
+const MAX_IMAGE_BYTES = 10 * 1024 * 1024;
+
+// Time the snapshot URI of an ONVIF camera (or that it has none) is remembered
+const SNAPSHOT_URI_TTL_MS = 10 * 60 * 1000;
+
+// Allowed range of the width parameter (pixels)
+const MIN_SNAPSHOT_WIDTH = 16;
+const MAX_SNAPSHOT_WIDTH = 3840;
+
+// Base path for the snapshot gallery
+const snapshotsBasePath = path.join(__dirname, '../../snapshots');
+if (!fs.existsSync(snapshotsBasePath)) {
+    fs.mkdirSync(snapshotsBasePath, { recursive: true });
+}
+
+// cameraId -> { uri: string|null, expiresAt: number }; uri is null for cameras without snapshot support
+const snapshotUris = new Map();
+
+/**
+ * Validate the width and quality options of a snapshot
+ * @param {Object} [options] - Options, e.g. from the query string
+ * @param {number|string} [options.width] - Width of the image in pixels (the height keeps the aspect ratio)
+ * @param {number|string} [options.quality] - JPEG quality from 1 (smallest) to 100 (best)
+ * @returns {{width?: number, quality?: number}} Validated options
+ * @throws {Error} If an option is out of range
+ */
+function resolveSnapshotOptions(options = {}) {
+    const resolved = {};
+    if (options.width !== undefined && options.width !== '') {
+        const width = Number(options.width);
+        if (!Number.isInteger(width) || width < MIN_SNAPSHOT_WIDTH || width > MAX_SNAPSHOT_WIDTH) {
+            throw new Error(`Parameter 'width' must be an integer between ${MIN_SNAPSHOT_WIDTH} and ${MAX_SNAPSHOT_WIDTH}.`);
+        }
+        resolved.width = width;
+    }
+    if (options.quality !== undefined && options.quality !== '') {
+        const quality = Number(options.quality);
+        if (!Number.isInteger(quality) || quality < 1 || quality > 100) {
+            throw new Error("Parameter 'quality' must be an integer between 1 and 100.");
+        }
+        resolved.quality = quality;
+    }
+    return resolved;
+}
+
+/**
+ * FFmpeg arguments that encode the single output frame as a JPEG on stdout
+ * @param {{width?: number, quality?: number}} options - Snapshot options
+ * @returns {Array<string>} Output arguments
+ */
+function getJpegOutputArgs({ width, quality }) {
+    // FFmpeg's JPEG scale goes from 2 (best) to 31 (smallest)
+    const qscale = quality ? Math.round(31 - (quality - 1) * 29 / 99) : 2;
+    return [
+        '-frames:v', '1',
+        ...(width ? ['-vf', `scale=${width}:-2`] : []),
+        '-q:v', String(qscale),
+        '-f', 'image2',
+        '-c:v', 'mjpeg',
+        'pipe:1'
+    ];
+}
+
+/**
+ * Run FFmpeg and collect the image it writes to stdout
+ * @param {Array<string>} args - FFmpeg arguments
+ * @param {Buffer} [input] - Data written to FFmpeg's stdin
+ * @returns {Promise<Buffer>} Image
+ */
+function runFfmpeg(args, input) {
+    return new Promise((resolve, reject) => {
+        const ffmpegProcess = spawn('ffmpeg', ['-hide_banner', '-loglevel', 'error', ...args]);
+        const chunks = [];
+        let stderr = '';
+        let timedOut = false;
+
+        const timer = setTimeout(() => {
+            timedOut = true;
+            ffmpegProcess.kill('SIGKILL');
+        }, FFMPEG_TIMEOUT_MS);
+
+        ffmpegProcess.stdout.on('data', (data) => chunks.push(data));
+        ffmpegProcess.stderr.on('data', (data) => {
+            stderr += data.toString();
+        });
+        ffmpegProcess.on('error', (err) => {
+            clearTimeout(timer);
+            reject(err);
+        });
+        ffmpegProcess.on('close', (code) => {
+            clearTimeout(timer);
+            const image = Buffer.concat(chunks);
+            if (timedOut) {
+                reject(new Error(`FFmpeg got no frame within ${FFMPEG_TIMEOUT_MS / 1000}s`));
+            } else if (code !== 0 || image.length === 0) {
+                // The last line usually names the input, i.e. the camera URL with its credentials
+                reject(new Error(`FFmpeg exited with code ${code}: ${maskCredentials(stderr.trim().split('\n').pop() || 'no image')}`));
+            } else {
+                resolve(image);
+            }
+        });
+
+        if (input) {
+            // FFmpeg may exit before it has read all of the input
+            ffmpegProcess.stdin.on('error', () => {});
+            ffmpegProcess.stdin.end(input);
+        }
+    });
+}
+
+/**
+ * Grab one frame of the camera's stream with FFmpeg
+ * @param {Object} camera - Camera from the database
+ * @param {{width?: number, quality?: number}} options - Snapshot options
+ * @returns {Promise<Buffer>} JPEG image
+ */
+async function grabFrame(camera, options) {
+    const inputUrl = await getStreamStrategy(camera).getInputUrl(camera);
+    return runFfmpeg(['-rtsp_transport', 'tcp', '-i', inputUrl, ...getJpegOutputArgs(options)]);
+}
+
+/**
+ * Scale or recompress a JPEG image with FFmpeg
+ * @param {Buffer} image - JPEG image
+ * @param {{width?: number, quality?: number}} options - Snapshot options
+ * @returns {Promise<Buffer>} JPEG image
+ */
+function transcodeImage(image, options) {
+    return runFfmpeg(['-f', 'image2pipe', '-i', 'pipe:0', ...getJpegOutputArgs(options)], image);
+}
+
+/**
+ * Ask an ONVIF camera for the snapshot URI of its first media profile
+ * @param {Object} camera - Camera from the database
+ * @returns {Promise<string|null>} Snapshot URI, or null if the camera has no snapshot support
+ */
+function requestSnapshotUri(camera) {
+    return new Promise((resolve, reject) => {
+        const camOptions = {
+            hostname: camera.host,
+            username: camera.user,
+            password: decryptPassword(camera.pass),
+            port: camera.port || 80,
+            timeout: HTTP_TIMEOUT_MS
+        };
+
+        if (camera.xaddr) {
+            camOptions.xaddr = camera.xaddr;
+        }
+
+        new Cam(camOptions, function(err) {
+            if (err) {
+                return reject(new Error(`Failed to connect to camera: ${err.message}`));
+            }
+            this.getSnapshotUri({}, (err, result) => {
+                // Cameras without snapshot support answer with a SOAP fault
+                resolve(!err && result && result.uri ? result.uri : null);
+            });
+        });
+    });
+}
+
+/**
+ * Get the snapshot URI of an ONVIF camera, cached for SNAPSHOT_URI_TTL_MS
+ * @param {Object} camera - Camera from the database
+ * @returns {Promise<string|null>} Snapshot URI, or null if the camera has no snapshot support
+ */
+async function getSnapshotUri(camera) {
+    const cached = snapshotUris.get(camera.id);
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.uri;
+    }
+    const uri = await requestSnapshotUri(camera);
+    snapshotUris.set(camera.id, { uri, expiresAt: Date.now() + SNAPSHOT_URI_TTL_MS });
+    if (!uri) {
+        console.log(`[snapshot] Camera ${camera.id} has no snapshot URI, using FFmpeg`);
+    }
+    return uri;
+}
+
+/**
+ * Send a GET request and read the whole response
+ * @param {string} uri - URL
+ * @param {Object} [headers] - Request headers
+ * @returns {Promise<{statusCode: number, headers: Object, body: Buffer}>} Response
+ */
+function httpGet(uri, headers = {}) {
+    return new Promise((resolve, reject) => {
+        const client = uri.startsWith('https:') ? https : http;
+        // Cameras usually have self-signed certificates
+        const request = client.get(uri, { headers, timeout: HTTP_TIMEOUT_MS, rejectUnauthorized: false }, (response) => {
+            const chunks = [];
+            let size = 0;
+            response.on('data', (chunk) => {
+                size += chunk.length;
+                if (size > MAX_IMAGE_BYTES) {
+                    request.destroy(new Error(`The image is larger than ${MAX_IMAGE_BYTES / (1024 * 1024)} MB`));
+                    return;
+                }
+                chunks.push(chunk);
+            });
+            response.on('end', () => resolve({ statusCode: response.statusCode, headers: response.headers, body: Buffer.concat(chunks) }));
+            response.on('error', reject);
+        });
+        request.on('timeout', () => request.destroy(new Error(`No response within ${HTTP_TIMEOUT_MS / 1000}s`)));
+        request.on('error', reject);
+    });
+}
+
+/**
+ * Build the Authorization header answering an HTTP Digest challenge (RFC 7616, MD5)
+ * @param {string} challenge - WWW-Authenticate header of the 401 response
+ * @param {string} uri - Requested URL
+ * @param {string} username - User name
+ * @param {string} password - Password
+ * @returns {string} Authorization header
+ */
+function digestAuthorization(challenge, uri, username, password) {
+    const params = {};
+    for (const [, key, quoted, plain] of challenge.matchAll(/(\w+)=(?:"([^"]*)"|([^,\s]*))/g)) {
+        params[key.toLowerCase()] = quoted !== undefined ? quoted : plain;
+    }
+    const md5 = (value) => crypto.createHash('md5').update(value).digest('hex');
+    const { pathname, search } = new URL(uri);
+    const digestUri = pathname + search;
+    const qop = params.qop && params.qop.split(',').map(value => value.trim()).includes('auth') ? 'auth' : null;
+    const nc = '00000001';
+    const cnonce = crypto.randomBytes(8).toString('hex');
+
+    let ha1 = md5(`${username}:${params.realm}:${password}`);
+    if ((params.algorithm || '').toUpperCase() === 'MD5-SESS') {
+        ha1 = md5(`${ha1}:${params.nonce}:${cnonce}`);
+    }
+    const ha2 = md5(`GET:${digestUri}`);
+    const response = qop
+        ? md5(`${ha1}:${params.nonce}:${nc}:${cnonce}:${qop}:${ha2}`)
+        : md5(`${ha1}:${params.nonce}:${ha2}`);
+
+    const fields = [
+        `username="${username}"`,
+        `realm="${params.realm}"`,
+        `nonce="${params.nonce}"`,
+        `uri="${digestUri}"`,
+        `response="${response}"`
+    ];
+    if (params.algorithm) fields.push(`algorithm=${params.algorithm}`);
+    if (params.opaque !== undefined) fields.push(`opaque="${params.opaque}"`);
+    if (qop) fields.push(`qop=${qop}`, `nc=${nc}`, `cnonce="${cnonce}"`);
+    return `Digest ${fields.join(', ')}`;
+}
+
+/**
+ * Download the image of a snapshot URI, answering a Digest or Basic authentication challenge
+ * @param {string} uri - Snapshot URI
+ * @param {string} username - Camera user name
+ * @param {string} password - Camera password (decrypted)
+ * @returns {Promise<Buffer>} Image
+ */
+async function fetchSnapshotImage(uri, username, password) {
+    let response = await httpGet(uri);
+    const challenge = response.headers['www-authenticate'] || '';
+    if (response.statusCode === 401 && username) {
+        const authorization = /^digest/i.test(challenge)
+            ? digestAuthorization(challenge, uri, username, password || '')
+            : `Basic ${Buffer.from(`${username}:${password || ''}`).toString('base64')}`;
+        response = await httpGet(uri, { Authorization: authorization });
+    }
+
+    if (response.statusCode !== 200) {
+        throw new Error(`The camera answered with HTTP ${response.statusCode}`);
+    }
+    if (!/^image\//i.test(response.headers['content-type'] || '')) {
+        throw new Error(`The camera sent ${response.headers['content-type'] || 'no content type'} instead of an image`);
+    }
+    return response.body;
+}
+
+/**
+ * Get a still image of a camera: ONVIF cameras are asked for the image of their snapshot URI,
+ * other cameras (and ONVIF cameras without snapshot support, or whose snapshot fails) get one frame
+ * of their stream grabbed with FFmpeg.
+ * @param {Object} camera - Camera from the database
+ * @param {{width?: number, quality?: number}} [options] - Snapshot options (see resolveSnapshotOptions)
+ * @returns {Promise<{image: Buffer, source: 'onvif'|'ffmpeg'}>} JPEG image and how it was taken
+ */
+async function captureSnapshot(camera, options = {}) {
+    if (camera.type === 'onvif') {
+        try {
+            const uri = await getSnapshotUri(camera);
+            if (uri) {
+                let image = await fetchSnapshotImage(uri, camera.user, decryptPassword(camera.pass));
+                if (options.width || options.quality) {
+                    image = await transcodeImage(image, options);
+                }
+                return { image, source: 'onvif' };
+            }
+        } catch (err) {
+            console.warn(`[snapshot] ONVIF snapshot of camera ${camera.id} failed, using FFmpeg:`, err.message);
+            // The URI may have changed (e.g. after a firmware update)
+            snapshotUris.delete(camera.id);
+        }
+    }
+    return { image: await grabFrame(camera, options), source: 'ffmpeg' };
+}
+
+/**
+ * Convert a database row into the API representation
+ * @param {Object} row - Row from the snapshots table (with camera_name)
+ * @returns {Object} Snapshot with its creation time in milliseconds since the epoch
+ */
+function formatSnapshot(row) {
+    return { ...row, created_at: toMillis(row.created_at) };
+}
+
+/**
+ * Base query for snapshots with the name of their camera and the user who saved them
+ * @returns {import('knex').Knex.QueryBuilder} Query
+ */
+function snapshotQuery() {
+    return db('snapshots')
+        .leftJoin('cameras', 'snapshots.camera_id', 'cameras.id')
+        .leftJoin('users', 'snapshots.user_id', 'users.id')
+        .select('snapshots.*', 'cameras.name as camera_name', 'users.username');
+}
+
+/**
+ * Take a snapshot of a camera and store it in the gallery
+ * @param {Object} camera - Camera from the database
+ * @param {{width?: number, quality?: number}} options - Snapshot options
+ * @param {{id: number}} user - User who saves the snapshot
+ * @returns {Promise<Object>} The saved snapshot
+ */
+async function saveSnapshot(camera, options, user) {
+    const { image, source } = await captureSnapshot(camera, options);
+    const createdAt = new Date();
+    const filename = `camera_${camera.id}_${createdAt.getTime()}.jpg`;
+    await fs.promises.writeFile(path.join(snapshotsBasePath, filename), image);
+
+    try {
+        const [id] = await db('snapshots').insert({
+            camera_id: camera.id,
+            user_id: user.id,
+            filename,
+            file_size: image.length,
+            source,
+            created_at: createdAt
+        });
+        console.log(`[snapshot] Saved ${filename} (${source}) of camera ${camera.id}`);
+        return getSnapshot(id);
+    } catch (err) {
+        await fs.promises.unlink(path.join(snapshotsBasePath, filename)).catch(() => {});
+        throw err;
+    }
+}
+
+/**
+ * Get a snapshot of the gallery
+ * @param {number} snapshotId - Snapshot ID
+ * @returns {Promise<Object|undefined>} Snapshot
+ */
+async function getSnapshot(snapshotId) {
+    const row = await snapshotQuery().where('snapshots.id', snapshotId).first();
+    return row ? formatSnapshot(row) : undefined;
+}
+
+/**
+ * List the snapshots of the gallery, newest first
+ * @param {Object} [filters] - Filters
+ * @param {Array<number>|null} [filters.accessibleCameraIds] - Only snapshots of these cameras (null = all cameras)
+ * @param {boolean} [filters.includeDeletedCameras] - With accessibleCameraIds: also snapshots of deleted cameras
+ * @param {number} [filters.cameraId] - Only snapshots of this camera
+ * @param {number} [filters.limit=50] - Maximum number of snapshots
+ * @param {number} [filters.offset=0] - Number of snapshots to skip
+ * @returns {Promise<{snapshots: Array<Object>, total: number}>} Snapshots and the number of matching snapshots
+ */
+async function listSnapshots({ accessibleCameraIds, includeDeletedCameras, cameraId, limit = 50, offset = 0 } = {}) {
+    const applyFilters = (query) => {
+        if (accessibleCameraIds) {
+            query.where(access => {
+                access.whereIn('snapshots.camera_id', accessibleCameraIds);
+                if (includeDeletedCameras) access.orWhereNull('cameras.id');
+            });
+        }
+        if (cameraId !== undefined) query.where('snapshots.camera_id', cameraId);
+        return query;
+    };
+
+    const rows = await applyFilters(snapshotQuery())
+        .orderBy('snapshots.id', 'desc')
+        .limit(limit)
+        .offset(offset);
+    const { count } = await applyFilters(db('snapshots').leftJoin('cameras', 'snapshots.camera_id', 'cameras.id'))
+        .count('snapshots.id as count')
+        .first();
+
+    return { snapshots: rows.map(formatSnapshot), total: Number(count) };
+}
+
+/**
+ * Delete a snapshot with its file
+ * @param {Object} snapshot - Snapshot
+ */
+async function deleteSnapshot(snapshot) {
+    await db('snapshots').where({ id: snapshot.id }).del();
+    try {
+        await fs.promises.unlink(path.join(snapshotsBasePath, snapshot.filename));
+    } catch (err) {
+        if (err.code !== 'ENOENT') {
+            console.error(`[snapshot] Failed to delete ${snapshot.filename}:`, err);
+        }
+    }
+}
+
+module.exports = {
+    resolveSnapshotOptions,
+    captureSnapshot,
+    saveSnapshot,
+    getSnapshot,
+    listSnapshots,
+    deleteSnapshot
+};
@@ -0,0 +1,187 @@
+const fs = require('fs');
+const path = require('path');
+const db = require('../db/db');
+const { publish } = require('./statusService');
+const { createFfmpegJobQueue, removeFile } = require('./ffmpegJobQueue');
+
+// Seconds between two frames of a sprite sheet
+const SPRITE_INTERVAL = 10;
+
+// Long recordings get a longer interval, so that the sprite sheet stays small
+const MAX_SPRITE_FRAMES = 100;
+
+// Layout of the tiles
+const SPRITE_COLUMNS = 10;
+const SPRITE_TILE_WIDTH = 160;
+
+// Base paths for recordings and thumbnails (see recordingService)
+const recordingsBasePath = path.join(__dirname, '../../recordings');
+const thumbnailsBasePath = path.join(__dirname, '../../thumbnails');
+
+// Recordings waiting for their sprite sheet; sprite sheets are generated one at a time,
+// so decoding finished recordings doesn't compete with live recordings for the CPU
+const jobs = createFfmpegJobQueue({ tag: 'sprites', processJob: processSprite });
+
+/**
+ * Layout of the sprite sheet of a recording
+ * @param {Object} recording - Recording row (duration, width, height)
+ * @returns {{interval: number, frames: number, columns: number, rows: number, tileWidth: number, tileHeight: number}} Layout
+ */
+function getSpriteLayout(recording) {
+    const interval = Math.max(SPRITE_INTERVAL, Math.ceil(recording.duration / MAX_SPRITE_FRAMES));
+    const frames = Math.max(Math.ceil(recording.duration / interval), 1);
+    const columns = Math.min(frames, SPRITE_COLUMNS);
+    // Tiles keep the aspect ratio of the video; even heights for the scaler, 16:9 if the resolution is unknown
+    const tileHeight = recording.width && recording.height
+        ? Math.max(Math.round(SPRITE_TILE_WIDTH * recording.height / recording.width / 2) * 2, 2)
+        : Math.round(SPRITE_TILE_WIDTH * 9 / 16);
+    return {
+        interval,
+        frames,
+        columns,
+        rows: Math.ceil(frames / columns),
+        tileWidth: SPRITE_TILE_WIDTH,
+        tileHeight
+    };
+}
+
+/**
+ * Format a position for a WebVTT cue
+ * @param {number} seconds - Position in seconds
+ * @returns {string} hh:mm:ss.mmm
+ */
+function formatCueTime(seconds) {
+    const millis = Math.round(seconds * 1000);
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+    return `${pad(Math.floor(millis / 3600000))}:${pad(Math.floor(millis / 60000) % 60)}:${pad(Math.floor(millis / 1000) % 60)}.${pad(millis % 1000, 3)}`;
+}
+
+/**
+ * Build the WebVTT thumbnails track of a sprite sheet: one cue per tile, pointing at it with a media fragment
+ * @param {string} sprite - Filename of the sprite sheet (the track is stored next to it)
+ * @param {Object} layout - Layout from getSpriteLayout()
+ * @param {number} duration - Length of the recording in seconds
+ * @returns {string} The track
+ */
+function buildSpriteTrack(sprite, layout, duration) {
+    const cues = [];
+    for (let i = 0; i < layout.frames; i++) {
+        const start = i * layout.interval;
+        const end = Math.min((i + 1) * layout.interval, duration);
+        const x = (i % layout.columns) * layout.tileWidth;
+        const y = Math.floor(i / layout.columns) * layout.tileHeight;
+        cues.push(`${formatCueTime(start)} --> ${formatCueTime(end)}\n${sprite}#xywh=${x},${y},${layout.tileWidth},${layout.tileHeight}`);
+    }
+    return `WEBVTT\n\n${cues.join('\n\n')}\n`;
+}
+
+/**
+ * Tile frames of a video at a fixed interval into one JPEG
+ * @param {string} videoPath - Path of the recording
+ * @param {string} spritePath - Path of the sprite sheet
+ * @param {Object} layout - Layout from getSpriteLayout()
+ * @returns {Promise<void>} Rejects if FFmpeg fails
+ */
+async function generateSprite(videoPath, spritePath, layout) {
+    const ffmpegArgs = [
+        '-y',
+        '-skip_frame', 'nokey',  // Only decode keyframes, the fps filter picks the ones closest to each interval
+        '-i', videoPath,
+        '-an',
+        '-vf', `fps=1/${layout.interval},scale=${layout.tileWidth}:${layout.tileHeight},tile=${layout.columns}x${layout.rows}`,
+        '-frames:v', '1',
+        '-q:v', '5',
+        spritePath
+    ];
+
+    console.log(`[sprites] Generating sprite sheet: ffmpeg ${ffmpegArgs.join(' ')}`);
+    await jobs.runFfmpeg(ffmpegArgs);
+}
+
+/**
+ * Generate the sprite sheet and the WebVTT track of a recording and store them with it
+ * @param {number} recordingId - Recording ID
+ */
+async function processSprite(recordingId) {
+    const recording = await db('recordings').where({ id: recordingId }).first();
+    // The recording may have been deleted while it was queued; without a duration there is nothing to lay out
+    if (!recording || !recording.is_finished || recording.is_corrupt || !recording.duration) {
+        return;
+    }
+
+    const layout = getSpriteLayout(recording);
+    const baseName = recording.filename.replace(/\.mp4$/, '');
+    const sprite = `${baseName}_sprite.jpg`;
+    const spriteVtt = `${baseName}.vtt`;
+    const spritePath = path.join(thumbnailsBasePath, sprite);
+    const spriteVttPath = path.join(thumbnailsBasePath, spriteVtt);
+
+    try {
+        await generateSprite(path.join(recordingsBasePath, recording.filename), spritePath, layout);
+        await fs.promises.writeFile(spriteVttPath, buildSpriteTrack(sprite, layout, recording.duration));
+    } catch (err) {
+        console.error(`[sprites] Failed to generate the sprite sheet of recording ${recordingId}:`, err.message);
+        await removeFile(spritePath, 'sprites');
+        await removeFile(spriteVttPath, 'sprites');
+        return;
+    }
+
+    const updated = await db('recordings').where({ id: recordingId }).update({
+        sprite,
+        sprite_vtt: spriteVtt,
+        sprite_interval: layout.interval,
+        sprite_frames: layout.frames,
+        sprite_columns: layout.columns,
+        sprite_tile_width: layout.tileWidth,
+        sprite_tile_height: layout.tileHeight
+    });
+    if (updated === 0) {
+        // Deleted while the sprite sheet was generated
+        await removeFile(spritePath, 'sprites');
+        await removeFile(spriteVttPath, 'sprites');
+        return;
+    }
+    console.log(`[sprites] Sprite sheet of recording ${recordingId} generated: ${sprite} (${layout.frames} frames every ${layout.interval}s)`);
+    publish('sprite.ready', { cameraId: recording.camera_id, recordingId, sprite, spriteVtt });
+}
+
+/**
+ * Queue the generation of the sprite sheet of a finished recording
+ * @param {number} recordingId - Recording ID
+ */
+function queueSprite(recordingId) {
+    jobs.add(recordingId);
+}
+
+/**
+ * Start the sprite service: queue the finished recordings that have no sprite sheet yet
+ * (recordings from before this feature, recovered recordings, or recordings whose generation was interrupted)
+ * @returns {Promise<void>}
+ */
+async function startSpriteService() {
+    const recordingIds = await db('recordings')
+        .where({ is_finished: true, is_corrupt: false })
+        .whereNull('sprite')
+        .whereNotNull('duration')
+        .orderBy('id', 'asc')
+        .pluck('id');
+    if (recordingIds.length > 0) {
+        console.log(`[sprites] Queued ${recordingIds.length} recording(s) without a sprite sheet.`);
+    }
+    for (const recordingId of recordingIds) {
+        queueSprite(recordingId);
+    }
+}
+
+/**
+ * Stop the sprite service on shutdown; an interrupted sprite sheet is generated again at the next start
+ */
+function stopSprites() {
+    jobs.stop();
+}
+
+module.exports = {
+    queueSprite,
+    startSpriteService,
+    stopSprites
+};
@@ -0,0 +1,27 @@
+const EventEmitter = require('events');
+
+// Process-wide bus for status changes (streams, recordings, cameras, jobs)
+const bus = new EventEmitter();
+// Every connected browser tab adds a listener
+bus.setMaxListeners(0);
+
+/**
+ * Broadcast a status change to all subscribers
+ * @param {string} type - Message type (e.g. 'stream.started', 'recording.finalized', 'camera.offline')
+ * @param {Object} data - Type-specific details, usually including cameraId
+ */
+function publish(type, data) {
+    bus.emit('status', { type, data, time: new Date().toISOString() });
+}
+
+/**
+ * Listen for status changes
+ * @param {function({type: string, data: Object, time: string}): void} listener - Called for every message
+ * @returns {function(): void} Function that removes the listener
+ */
+function subscribe(listener) {
+    bus.on('status', listener);
+    return () => bus.off('status', listener);
+}
+
+module.exports = { publish, subscribe };
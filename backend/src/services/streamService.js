@@ -3,10 +3,25 @@ const path = require('path');
 const db = require('../db/db');
 const ONVIFStreamStrategy = require('./streaming/ONVIFStreamStrategy');
 const RTSPStreamStrategy = require('./streaming/RTSPStreamStrategy');
+const { publish } = require('./statusService');
+const {
+    WATCHDOG_INTERVAL_MS,
+    STALL_TIMEOUT_MS,
+    MAX_RESTART_ATTEMPTS,
+    STABLE_AFTER_MS,
+    getRestartDelay,
+    getLastOutputTime,
+    createHealth,
+    trackLastError
+} = require('./watchdogService');
 
-// In-memory store for active FFmpeg processes: Map<cameraId, ChildProcess>
+// In-memory store for supervised streams: Map<cameraId, { process: ChildProcess|null, health, attempt, startedAt, restartTimer, stallError, ffmpegError }>
+// The process is null while a restart is pending. Failed streams stay in the map, so that their health can be
+// queried until the stream is stopped or started again.
 const activeStreams = new Map();
 
+let watchdogTimer = null;
+
 // Base path for HLS stream output
 const streamsBasePath = path.join(__dirname, '../../public/streams');
 if (!fs.existsSync(streamsBasePath)) {
@@ -30,45 +45,178 @@ function getStreamStrategy(camera) {
 }
 
 /**
- * Starts an HLS stream for a camera using FFmpeg.
+ * Change the health state of a stream and broadcast it
  * @param {number} cameraId - The ID of the camera.
- * @returns {Promise<object>} An object containing the stream URL.
+ * @param {Object} entry - The stream's entry in activeStreams.
+ * @param {string} state - 'running', 'restarting' or 'failed'.
+ * @param {Object} [changes] - Other health fields to change (restarts, lastError).
  */
-async function startStream(cameraId) {
-    if (activeStreams.has(cameraId)) {
-        console.log(`Stream for camera ${cameraId} is already running.`);
-        return { streamUrl: `/streams/${cameraId}/stream.m3u8` };
-    }
+function setHealth(cameraId, entry, state, changes = {}) {
+    entry.health = { ...entry.health, ...changes, state, since: new Date().toISOString() };
+    publish('stream.health', { cameraId, health: entry.health });
+}
 
+/**
+ * Spawns the FFmpeg process of a supervised stream.
+ * @param {number} cameraId - The ID of the camera.
+ * @param {Object} entry - The stream's entry in activeStreams.
+ * @returns {Promise<void>}
+ */
+async function spawnStream(cameraId, entry) {
     const camera = await db('cameras').where({ id: cameraId }).first();
     if (!camera) {
         throw new Error(`Camera with ID ${cameraId} not found.`);
     }
 
-    console.log(`[StreamService] Camera ${cameraId} data:`, JSON.stringify(camera, null, 2));
+    console.log(`[StreamService] Starting stream of camera ${cameraId} (type: ${camera.type}, host: ${camera.host})`);
 
     // Get appropriate strategy for this camera type
     const strategy = getStreamStrategy(camera);
 
     // Spawn FFmpeg process using strategy
     const ffmpegProcess = await strategy.spawnFFmpeg(camera);
-    activeStreams.set(cameraId, ffmpegProcess);
+
+    // The stream may have been stopped while FFmpeg was starting
+    if (activeStreams.get(cameraId) !== entry) {
+        ffmpegProcess.kill('SIGINT');
+        return;
+    }
+
+    entry.process = ffmpegProcess;
+    entry.startedAt = Date.now();
+    entry.stallError = null;
+    entry.ffmpegError = null;
+    trackLastError(ffmpegProcess, entry);
 
     const outputDir = path.join(streamsBasePath, String(cameraId));
 
     ffmpegProcess.on('close', (code) => {
         console.log(`FFmpeg process for camera ${cameraId} exited with code ${code}`);
-        activeStreams.delete(cameraId);
-        // Clean up the directory on exit
-        if (fs.existsSync(outputDir)) {
+        handleExit(cameraId, entry, ffmpegProcess, `FFmpeg exited with code ${code}`);
+        // Clean up the directory on exit, unless a new stream has been started in the meantime
+        const current = activeStreams.get(cameraId);
+        if ((!current || current === entry) && fs.existsSync(outputDir)) {
             fs.rmSync(outputDir, { recursive: true, force: true });
         }
     });
 
     ffmpegProcess.on('error', (err) => {
-        console.error(`Failed to start FFmpeg for camera ${cameraId}:`, err);
-        activeStreams.delete(cameraId);
+        console.error(`Failed to start FFmpeg for camera ${cameraId}:`, err.message);
+        handleExit(cameraId, entry, ffmpegProcess, err.message);
     });
+}
+
+/**
+ * Handles the exit of a stream's FFmpeg process.
+ * stopStream() removes the entry first, so a process whose entry is still registered died on its own.
+ * @param {number} cameraId - The ID of the camera.
+ * @param {Object} entry - The stream's entry in activeStreams.
+ * @param {ChildProcess} ffmpegProcess - The process that exited.
+ * @param {string} reason - Why the process exited.
+ */
+function handleExit(cameraId, entry, ffmpegProcess, reason) {
+    // 'error' and 'close' may both be emitted for the same process
+    if (entry.process !== ffmpegProcess) {
+        return;
+    }
+    entry.process = null;
+    if (activeStreams.get(cameraId) !== entry) {
+        return;
+    }
+
+    const error = entry.stallError || (entry.ffmpegError ? `${reason}: ${entry.ffmpegError}` : reason);
+    scheduleRestart(cameraId, entry, error);
+}
+
+/**
+ * Restarts a crashed or stalled stream after a growing delay, or gives up after too many attempts in a row.
+ * @param {number} cameraId - The ID of the camera.
+ * @param {Object} entry - The stream's entry in activeStreams.
+ * @param {string} error - Why the stream has to be restarted.
+ */
+function scheduleRestart(cameraId, entry, error) {
+    entry.attempt += 1;
+    if (entry.attempt > MAX_RESTART_ATTEMPTS) {
+        console.error(`[StreamService] Giving up stream for camera ${cameraId} after ${MAX_RESTART_ATTEMPTS} restarts: ${error}`);
+        setHealth(cameraId, entry, 'failed', { lastError: error });
+        return;
+    }
+
+    const delay = getRestartDelay(entry.attempt);
+    console.warn(`[StreamService] Stream for camera ${cameraId} interrupted (${error}), restarting in ${delay / 1000}s (attempt ${entry.attempt}/${MAX_RESTART_ATTEMPTS})`);
+    setHealth(cameraId, entry, 'restarting', { lastError: error });
+
+    entry.restartTimer = setTimeout(() => {
+        entry.restartTimer = null;
+        entry.health = { ...entry.health, restarts: entry.health.restarts + 1 };
+        spawnStream(cameraId, entry).catch((err) => {
+            console.error(`[StreamService] Failed to restart stream for camera ${cameraId}:`, err.message);
+            if (activeStreams.get(cameraId) === entry) {
+                scheduleRestart(cameraId, entry, err.message);
+            }
+        });
+    }, delay);
+}
+
+/**
+ * Checks that the playlists of the running streams keep advancing.
+ * A stream whose playlist has not changed for STALL_TIMEOUT_MS is killed and restarted. A restarted
+ * stream counts as running again as soon as it writes its first playlist.
+ */
+function checkStreams() {
+    const now = Date.now();
+    for (const [cameraId, entry] of activeStreams) {
+        if (!entry.process || entry.stallError) {
+            continue;
+        }
+
+        const lastOutput = getLastOutputTime(path.join(streamsBasePath, String(cameraId)), 'stream.m3u8');
+        const advancing = lastOutput !== null && lastOutput >= entry.startedAt;
+
+        if (advancing && entry.health.state === 'restarting') {
+            console.log(`[StreamService] Stream for camera ${cameraId} recovered`);
+            setHealth(cameraId, entry, 'running');
+        }
+        if (advancing && now - entry.startedAt >= STABLE_AFTER_MS) {
+            entry.attempt = 0;
+        }
+
+        if (now - Math.max(entry.startedAt, lastOutput ?? 0) > STALL_TIMEOUT_MS) {
+            entry.stallError = `The playlist has not advanced for ${STALL_TIMEOUT_MS / 1000}s`;
+            console.warn(`[StreamService] Stream for camera ${cameraId} stalled, killing FFmpeg`);
+            entry.process.kill('SIGKILL');
+        }
+    }
+}
+
+/**
+ * Starts an HLS stream for a camera using FFmpeg.
+ * The stream is supervised: FFmpeg is restarted when it crashes or its playlist stops advancing.
+ * @param {number} cameraId - The ID of the camera.
+ * @returns {Promise<object>} An object containing the stream URL.
+ */
+async function startStream(cameraId) {
+    const existing = activeStreams.get(cameraId);
+    if (existing && existing.health.state !== 'failed') {
+        console.log(`Stream for camera ${cameraId} is already running.`);
+        return { streamUrl: `/streams/${cameraId}/stream.m3u8` };
+    }
+
+    const entry = { process: null, health: createHealth(), attempt: 0, startedAt: Date.now(), restartTimer: null, stallError: null, ffmpegError: null };
+    activeStreams.set(cameraId, entry);
+
+    try {
+        await spawnStream(cameraId, entry);
+    } catch (err) {
+        // A stream that cannot be started at all is not retried
+        if (activeStreams.get(cameraId) === entry) {
+            activeStreams.delete(cameraId);
+        }
+        throw err;
+    }
+
+    publish('stream.started', { cameraId, streamUrl: `/streams/${cameraId}/stream.m3u8` });
+    publish('stream.health', { cameraId, health: entry.health });
 
     // It takes a few seconds for the first .m3u8 file to be created.
     // We return the expected URL immediately.
@@ -76,28 +224,89 @@ async function startStream(cameraId) {
 }
 
 /**
- * Stops an active HLS stream for a camera.
+ * Stops an active HLS stream for a camera (also one that is restarting or has failed).
  * @param {number} cameraId - The ID of the camera.
  * @returns {object} A result object.
  */
 function stopStream(cameraId) {
-    if (activeStreams.has(cameraId)) {
-        const process = activeStreams.get(cameraId);
+    const entry = activeStreams.get(cameraId);
+    if (entry) {
         console.log(`Stopping stream for camera ${cameraId}`);
-        process.kill('SIGINT'); // Gracefully ask FFmpeg to stop
+        // Remove the entry first, so that the exit is not taken for a crash
         activeStreams.delete(cameraId);
+        clearTimeout(entry.restartTimer);
+        if (entry.process) {
+            entry.process.kill('SIGINT'); // Gracefully ask FFmpeg to stop
+        }
+        publish('stream.stopped', { cameraId });
         return { success: true, message: `Stream for camera ${cameraId} stopped.` };
     }
     return { success: false, message: `No active stream found for camera ${cameraId}.` };
 }
 
 /**
- * Check if a camera is currently streaming
+ * Stops all streams when the server shuts down
+ */
+function stopAllStreams() {
+    for (const cameraId of Array.from(activeStreams.keys())) {
+        stopStream(cameraId);
+    }
+}
+
+/**
+ * Check if a camera is currently streaming (or its stream is being restarted)
  * @param {number} cameraId - The ID of the camera
  * @returns {boolean} True if camera is streaming
  */
 function isStreaming(cameraId) {
-    return activeStreams.has(cameraId);
+    const entry = activeStreams.get(cameraId);
+    return !!entry && entry.health.state !== 'failed';
+}
+
+/**
+ * Get the IDs of all cameras that are currently streaming (or whose stream is being restarted)
+ * @returns {Array<number>} Camera IDs
+ */
+function getActiveStreamIds() {
+    return Array.from(activeStreams.keys()).filter(isStreaming);
+}
+
+/**
+ * Get the health of a camera's stream
+ * @param {number} cameraId - The ID of the camera
+ * @returns {{state: string, restarts: number, lastError: string|null, since: string}|null} Health, or null if there is no stream
+ */
+function getStreamHealth(cameraId) {
+    const entry = activeStreams.get(cameraId);
+    return entry ? entry.health : null;
+}
+
+/**
+ * Get the health of all streams (running, restarting and failed)
+ * @returns {Object<number, Object>} Health by camera ID
+ */
+function getStreamHealthAll() {
+    return Object.fromEntries(Array.from(activeStreams, ([cameraId, entry]) => [cameraId, entry.health]));
+}
+
+/**
+ * Start checking the running streams for stalls periodically
+ */
+function startStreamWatchdog() {
+    if (watchdogTimer) {
+        return;
+    }
+    watchdogTimer = setInterval(checkStreams, WATCHDOG_INTERVAL_MS);
 }
 
-module.exports = { startStream, stopStream, isStreaming };
+module.exports = {
+    startStream,
+    stopStream,
+    stopAllStreams,
+    isStreaming,
+    getActiveStreamIds,
+    getStreamHealth,
+    getStreamHealthAll,
+    startStreamWatchdog,
+    getStreamStrategy
+};
@@ -1,6 +1,8 @@
 const { spawn } = require('child_process');
 const fs = require('fs').promises;
 const path = require('path');
+const { getAudioArgs } = require('../audioService');
+const { maskCredentials } = require('../credentialService');
 
 /**
  * Base class for camera streaming strategies
@@ -22,8 +24,8 @@ class BaseStreamStrategy {
   }
 
   /**
-   * Get FFmpeg input arguments for this camera type
-   * Must be implemented by subclasses
+   * Get FFmpeg input and video arguments for this camera type
+   * Must be implemented by subclasses; audio arguments are added by getAudioArgs()
    * @param {string} inputUrl - The input URL returned by getInputUrl()
    * @returns {Array<string>} FFmpeg arguments for input
    */
@@ -31,6 +33,16 @@ class BaseStreamStrategy {
     throw new Error('getFFmpegInputArgs() must be implemented by subclass');
   }
 
+  /**
+   * Get FFmpeg audio arguments for the camera's live stream
+   * @param {Object} camera - Camera configuration (audio_enabled)
+   * @param {string} inputUrl - The input URL returned by getInputUrl()
+   * @returns {Promise<Array<string>>} -an if audio is disabled or missing, otherwise AAC passthrough or transcoding
+   */
+  async getAudioArgs(camera, inputUrl) {
+    return getAudioArgs(camera, inputUrl);
+  }
+
   /**
    * Get FFmpeg output arguments for HLS streaming
    * @param {string} outputPath - Path to HLS output directory
@@ -75,14 +87,16 @@ class BaseStreamStrategy {
     const outputPath = await this.prepareOutputDir(camera.id);
 
     const inputArgs = this.getFFmpegInputArgs(inputUrl);
+    const audioArgs = await this.getAudioArgs(camera, inputUrl);
     const outputArgs = this.getHLSOutputArgs(outputPath);
 
     const ffmpegArgs = [
       ...inputArgs,
+      ...audioArgs,
       ...outputArgs
     ];
 
-    console.log(`[${this.constructor.name}] Starting FFmpeg for camera ${camera.id}:`, 'ffmpeg', ffmpegArgs.join(' '));
+    console.log(`[${this.constructor.name}] Starting FFmpeg for camera ${camera.id}:`, 'ffmpeg', maskCredentials(ffmpegArgs.join(' '))); // Hide password in logs
 
     const ffmpegProcess = spawn('ffmpeg', ffmpegArgs);
 
@@ -94,12 +108,13 @@ class BaseStreamStrategy {
       // FFmpeg writes progress to stderr
       const message = data.toString();
       if (message.includes('error') || message.includes('Error')) {
-        console.error(`[FFmpeg stderr - ${camera.id}] ${message}`);
+        console.error(`[FFmpeg stderr - ${camera.id}] ${maskCredentials(message)}`);
       }
     });
 
     ffmpegProcess.on('error', (error) => {
-      console.error(`[FFmpeg error - ${camera.id}]`, error);
+      // The error also holds the spawn arguments, which include the camera's credentials
+      console.error(`[FFmpeg error - ${camera.id}]`, error.message);
     });
 
     return ffmpegProcess;
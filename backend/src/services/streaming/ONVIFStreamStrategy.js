@@ -1,5 +1,6 @@
 const BaseStreamStrategy = require('./BaseStreamStrategy');
 const { Cam } = require('onvif');
+const { decryptPassword } = require('../credentialService');
 
 /**
  * Streaming strategy for ONVIF cameras
@@ -13,11 +14,12 @@ class ONVIFStreamStrategy extends BaseStreamStrategy {
    */
   async getInputUrl(camera) {
     return new Promise((resolve, reject) => {
+      const password = decryptPassword(camera.pass);
       const options = {
         hostname: camera.host,
         port: camera.port || 80,
         username: camera.user,
-        password: camera.pass
+        password
       };
 
       if (camera.xaddr) {
@@ -41,7 +43,7 @@ class ONVIFStreamStrategy extends BaseStreamStrategy {
 
           // Embed credentials in RTSP URL for FFmpeg
           const url = new URL(originalUrl);
-          const authenticatedRtspUrl = `rtsp://${camera.user}:${encodeURIComponent(camera.pass)}@${url.hostname}:${url.port}${url.pathname}${url.search}`;
+          const authenticatedRtspUrl = `rtsp://${camera.user}:${encodeURIComponent(password)}@${url.hostname}:${url.port}${url.pathname}${url.search}`;
 
           resolve(authenticatedRtspUrl);
         });
@@ -59,8 +61,7 @@ class ONVIFStreamStrategy extends BaseStreamStrategy {
     return [
       '-rtsp_transport', 'tcp',
       '-i', inputUrl,
-      '-c:v', 'copy',
-      '-an'  // No audio
+      '-c:v', 'copy'
     ];
   }
 }
@@ -1,4 +1,5 @@
 const BaseStreamStrategy = require('./BaseStreamStrategy');
+const { decryptPassword } = require('../credentialService');
 
 /**
  * Streaming strategy for generic RTSP cameras
@@ -19,8 +20,9 @@ class RTSPStreamStrategy extends BaseStreamStrategy {
     let rtspUrl = 'rtsp://';
 
     // Add credentials if provided
-    if (camera.user && camera.pass) {
-      rtspUrl += `${camera.user}:${encodeURIComponent(camera.pass)}@`;
+    const password = decryptPassword(camera.pass);
+    if (camera.user && password) {
+      rtspUrl += `${camera.user}:${encodeURIComponent(password)}@`;
     }
 
     rtspUrl += `${camera.host}:${camera.port}`;
@@ -50,8 +52,7 @@ class RTSPStreamStrategy extends BaseStreamStrategy {
       '-c:v', 'libx264',
       '-preset', 'veryfast',  // Fast encoding for low latency
       '-b:v', '2000k',        // 2 Mbps video bitrate
-      '-g', '30',             // Keyframe every 30 frames (1 sec at 30fps) for HLS
-      '-an'                   // No audio
+      '-g', '30'              // Keyframe every 30 frames (1 sec at 30fps) for HLS
     ];
   }
 }
@@ -1,4 +1,5 @@
 const { Cam } = require('onvif');
+const { decryptPassword } = require('./credentialService');
 
 /**
  * Get the current date and time from an ONVIF camera
@@ -17,7 +18,7 @@ async function getCameraTime(cameraConfig) {
         const camOptions = {
             hostname: cameraConfig.host,
             username: cameraConfig.user,
-            password: cameraConfig.pass,
+            password: decryptPassword(cameraConfig.pass),
             port: cameraConfig.port || 80,
             timeout: 10000
         };
@@ -65,7 +66,7 @@ async function syncCameraTime(cameraConfig) {
         const camOptions = {
             hostname: cameraConfig.host,
             username: cameraConfig.user,
-            password: cameraConfig.pass,
+            password: decryptPassword(cameraConfig.pass),
             port: cameraConfig.port || 80,
             timeout: 10000
         };
@@ -0,0 +1,269 @@
+const fs = require('fs');
+const path = require('path');
+const db = require('../db/db');
+const { captureSnapshot } = require('./snapshotService');
+const { toMillis } = require('../utils/time');
+
+// Allowed range of the capture interval (seconds)
+const MIN_CAPTURE_INTERVAL = 10;
+const MAX_CAPTURE_INTERVAL = 24 * 60 * 60;
+
+// Default number of days captured frames are kept
+const DEFAULT_FRAME_RETENTION_DAYS = 30;
+
+// Interval of the sweep that deletes old frames
+const SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+
+const DEFAULT_SETTINGS = {
+    enabled: false,
+    interval_seconds: 300,
+    width: null
+};
+
+// Base path for captured frames
+const framesBasePath = path.join(__dirname, '../../timelapse_frames');
+if (!fs.existsSync(framesBasePath)) {
+    fs.mkdirSync(framesBasePath, { recursive: true });
+}
+
+// Running capture jobs: Map<cameraId, { timer, capturing, lastCaptureAt, lastError }>
+const captureJobs = new Map();
+
+let sweepTimer = null;
+
+/**
+ * Time captured frames are kept
+ * @returns {number} Retention in milliseconds
+ */
+function getFrameRetention() {
+    const value = process.env.TIMELAPSE_FRAME_RETENTION_DAYS;
+    const days = value !== undefined && value !== '' ? Number(value) : NaN;
+    return (Number.isFinite(days) && days > 0 ? days : DEFAULT_FRAME_RETENTION_DAYS) * 24 * 60 * 60 * 1000;
+}
+
+/**
+ * Convert a database row into the API representation
+ * @param {number} cameraId - Camera ID
+ * @param {Object|undefined} row - Row from timelapse_settings
+ * @returns {Object} Settings with defaults applied
+ */
+function formatSettings(cameraId, row) {
+    if (!row) {
+        return { camera_id: cameraId, ...DEFAULT_SETTINGS };
+    }
+    return {
+        camera_id: cameraId,
+        enabled: !!row.enabled,
+        interval_seconds: row.interval_seconds,
+        width: row.width
+    };
+}
+
+/**
+ * Get the frame capture settings of a camera
+ * @param {number} cameraId - Camera ID
+ * @returns {Promise<Object>} Settings (defaults if none are stored)
+ */
+async function getCaptureSettings(cameraId) {
+    const row = await db('timelapse_settings').where({ camera_id: cameraId }).first();
+    return formatSettings(cameraId, row);
+}
+
+/**
+ * Get the state of a camera's capture job and the frames captured so far
+ * @param {number} cameraId - Camera ID
+ * @returns {Promise<Object>} running, last_capture_at, last_error, frame_count, first_frame_at and last_frame_at
+ */
+async function getCaptureStatus(cameraId) {
+    const job = captureJobs.get(cameraId);
+    const frames = await db('timelapse_frames')
+        .where({ camera_id: cameraId })
+        .count('id as count')
+        .min('captured_at as first')
+        .max('captured_at as last')
+        .first();
+    return {
+        running: !!job,
+        last_capture_at: job ? job.lastCaptureAt : null,
+        last_error: job ? job.lastError : null,
+        frame_count: Number(frames.count),
+        first_frame_at: toMillis(frames.first),
+        last_frame_at: toMillis(frames.last)
+    };
+}
+
+/**
+ * Update the frame capture settings of a camera and (re)start or stop its capture job
+ * @param {number} cameraId - Camera ID
+ * @param {Object} changes - Settings to change (enabled, interval_seconds, width)
+ * @returns {Promise<Object>} The updated settings
+ */
+async function updateCaptureSettings(cameraId, changes) {
+    const existing = await db('timelapse_settings').where({ camera_id: cameraId }).first();
+    if (existing) {
+        await db('timelapse_settings').where({ camera_id: cameraId }).update({ ...changes, updated_at: db.fn.now() });
+    } else {
+        await db('timelapse_settings').insert({ camera_id: cameraId, ...changes });
+    }
+
+    const settings = await getCaptureSettings(cameraId);
+
+    // Apply the new interval by restarting the job
+    stopCapture(cameraId);
+    if (settings.enabled) {
+        await startCapture(cameraId);
+    }
+
+    return settings;
+}
+
+/**
+ * Capture one frame of a camera and store it
+ * @param {number} cameraId - Camera ID
+ */
+async function captureFrame(cameraId) {
+    const job = captureJobs.get(cameraId);
+    // A slow camera may still be busy with the previous frame
+    if (!job || job.capturing) {
+        return;
+    }
+    job.capturing = true;
+
+    try {
+        const camera = await db('cameras').where({ id: cameraId }).first();
+        if (!camera) {
+            console.log(`[timelapse] Camera ${cameraId} no longer exists, stopping frame capture`);
+            stopCapture(cameraId);
+            return;
+        }
+        const settings = await getCaptureSettings(cameraId);
+        const { image } = await captureSnapshot(camera, settings.width ? { width: settings.width } : {});
+
+        const capturedAt = new Date();
+        const filename = `camera_${cameraId}_${capturedAt.getTime()}.jpg`;
+        await fs.promises.writeFile(path.join(framesBasePath, filename), image);
+        await db('timelapse_frames').insert({
+            camera_id: cameraId,
+            filename,
+            file_size: image.length,
+            captured_at: capturedAt
+        });
+        job.lastCaptureAt = capturedAt.getTime();
+        job.lastError = null;
+    } catch (err) {
+        console.warn(`[timelapse] Failed to capture a frame of camera ${cameraId}:`, err.message);
+        job.lastError = err.message;
+    } finally {
+        job.capturing = false;
+    }
+}
+
+/**
+ * Start the frame capture job of a camera; the first frame is captured immediately
+ * @param {number} cameraId - Camera ID
+ * @returns {Promise<void>}
+ */
+async function startCapture(cameraId) {
+    if (captureJobs.has(cameraId)) {
+        return;
+    }
+    const settings = await getCaptureSettings(cameraId);
+    const job = { timer: null, capturing: false, lastCaptureAt: null, lastError: null };
+    job.timer = setInterval(() => captureFrame(cameraId), settings.interval_seconds * 1000);
+    captureJobs.set(cameraId, job);
+    console.log(`[timelapse] Capturing a frame of camera ${cameraId} every ${settings.interval_seconds}s`);
+    captureFrame(cameraId);
+}
+
+/**
+ * Stop the frame capture job of a camera
+ * @param {number} cameraId - Camera ID
+ */
+function stopCapture(cameraId) {
+    const job = captureJobs.get(cameraId);
+    if (!job) {
+        return;
+    }
+    clearInterval(job.timer);
+    captureJobs.delete(cameraId);
+}
+
+/**
+ * Get the captured frames of a camera in a time range
+ * @param {number} cameraId - Camera ID
+ * @param {number} from - Start of the range (ms)
+ * @param {number} to - End of the range (ms)
+ * @returns {Promise<Array<Object>>} Frames (with the path of their file), oldest first
+ */
+async function findFrames(cameraId, from, to) {
+    const rows = await db('timelapse_frames')
+        .where({ camera_id: cameraId })
+        .where('captured_at', '>=', from)
+        .where('captured_at', '<=', to)
+        .orderBy('captured_at', 'asc');
+    return rows.map(row => ({ ...row, captured_at: toMillis(row.captured_at), path: path.join(framesBasePath, row.filename) }));
+}
+
+/**
+ * Delete the frames that are older than the retention time
+ * @returns {Promise<number>} Number of deleted frames
+ */
+async function deleteOldFrames() {
+    const cutoff = new Date(Date.now() - getFrameRetention());
+    const frames = await db('timelapse_frames').where('captured_at', '<', cutoff).select('id', 'filename');
+    for (const frame of frames) {
+        await fs.promises.unlink(path.join(framesBasePath, frame.filename)).catch(err => {
+            if (err.code !== 'ENOENT') {
+                console.error(`[timelapse] Failed to delete ${frame.filename}:`, err);
+            }
+        });
+        await db('timelapse_frames').where({ id: frame.id }).del();
+    }
+    if (frames.length > 0) {
+        console.log(`[timelapse] Deleted ${frames.length} frame(s) older than the retention time.`);
+    }
+    return frames.length;
+}
+
+/**
+ * Start the capture jobs of all cameras with frame capture enabled, and delete old frames periodically
+ * @returns {Promise<void>}
+ */
+async function startTimelapseCapture() {
+    if (!sweepTimer) {
+        const run = () => deleteOldFrames().catch(err => console.error('[timelapse] Failed to delete old frames:', err));
+        run();
+        sweepTimer = setInterval(run, SWEEP_INTERVAL_MS);
+    }
+
+    const rows = await db('timelapse_settings').where({ enabled: true });
+    for (const row of rows) {
+        try {
+            await startCapture(row.camera_id);
+        } catch (err) {
+            console.error(`[timelapse] Failed to start frame capture for camera ${row.camera_id}:`, err.message);
+        }
+    }
+}
+
+/**
+ * Stop all capture jobs (when the server shuts down)
+ */
+function stopTimelapseCapture() {
+    clearInterval(sweepTimer);
+    sweepTimer = null;
+    for (const cameraId of Array.from(captureJobs.keys())) {
+        stopCapture(cameraId);
+    }
+}
+
+module.exports = {
+    MIN_CAPTURE_INTERVAL,
+    MAX_CAPTURE_INTERVAL,
+    getCaptureSettings,
+    getCaptureStatus,
+    updateCaptureSettings,
+    findFrames,
+    startTimelapseCapture,
+    stopTimelapseCapture
+};
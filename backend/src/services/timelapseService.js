@@ -0,0 +1,355 @@
+const fs = require('fs');
+const path = require('path');
+const db = require('../db/db');
+const { publish } = require('./statusService');
+const { probeFile } = require('./probeService');
+const { findRecordings, buildConcatList } = require('./exportService');
+const { createFfmpegJobQueue, removeFile } = require('./ffmpegJobQueue');
+const { findFrames } = require('./timelapseCaptureService');
+const { toMillis } = require('../utils/time');
+
+// Longest time range of one timelapse
+const MAX_TIMELAPSE_RANGE_MS = 31 * 24 * 60 * 60 * 1000;
+
+// Allowed output frame rates and intervals between frames sampled from recordings (seconds)
+const MIN_FRAME_RATE = 1;
+const MAX_FRAME_RATE = 60;
+const MIN_SAMPLE_INTERVAL = 1;
+const MAX_SAMPLE_INTERVAL = 60 * 60;
+
+// Base path for timelapse videos
+const timelapsesBasePath = path.join(__dirname, '../../timelapses');
+if (!fs.existsSync(timelapsesBasePath)) {
+    fs.mkdirSync(timelapsesBasePath, { recursive: true });
+}
+const recordingsBasePath = path.join(__dirname, '../../recordings');
+
+// Like exports, timelapses are encoded one at a time
+const jobs = createFfmpegJobQueue({ tag: 'timelapse', processJob: processTimelapse });
+
+/**
+ * Convert a database row into the API representation
+ * @param {Object} row - Row from the timelapses table (with camera_name)
+ * @returns {Object} Timelapse with times in milliseconds since the epoch
+ */
+function formatTimelapse(row) {
+    return {
+        ...row,
+        start_time: toMillis(row.start_time),
+        end_time: toMillis(row.end_time),
+        created_at: toMillis(row.created_at),
+        finished_at: toMillis(row.finished_at)
+    };
+}
+
+/**
+ * Base query for timelapses with the name of their camera
+ * @returns {import('knex').Knex.QueryBuilder} Query
+ */
+function timelapseQuery() {
+    return db('timelapses')
+        .leftJoin('cameras', 'timelapses.camera_id', 'cameras.id')
+        .select('timelapses.*', 'cameras.name as camera_name');
+}
+
+/**
+ * Escape a path for a concat demuxer list (single quotes are written as '\'')
+ * @param {string} file - Path
+ * @returns {string} Quoted path
+ */
+function quotePath(file) {
+    return `'${file.replace(/'/g, "'\\''")}'`;
+}
+
+/**
+ * Even output size for H.264 from a frame size
+ * @param {number|null} width - Width of the first frame
+ * @param {number|null} height - Height of the first frame
+ * @returns {string} Scale filter that gives every frame the same even size
+ */
+function scaleFilter(width, height) {
+    // Frames may differ in size (e.g. the capture width was changed), but the encoder needs one size
+    if (width && height) {
+        return `scale=${Math.floor(width / 2) * 2}:${Math.floor(height / 2) * 2},setsar=1`;
+    }
+    return 'scale=trunc(iw/2)*2:trunc(ih/2)*2,setsar=1';
+}
+
+/**
+ * Build the FFmpeg input and filter for a timelapse of captured frames
+ * @param {Object} timelapse - Timelapse row
+ * @param {string} listFile - Path of the concat list to write
+ * @returns {Promise<{args: Array<string>, frames: number}>} Input and filter arguments, and the expected number of frames
+ */
+async function prepareFrames(timelapse, listFile) {
+    const frames = (await findFrames(timelapse.camera_id, toMillis(timelapse.start_time), toMillis(timelapse.end_time)))
+        .filter(frame => fs.existsSync(frame.path));
+    if (frames.length === 0) {
+        throw new Error('There are no frames in the time range any more.');
+    }
+
+    // Every frame is shown for 1/frame_rate seconds; the last file is repeated so that its duration is applied
+    const frameDuration = (1 / timelapse.frame_rate).toFixed(6);
+    const lines = frames.flatMap(frame => [`file ${quotePath(frame.path)}`, `duration ${frameDuration}`]);
+    lines.push(`file ${quotePath(frames[frames.length - 1].path)}`);
+    await fs.promises.writeFile(listFile, `${lines.join('\n')}\n`);
+
+    const probe = await probeFile(frames[0].path);
+    const video = probe.streams.find(stream => stream.codec_type === 'video') || {};
+    return {
+        args: [
+            '-f', 'concat', '-safe', '0', '-i', listFile,
+            '-vf', `${scaleFilter(video.width, video.height)},fps=${timelapse.frame_rate},format=yuv420p`
+        ],
+        frames: frames.length
+    };
+}
+
+/**
+ * Build the FFmpeg input and filter for a timelapse of frames sampled from the recordings
+ * @param {Object} timelapse - Timelapse row
+ * @param {string} listFile - Path of the concat list to write
+ * @returns {Promise<{args: Array<string>, frames: number}>} Input and filter arguments, and the expected number of frames
+ */
+async function prepareRecordings(timelapse, listFile) {
+    const from = toMillis(timelapse.start_time);
+    const to = toMillis(timelapse.end_time);
+    // Recordings may have been deleted (retention) while the timelapse was queued
+    const recordings = (await findRecordings(timelapse.camera_id, from, to))
+        .filter(rec => fs.existsSync(path.join(recordingsBasePath, rec.filename)));
+    if (recordings.length === 0) {
+        throw new Error('There are no recordings in the time range any more.');
+    }
+
+    const { list, duration } = buildConcatList(recordings, from, to);
+    await fs.promises.writeFile(listFile, list);
+
+    // Take one frame every sample_interval seconds and give the frames consecutive timestamps at frame_rate
+    const filters = [
+        `fps=1/${timelapse.sample_interval}`,
+        `setpts=N/${timelapse.frame_rate}/TB`,
+        scaleFilter(recordings[0].width, recordings[0].height),
+        'format=yuv420p'
+    ];
+    return {
+        args: ['-f', 'concat', '-safe', '0', '-i', listFile, '-map', '0:v:0', '-vf', filters.join(','), '-r', String(timelapse.frame_rate)],
+        frames: Math.max(Math.floor(duration / timelapse.sample_interval), 1)
+    };
+}
+
+/**
+ * Mark a timelapse as finished and broadcast the result
+ * @param {Object} timelapse - Timelapse row
+ * @param {Object} changes - Columns to update (status, error, filename, file_size, ...)
+ */
+async function finishTimelapse(timelapse, changes) {
+    await db('timelapses').where({ id: timelapse.id }).update({ ...changes, finished_at: new Date() });
+    publish('timelapse.finished', { timelapseId: timelapse.id, cameraId: timelapse.camera_id, status: changes.status, error: changes.error || null });
+}
+
+/**
+ * Encode the frames (or the frames sampled from the recordings) of a timelapse into an MP4 file
+ * @param {number} timelapseId - Timelapse ID
+ * @param {Object} job - State of the timelapse in the job queue (cancelled when the timelapse is deleted)
+ */
+async function processTimelapse(timelapseId, job) {
+    const timelapse = await db('timelapses').where({ id: timelapseId }).first();
+    if (!timelapse || timelapse.status !== 'queued') {
+        return;
+    }
+    const from = toMillis(timelapse.start_time);
+    const filename = `timelapse_${timelapseId}_camera_${timelapse.camera_id}_${new Date(from).toISOString().replace(/[:.]/g, '-')}.mp4`;
+    const outputFile = path.join(timelapsesBasePath, filename);
+    const listFile = path.join(timelapsesBasePath, `timelapse_${timelapseId}.txt`);
+
+    await db('timelapses').where({ id: timelapseId }).update({ status: 'running', progress: 0 });
+    publish('timelapse.progress', { timelapseId, cameraId: timelapse.camera_id, progress: 0 });
+    console.log(`[timelapse] Timelapse ${timelapseId} started: camera ${timelapse.camera_id} from ${timelapse.source}`);
+
+    let lastProgress = 0;
+    const onProgress = (progress) => {
+        // Only whole percentages are stored and broadcast
+        const rounded = Math.floor(progress);
+        if (rounded <= lastProgress) return;
+        lastProgress = rounded;
+        db('timelapses').where({ id: timelapseId }).update({ progress: rounded })
+            .catch(err => console.error(`[timelapse] Failed to store progress of timelapse ${timelapseId}:`, err));
+        publish('timelapse.progress', { timelapseId, cameraId: timelapse.camera_id, progress: rounded });
+    };
+
+    try {
+        const { args, frames } = timelapse.source === 'frames'
+            ? await prepareFrames(timelapse, listFile)
+            : await prepareRecordings(timelapse, listFile);
+
+        const encoded = await jobs.runFfmpeg([
+            '-hide_banner', '-nostats', '-progress', 'pipe:1',
+            ...args,
+            '-an', '-c:v', 'libx264', '-preset', 'veryfast', '-crf', '23',
+            '-movflags', '+faststart', '-f', 'mp4', '-y', outputFile
+        ], { duration: frames / timelapse.frame_rate, onProgress });
+
+        const frameCount = encoded || frames;
+        const stats = await fs.promises.stat(outputFile);
+        await finishTimelapse(timelapse, {
+            status: 'completed',
+            progress: 100,
+            filename,
+            file_size: stats.size,
+            duration: frameCount / timelapse.frame_rate
+        });
+        console.log(`[timelapse] Timelapse ${timelapseId} completed: ${filename} (${frameCount} frames, ${stats.size} bytes)`);
+    } catch (err) {
+        await removeFile(outputFile, 'timelapse');
+        if (job.cancelled) {
+            console.log(`[timelapse] Timelapse ${timelapseId} cancelled.`);
+            await finishTimelapse(timelapse, { status: 'cancelled' });
+        } else {
+            console.error(`[timelapse] Timelapse ${timelapseId} failed:`, err.message);
+            await finishTimelapse(timelapse, { status: 'failed', error: err.message });
+        }
+    } finally {
+        await removeFile(listFile, 'timelapse');
+    }
+}
+
+/**
+ * Queue a timelapse of a time range
+ * @param {Object} options - Timelapse options
+ * @param {number} options.cameraId - Camera ID
+ * @param {'frames'|'recordings'} options.source - Captured frames, or frames sampled from the recordings
+ * @param {Date} options.from - Start of the range
+ * @param {Date} options.to - End of the range
+ * @param {number} options.frameRate - Frames per second of the video
+ * @param {number} [options.sampleInterval] - With source 'recordings': seconds between the sampled frames
+ * @param {Object} options.user - User who requested the timelapse
+ * @returns {Promise<Object|null>} The queued timelapse, or null if there are no frames or recordings in the range
+ */
+async function createTimelapse({ cameraId, source, from, to, frameRate, sampleInterval, user }) {
+    const inputs = source === 'frames'
+        ? await findFrames(cameraId, from.getTime(), to.getTime())
+        : await findRecordings(cameraId, from.getTime(), to.getTime());
+    if (inputs.length === 0) {
+        return null;
+    }
+
+    const [id] = await db('timelapses').insert({
+        camera_id: cameraId,
+        user_id: user.id,
+        source,
+        start_time: from,
+        end_time: to,
+        frame_rate: frameRate,
+        sample_interval: source === 'recordings' ? sampleInterval : null,
+        status: 'queued',
+        created_at: new Date()
+    });
+    jobs.add(id);
+    return getTimelapse(id);
+}
+
+/**
+ * Get a timelapse
+ * @param {number} timelapseId - Timelapse ID
+ * @returns {Promise<Object|null>} The timelapse, or null if it does not exist
+ */
+async function getTimelapse(timelapseId) {
+    const row = await timelapseQuery().where('timelapses.id', timelapseId).first();
+    return row ? formatTimelapse(row) : null;
+}
+
+/**
+ * List timelapses, newest first
+ * @param {Object} [filters] - Filters
+ * @param {Array<number>|null} [filters.accessibleCameraIds] - Only timelapses of these cameras (null = all cameras)
+ * @param {boolean} [filters.includeDeletedCameras] - With accessibleCameraIds: also timelapses of deleted cameras
+ * @param {number} [filters.cameraId] - Only timelapses of this camera
+ * @returns {Promise<Array<Object>>} Timelapses
+ */
+async function listTimelapses({ accessibleCameraIds, includeDeletedCameras, cameraId } = {}) {
+    const query = timelapseQuery().orderBy('timelapses.id', 'desc');
+    if (accessibleCameraIds) {
+        query.where(access => {
+            access.whereIn('timelapses.camera_id', accessibleCameraIds);
+            if (includeDeletedCameras) access.orWhereNull('cameras.id');
+        });
+    }
+    if (cameraId !== undefined) {
+        query.where('timelapses.camera_id', cameraId);
+    }
+    return (await query).map(formatTimelapse);
+}
+
+/**
+ * Get the path of a timelapse's file
+ * @param {Object} timelapse - Completed timelapse
+ * @returns {string} Absolute path of the MP4 file
+ */
+function getTimelapseFile(timelapse) {
+    return path.join(timelapsesBasePath, timelapse.filename);
+}
+
+/**
+ * Cancel a queued or running timelapse, or delete a finished one with its file
+ * @param {number} timelapseId - Timelapse ID
+ * @returns {Promise<boolean>} False if the timelapse does not exist
+ */
+async function deleteTimelapse(timelapseId) {
+    const timelapse = await db('timelapses').where({ id: timelapseId }).first();
+    if (!timelapse) {
+        return false;
+    }
+
+    if (jobs.cancel(timelapseId) === 'running') {
+        // processTimelapse() marks the timelapse as cancelled when FFmpeg has exited; the row is kept until then
+        return true;
+    }
+
+    if (timelapse.filename) {
+        await removeFile(path.join(timelapsesBasePath, timelapse.filename), 'timelapse');
+    }
+    await db('timelapses').where({ id: timelapseId }).del();
+    console.log(`[timelapse] Timelapse ${timelapseId} deleted.`);
+    return true;
+}
+
+/**
+ * Start the timelapse service: timelapses that were interrupted by a restart are marked as failed
+ * and files without a timelapse are removed
+ */
+async function startTimelapseService() {
+    const interrupted = await db('timelapses').whereIn('status', ['queued', 'running'])
+        .update({ status: 'failed', error: 'The server was restarted during the timelapse.', finished_at: new Date() });
+    if (interrupted > 0) {
+        console.log(`[timelapse] Marked ${interrupted} interrupted timelapse(s) as failed.`);
+    }
+
+    const filenames = new Set((await db('timelapses').whereNotNull('filename').select('filename')).map(row => row.filename));
+    for (const file of await fs.promises.readdir(timelapsesBasePath)) {
+        if (!filenames.has(file)) {
+            await removeFile(path.join(timelapsesBasePath, file), 'timelapse');
+        }
+    }
+}
+
+/**
+ * Stop the timelapse service on shutdown; a running timelapse is aborted and marked as failed at the next start
+ */
+function stopTimelapses() {
+    jobs.stop();
+}
+
+module.exports = {
+    MAX_TIMELAPSE_RANGE_MS,
+    MIN_FRAME_RATE,
+    MAX_FRAME_RATE,
+    MIN_SAMPLE_INTERVAL,
+    MAX_SAMPLE_INTERVAL,
+    createTimelapse,
+    getTimelapse,
+    listTimelapses,
+    getTimelapseFile,
+    deleteTimelapse,
+    startTimelapseService,
+    stopTimelapses
+};
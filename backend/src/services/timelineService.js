@@ -0,0 +1,79 @@
+const db = require('../db/db');
+const { toMillis } = require('../utils/time');
+
+// Recordings less than this far apart count as one continuous span (e.g. consecutive segments)
+const MERGE_GAP_MS = 2 * 1000;
+
+// Maximum number of events returned for one time range
+const MAX_EVENTS = 5000;
+
+/**
+ * Merge recordings into the spans of time that are covered by video
+ * @param {Array<{id: number, start_time: number, end_time: number}>} recordings - Recordings sorted by start time
+ * @param {number} from - Start of the time range (ms); spans are clipped to the range
+ * @param {number} to - End of the time range (ms)
+ * @returns {Array<{start: number, end: number, recordingIds: Array<number>}>} Covered spans, oldest first
+ */
+function mergeCoverage(recordings, from, to) {
+    const spans = [];
+    for (const recording of recordings) {
+        const start = Math.max(recording.start_time, from);
+        const end = Math.min(recording.end_time, to);
+        if (end < start) continue;
+
+        const last = spans[spans.length - 1];
+        if (last && start - last.end <= MERGE_GAP_MS) {
+            last.end = Math.max(last.end, end);
+            last.recordingIds.push(recording.id);
+        } else {
+            spans.push({ start, end, recordingIds: [recording.id] });
+        }
+    }
+    return spans;
+}
+
+/**
+ * Get what a camera recorded in a time range: the covered spans, the recordings and the events
+ * @param {number} cameraId - Camera ID
+ * @param {Date} from - Start of the time range
+ * @param {Date} to - End of the time range
+ * @returns {Promise<Object>} Timeline with times in milliseconds since the epoch
+ */
+async function getTimeline(cameraId, from, to) {
+    const rows = await db('recordings')
+        .select('id', 'filename', 'start_time', 'end_time', 'duration', 'is_bookmarked', 'sprite_vtt')
+        .where({ camera_id: cameraId, is_finished: true })
+        .where('start_time', '<=', to)
+        .where('end_time', '>=', from)
+        .orderBy('start_time', 'asc');
+    const recordings = rows.map(row => ({
+        ...row,
+        start_time: toMillis(row.start_time),
+        end_time: toMillis(row.end_time),
+        is_bookmarked: !!row.is_bookmarked
+    }));
+
+    const events = await db('events')
+        .select('id', 'type', 'source', 'start_time', 'end_time')
+        .where('camera_id', cameraId)
+        .where('start_time', '<=', to)
+        // Events that are still going on overlap the range even if they started before it
+        .where(query => query.where('end_time', '>=', from).orWhereNull('end_time'))
+        .orderBy('start_time', 'asc')
+        .limit(MAX_EVENTS);
+
+    return {
+        cameraId,
+        from: from.getTime(),
+        to: to.getTime(),
+        coverage: mergeCoverage(recordings, from.getTime(), to.getTime()),
+        recordings,
+        events: events.map(event => ({
+            ...event,
+            start_time: toMillis(event.start_time),
+            end_time: event.end_time === null ? null : toMillis(event.end_time)
+        }))
+    };
+}
+
+module.exports = { getTimeline };
@@ -0,0 +1,238 @@
+const crypto = require('crypto');
+const { startStream, stopStream, isStreaming, getActiveStreamIds, getStreamHealth } = require('./streamService');
+const { publish } = require('./statusService');
+
+// Clients renew their lease every HEARTBEAT_INTERVAL_MS; a lease without heartbeat for LEASE_TTL_MS has expired
+const HEARTBEAT_INTERVAL_MS = 10 * 1000;
+const LEASE_TTL_MS = 30 * 1000;
+
+// Default time a stream keeps running after its last viewer has left (STREAM_IDLE_TIMEOUT_SECONDS overrides it)
+const DEFAULT_IDLE_TIMEOUT_SECONDS = 30;
+
+// How often expired leases are removed
+const SWEEP_INTERVAL_MS = 5 * 1000;
+
+// Viewer leases: Map<leaseId, { id, cameraId, userId, username, ip, acquiredAt: Date, lastSeen: Date }>
+const leases = new Map();
+
+// Pending shutdowns of streams without viewers: Map<cameraId, { timer, since: Date }>
+const idleStreams = new Map();
+
+let sweepTimer = null;
+
+/**
+ * Time a stream keeps running after its last viewer has left
+ * @returns {number} Idle timeout in milliseconds
+ */
+function getIdleTimeout() {
+    const value = process.env.STREAM_IDLE_TIMEOUT_SECONDS;
+    const seconds = value === undefined || value === '' ? DEFAULT_IDLE_TIMEOUT_SECONDS : Number(value);
+    return (Number.isFinite(seconds) && seconds >= 0 ? seconds : DEFAULT_IDLE_TIMEOUT_SECONDS) * 1000;
+}
+
+/**
+ * Get the leases of a camera's stream
+ * @param {number} cameraId - The ID of the camera
+ * @returns {Array<Object>} Leases
+ */
+function getCameraLeases(cameraId) {
+    return Array.from(leases.values()).filter(lease => lease.cameraId === cameraId);
+}
+
+/**
+ * Broadcast the number of viewers of a camera's stream
+ * @param {number} cameraId - The ID of the camera
+ */
+function publishViewers(cameraId) {
+    publish('stream.viewers', { cameraId, viewers: getCameraLeases(cameraId).length });
+}
+
+/**
+ * Stop a camera's stream once it has had no viewers for the idle timeout
+ * @param {number} cameraId - The ID of the camera
+ */
+function scheduleIdleStop(cameraId) {
+    if (getCameraLeases(cameraId).length > 0 || idleStreams.has(cameraId)) {
+        return;
+    }
+
+    const idleTimeout = getIdleTimeout();
+    console.log(`[viewers] Last viewer of camera ${cameraId} left, stopping the stream in ${idleTimeout / 1000}s`);
+    const timer = setTimeout(() => {
+        idleStreams.delete(cameraId);
+        if (getCameraLeases(cameraId).length === 0) {
+            stopStream(cameraId);
+        }
+    }, idleTimeout);
+    idleStreams.set(cameraId, { timer, since: new Date() });
+}
+
+/**
+ * Cancel the pending shutdown of a camera's stream
+ * @param {number} cameraId - The ID of the camera
+ */
+function cancelIdleStop(cameraId) {
+    const idle = idleStreams.get(cameraId);
+    if (idle) {
+        clearTimeout(idle.timer);
+        idleStreams.delete(cameraId);
+    }
+}
+
+/**
+ * Convert a lease into the API representation
+ * @param {Object} lease - Lease
+ * @returns {Object} Lease with its expiry time
+ */
+function toPublicLease(lease) {
+    return {
+        leaseId: lease.id,
+        cameraId: lease.cameraId,
+        expiresAt: new Date(lease.lastSeen.getTime() + LEASE_TTL_MS).toISOString(),
+        heartbeatInterval: HEARTBEAT_INTERVAL_MS
+    };
+}
+
+/**
+ * Start watching a camera: starts its stream if needed and returns a lease that keeps it running
+ * @param {number} cameraId - The ID of the camera
+ * @param {{id: number, username: string}} user - Viewer
+ * @param {string} [ip] - Client address
+ * @returns {Promise<{streamUrl: string, leaseId: string, expiresAt: string, heartbeatInterval: number}>} Stream URL and lease
+ */
+async function acquireLease(cameraId, user, ip = null) {
+    cancelIdleStop(cameraId);
+    const { streamUrl } = await startStream(cameraId);
+
+    const now = new Date();
+    const lease = { id: crypto.randomUUID(), cameraId, userId: user.id, username: user.username, ip, acquiredAt: now, lastSeen: now };
+    leases.set(lease.id, lease);
+    console.log(`[viewers] ${user.username} started watching camera ${cameraId} (lease ${lease.id})`);
+    publishViewers(cameraId);
+
+    return { streamUrl, ...toPublicLease(lease) };
+}
+
+/**
+ * Find a lease of a user on a camera
+ * @param {string} leaseId - Lease ID
+ * @param {number} cameraId - The ID of the camera
+ * @param {{id: number}} user - Viewer
+ * @returns {Object|null} Lease, or null if it does not exist (any more)
+ */
+function findLease(leaseId, cameraId, user) {
+    const lease = leases.get(leaseId);
+    return lease && lease.cameraId === cameraId && lease.userId === user.id ? lease : null;
+}
+
+/**
+ * Renew a lease (heartbeat)
+ * @param {string} leaseId - Lease ID
+ * @param {number} cameraId - The ID of the camera
+ * @param {{id: number}} user - Viewer
+ * @returns {Object|null} The renewed lease, or null if it has expired or the stream is no longer running
+ */
+function renewLease(leaseId, cameraId, user) {
+    const lease = findLease(leaseId, cameraId, user);
+    if (!lease) {
+        return null;
+    }
+    if (!isStreaming(cameraId)) {
+        // The stream has failed or was stopped: the client has to start watching again
+        leases.delete(leaseId);
+        return null;
+    }
+    lease.lastSeen = new Date();
+    return toPublicLease(lease);
+}
+
+/**
+ * Stop watching a camera. The stream is stopped after the idle timeout if nobody else is watching.
+ * @param {string} leaseId - Lease ID
+ * @param {number} cameraId - The ID of the camera
+ * @param {{id: number}} user - Viewer
+ * @returns {boolean} False if the lease does not exist
+ */
+function releaseLease(leaseId, cameraId, user) {
+    const lease = findLease(leaseId, cameraId, user);
+    if (!lease) {
+        return false;
+    }
+    leases.delete(leaseId);
+    console.log(`[viewers] ${lease.username} stopped watching camera ${cameraId}`);
+    publishViewers(cameraId);
+    scheduleIdleStop(cameraId);
+    return true;
+}
+
+/**
+ * Remove the leases whose heartbeat has not been received in time
+ */
+function expireLeases() {
+    const now = Date.now();
+    const cameraIds = new Set();
+    for (const lease of leases.values()) {
+        if (now - lease.lastSeen.getTime() > LEASE_TTL_MS) {
+            console.log(`[viewers] Lease of ${lease.username} on camera ${lease.cameraId} expired`);
+            leases.delete(lease.id);
+            cameraIds.add(lease.cameraId);
+        }
+    }
+
+    for (const cameraId of cameraIds) {
+        publishViewers(cameraId);
+        scheduleIdleStop(cameraId);
+    }
+}
+
+/**
+ * Get the number of viewers of every stream that has any
+ * @returns {Object<number, number>} Number of viewers by camera ID
+ */
+function getViewerCounts() {
+    const counts = {};
+    for (const lease of leases.values()) {
+        counts[lease.cameraId] = (counts[lease.cameraId] || 0) + 1;
+    }
+    return counts;
+}
+
+/**
+ * List the running streams with their viewers
+ * @returns {Array<Object>} Stream sessions, by camera
+ */
+function listSessions() {
+    const cameraIds = new Set([...getActiveStreamIds(), ...Array.from(leases.values(), lease => lease.cameraId)]);
+    return Array.from(cameraIds).sort((a, b) => a - b).map(cameraId => ({
+        cameraId,
+        health: getStreamHealth(cameraId),
+        idleSince: idleStreams.get(cameraId)?.since.toISOString() ?? null,
+        viewers: getCameraLeases(cameraId).map(lease => ({
+            userId: lease.userId,
+            username: lease.username,
+            ip: lease.ip,
+            since: lease.acquiredAt.toISOString(),
+            lastSeen: lease.lastSeen.toISOString()
+        }))
+    }));
+}
+
+/**
+ * Start removing expired leases periodically
+ */
+function startViewerSessions() {
+    if (sweepTimer) {
+        return;
+    }
+    sweepTimer = setInterval(expireLeases, SWEEP_INTERVAL_MS);
+    console.log(`[viewers] Viewer sessions started (idle timeout ${getIdleTimeout() / 1000}s).`);
+}
+
+module.exports = {
+    acquireLease,
+    renewLease,
+    releaseLease,
+    getViewerCounts,
+    listSessions,
+    startViewerSessions
+};
@@ -0,0 +1,88 @@
+const fs = require('fs');
+const path = require('path');
+const { maskCredentials } = require('./credentialService');
+
+// How often the output of supervised FFmpeg processes is checked
+const WATCHDOG_INTERVAL_MS = 5 * 1000;
+
+// A process whose output has not changed for this long has stalled (this includes the time to start up)
+const STALL_TIMEOUT_MS = 30 * 1000;
+
+// Backoff before restarting a crashed or stalled process: 2s, 4s, 8s, ... up to 60s
+const RESTART_BASE_DELAY_MS = 2 * 1000;
+const RESTART_MAX_DELAY_MS = 60 * 1000;
+
+// Restarts in a row after which the process is given up ('failed')
+const MAX_RESTART_ATTEMPTS = 8;
+
+// A process that has been producing output for this long counts as recovered, and the backoff starts over
+const STABLE_AFTER_MS = 60 * 1000;
+
+/**
+ * Delay before a restart attempt
+ * @param {number} attempt - Number of the attempt, starting at 1
+ * @returns {number} Delay in milliseconds
+ */
+function getRestartDelay(attempt) {
+    return Math.min(RESTART_BASE_DELAY_MS * 2 ** (attempt - 1), RESTART_MAX_DELAY_MS);
+}
+
+/**
+ * Time of the last change of the files in a directory whose names start with a prefix
+ * @param {string} directory - Directory
+ * @param {string} prefix - Filename prefix
+ * @returns {number|null} Newest modification time in milliseconds, or null if there is no such file
+ */
+function getLastOutputTime(directory, prefix) {
+    let newest = null;
+    let names;
+    try {
+        names = fs.readdirSync(directory);
+    } catch (err) {
+        return null;
+    }
+    for (const name of names) {
+        if (!name.startsWith(prefix)) continue;
+        try {
+            const { mtimeMs } = fs.statSync(path.join(directory, name));
+            newest = Math.max(newest ?? 0, mtimeMs);
+        } catch (err) {
+            // Removed in the meantime (e.g. an old HLS segment), ignore
+        }
+    }
+    return newest;
+}
+
+/**
+ * Create the health of a newly started process
+ * @returns {{state: string, restarts: number, lastError: string|null, since: string}} Health
+ */
+function createHealth() {
+    return { state: 'running', restarts: 0, lastError: null, since: new Date().toISOString() };
+}
+
+/**
+ * Keep the last error FFmpeg wrote to stderr, to report why it exited
+ * The error is part of the health sent to clients, so the password of the input URL is removed
+ * @param {ChildProcess} ffmpegProcess - FFmpeg process
+ * @param {Object} target - Object whose ffmpegError property is updated
+ */
+function trackLastError(ffmpegProcess, target) {
+    ffmpegProcess.stderr.on('data', (data) => {
+        const lines = data.toString().split(/[\r\n]+/).filter(line => line.includes('error') || line.includes('Error'));
+        if (lines.length > 0) {
+            target.ffmpegError = maskCredentials(lines[lines.length - 1].trim());
+        }
+    });
+}
+
+module.exports = {
+    WATCHDOG_INTERVAL_MS,
+    STALL_TIMEOUT_MS,
+    MAX_RESTART_ATTEMPTS,
+    STABLE_AFTER_MS,
+    getRestartDelay,
+    getLastOutputTime,
+    createHealth,
+    trackLastError
+};
@@ -0,0 +1,12 @@
+/**
+ * Convert a stored time into milliseconds since the epoch
+ * Depending on how a row was written, SQLite returns times as milliseconds or as date strings.
+ * @param {Date|number|string|null|undefined} value - Stored time
+ * @returns {number|null} Milliseconds since the epoch, or null
+ */
+function toMillis(value) {
+    if (value === null || value === undefined) return null;
+    return typeof value === 'number' ? value : new Date(value).getTime();
+}
+
+module.exports = { toMillis };
@@ -1,13 +1,21 @@
 import { useState, useEffect, useRef, useCallback } from 'react';
-import { AppBar, Toolbar, Typography, Container, CssBaseline, Box, CircularProgress, Alert, Button, Modal } from '@mui/material';
+import { AppBar, Toolbar, Typography, Container, CssBaseline, Box, CircularProgress, Alert, Button, Modal, Chip, Tooltip } from '@mui/material';
 import CameraList from './components/CameraList';
 import VideoPlayer from './components/VideoPlayer';
 import RecordingList from './components/RecordingList';
 import AddCameraModal from './components/AddCameraModal';
 import DiscoverCamerasModal from './components/DiscoverCamerasModal';
 import PTZControls from './components/PTZControls';
-import { getCameras, startStream, stopStream, startRecording, stopRecording, checkPTZCapabilities } from './services/api';
-import type { Camera } from './services/api';
+import RetentionSettingsModal from './components/RetentionSettingsModal';
+import AuditLogModal from './components/AuditLogModal';
+import TimelineModal from './components/TimelineModal';
+import ExportList from './components/ExportList';
+import TimelapseList from './components/TimelapseList';
+import RecordingPlayer from './components/RecordingPlayer';
+import SnapshotGalleryModal from './components/SnapshotGalleryModal';
+import VisibilityIcon from '@mui/icons-material/Visibility';
+import { getCameras, startStream, stopStream, sendStreamHeartbeat, startRecording, stopRecording, checkPTZCapabilities, subscribeToStatus, hasRole, hasCameraPermission, canOperateCamera } from './services/api';
+import type { Camera, CameraStatus, HealthState, ProcessHealth, StatusMessage, User } from './services/api';
 import './App.css';
 
 // Style for the modal
@@ -37,7 +45,7 @@ async function pollForStream(url: string, timeout = 15000, interval = 1000): Pro
   const startTime = Date.now();
   while (Date.now() - startTime < timeout) {
     try {
-      const response = await fetch(url, { method: 'HEAD', cache: 'no-store' });
+      const response = await fetch(url, { method: 'HEAD', cache: 'no-store', credentials: 'include' });
       if (response.ok) {
         console.log(`Stream manifest found at ${url}`);
         return;
@@ -51,21 +59,44 @@ async function pollForStream(url: string, timeout = 15000, interval = 1000): Pro
   throw new Error(`Timed out after ${timeout / 1000}s waiting for stream to become available.`);
 }
 
+// Chip shown in a video tile for the health of its stream
+const HEALTH_CHIPS: Record<HealthState, { label: string; color: 'success' | 'warning' | 'error' }> = {
+  running: { label: 'Live', color: 'success' },
+  restarting: { label: 'Reconnecting', color: 'warning' },
+  failed: { label: 'Failed', color: 'error' },
+};
+
 const SESSION_STORAGE_KEY = 'activeCameraIds';
 const MAX_CAMERAS = 4;
+// The server drops a viewer lease without a heartbeat for 30s
+const STREAM_HEARTBEAT_INTERVAL_MS = 10000;
 
 // Type for active camera state
 interface ActiveCameraState {
   camera: Camera;
   streamUrl: string | null;
+  leaseId: string | null;
+  viewers: number;
   isLoadingStream: boolean;
   streamError: string | null;
+  streamHealth: ProcessHealth | null;
   recordingStatus: 'idle' | 'recording';
+  recordingHealth: ProcessHealth | null;
+  recordingError: string | null;
   hasPTZ: boolean;
   checkingPTZ: boolean;
 }
 
-function App() {
+interface AppProps {
+  currentUser: User;
+  onLogout: () => void;
+}
+
+function App({ currentUser, onLogout }: AppProps) {
+  // Controls the user's role and camera permissions do not allow are hidden (the backend enforces them as well)
+  const canOperate = hasRole(currentUser, 'operator');
+  const isAdmin = hasRole(currentUser, 'admin');
+
   // State for camera list
   const [cameras, setCameras] = useState<Camera[]>([]);
   const [camerasLoading, setCamerasLoading] = useState<boolean>(true);
@@ -77,6 +108,7 @@ function App() {
   // State for playback modal
   const [isPlaybackModalOpen, setIsPlaybackModalOpen] = useState(false);
   const [playingRecordingUrl, setPlayingRecordingUrl] = useState<string | null>(null);
+  const [playingSpriteTrackUrl, setPlayingSpriteTrackUrl] = useState<string | null>(null);
 
   // State for Add Camera Modal
   const [isAddCameraModalOpen, setIsAddCameraModalOpen] = useState(false);
@@ -84,9 +116,26 @@ function App() {
   // State for Discover Cameras Modal
   const [isDiscoverModalOpen, setIsDiscoverModalOpen] = useState(false);
 
+  // State for Retention Settings Modal
+  const [isRetentionModalOpen, setIsRetentionModalOpen] = useState(false);
+
+  // State for Audit Log Modal
+  const [isAuditLogModalOpen, setIsAuditLogModalOpen] = useState(false);
+  const [isSnapshotGalleryOpen, setIsSnapshotGalleryOpen] = useState(false);
+
+  // Camera whose timeline is shown (null when the timeline is closed)
+  const [timelineCamera, setTimelineCamera] = useState<Camera | null>(null);
+
   // State to trigger recording list refresh
   const [recordingListVersion, setRecordingListVersion] = useState(0);
 
+  // Server-side state pushed over the status channel
+  const [recordingCameraIds, setRecordingCameraIds] = useState<number[]>([]);
+  const [cameraStatuses, setCameraStatuses] = useState<Record<number, CameraStatus>>({});
+
+  // Cameras whose stream is being stopped by this tab (their 'stream.stopped' message is expected)
+  const closingCameraIdsRef = useRef(new Set<number>());
+
   const BACKEND_URL = 'http://localhost:3001';
   // Using a ref to give cleanup effects access to the latest state
   const stateRef = useRef({ activeCameras });
@@ -132,12 +181,16 @@ function App() {
     const handleCleanup = (isUnloading = false) => {
       const { activeCameras: currentActiveCameras } = stateRef.current;
       currentActiveCameras.forEach((cameraState, cameraId) => {
-        if (cameraState.recordingStatus === 'recording') {
+        // Continuous recordings are meant to run 24/7 and outlive the browser tab
+        if (canOperateCamera(currentUser, cameraState.camera) && cameraState.recordingStatus === 'recording' && cameraState.camera.recording_mode !== 'continuous') {
           const stopRecUrl = `${BACKEND_URL}/api/cameras/${cameraId}/recording/stop`;
-          isUnloading ? fetch(stopRecUrl, { method: 'POST', keepalive: true }) : stopRecording(cameraId);
+          isUnloading ? fetch(stopRecUrl, { method: 'POST', keepalive: true, credentials: 'include' }) : stopRecording(cameraId);
+        }
+        if (cameraState.leaseId) {
+          // The lease is passed in the URL, so that the request needs no JSON body
+          const stopStreamUrl = `${BACKEND_URL}/api/cameras/${cameraId}/stream/stop?leaseId=${encodeURIComponent(cameraState.leaseId)}`;
+          isUnloading ? fetch(stopStreamUrl, { method: 'POST', keepalive: true, credentials: 'include' }) : stopStream(cameraId, cameraState.leaseId);
         }
-        const stopStreamUrl = `${BACKEND_URL}/api/cameras/${cameraId}/stream/stop`;
-        isUnloading ? fetch(stopStreamUrl, { method: 'POST', keepalive: true }) : stopStream(cameraId);
       });
     };
 
@@ -151,6 +204,122 @@ function App() {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []); // This effect should only run once on mount and unmount
 
+  // Keep the viewer leases of the open streams alive. A lease the server has dropped (e.g. after the computer
+  // was asleep) is acquired again, which also restarts the stream if it was stopped in the meantime.
+  useEffect(() => {
+    const timer = setInterval(() => {
+      stateRef.current.activeCameras.forEach(async (cameraState, cameraId) => {
+        const { leaseId } = cameraState;
+        if (!leaseId) return;
+        try {
+          if (await sendStreamHeartbeat(cameraId, leaseId)) return;
+          const lease = await startStream(cameraId);
+          setActiveCameras(prev => {
+            const current = prev.get(cameraId);
+            if (!current || current.leaseId !== leaseId) return prev;
+            const newMap = new Map(prev);
+            newMap.set(cameraId, { ...current, leaseId: lease.leaseId });
+            return newMap;
+          });
+        } catch (error) {
+          console.error(`Failed to renew the stream lease for camera ${cameraId}:`, error);
+        }
+      });
+    }, STREAM_HEARTBEAT_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, []);
+
+  // Subscribe to live status changes, so that the UI follows the server (and other tabs)
+  useEffect(() => {
+    const updateActiveCamera = (cameraId: number, changes: Partial<ActiveCameraState>) => {
+      setActiveCameras(prev => {
+        const cameraState = prev.get(cameraId);
+        if (!cameraState) return prev;
+        const newMap = new Map(prev);
+        newMap.set(cameraId, { ...cameraState, ...changes });
+        return newMap;
+      });
+    };
+
+    const handleStatusMessage = (message: StatusMessage) => {
+      switch (message.type) {
+        case 'snapshot': {
+          const { streams, recordings, cameras: statuses, streamHealth, recordingHealth, viewers } = message.data;
+          setRecordingCameraIds(recordings);
+          setCameraStatuses(statuses);
+          setActiveCameras(prev => {
+            const newMap = new Map(prev);
+            newMap.forEach((cameraState, cameraId) => {
+              const streamLost = cameraState.streamUrl !== null && !streams.includes(cameraId);
+              const lastError = streamHealth[cameraId]?.lastError;
+              newMap.set(cameraId, {
+                ...cameraState,
+                streamHealth: streamHealth[cameraId] ?? null,
+                viewers: viewers[cameraId] ?? 0,
+                recordingStatus: recordings.includes(cameraId) ? 'recording' : 'idle',
+                recordingHealth: recordingHealth[cameraId] ?? null,
+                ...(streamLost ? { streamUrl: null, streamError: `The stream is no longer running.${lastError ? ` Last error: ${lastError}` : ''}` } : {}),
+              });
+            });
+            return newMap;
+          });
+          break;
+        }
+        case 'recording.started':
+          setRecordingCameraIds(prev => (prev.includes(message.data.cameraId) ? prev : [...prev, message.data.cameraId]));
+          updateActiveCamera(message.data.cameraId, { recordingStatus: 'recording', recordingError: null });
+          break;
+        case 'recording.stopped':
+          setRecordingCameraIds(prev => prev.filter(id => id !== message.data.cameraId));
+          updateActiveCamera(message.data.cameraId, { recordingStatus: 'idle' });
+          break;
+        case 'recording.failed':
+          updateActiveCamera(message.data.cameraId, { recordingError: `Recording failed: ${message.data.error}` });
+          setRecordingListVersion(v => v + 1);
+          break;
+        case 'recording.finalized':
+        case 'sprite.ready':
+          setRecordingListVersion(v => v + 1);
+          break;
+        case 'stream.health':
+          // Crashed and stalled streams are restarted by the server; only a stream it gave up on is lost
+          updateActiveCamera(message.data.cameraId, {
+            streamHealth: message.data.health,
+            ...(message.data.health.state === 'failed' ? {
+              streamUrl: null,
+              isLoadingStream: false,
+              streamError: `The stream failed after ${message.data.health.restarts} restarts: ${message.data.health.lastError}. Close it and open it again to retry.`,
+            } : {}),
+          });
+          break;
+        case 'stream.viewers':
+          updateActiveCamera(message.data.cameraId, { viewers: message.data.viewers });
+          break;
+        case 'recording.health':
+          updateActiveCamera(message.data.cameraId, { recordingHealth: message.data.health });
+          break;
+        case 'stream.stopped':
+          if (!closingCameraIdsRef.current.has(message.data.cameraId)) {
+            updateActiveCamera(message.data.cameraId, {
+              streamUrl: null,
+              isLoadingStream: false,
+              streamError: 'The stream was stopped because it had no viewers left. Close it and open it again to retry.',
+            });
+          }
+          break;
+        case 'camera.online':
+        case 'camera.offline':
+          setCameraStatuses(prev => ({
+            ...prev,
+            [message.data.cameraId]: message.type === 'camera.online' ? 'online' : 'offline',
+          }));
+          break;
+      }
+    };
+
+    return subscribeToStatus(handleStatusMessage);
+  }, []);
+
   const handleSelectCamera = async (camera: Camera) => {
     const cameraId = camera.id;
 
@@ -158,13 +327,20 @@ function App() {
     if (activeCameras.has(cameraId)) {
       const cameraState = activeCameras.get(cameraId)!;
 
-      // Stop recording if active
-      if (cameraState.recordingStatus === 'recording') {
+      // Stop recording if active (continuous recordings keep running without a viewer)
+      if (canOperateCamera(currentUser, camera) && cameraState.recordingStatus === 'recording' && camera.recording_mode !== 'continuous') {
         await stopRecording(cameraId);
       }
 
-      // Stop stream
-      await stopStream(cameraId);
+      // Stop watching the stream (the server stops it once nobody else watches it)
+      if (cameraState.leaseId) {
+        closingCameraIdsRef.current.add(cameraId);
+        try {
+          await stopStream(cameraId, cameraState.leaseId);
+        } finally {
+          closingCameraIdsRef.current.delete(cameraId);
+        }
+      }
 
       // Remove from active cameras
       setActiveCameras(prev => {
@@ -193,9 +369,14 @@ function App() {
       newMap.set(cameraId, {
         camera,
         streamUrl: null,
+        leaseId: null,
+        viewers: 0,
         isLoadingStream: true,
         streamError: null,
-        recordingStatus: 'idle',
+        streamHealth: null,
+        recordingStatus: recordingCameraIds.includes(cameraId) ? 'recording' : 'idle',
+        recordingHealth: null,
+        recordingError: null,
         hasPTZ: false,
         checkingPTZ: false,
       });
@@ -205,6 +386,15 @@ function App() {
     try {
       const data = await startStream(cameraId);
       const fullStreamUrl = `${BACKEND_URL}${data.streamUrl}`;
+
+      // Keep the lease right away, so that closing the tile releases it even while the stream is loading
+      setActiveCameras(prev => {
+        const cameraState = prev.get(cameraId);
+        if (!cameraState) return prev;
+        const newMap = new Map(prev);
+        newMap.set(cameraId, { ...cameraState, leaseId: data.leaseId });
+        return newMap;
+      });
       console.log(`Stream process started. Polling for manifest at: ${fullStreamUrl}`);
 
       await pollForStream(fullStreamUrl);
@@ -373,15 +563,44 @@ function App() {
       });
     }
   };
-  const handlePlayRecording = (filename: string) => {
-    const url = `${BACKEND_URL}/recordings/${filename}`;
+  const handleLogout = async () => {
+    // Streams and recordings are stopped while the session is still valid
+    await Promise.allSettled(Array.from(activeCameras.entries()).map(async ([cameraId, cameraState]) => {
+      if (canOperateCamera(currentUser, cameraState.camera) && cameraState.recordingStatus === 'recording' && cameraState.camera.recording_mode !== 'continuous') {
+        await stopRecording(cameraId);
+      }
+      if (cameraState.leaseId) {
+        closingCameraIdsRef.current.add(cameraId);
+        await stopStream(cameraId, cameraState.leaseId);
+      }
+    }));
+    // Nothing is left for the unmount cleanup to stop
+    stateRef.current = { activeCameras: new Map() };
+    setActiveCameras(new Map());
+    sessionStorage.removeItem(SESSION_STORAGE_KEY);
+    onLogout();
+  };
+
+  // offset: position in seconds to start playing from (a media fragment, so the browser seeks on load)
+  // spriteVtt: the recording's thumbnails track, for previews on the seek bar
+  const handlePlayRecording = (filename: string, offset?: number, spriteVtt?: string | null) => {
+    const fragment = offset !== undefined && offset > 0 ? `#t=${offset.toFixed(1)}` : '';
+    const url = `${BACKEND_URL}/recordings/${filename}${fragment}`;
     setPlayingRecordingUrl(url);
+    setPlayingSpriteTrackUrl(spriteVtt ? `${BACKEND_URL}/thumbnails/${spriteVtt}` : null);
+    setIsPlaybackModalOpen(true);
+  };
+
+  const handlePlayTimelapse = (filename: string) => {
+    setPlayingRecordingUrl(`${BACKEND_URL}/timelapses/${filename}`);
+    setPlayingSpriteTrackUrl(null);
     setIsPlaybackModalOpen(true);
   };
 
   const handleClosePlaybackModal = () => {
     setIsPlaybackModalOpen(false);
     setPlayingRecordingUrl(null);
+    setPlayingSpriteTrackUrl(null);
   };
 
   const handleCameraAdded = () => {
@@ -399,8 +618,15 @@ function App() {
         await stopRecording(deletedCameraId);
       }
 
-      // Stop stream
-      await stopStream(deletedCameraId);
+      // Stop watching the stream
+      if (cameraState.leaseId) {
+        closingCameraIdsRef.current.add(deletedCameraId);
+        try {
+          await stopStream(deletedCameraId, cameraState.leaseId);
+        } finally {
+          closingCameraIdsRef.current.delete(deletedCameraId);
+        }
+      }
 
       // Remove from active cameras
       setActiveCameras(prev => {
@@ -427,6 +653,25 @@ function App() {
           <Typography variant="h6" component="div" sx={{ flexGrow: 1 }}>
             ONVIF Web Viewer
           </Typography>
+          <Button color="inherit" onClick={() => setIsSnapshotGalleryOpen(true)}>
+            Snapshots
+          </Button>
+          {isAdmin && (
+            <>
+              <Button color="inherit" onClick={() => setIsAuditLogModalOpen(true)}>
+                Audit Log
+              </Button>
+              <Button color="inherit" onClick={() => setIsRetentionModalOpen(true)}>
+                Storage
+              </Button>
+            </>
+          )}
+          <Typography variant="body2" sx={{ mx: 2 }}>
+            {currentUser.username} ({currentUser.role})
+          </Typography>
+          <Button color="inherit" onClick={handleLogout}>
+            Logout
+          </Button>
         </Toolbar>
       </AppBar>
       <main>
@@ -436,12 +681,16 @@ function App() {
               Cameras
             </Typography>
             <Box sx={{ display: 'flex', gap: 1 }}>
-              <Button variant="outlined" onClick={() => setIsDiscoverModalOpen(true)}>
-                Discover Cameras
-              </Button>
-              <Button variant="contained" onClick={() => setIsAddCameraModalOpen(true)}>
-                Add Camera
-              </Button>
+              {canOperate && (
+                <Button variant="outlined" onClick={() => setIsDiscoverModalOpen(true)}>
+                  Discover Cameras
+                </Button>
+              )}
+              {isAdmin && (
+                <Button variant="contained" onClick={() => setIsAddCameraModalOpen(true)}>
+                  Add Camera
+                </Button>
+              )}
             </Box>
           </Box>
           <CameraList
@@ -449,8 +698,12 @@ function App() {
             loading={camerasLoading}
             error={camerasError}
             activeCameraIds={Array.from(activeCameras.keys())}
+            recordingCameraIds={recordingCameraIds}
+            cameraStatuses={cameraStatuses}
+            currentUser={currentUser}
             onSelectCamera={handleSelectCamera}
             onCameraDeleted={handleCameraDeleted}
+            onOpenTimeline={setTimelineCamera}
           />
 
           {activeCameras.size > 0 && (
@@ -477,9 +730,33 @@ function App() {
                     }}
                   >
                     <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
-                      <Typography variant="h6" component="h3">
-                        {cameraState.camera.name}
-                      </Typography>
+                      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                        <Typography variant="h6" component="h3">
+                          {cameraState.camera.name}
+                        </Typography>
+                        {cameraState.streamHealth && (
+                          <Tooltip
+                            title={cameraState.streamHealth.lastError
+                              ? `Restarts: ${cameraState.streamHealth.restarts}. Last error: ${cameraState.streamHealth.lastError}`
+                              : 'No errors'}
+                          >
+                            <Chip
+                              label={HEALTH_CHIPS[cameraState.streamHealth.state].label}
+                              size="small"
+                              color={HEALTH_CHIPS[cameraState.streamHealth.state].color}
+                              variant="outlined"
+                            />
+                          </Tooltip>
+                        )}
+                        {cameraState.viewers > 1 && (
+                          <Tooltip title={`${cameraState.viewers} viewers are watching this stream`}>
+                            <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5, color: 'text.secondary' }}>
+                              <VisibilityIcon fontSize="small" />
+                              <Typography variant="body2">{cameraState.viewers}</Typography>
+                            </Box>
+                          </Tooltip>
+                        )}
+                      </Box>
                       <Button
                         size="small"
                         variant="outlined"
@@ -498,9 +775,20 @@ function App() {
                       <Alert severity="error">{cameraState.streamError}</Alert>
                     ) : cameraState.streamUrl ? (
                       <>
-                        <VideoPlayer streamUrl={cameraState.streamUrl} />
+                        {cameraState.streamHealth?.state === 'restarting' ? (
+                          <Box sx={{ display: 'flex', flexDirection: 'column', justifyContent: 'center', alignItems: 'center', gap: 1, minHeight: 300, backgroundColor: '#000' }}>
+                            <CircularProgress color="warning" />
+                            <Typography variant="body2" color="warning.main">Stream interrupted, reconnecting...</Typography>
+                            {cameraState.streamHealth.lastError && (
+                              <Typography variant="caption" color="grey.500">{cameraState.streamHealth.lastError}</Typography>
+                            )}
+                          </Box>
+                        ) : (
+                          // A restarted stream has a new playlist, so the player is recreated
+                          <VideoPlayer key={cameraState.streamHealth?.restarts ?? 0} streamUrl={cameraState.streamUrl} hasAudio={cameraState.camera.audio_enabled} />
+                        )}
                         <Box sx={{ mt: 2, display: 'flex', alignItems: 'center', gap: 2, flexWrap: 'wrap' }}>
-                          {cameraState.recordingStatus === 'idle' ? (
+                          {!canOperateCamera(currentUser, cameraState.camera) ? null : cameraState.recordingStatus === 'idle' ? (
                             <Button
                               variant="contained"
                               color="primary"
@@ -519,19 +807,29 @@ function App() {
                               Stop Recording
                             </Button>
                           )}
-                          {cameraState.recordingStatus === 'recording' && (
+                          {cameraState.recordingStatus === 'recording' && (cameraState.recordingHealth?.state === 'restarting' ? (
+                            <Tooltip title={cameraState.recordingHealth.lastError ?? ''}>
+                              <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                                <CircularProgress size={16} color="warning" />
+                                <Typography variant="body2" color="warning.main">REC interrupted, restarting...</Typography>
+                              </Box>
+                            </Tooltip>
+                          ) : (
                             <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
                               <CircularProgress size={16} color="secondary" />
                               <Typography variant="body2" color="secondary">REC</Typography>
                             </Box>
-                          )}
+                          ))}
                         </Box>
+                        {cameraState.recordingError && (
+                          <Alert severity="warning" sx={{ mt: 1 }}>{cameraState.recordingError}</Alert>
+                        )}
                         {cameraState.checkingPTZ ? (
                           <Box sx={{ mt: 2, display: 'flex', alignItems: 'center', gap: 1 }}>
                             <CircularProgress size={16} />
                             <Typography variant="caption">Checking PTZ capabilities...</Typography>
                           </Box>
-                        ) : cameraState.hasPTZ ? (
+                        ) : cameraState.hasPTZ && hasCameraPermission(cameraState.camera, 'control_ptz') ? (
                           <PTZControls cameraId={cameraId} />
                         ) : null}
                       </>
@@ -542,7 +840,21 @@ function App() {
             </Box>
           )}
 
-          <RecordingList listVersion={recordingListVersion} onPlayRecording={handlePlayRecording} />
+          <RecordingList
+            listVersion={recordingListVersion}
+            cameras={cameras}
+            onPlayRecording={handlePlayRecording}
+            canDeleteRecording={(recording) => isAdmin || cameras.some(camera => camera.id === recording.camera_id && hasCameraPermission(camera, 'admin'))}
+            canMergeRecording={(recording) => isAdmin || cameras.some(camera => camera.id === recording.camera_id && (hasCameraPermission(camera, 'admin') || (hasRole(currentUser, 'operator') && hasCameraPermission(camera, 'view_recordings'))))}
+          />
+
+          <ExportList cameras={cameras} />
+
+          <TimelapseList
+            cameras={cameras}
+            onPlayTimelapse={handlePlayTimelapse}
+            canDeleteTimelapse={(timelapse) => isAdmin || timelapse.user_id === currentUser.id || cameras.some(camera => camera.id === timelapse.camera_id && hasCameraPermission(camera, 'admin'))}
+          />
 
         </Container>
       </main>
@@ -556,6 +868,33 @@ function App() {
         onClose={() => setIsDiscoverModalOpen(false)}
         onCameraAdded={handleCameraAdded}
         registeredCameras={cameras}
+        canAddCameras={isAdmin}
+      />
+      <RetentionSettingsModal
+        open={isRetentionModalOpen}
+        onClose={() => {
+          setIsRetentionModalOpen(false);
+          // Recordings may have been deleted by the retention policy
+          setRecordingListVersion(v => v + 1);
+        }}
+        cameras={cameras}
+      />
+      <AuditLogModal
+        open={isAuditLogModalOpen}
+        onClose={() => setIsAuditLogModalOpen(false)}
+        cameras={cameras}
+      />
+      <SnapshotGalleryModal
+        open={isSnapshotGalleryOpen}
+        onClose={() => setIsSnapshotGalleryOpen(false)}
+        cameras={cameras}
+        canDeleteSnapshot={(snapshot) => isAdmin || cameras.some(camera => camera.id === snapshot.camera_id && hasCameraPermission(camera, 'admin'))}
+      />
+      <TimelineModal
+        open={timelineCamera !== null}
+        camera={timelineCamera}
+        onClose={() => setTimelineCamera(null)}
+        onPlayRecording={handlePlayRecording}
       />
       <Modal
         open={isPlaybackModalOpen}
@@ -565,7 +904,7 @@ function App() {
       >
         <Box sx={modalStyle}>
           {playingRecordingUrl && (
-            <video src={playingRecordingUrl} controls autoPlay style={{ width: '100%' }} />
+            <RecordingPlayer src={playingRecordingUrl} spriteTrackUrl={playingSpriteTrackUrl} />
           )}
         </Box>
       </Modal>
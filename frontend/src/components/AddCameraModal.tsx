@@ -2,9 +2,9 @@
 import React, { useState } from 'react';
 import {
   Modal, Box, Typography, TextField, Button, CircularProgress, Alert,
-  ToggleButton, ToggleButtonGroup
+  ToggleButton, ToggleButtonGroup, FormControlLabel, Switch
 } from '@mui/material';
-import { addCamera, syncCameraTime, type NewCamera } from '../services/api';
+import { addCamera, syncCameraTime, type NewCamera, type RecordingMode } from '../services/api';
 
 const modalStyle = {
   position: 'absolute' as 'absolute',
@@ -32,6 +32,10 @@ const AddCameraModal: React.FC<AddCameraModalProps> = ({ open, onClose, onCamera
   const [user, setUser] = useState('');
   const [pass, setPass] = useState('');
   const [streamPath, setStreamPath] = useState('/');
+  const [recordingMode, setRecordingMode] = useState<RecordingMode>('manual');
+  const [segmentMinutes, setSegmentMinutes] = useState('15');
+  const [preEventSeconds, setPreEventSeconds] = useState('0');
+  const [audioEnabled, setAudioEnabled] = useState(false);
   const [loading, setLoading] = useState(false);
   const [loadingMessage, setLoadingMessage] = useState('');
   const [error, setError] = useState<string | null>(null);
@@ -48,6 +52,12 @@ const AddCameraModal: React.FC<AddCameraModalProps> = ({ open, onClose, onCamera
     }
   };
 
+  const handleRecordingModeChange = (_event: React.MouseEvent<HTMLElement>, newMode: RecordingMode | null) => {
+    if (newMode !== null) {
+      setRecordingMode(newMode);
+    }
+  };
+
   const handleSubmit = async (event: React.FormEvent) => {
     event.preventDefault();
     setError(null);
@@ -59,8 +69,16 @@ const AddCameraModal: React.FC<AddCameraModalProps> = ({ open, onClose, onCamera
       type: cameraType,
       host,
       port: parseInt(port, 10),
+      recording_mode: recordingMode,
+      audio_enabled: audioEnabled,
     };
 
+    if (recordingMode === 'continuous') {
+      newCamera.segment_duration = parseInt(segmentMinutes, 10) * 60;
+    } else {
+      newCamera.pre_event_seconds = parseInt(preEventSeconds, 10) || 0;
+    }
+
     // Add credentials if provided
     if (user) newCamera.user = user;
     if (pass) newCamera.pass = pass;
@@ -95,6 +113,10 @@ const AddCameraModal: React.FC<AddCameraModalProps> = ({ open, onClose, onCamera
       setUser('');
       setPass('');
       setStreamPath('/');
+      setRecordingMode('manual');
+      setSegmentMinutes('15');
+      setPreEventSeconds('0');
+      setAudioEnabled(false);
     } catch (err: any) {
       console.error('Failed to add camera:', err);
       const message = err.response?.data?.message || 'Failed to add the camera. Please check the details and try again.';
@@ -207,6 +229,67 @@ const AddCameraModal: React.FC<AddCameraModalProps> = ({ open, onClose, onCamera
           onChange={(e) => setPass(e.target.value)}
         />
 
+        {/* Recording Mode Selection */}
+        <Box sx={{ mt: 2 }}>
+          <Typography variant="subtitle2" gutterBottom>
+            Recording Mode
+          </Typography>
+          <ToggleButtonGroup
+            value={recordingMode}
+            exclusive
+            onChange={handleRecordingModeChange}
+            aria-label="recording mode"
+            fullWidth
+            size="small"
+          >
+            <ToggleButton value="manual" aria-label="manual recording">
+              Single File
+            </ToggleButton>
+            <ToggleButton value="continuous" aria-label="continuous recording">
+              Continuous (Segments)
+            </ToggleButton>
+          </ToggleButtonGroup>
+        </Box>
+
+        {recordingMode === 'continuous' && (
+          <TextField
+            margin="normal"
+            fullWidth
+            id="segmentMinutes"
+            label="Segment Length (minutes)"
+            name="segmentMinutes"
+            type="number"
+            helperText="Between 1 and 60 minutes, e.g., 5 or 15"
+            slotProps={{ htmlInput: { min: 1, max: 60 } }}
+            value={segmentMinutes}
+            onChange={(e) => setSegmentMinutes(e.target.value)}
+          />
+        )}
+
+        {recordingMode === 'manual' && (
+          <TextField
+            margin="normal"
+            fullWidth
+            id="preEventSeconds"
+            label="Pre-event Buffer (seconds)"
+            name="preEventSeconds"
+            type="number"
+            helperText="Recordings also include this many seconds from before they were started (0 = off, max 120)"
+            slotProps={{ htmlInput: { min: 0, max: 120 } }}
+            value={preEventSeconds}
+            onChange={(e) => setPreEventSeconds(e.target.value)}
+          />
+        )}
+
+        <FormControlLabel
+          control={<Switch checked={audioEnabled} onChange={(e) => setAudioEnabled(e.target.checked)} />}
+          label="Record and stream audio"
+          sx={{ mt: 1 }}
+        />
+        <Typography variant="caption" component="p" color="text.secondary">
+          Cameras without a microphone keep working; non-AAC audio (e.g. G.711) is converted to AAC
+        </Typography>
+
         {loading && loadingMessage && (
           <Typography variant="body2" sx={{ mt: 2, textAlign: 'center', color: 'text.secondary' }}>
             {loadingMessage}
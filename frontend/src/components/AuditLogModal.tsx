@@ -0,0 +1,279 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import {
+  Modal, Box, Typography, TextField, Button, CircularProgress, Alert, MenuItem, Chip, Stack,
+  Table, TableBody, TableCell, TableHead, TableRow, TablePagination
+} from '@mui/material';
+import DownloadIcon from '@mui/icons-material/Download';
+import {
+  getAuditLog, getAuditCsvUrl,
+  type AuditEntry, type AuditFilters, type AuditResult, type Camera
+} from '../services/api';
+
+const modalStyle = {
+  position: 'absolute' as const,
+  top: '50%',
+  left: '50%',
+  transform: 'translate(-50%, -50%)',
+  width: '90vw',
+  maxWidth: 1200,
+  bgcolor: 'background.paper',
+  border: '2px solid #000',
+  boxShadow: 24,
+  p: 4,
+  maxHeight: '90vh',
+  overflow: 'auto',
+};
+
+// Action filter options; values ending with '.' match all actions with that prefix
+const ACTIONS: [string, string][] = [
+  ['camera.', 'All camera changes'],
+  ['camera.create', 'Camera added'],
+  ['camera.update', 'Camera updated'],
+  ['camera.delete', 'Camera deleted'],
+  ['camera.sync_time', 'Camera time synced'],
+  ['recording.', 'All recording actions'],
+  ['recording.start', 'Recording started'],
+  ['recording.stop', 'Recording stopped'],
+  ['recording.delete', 'Recording deleted'],
+  ['recording.export', 'Recording exported'],
+  ['recording.merge', 'Recordings merged'],
+  ['recording.timelapse', 'Timelapse created'],
+  ['ptz.', 'All PTZ actions'],
+];
+
+const RESULT_COLORS: Record<AuditResult, 'success' | 'warning' | 'error'> = {
+  success: 'success',
+  denied: 'warning',
+  failure: 'error',
+};
+
+// Form values are kept as strings; an empty string means "no filter"
+interface FilterForm {
+  user: string;
+  action: string;
+  cameraId: string;
+  result: string;
+  from: string;  // datetime-local value
+  to: string;
+}
+
+const emptyFilters: FilterForm = { user: '', action: '', cameraId: '', result: '', from: '', to: '' };
+
+const toAuditFilters = (form: FilterForm): AuditFilters => ({
+  ...(form.user ? { user: form.user.trim() } : {}),
+  ...(form.action ? { action: form.action } : {}),
+  ...(form.cameraId ? { camera_id: Number(form.cameraId) } : {}),
+  ...(form.result ? { result: form.result as AuditResult } : {}),
+  ...(form.from ? { from: new Date(form.from).toISOString() } : {}),
+  ...(form.to ? { to: new Date(form.to).toISOString() } : {}),
+});
+
+interface AuditLogModalProps {
+  open: boolean;
+  onClose: () => void;
+  cameras: Camera[];
+}
+
+const AuditLogModal: React.FC<AuditLogModalProps> = ({ open, onClose, cameras }) => {
+  const [form, setForm] = useState<FilterForm>(emptyFilters);
+  const [filters, setFilters] = useState<AuditFilters>({});
+  const [entries, setEntries] = useState<AuditEntry[]>([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(0);
+  const [rowsPerPage, setRowsPerPage] = useState(25);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const fetchEntries = useCallback(async () => {
+    try {
+      setLoading(true);
+      const result = await getAuditLog({ ...filters, limit: rowsPerPage, offset: page * rowsPerPage });
+      setEntries(result.entries);
+      setTotal(result.total);
+      setError(null);
+    } catch (err) {
+      console.error('Failed to fetch audit log:', err);
+      setError('Failed to fetch the audit log.');
+    } finally {
+      setLoading(false);
+    }
+  }, [filters, page, rowsPerPage]);
+
+  useEffect(() => {
+    if (open) {
+      fetchEntries();
+    }
+  }, [open, fetchEntries]);
+
+  const handleApply = () => {
+    setPage(0);
+    setFilters(toAuditFilters(form));
+  };
+
+  const handleReset = () => {
+    setForm(emptyFilters);
+    setPage(0);
+    setFilters({});
+  };
+
+  const describeTarget = (entry: AuditEntry) => {
+    const parts = [];
+    if (entry.camera_id !== null) {
+      parts.push(cameras.find(camera => camera.id === entry.camera_id)?.name ?? `Camera ${entry.camera_id}`);
+    }
+    if (entry.recording_id !== null) {
+      parts.push(`Recording ${entry.recording_id}`);
+    }
+    return parts.join(' · ');
+  };
+
+  return (
+    <Modal open={open} onClose={onClose} aria-labelledby="audit-log-modal-title">
+      <Box sx={modalStyle}>
+        <Typography id="audit-log-modal-title" variant="h6" component="h2" gutterBottom>
+          Audit Log
+        </Typography>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          Who changed or deleted cameras and recordings, started or stopped recordings, moved PTZ cameras or
+          synced camera clocks. Denied and failed attempts are included.
+        </Typography>
+
+        <Stack direction="row" spacing={2} sx={{ mb: 2, flexWrap: 'wrap', rowGap: 2 }}>
+          <TextField
+            label="User"
+            size="small"
+            value={form.user}
+            onChange={(e) => setForm({ ...form, user: e.target.value })}
+          />
+          <TextField
+            select
+            label="Action"
+            size="small"
+            value={form.action}
+            onChange={(e) => setForm({ ...form, action: e.target.value })}
+            sx={{ minWidth: 200 }}
+          >
+            <MenuItem value="">All actions</MenuItem>
+            {ACTIONS.map(([value, label]) => (
+              <MenuItem key={value} value={value}>{label}</MenuItem>
+            ))}
+          </TextField>
+          <TextField
+            select
+            label="Camera"
+            size="small"
+            value={form.cameraId}
+            onChange={(e) => setForm({ ...form, cameraId: e.target.value })}
+            sx={{ minWidth: 160 }}
+          >
+            <MenuItem value="">All cameras</MenuItem>
+            {cameras.map(camera => (
+              <MenuItem key={camera.id} value={String(camera.id)}>{camera.name}</MenuItem>
+            ))}
+          </TextField>
+          <TextField
+            select
+            label="Result"
+            size="small"
+            value={form.result}
+            onChange={(e) => setForm({ ...form, result: e.target.value })}
+            sx={{ minWidth: 120 }}
+          >
+            <MenuItem value="">All</MenuItem>
+            <MenuItem value="success">Success</MenuItem>
+            <MenuItem value="denied">Denied</MenuItem>
+            <MenuItem value="failure">Failure</MenuItem>
+          </TextField>
+          <TextField
+            label="From"
+            type="datetime-local"
+            size="small"
+            value={form.from}
+            onChange={(e) => setForm({ ...form, from: e.target.value })}
+            slotProps={{ inputLabel: { shrink: true } }}
+          />
+          <TextField
+            label="To"
+            type="datetime-local"
+            size="small"
+            value={form.to}
+            onChange={(e) => setForm({ ...form, to: e.target.value })}
+            slotProps={{ inputLabel: { shrink: true } }}
+          />
+          <Button variant="contained" onClick={handleApply}>
+            Apply
+          </Button>
+          <Button onClick={handleReset}>
+            Reset
+          </Button>
+        </Stack>
+
+        {error && <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>{error}</Alert>}
+
+        {loading ? (
+          <CircularProgress />
+        ) : entries.length === 0 ? (
+          <Alert severity="info">No audit log entries match the filters.</Alert>
+        ) : (
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Time</TableCell>
+                <TableCell>User</TableCell>
+                <TableCell>Action</TableCell>
+                <TableCell>Target</TableCell>
+                <TableCell>Parameters</TableCell>
+                <TableCell>Result</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {entries.map(entry => (
+                <TableRow key={entry.id}>
+                  <TableCell sx={{ whiteSpace: 'nowrap' }}>{new Date(entry.time).toLocaleString()}</TableCell>
+                  <TableCell>{entry.username ?? '–'}</TableCell>
+                  <TableCell>{entry.action}</TableCell>
+                  <TableCell>{describeTarget(entry)}</TableCell>
+                  <TableCell sx={{ fontFamily: 'monospace', fontSize: '0.75rem', wordBreak: 'break-all' }}>
+                    {entry.params ? JSON.stringify(entry.params) : ''}
+                  </TableCell>
+                  <TableCell>
+                    <Chip label={entry.result} size="small" color={RESULT_COLORS[entry.result]} variant="outlined" />
+                    {entry.error && (
+                      <Typography variant="caption" color="text.secondary" display="block">
+                        {entry.error}
+                      </Typography>
+                    )}
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        )}
+
+        <TablePagination
+          component="div"
+          count={total}
+          page={page}
+          onPageChange={(_event, newPage) => setPage(newPage)}
+          rowsPerPage={rowsPerPage}
+          onRowsPerPageChange={(e) => {
+            setRowsPerPage(Number(e.target.value));
+            setPage(0);
+          }}
+          rowsPerPageOptions={[25, 50, 100]}
+        />
+
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', mt: 2 }}>
+          <Button variant="outlined" startIcon={<DownloadIcon />} href={getAuditCsvUrl(filters)}>
+            Export CSV
+          </Button>
+          <Button onClick={onClose} variant="outlined">
+            Close
+          </Button>
+        </Box>
+      </Box>
+    </Modal>
+  );
+};
+
+export default AuditLogModal;
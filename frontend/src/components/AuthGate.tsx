@@ -0,0 +1,52 @@
+import React, { useEffect, useState } from 'react';
+import { Box, CircularProgress } from '@mui/material';
+import { getCurrentUser, logout, onUnauthorized, type User } from '../services/api';
+import LoginPage from './LoginPage';
+
+interface AuthGateProps {
+  children: (user: User, onLogout: () => void) => React.ReactNode;
+}
+
+/**
+ * Shows the login page until there is a valid session, then renders the app for the logged in user.
+ * The login page comes back when the session ends or expires (any request answered with 401).
+ */
+const AuthGate: React.FC<AuthGateProps> = ({ children }) => {
+  const [user, setUser] = useState<User | null>(null);
+  const [checkingSession, setCheckingSession] = useState(true);
+
+  // Resume an existing session (the session cookie is sent automatically)
+  useEffect(() => {
+    getCurrentUser()
+      .then(setUser)
+      .catch(() => setUser(null))
+      .finally(() => setCheckingSession(false));
+  }, []);
+
+  useEffect(() => onUnauthorized(() => setUser(null)), []);
+
+  const handleLogout = async () => {
+    try {
+      await logout();
+    } catch (err) {
+      console.error('Logout failed:', err);
+    }
+    setUser(null);
+  };
+
+  if (checkingSession) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', mt: 12 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  if (!user) {
+    return <LoginPage onLogin={setUser} />;
+  }
+
+  return <>{children(user, handleLogout)}</>;
+};
+
+export default AuthGate;
@@ -1,26 +1,56 @@
-import React, { useState } from 'react';
-import type { Camera } from '../services/api';
-import { deleteCamera, syncCameraTime } from '../services/api';
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+import type { Camera, CameraStatus, User } from '../services/api';
+import { deleteCamera, syncCameraTime, saveSnapshot, getSnapshotUrl, hasRole, hasCameraPermission, canOperateCamera } from '../services/api';
 import { List, ListItem, ListItemText, Button, CircularProgress, Alert, Box, Stack, IconButton, Snackbar, Chip } from '@mui/material';
 import DeleteIcon from '@mui/icons-material/Delete';
 import SyncIcon from '@mui/icons-material/Sync';
 import VideocamIcon from '@mui/icons-material/Videocam';
 import CableIcon from '@mui/icons-material/Cable';
+import ScheduleIcon from '@mui/icons-material/Schedule';
+import DirectionsRunIcon from '@mui/icons-material/DirectionsRun';
+import LockIcon from '@mui/icons-material/Lock';
+import ViewTimelineIcon from '@mui/icons-material/ViewTimeline';
+import PhotoCameraIcon from '@mui/icons-material/PhotoCamera';
+import TimelapseIcon from '@mui/icons-material/Timelapse';
+import SchedulesModal from './SchedulesModal';
+import MotionSettingsModal from './MotionSettingsModal';
+import TimelapseSettingsModal from './TimelapseSettingsModal';
+import CameraPermissionsModal from './CameraPermissionsModal';
 
+// Interval at which the preview thumbnails are reloaded
+const PREVIEW_REFRESH_MS = 60 * 1000;
 
 interface CameraListProps {
   cameras: Camera[];
   loading: boolean;
   error: string | null;
   activeCameraIds: number[];
+  recordingCameraIds: number[];
+  cameraStatuses: Record<number, CameraStatus>;
+  currentUser: User;  // Controls the user's role and camera permissions do not allow are hidden
   onSelectCamera: (camera: Camera) => void;
   onCameraDeleted: (id: number) => void; // Callback to refresh the list
+  onOpenTimeline: (camera: Camera) => void;
 }
 
-const CameraList: React.FC<CameraListProps> = ({ cameras, loading, error, activeCameraIds, onSelectCamera, onCameraDeleted }) => {
+const CameraList: React.FC<CameraListProps> = ({ cameras, loading, error, activeCameraIds, recordingCameraIds, cameraStatuses, currentUser, onSelectCamera, onCameraDeleted, onOpenTimeline }) => {
+  const isAdmin = hasRole(currentUser, 'admin');
+  const [permissionsCamera, setPermissionsCamera] = useState<Camera | null>(null);
   const [syncingCameraId, setSyncingCameraId] = useState<number | null>(null);
   const [snackbarOpen, setSnackbarOpen] = useState(false);
   const [snackbarMessage, setSnackbarMessage] = useState('');
+  const [scheduleCamera, setScheduleCamera] = useState<Camera | null>(null);
+  const [motionCamera, setMotionCamera] = useState<Camera | null>(null);
+  const [timelapseCamera, setTimelapseCamera] = useState<Camera | null>(null);
+  const [snapshotCameraId, setSnapshotCameraId] = useState<number | null>(null);
+  // Changes the preview URLs, so that the browser fetches new thumbnails
+  const [previewVersion, setPreviewVersion] = useState(() => Date.now());
+
+  useEffect(() => {
+    const timer = setInterval(() => setPreviewVersion(Date.now()), PREVIEW_REFRESH_MS);
+    return () => clearInterval(timer);
+  }, []);
 
   const handleDelete = async (id: number) => {
     if (window.confirm('Are you sure you want to delete this camera?')) {
@@ -50,6 +80,22 @@ const CameraList: React.FC<CameraListProps> = ({ cameras, loading, error, active
     }
   };
 
+  const handleSaveSnapshot = async (camera: Camera) => {
+    setSnapshotCameraId(camera.id);
+    try {
+      await saveSnapshot(camera.id);
+      setSnackbarMessage(`Snapshot of ${camera.name} saved to the gallery`);
+      setSnackbarOpen(true);
+    } catch (err) {
+      console.error('Failed to save snapshot', err);
+      const errorMessage = (axios.isAxiosError(err) && err.response?.data?.error) || 'Failed to save the snapshot';
+      setSnackbarMessage(`Error: ${errorMessage}`);
+      setSnackbarOpen(true);
+    } finally {
+      setSnapshotCameraId(null);
+    }
+  };
+
   const handleCloseSnackbar = () => {
     setSnackbarOpen(false);
   };
@@ -73,6 +119,10 @@ const CameraList: React.FC<CameraListProps> = ({ cameras, loading, error, active
           cameras.map((camera) => {
             const isActive = activeCameraIds.includes(camera.id);
             const isOnvif = camera.type === 'onvif';
+            const isRecording = recordingCameraIds.includes(camera.id);
+            const status = cameraStatuses[camera.id];
+            const canViewLive = hasCameraPermission(camera, 'view_live');
+            const canOperate = canOperateCamera(currentUser, camera);
 
             // Build secondary text based on camera type
             const secondaryText = isOnvif
@@ -88,11 +138,37 @@ const CameraList: React.FC<CameraListProps> = ({ cameras, loading, error, active
                       variant="contained"
                       color={isActive ? "secondary" : "primary"}
                       onClick={() => onSelectCamera(camera)}
+                      disabled={!canViewLive && !isActive}
                     >
                       {isActive ? 'Stop Stream' : 'View Stream'}
                     </Button>
+                    {canViewLive && (
+                      <IconButton
+                        edge="end"
+                        aria-label="save snapshot"
+                        onClick={() => handleSaveSnapshot(camera)}
+                        disabled={snapshotCameraId === camera.id}
+                        title="Save a snapshot to the gallery"
+                      >
+                        {snapshotCameraId === camera.id ? (
+                          <CircularProgress size={24} />
+                        ) : (
+                          <PhotoCameraIcon />
+                        )}
+                      </IconButton>
+                    )}
+                    {hasCameraPermission(camera, 'view_recordings') && (
+                      <IconButton
+                        edge="end"
+                        aria-label="timeline"
+                        onClick={() => onOpenTimeline(camera)}
+                        title="Timeline of recordings and events"
+                      >
+                        <ViewTimelineIcon />
+                      </IconButton>
+                    )}
                     {/* Only show Sync button for ONVIF cameras */}
-                    {isOnvif && (
+                    {isOnvif && canOperate && (
                       <IconButton
                         edge="end"
                         aria-label="sync time"
@@ -107,18 +183,70 @@ const CameraList: React.FC<CameraListProps> = ({ cameras, loading, error, active
                         )}
                       </IconButton>
                     )}
-                    <IconButton
-                      edge="end"
-                      aria-label="delete"
-                      onClick={() => handleDelete(camera.id)}
-                      color="error"
-                    >
-                      <DeleteIcon />
-                    </IconButton>
+                    {canOperate && (
+                      <>
+                        <IconButton
+                          edge="end"
+                          aria-label="recording schedules"
+                          onClick={() => setScheduleCamera(camera)}
+                          title="Recording schedules"
+                        >
+                          <ScheduleIcon />
+                        </IconButton>
+                        <IconButton
+                          edge="end"
+                          aria-label="motion detection"
+                          onClick={() => setMotionCamera(camera)}
+                          title="Motion detection"
+                        >
+                          <DirectionsRunIcon />
+                        </IconButton>
+                        <IconButton
+                          edge="end"
+                          aria-label="timelapse capture"
+                          onClick={() => setTimelapseCamera(camera)}
+                          title="Timelapse capture"
+                        >
+                          <TimelapseIcon />
+                        </IconButton>
+                      </>
+                    )}
+                    {isAdmin && (
+                      <IconButton
+                        edge="end"
+                        aria-label="camera access"
+                        onClick={() => setPermissionsCamera(camera)}
+                        title="Camera access"
+                      >
+                        <LockIcon />
+                      </IconButton>
+                    )}
+                    {hasCameraPermission(camera, 'admin') && (
+                      <IconButton
+                        edge="end"
+                        aria-label="delete"
+                        onClick={() => handleDelete(camera.id)}
+                        color="error"
+                      >
+                        <DeleteIcon />
+                      </IconButton>
+                    )}
                   </Stack>
                 }
               >
                 <Stack direction="row" spacing={1} alignItems="center">
+                  {canViewLive && status !== 'offline' && (
+                    <Box
+                      component="img"
+                      src={getSnapshotUrl(camera.id, { width: 160, quality: 60 }, previewVersion)}
+                      alt={`Preview of ${camera.name}`}
+                      loading="lazy"
+                      // Hidden while the camera does not deliver an image
+                      onLoad={(e: React.SyntheticEvent<HTMLImageElement>) => { e.currentTarget.style.visibility = 'visible'; }}
+                      onError={(e: React.SyntheticEvent<HTMLImageElement>) => { e.currentTarget.style.visibility = 'hidden'; }}
+                      sx={{ width: 96, height: 54, objectFit: 'cover', borderRadius: 1, bgcolor: 'grey.900', flexShrink: 0 }}
+                    />
+                  )}
                   <Chip
                     icon={isOnvif ? <VideocamIcon /> : <CableIcon />}
                     label={isOnvif ? 'ONVIF' : 'RTSP'}
@@ -129,6 +257,12 @@ const CameraList: React.FC<CameraListProps> = ({ cameras, loading, error, active
                     primary={camera.name}
                     secondary={secondaryText}
                   />
+                  {status === 'offline' && (
+                    <Chip label="Offline" size="small" color="error" variant="outlined" />
+                  )}
+                  {isRecording && (
+                    <Chip label="REC" size="small" color="error" />
+                  )}
                 </Stack>
               </ListItem>
             );
@@ -141,6 +275,26 @@ const CameraList: React.FC<CameraListProps> = ({ cameras, loading, error, active
         onClose={handleCloseSnackbar}
         message={snackbarMessage}
       />
+      <SchedulesModal
+        open={scheduleCamera !== null}
+        onClose={() => setScheduleCamera(null)}
+        camera={scheduleCamera}
+      />
+      <MotionSettingsModal
+        open={motionCamera !== null}
+        onClose={() => setMotionCamera(null)}
+        camera={motionCamera}
+      />
+      <TimelapseSettingsModal
+        open={timelapseCamera !== null}
+        onClose={() => setTimelapseCamera(null)}
+        camera={timelapseCamera}
+      />
+      <CameraPermissionsModal
+        open={permissionsCamera !== null}
+        onClose={() => setPermissionsCamera(null)}
+        camera={permissionsCamera}
+      />
     </Box>
   );
 };
@@ -0,0 +1,218 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Modal, Box, Typography, Button, CircularProgress, Alert, IconButton, Checkbox,
+  Table, TableHead, TableBody, TableRow, TableCell, TextField, MenuItem, Stack
+} from '@mui/material';
+import DeleteIcon from '@mui/icons-material/Delete';
+import {
+  getCameraAcl, setCameraAcl, getUsers, getGroups,
+  type Camera, type CameraPermission, type CameraAclEntryInput, type User, type UserGroup
+} from '../services/api';
+
+const modalStyle = {
+  position: 'absolute' as const,
+  top: '50%',
+  left: '50%',
+  transform: 'translate(-50%, -50%)',
+  width: 720,
+  bgcolor: 'background.paper',
+  border: '2px solid #000',
+  boxShadow: 24,
+  p: 4,
+  maxHeight: '90vh',
+  overflow: 'auto',
+};
+
+const PERMISSION_LABELS: [CameraPermission, string][] = [
+  ['view_live', 'Live'],
+  ['view_recordings', 'Recordings'],
+  ['control_ptz', 'PTZ'],
+  ['admin', 'Admin'],
+];
+
+// Entry being edited; the principal is 'user:<id>' or 'group:<id>'
+interface EditableEntry extends Record<CameraPermission, boolean> {
+  principal: string;
+}
+
+const toInput = (entry: EditableEntry): CameraAclEntryInput => {
+  const [kind, id] = entry.principal.split(':');
+  const permissions = Object.fromEntries(PERMISSION_LABELS.map(([permission]) => [permission, entry[permission]]));
+  return kind === 'user' ? { user_id: Number(id), ...permissions } : { group_id: Number(id), ...permissions };
+};
+
+interface CameraPermissionsModalProps {
+  open: boolean;
+  onClose: () => void;
+  camera: Camera | null;
+}
+
+const CameraPermissionsModal: React.FC<CameraPermissionsModalProps> = ({ open, onClose, camera }) => {
+  const [entries, setEntries] = useState<EditableEntry[]>([]);
+  const [users, setUsers] = useState<User[]>([]);
+  const [groups, setGroups] = useState<UserGroup[]>([]);
+  const [newPrincipal, setNewPrincipal] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [saved, setSaved] = useState(false);
+
+  useEffect(() => {
+    if (!open || !camera) return;
+    const load = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        setSaved(false);
+        const [acl, userList, groupList] = await Promise.all([getCameraAcl(camera.id), getUsers(), getGroups()]);
+        setEntries(acl.map(entry => ({
+          principal: entry.user_id !== null ? `user:${entry.user_id}` : `group:${entry.group_id}`,
+          view_live: entry.view_live,
+          view_recordings: entry.view_recordings,
+          control_ptz: entry.control_ptz,
+          admin: entry.admin,
+        })));
+        setUsers(userList);
+        setGroups(groupList);
+      } catch (err) {
+        console.error('Failed to fetch camera permissions:', err);
+        setError('Failed to fetch the camera permissions.');
+      } finally {
+        setLoading(false);
+      }
+    };
+    load();
+  }, [open, camera]);
+
+  const principalName = (principal: string) => {
+    const [kind, id] = principal.split(':');
+    if (kind === 'user') {
+      return users.find(user => user.id === Number(id))?.username ?? `User ${id}`;
+    }
+    return `${groups.find(group => group.id === Number(id))?.name ?? `Group ${id}`} (group)`;
+  };
+
+  const handleAdd = () => {
+    if (!newPrincipal) return;
+    setEntries(prev => [...prev, { principal: newPrincipal, view_live: true, view_recordings: true, control_ptz: false, admin: false }]);
+    setNewPrincipal('');
+    setSaved(false);
+  };
+
+  const handleToggle = (principal: string, permission: CameraPermission) => {
+    setEntries(prev => prev.map(entry => (entry.principal === principal ? { ...entry, [permission]: !entry[permission] } : entry)));
+    setSaved(false);
+  };
+
+  const handleRemove = (principal: string) => {
+    setEntries(prev => prev.filter(entry => entry.principal !== principal));
+    setSaved(false);
+  };
+
+  const handleSave = async () => {
+    if (!camera) return;
+    try {
+      setSaving(true);
+      await setCameraAcl(camera.id, entries.map(toInput));
+      setError(null);
+      setSaved(true);
+    } catch (err) {
+      console.error('Failed to save camera permissions:', err);
+      setError('Failed to save the camera permissions.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const availablePrincipals = [
+    ...users.filter(user => user.role !== 'admin').map(user => ({ value: `user:${user.id}`, label: user.username })),
+    ...groups.map(group => ({ value: `group:${group.id}`, label: `${group.name} (group)` })),
+  ].filter(option => !entries.some(entry => entry.principal === option.value));
+
+  return (
+    <Modal open={open} onClose={onClose} aria-labelledby="camera-permissions-modal-title">
+      <Box sx={modalStyle}>
+        <Typography id="camera-permissions-modal-title" variant="h6" component="h2" gutterBottom>
+          Access{camera ? ` – ${camera.name}` : ''}
+        </Typography>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          Without entries, every user can use this camera according to their role. With entries, only the listed users
+          and groups (and admins) have access, with the permissions checked below.
+        </Typography>
+
+        {error && <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>{error}</Alert>}
+        {saved && <Alert severity="success" sx={{ mb: 2 }}>Permissions saved.</Alert>}
+
+        {loading ? (
+          <CircularProgress />
+        ) : entries.length === 0 ? (
+          <Alert severity="info">No entries: access according to the global roles.</Alert>
+        ) : (
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>User / Group</TableCell>
+                {PERMISSION_LABELS.map(([permission, label]) => (
+                  <TableCell key={permission} align="center">{label}</TableCell>
+                ))}
+                <TableCell />
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {entries.map(entry => (
+                <TableRow key={entry.principal}>
+                  <TableCell>{principalName(entry.principal)}</TableCell>
+                  {PERMISSION_LABELS.map(([permission, label]) => (
+                    <TableCell key={permission} align="center">
+                      <Checkbox
+                        checked={entry[permission] || (permission !== 'admin' && entry.admin)}
+                        disabled={permission !== 'admin' && entry.admin}
+                        onChange={() => handleToggle(entry.principal, permission)}
+                        inputProps={{ 'aria-label': label }}
+                      />
+                    </TableCell>
+                  ))}
+                  <TableCell align="right">
+                    <IconButton aria-label="remove" color="error" onClick={() => handleRemove(entry.principal)}>
+                      <DeleteIcon />
+                    </IconButton>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        )}
+
+        <Stack direction="row" spacing={2} sx={{ mt: 3 }}>
+          <TextField
+            select
+            label="Add user or group"
+            size="small"
+            value={newPrincipal}
+            onChange={(e) => setNewPrincipal(e.target.value)}
+            sx={{ minWidth: 260 }}
+            disabled={availablePrincipals.length === 0}
+          >
+            {availablePrincipals.map(option => (
+              <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+            ))}
+          </TextField>
+          <Button variant="outlined" onClick={handleAdd} disabled={!newPrincipal}>
+            Add
+          </Button>
+        </Stack>
+
+        <Box sx={{ display: 'flex', justifyContent: 'flex-end', gap: 1, mt: 3 }}>
+          <Button onClick={onClose} variant="outlined">
+            Close
+          </Button>
+          <Button onClick={handleSave} variant="contained" disabled={loading || saving}>
+            {saving ? <CircularProgress size={24} /> : 'Save'}
+          </Button>
+        </Box>
+      </Box>
+    </Modal>
+  );
+};
+
+export default CameraPermissionsModal;
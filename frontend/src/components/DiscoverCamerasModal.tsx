@@ -1,21 +1,42 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import {
   Modal,
   Box,
   Typography,
   Button,
-  CircularProgress,
+  LinearProgress,
   Alert,
   List,
   ListItem,
   ListItemText,
   TextField,
+  MenuItem,
   Dialog,
   DialogTitle,
   DialogContent,
   DialogActions,
 } from '@mui/material';
-import { discoverCameras, addCamera, type DiscoveredDevice, type Camera } from '../services/api';
+import {
+  createDiscoveryJob,
+  getDiscoveryJobs,
+  getDiscoveryJob,
+  getDiscoveryInterfaces,
+  cancelDiscoveryJob,
+  subscribeToStatus,
+  addCamera,
+  type DiscoveredDevice,
+  type DiscoveryJob,
+  type DiscoveryInterfaces,
+  type Camera,
+} from '../services/api';
+
+const NO_DEVICES_MESSAGE = 'No ONVIF cameras found on the network. If you know the camera IP address, use "Add Camera" instead.';
+
+// Appends devices that are not in the list yet (the same device can be reported again after a reconnect)
+const mergeDevices = (current: DiscoveredDevice[], found: DiscoveredDevice[]): DiscoveredDevice[] => [
+  ...current,
+  ...found.filter(device => !current.some(d => d.address === device.address && d.port === device.port)),
+];
 
 const modalStyle = {
   position: 'absolute' as 'absolute',
@@ -37,35 +58,103 @@ interface DiscoverCamerasModalProps {
   onClose: () => void;
   onCameraAdded: () => void;
   registeredCameras: Camera[];
+  canAddCameras: boolean;  // Only admins can add the cameras that were found
 }
 
-const DiscoverCamerasModal: React.FC<DiscoverCamerasModalProps> = ({ open, onClose, onCameraAdded, registeredCameras }) => {
-  const [isDiscovering, setIsDiscovering] = useState(false);
+const DiscoverCamerasModal: React.FC<DiscoverCamerasModalProps> = ({ open, onClose, onCameraAdded, registeredCameras, canAddCameras }) => {
+  const [job, setJob] = useState<DiscoveryJob | null>(null);
   const [devices, setDevices] = useState<DiscoveredDevice[]>([]);
   const [error, setError] = useState<string | null>(null);
+  const [isStarting, setIsStarting] = useState(false);
+  const [ranges, setRanges] = useState('');
+  const [networkInterface, setNetworkInterface] = useState('');
+  const [interfaces, setInterfaces] = useState<DiscoveryInterfaces | null>(null);
   const [selectedDevice, setSelectedDevice] = useState<DiscoveredDevice | null>(null);
   const [isAddDialogOpen, setIsAddDialogOpen] = useState(false);
   const [credentials, setCredentials] = useState({ user: '', pass: '' });
   const [isAdding, setIsAdding] = useState(false);
   const [addError, setAddError] = useState<string | null>(null);
 
+  const isDiscovering = job?.status === 'running';
+  const jobId = job?.id;
+
+  const showJob = (discoveryJob: DiscoveryJob) => {
+    setJob(discoveryJob);
+    setDevices(discoveryJob.devices);
+    setError(discoveryJob.status === 'failed'
+      ? discoveryJob.error || 'Discovery failed.'
+      : discoveryJob.status === 'completed' && discoveryJob.devices.length === 0 ? NO_DEVICES_MESSAGE : null);
+  };
+
+  // Scans run on the server, so a scan started earlier (or its result) is shown again when the modal is reopened
+  useEffect(() => {
+    if (!open) return;
+    getDiscoveryInterfaces()
+      .then(setInterfaces)
+      .catch(err => console.error('Failed to load network interfaces:', err));
+    getDiscoveryJobs()
+      .then(jobs => {
+        if (jobs.length > 0) showJob(jobs[0]);
+      })
+      .catch(err => console.error('Failed to load discovery jobs:', err));
+  }, [open]);
+
+  // Live progress and devices of the shown job
+  useEffect(() => {
+    if (!open || !jobId) return;
+
+    return subscribeToStatus((message) => {
+      switch (message.type) {
+        case 'snapshot':
+          // (Re)connected: catch up on what was missed in the meantime
+          getDiscoveryJob(jobId).then(showJob).catch(err => console.error('Failed to load discovery job:', err));
+          break;
+        case 'discovery.progress':
+          if (message.data.jobId !== jobId) break;
+          setJob(prev => (prev ? { ...prev, progress: message.data.progress } : prev));
+          break;
+        case 'discovery.device':
+          if (message.data.jobId !== jobId) break;
+          setDevices(prev => mergeDevices(prev, [message.data.device]));
+          break;
+        case 'discovery.finished':
+          if (message.data.jobId !== jobId) break;
+          setJob(prev => (prev ? { ...prev, status: message.data.status, error: message.data.error, devices: message.data.devices } : prev));
+          setDevices(prev => mergeDevices(prev, message.data.devices));
+          if (message.data.status === 'failed') {
+            setError(message.data.error || 'Discovery failed.');
+          } else if (message.data.status === 'completed' && message.data.devices.length === 0) {
+            setError(NO_DEVICES_MESSAGE);
+          }
+          break;
+      }
+    });
+  }, [open, jobId]);
+
   const handleDiscover = async () => {
-    setIsDiscovering(true);
+    setIsStarting(true);
     setError(null);
-    setDevices([]);
 
     try {
-      const discoveredDevices = await discoverCameras();
-      setDevices(discoveredDevices);
-      if (discoveredDevices.length === 0) {
-        setError('No ONVIF cameras found on the network. If you know the camera IP address, use "Add Camera" instead.');
-      }
+      showJob(await createDiscoveryJob({
+        ranges: ranges.trim() || undefined,
+        interface: networkInterface || undefined,
+      }));
     } catch (err: any) {
       console.error('Discovery error:', err);
-      const errorMsg = err.response?.data?.message || err.message || 'Failed to discover cameras. Please check the backend server.';
+      const errorMsg = err.response?.data?.error || err.message || 'Failed to start discovery. Please check the backend server.';
       setError(errorMsg);
     } finally {
-      setIsDiscovering(false);
+      setIsStarting(false);
+    }
+  };
+
+  const handleCancelDiscovery = async () => {
+    if (!jobId) return;
+    try {
+      await cancelDiscoveryJob(jobId);
+    } catch (err) {
+      console.error('Failed to cancel discovery:', err);
     }
   };
 
@@ -112,10 +201,8 @@ const DiscoverCamerasModal: React.FC<DiscoverCamerasModalProps> = ({ open, onClo
     setAddError(null);
   };
 
+  // A running scan continues in the background; its progress is shown again when the modal is reopened
   const handleModalClose = () => {
-    setDevices([]);
-    setError(null);
-    setIsDiscovering(false);
     onClose();
   };
 
@@ -127,34 +214,72 @@ const DiscoverCamerasModal: React.FC<DiscoverCamerasModalProps> = ({ open, onClo
             Discover ONVIF Cameras
           </Typography>
           <Typography variant="body2" sx={{ mb: 2 }}>
-            Scan your local network (subnet) for ONVIF-compliant cameras. This will scan 254 IP addresses and may take 2-3 minutes.
+            Scan your local network (subnet) for ONVIF-compliant cameras. Devices are listed as soon as they answer; you can close this window while the scan continues.
           </Typography>
           <Alert severity="info" sx={{ mb: 2 }}>
-            This scan uses unicast probes to detect cameras that don't respond to multicast discovery.
+            A multicast probe finds the cameras on the local network first. Unicast probes to every address then detect cameras that don't respond to multicast discovery.
           </Alert>
 
-          <Button
-            variant="contained"
-            onClick={handleDiscover}
-            disabled={isDiscovering}
-            fullWidth
-            sx={{ mb: 2 }}
-          >
-            {isDiscovering ? 'Scanning Network...' : 'Start Discovery'}
-          </Button>
+          <Box sx={{ display: 'flex', gap: 2, mb: 2 }}>
+            <TextField
+              label="Address Ranges"
+              size="small"
+              value={ranges}
+              onChange={(e) => setRanges(e.target.value)}
+              disabled={isDiscovering}
+              placeholder={interfaces?.default.cidr}
+              helperText="CIDR (e.g., 10.20.0.0/22), ranges (e.g., 192.168.1.10-192.168.1.50) or addresses, separated by commas. Empty = local network"
+              sx={{ flex: 2 }}
+            />
+            <TextField
+              select
+              label="Network Interface"
+              size="small"
+              value={networkInterface}
+              onChange={(e) => setNetworkInterface(e.target.value)}
+              disabled={isDiscovering}
+              sx={{ flex: 1 }}
+            >
+              <MenuItem value="">Automatic</MenuItem>
+              {interfaces?.interfaces.map(iface => (
+                <MenuItem key={`${iface.name}-${iface.address}`} value={iface.name}>
+                  {iface.name} ({iface.cidr})
+                </MenuItem>
+              ))}
+            </TextField>
+          </Box>
 
-          {isDiscovering && (
-            <Box sx={{ display: 'flex', flexDirection: 'column', alignItems: 'center', my: 2 }}>
-              <CircularProgress />
-              <Typography variant="body2" sx={{ mt: 2 }}>
-                Scanning network... This may take 2-3 minutes.
-              </Typography>
-              <Typography variant="caption" color="text.secondary">
-                Please be patient while we probe each IP address.
+          <Box sx={{ display: 'flex', gap: 1, mb: 2 }}>
+            <Button
+              variant="contained"
+              onClick={handleDiscover}
+              disabled={isDiscovering || isStarting}
+              fullWidth
+            >
+              {isDiscovering ? 'Scanning Network...' : 'Start Discovery'}
+            </Button>
+            {isDiscovering && (
+              <Button variant="outlined" color="error" onClick={handleCancelDiscovery}>
+                Cancel
+              </Button>
+            )}
+          </Box>
+
+          {isDiscovering && job && (
+            <Box sx={{ my: 2 }}>
+              <LinearProgress variant="determinate" value={job.progress.percentage} />
+              <Typography variant="body2" sx={{ mt: 1 }}>
+                Scanning {job.ranges.join(', ')}: {job.progress.scanned}/{job.progress.total} addresses ({job.progress.percentage}%), {devices.length} device(s) found
               </Typography>
             </Box>
           )}
 
+          {job?.status === 'cancelled' && (
+            <Alert severity="info" sx={{ mb: 2 }}>
+              Discovery was cancelled after {job.progress.scanned} of {job.progress.total} addresses.
+            </Alert>
+          )}
+
           {error && (
             <Alert severity="warning" sx={{ mb: 2 }}>
               {error}
@@ -177,16 +302,16 @@ const DiscoverCamerasModal: React.FC<DiscoverCamerasModalProps> = ({ open, onClo
                           <Typography variant="body2" color="text.secondary">
                             Registered
                           </Typography>
-                        ) : (
+                        ) : canAddCameras ? (
                           <Button variant="outlined" size="small" onClick={() => handleSelectDevice(device)}>
                             Add
                           </Button>
-                        )
+                        ) : null
                       }
                     >
                       <ListItemText
                         primary={`${device.name} (${device.manufacturer})`}
-                        secondary={`${device.address}:${device.port}`}
+                        secondary={`${device.address}:${device.port}${device.location ? ` · ${device.location}` : ''} · found by ${device.source}`}
                       />
                     </ListItem>
                   );
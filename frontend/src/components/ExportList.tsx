@@ -0,0 +1,239 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import axios from 'axios';
+import {
+  Box, Typography, TextField, Button, IconButton, CircularProgress, Alert, MenuItem, Chip, Stack,
+  LinearProgress, Table, TableBody, TableCell, TableHead, TableRow
+} from '@mui/material';
+import DeleteIcon from '@mui/icons-material/Delete';
+import CancelIcon from '@mui/icons-material/Cancel';
+import DownloadIcon from '@mui/icons-material/Download';
+import {
+  createExport, getExports, deleteExport, getExportDownloadUrl, subscribeToStatus, hasCameraPermission,
+  type Camera, type ExportStatus, type RecordingExport
+} from '../services/api';
+
+const STATUS_COLORS: Record<ExportStatus, 'default' | 'info' | 'success' | 'error' | 'warning'> = {
+  queued: 'default',
+  running: 'info',
+  completed: 'success',
+  failed: 'error',
+  cancelled: 'warning',
+};
+
+const formatSize = (bytes: number) => {
+  if (bytes >= 1024 ** 3) return `${(bytes / 1024 ** 3).toFixed(1)} GB`;
+  if (bytes >= 1024 ** 2) return `${(bytes / 1024 ** 2).toFixed(1)} MB`;
+  return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+};
+
+const isActive = (item: RecordingExport) => item.status === 'queued' || item.status === 'running';
+
+// Form values are datetime-local strings
+interface ExportForm {
+  cameraId: string;
+  from: string;
+  to: string;
+}
+
+const emptyForm: ExportForm = { cameraId: '', from: '', to: '' };
+
+interface ExportListProps {
+  cameras: Camera[];
+}
+
+const ExportList: React.FC<ExportListProps> = ({ cameras }) => {
+  const [exports, setExports] = useState<RecordingExport[]>([]);
+  const [form, setForm] = useState<ExportForm>(emptyForm);
+  const [loading, setLoading] = useState(true);
+  const [creating, setCreating] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  // Exports need the view_recordings permission on the camera
+  const exportableCameras = cameras.filter(camera => hasCameraPermission(camera, 'view_recordings'));
+
+  const fetchExports = useCallback(async () => {
+    try {
+      setExports(await getExports());
+    } catch (err) {
+      console.error('Failed to fetch exports:', err);
+      setError('Failed to fetch the exports.');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchExports();
+  }, [fetchExports]);
+
+  // Follow the progress of queued and running exports on the status channel
+  const hasActiveExports = exports.some(isActive);
+  useEffect(() => {
+    if (!hasActiveExports) return;
+    return subscribeToStatus((message) => {
+      switch (message.type) {
+        // Sent on every (re)connect: exports may have finished while the channel was closed
+        case 'snapshot':
+          fetchExports();
+          break;
+        case 'export.progress': {
+          const { exportId, progress } = message.data;
+          setExports(current => current.map(item => (
+            item.id === exportId ? { ...item, status: 'running', progress } : item
+          )));
+          break;
+        }
+        case 'export.finished':
+          fetchExports();
+          break;
+      }
+    });
+  }, [hasActiveExports, fetchExports]);
+
+  const handleCreate = async () => {
+    const from = new Date(form.from);
+    const to = new Date(form.to);
+    if (!form.cameraId || isNaN(from.getTime()) || isNaN(to.getTime())) {
+      setError('Choose a camera and the start and end of the clip.');
+      return;
+    }
+    try {
+      setCreating(true);
+      const created = await createExport(Number(form.cameraId), from, to);
+      setExports(current => [created, ...current]);
+      setError(null);
+    } catch (err) {
+      console.error('Failed to create export:', err);
+      // e.g. no recordings in the time range, or the range is too long
+      setError((axios.isAxiosError(err) && err.response?.data?.error) || 'Failed to create the export.');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleDelete = async (item: RecordingExport) => {
+    if (!isActive(item) && !window.confirm(`Delete the export of ${item.camera_name ?? `camera ${item.camera_id}`}?`)) {
+      return;
+    }
+    try {
+      await deleteExport(item.id);
+      // A running export is deleted on the server once FFmpeg has stopped
+      setExports(current => current.filter(e => e.id !== item.id));
+    } catch (err) {
+      console.error('Failed to delete export:', err);
+      setError('Failed to delete the export.');
+    }
+  };
+
+  return (
+    <Box sx={{ mt: 4 }}>
+      <Typography variant="h4" component="h2" gutterBottom>
+        Exports
+      </Typography>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        Cut a time range (up to 24 hours) out of a camera's recordings into one MP4 file. Consecutive recordings
+        are joined and gaps between them are skipped. Exported files are deleted automatically after a while.
+      </Typography>
+
+      <Stack direction="row" spacing={2} sx={{ mb: 2, flexWrap: 'wrap', rowGap: 2, alignItems: 'center' }}>
+        <TextField
+          select
+          label="Camera"
+          size="small"
+          value={form.cameraId}
+          onChange={(e) => setForm({ ...form, cameraId: e.target.value })}
+          sx={{ minWidth: 160 }}
+        >
+          {exportableCameras.map(camera => (
+            <MenuItem key={camera.id} value={String(camera.id)}>{camera.name}</MenuItem>
+          ))}
+        </TextField>
+        <TextField
+          label="From"
+          type="datetime-local"
+          size="small"
+          value={form.from}
+          onChange={(e) => setForm({ ...form, from: e.target.value })}
+          slotProps={{ inputLabel: { shrink: true }, htmlInput: { step: 1 } }}
+        />
+        <TextField
+          label="To"
+          type="datetime-local"
+          size="small"
+          value={form.to}
+          onChange={(e) => setForm({ ...form, to: e.target.value })}
+          slotProps={{ inputLabel: { shrink: true }, htmlInput: { step: 1 } }}
+        />
+        <Button variant="contained" onClick={handleCreate} disabled={creating}>
+          {creating ? <CircularProgress size={24} /> : 'Export'}
+        </Button>
+      </Stack>
+
+      {error && <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>{error}</Alert>}
+
+      {loading ? (
+        <CircularProgress />
+      ) : exports.length === 0 ? (
+        <Typography>No exports.</Typography>
+      ) : (
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Camera</TableCell>
+              <TableCell>Time range</TableCell>
+              <TableCell>Status</TableCell>
+              <TableCell>Size</TableCell>
+              <TableCell>Expires</TableCell>
+              <TableCell align="right">Actions</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {exports.map(item => (
+              <TableRow key={item.id}>
+                <TableCell>{item.camera_name ?? `Camera ${item.camera_id} (deleted)`}</TableCell>
+                <TableCell>
+                  {new Date(item.start_time).toLocaleString()} – {new Date(item.end_time).toLocaleString()}
+                </TableCell>
+                <TableCell sx={{ minWidth: 160 }}>
+                  <Chip size="small" label={item.status} color={STATUS_COLORS[item.status]} />
+                  {item.status === 'running' && (
+                    <LinearProgress variant="determinate" value={item.progress} sx={{ mt: 1 }} />
+                  )}
+                  {item.reencoded && item.status === 'completed' && (
+                    <Typography variant="caption" display="block" color="text.secondary">re-encoded</Typography>
+                  )}
+                  {item.error && (
+                    <Typography variant="caption" display="block" color="error">{item.error}</Typography>
+                  )}
+                </TableCell>
+                <TableCell>{item.file_size !== null ? formatSize(item.file_size) : '–'}</TableCell>
+                <TableCell>{item.expires_at !== null ? new Date(item.expires_at).toLocaleString() : '–'}</TableCell>
+                <TableCell align="right">
+                  {item.status === 'completed' && (
+                    <IconButton
+                      aria-label="download"
+                      title="Download"
+                      href={getExportDownloadUrl(item.id)}
+                    >
+                      <DownloadIcon />
+                    </IconButton>
+                  )}
+                  <IconButton
+                    aria-label={isActive(item) ? 'cancel' : 'delete'}
+                    title={isActive(item) ? 'Cancel export' : 'Delete export'}
+                    onClick={() => handleDelete(item)}
+                    color={isActive(item) ? 'default' : 'error'}
+                  >
+                    {isActive(item) ? <CancelIcon /> : <DeleteIcon />}
+                  </IconButton>
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      )}
+    </Box>
+  );
+};
+
+export default ExportList;
@@ -0,0 +1,71 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+import { Container, Paper, Typography, TextField, Button, Alert, CircularProgress, CssBaseline } from '@mui/material';
+import { login, type User } from '../services/api';
+
+interface LoginPageProps {
+  onLogin: (user: User) => void;
+}
+
+const LoginPage: React.FC<LoginPageProps> = ({ onLogin }) => {
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const handleSubmit = async (event: React.FormEvent) => {
+    event.preventDefault();
+    setLoading(true);
+    setError(null);
+    try {
+      onLogin(await login(username, password));
+    } catch (err) {
+      console.error('Login failed:', err);
+      if (axios.isAxiosError(err) && err.response?.status === 401) {
+        setError('Invalid username or password.');
+      } else {
+        setError('Failed to log in. Is the backend server running?');
+      }
+      setLoading(false);
+    }
+  };
+
+  return (
+    <>
+      <CssBaseline />
+      <Container maxWidth="xs" sx={{ mt: 12 }}>
+        <Paper sx={{ p: 4 }} component="form" onSubmit={handleSubmit}>
+          <Typography variant="h5" component="h1" gutterBottom>
+            ONVIF Web Viewer
+          </Typography>
+          {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+          <TextField
+            label="Username"
+            value={username}
+            onChange={(e) => setUsername(e.target.value)}
+            fullWidth
+            margin="normal"
+            autoComplete="username"
+            autoFocus
+            required
+          />
+          <TextField
+            label="Password"
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            fullWidth
+            margin="normal"
+            autoComplete="current-password"
+            required
+          />
+          <Button type="submit" variant="contained" fullWidth sx={{ mt: 2 }} disabled={loading}>
+            {loading ? <CircularProgress size={24} /> : 'Log In'}
+          </Button>
+        </Paper>
+      </Container>
+    </>
+  );
+};
+
+export default LoginPage;
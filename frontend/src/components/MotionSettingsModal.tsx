@@ -0,0 +1,194 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Modal, Box, Typography, TextField, Button, CircularProgress, Alert,
+  Slider, Switch, FormControlLabel, IconButton, Stack, Chip
+} from '@mui/material';
+import DeleteIcon from '@mui/icons-material/Delete';
+import {
+  getMotionSettings, updateMotionSettings,
+  type Camera, type MotionSettings, type MotionZone
+} from '../services/api';
+
+const modalStyle = {
+  position: 'absolute' as const,
+  top: '50%',
+  left: '50%',
+  transform: 'translate(-50%, -50%)',
+  width: 560,
+  bgcolor: 'background.paper',
+  border: '2px solid #000',
+  boxShadow: 24,
+  p: 4,
+  maxHeight: '90vh',
+  overflow: 'auto',
+};
+
+// Zone fields are edited in percent and stored as fractions
+const ZONE_FIELDS: { key: keyof MotionZone; label: string }[] = [
+  { key: 'x', label: 'Left %' },
+  { key: 'y', label: 'Top %' },
+  { key: 'width', label: 'Width %' },
+  { key: 'height', label: 'Height %' },
+];
+
+interface MotionSettingsModalProps {
+  open: boolean;
+  onClose: () => void;
+  camera: Camera | null;
+}
+
+const MotionSettingsModal: React.FC<MotionSettingsModalProps> = ({ open, onClose, camera }) => {
+  const [settings, setSettings] = useState<MotionSettings | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (!open || !camera) return;
+
+    const fetchSettings = async () => {
+      try {
+        setLoading(true);
+        setSettings(await getMotionSettings(camera.id));
+        setError(null);
+      } catch (err) {
+        console.error('Failed to fetch motion settings:', err);
+        setError('Failed to fetch motion settings.');
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchSettings();
+  }, [open, camera]);
+
+  const updateZone = (index: number, key: keyof MotionZone, percent: string) => {
+    if (!settings) return;
+    const zones = settings.zones.map((zone, i) => (i === index ? { ...zone, [key]: Number(percent) / 100 } : zone));
+    setSettings({ ...settings, zones });
+  };
+
+  const addZone = () => {
+    if (!settings) return;
+    setSettings({ ...settings, zones: [...settings.zones, { x: 0.25, y: 0.25, width: 0.5, height: 0.5 }] });
+  };
+
+  const removeZone = (index: number) => {
+    if (!settings) return;
+    setSettings({ ...settings, zones: settings.zones.filter((_, i) => i !== index) });
+  };
+
+  const handleSave = async () => {
+    if (!camera || !settings) return;
+    setSaving(true);
+    try {
+      const { enabled, sensitivity, zones, record_on_motion, hold_seconds } = settings;
+      setSettings(await updateMotionSettings(camera.id, { enabled, sensitivity, zones, record_on_motion, hold_seconds }));
+      setError(null);
+    } catch (err) {
+      console.error('Failed to save motion settings:', err);
+      setError('Failed to save motion settings. Zones must lie inside the frame.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Modal open={open} onClose={onClose} aria-labelledby="motion-settings-modal-title">
+      <Box sx={modalStyle}>
+        <Stack direction="row" justifyContent="space-between" alignItems="center">
+          <Typography id="motion-settings-modal-title" variant="h6" component="h2">
+            Motion Detection{camera ? ` – ${camera.name}` : ''}
+          </Typography>
+          {settings && (
+            <Chip
+              size="small"
+              label={settings.running ? 'Running' : 'Stopped'}
+              color={settings.running ? 'success' : 'default'}
+            />
+          )}
+        </Stack>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          The server compares low-resolution frames of the stream and stores a motion event whenever the picture changes.
+        </Typography>
+
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+        {loading || !settings ? (
+          <CircularProgress />
+        ) : (
+          <>
+            <FormControlLabel
+              control={<Switch checked={settings.enabled} onChange={(e) => setSettings({ ...settings, enabled: e.target.checked })} />}
+              label="Enable motion detection"
+            />
+
+            <Typography variant="body2" sx={{ mt: 2 }}>
+              Sensitivity: {settings.sensitivity}
+            </Typography>
+            <Slider
+              value={settings.sensitivity}
+              onChange={(_event, value) => setSettings({ ...settings, sensitivity: value as number })}
+              min={1}
+              max={100}
+              valueLabelDisplay="auto"
+            />
+
+            <FormControlLabel
+              control={<Switch checked={settings.record_on_motion} onChange={(e) => setSettings({ ...settings, record_on_motion: e.target.checked })} />}
+              label="Start recording on motion"
+            />
+            <TextField
+              margin="normal"
+              fullWidth
+              size="small"
+              type="number"
+              label="Hold time after motion (seconds)"
+              helperText="Motion (and its recording) ends after this many seconds without movement"
+              value={settings.hold_seconds}
+              onChange={(e) => setSettings({ ...settings, hold_seconds: parseInt(e.target.value, 10) || 1 })}
+            />
+
+            <Stack direction="row" justifyContent="space-between" alignItems="center" sx={{ mt: 2 }}>
+              <Typography variant="subtitle1">Detection Zones</Typography>
+              <Button size="small" onClick={addZone}>Add Zone</Button>
+            </Stack>
+            {settings.zones.length === 0 ? (
+              <Typography variant="body2" color="text.secondary">
+                No zones: the whole frame is analysed.
+              </Typography>
+            ) : (
+              settings.zones.map((zone, index) => (
+                <Stack key={index} direction="row" spacing={1} alignItems="center" sx={{ mt: 1 }}>
+                  {ZONE_FIELDS.map(({ key, label }) => (
+                    <TextField
+                      key={key}
+                      size="small"
+                      type="number"
+                      label={label}
+                      value={Math.round(zone[key] * 100)}
+                      onChange={(e) => updateZone(index, key, e.target.value)}
+                    />
+                  ))}
+                  <IconButton aria-label="remove zone" color="error" onClick={() => removeZone(index)}>
+                    <DeleteIcon />
+                  </IconButton>
+                </Stack>
+              ))
+            )}
+          </>
+        )}
+
+        <Box sx={{ display: 'flex', justifyContent: 'flex-end', gap: 1, mt: 3 }}>
+          <Button onClick={onClose} variant="outlined">
+            Close
+          </Button>
+          <Button onClick={handleSave} variant="contained" disabled={!settings || saving}>
+            {saving ? 'Saving...' : 'Save'}
+          </Button>
+        </Box>
+      </Box>
+    </Modal>
+  );
+};
+
+export default MotionSettingsModal;
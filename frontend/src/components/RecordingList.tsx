@@ -1,29 +1,118 @@
-import React, { useEffect, useState } from 'react';
-import { getRecordings, deleteRecording, type Recording } from '../services/api';
+import React, { useCallback, useEffect, useState } from 'react';
+import axios from 'axios';
 import {
-    Box, Card, CardMedia, CardContent, CardActions,
+    getRecordings, deleteRecording, setRecordingBookmark, mergeRecordings,
+    type Camera, type Recording, type RecordingFilters, type RecordingSort
+} from '../services/api';
+import {
+    Box, Card, CardMedia, CardContent, CardActions, Chip, Stack, TextField, MenuItem,
+    FormControlLabel, Checkbox, TablePagination, Tooltip,
     Button, CircularProgress, Alert, Typography, IconButton
 } from '@mui/material';
 import DeleteIcon from '@mui/icons-material/Delete';
 import PlayArrowIcon from '@mui/icons-material/PlayArrow';
+import StarIcon from '@mui/icons-material/Star';
+import StarBorderIcon from '@mui/icons-material/StarBorder';
+import CallMergeIcon from '@mui/icons-material/CallMerge';
+import SpriteFilmstrip from './SpriteFilmstrip';
+
+// Duration as h:mm:ss (or m:ss when shorter than an hour)
+const formatDuration = (seconds: number) => {
+    const total = Math.round(seconds);
+    const h = Math.floor(total / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    const s = String(total % 60).padStart(2, '0');
+    return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+};
+
+const formatSize = (bytes: number) => {
+    if (bytes >= 1024 ** 3) return `${(bytes / 1024 ** 3).toFixed(1)} GB`;
+    if (bytes >= 1024 ** 2) return `${(bytes / 1024 ** 2).toFixed(1)} MB`;
+    return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+};
+
+// e.g. "H264 · 1920×1080 · 25 fps · 4.1 Mbit/s"; empty if the recording has no metadata
+const describeVideo = (rec: Recording) => [
+    rec.video_codec?.toUpperCase(),
+    rec.width && rec.height ? `${rec.width}×${rec.height}` : null,
+    rec.frame_rate ? `${Math.round(rec.frame_rate * 10) / 10} fps` : null,
+    rec.bitrate ? `${(rec.bitrate / 1e6).toFixed(1)} Mbit/s` : null,
+].filter(Boolean).join(' · ');
+
+// Sort options: [value, label, sort column, order]
+const SORTS: [string, string, RecordingSort, 'asc' | 'desc'][] = [
+    ['newest', 'Newest first', 'start_time', 'desc'],
+    ['oldest', 'Oldest first', 'start_time', 'asc'],
+    ['longest', 'Longest first', 'duration', 'desc'],
+    ['largest', 'Largest first', 'file_size', 'desc'],
+    ['camera', 'Camera name', 'camera_name', 'asc'],
+];
+
+const MIN_DURATIONS: [string, string][] = [
+    ['', 'Any length'],
+    ['60', 'At least 1 minute'],
+    ['300', 'At least 5 minutes'],
+    ['900', 'At least 15 minutes'],
+];
+
+// Form values are kept as strings; an empty value means "no filter"
+interface FilterForm {
+    cameraIds: number[];
+    from: string;  // datetime-local value
+    to: string;
+    minDuration: string;
+    hasEvents: boolean;
+    bookmarked: boolean;
+    sort: string;
+}
+
+const emptyFilters: FilterForm = { cameraIds: [], from: '', to: '', minDuration: '', hasEvents: false, bookmarked: false, sort: 'newest' };
+
+const toRecordingFilters = (form: FilterForm): RecordingFilters => {
+    const [, , sort, order] = SORTS.find(([value]) => value === form.sort) ?? SORTS[0];
+    return {
+        sort,
+        order,
+        ...(form.cameraIds.length ? { camera_id: form.cameraIds } : {}),
+        ...(form.from ? { from: new Date(form.from).toISOString() } : {}),
+        ...(form.to ? { to: new Date(form.to).toISOString() } : {}),
+        ...(form.minDuration ? { min_duration: Number(form.minDuration) } : {}),
+        ...(form.hasEvents ? { has_events: true } : {}),
+        ...(form.bookmarked ? { bookmarked: true } : {}),
+    };
+};
 
 interface RecordingListProps {
     listVersion: number;
-    onPlayRecording: (filename: string) => void;
+    cameras: Camera[];
+    onPlayRecording: (filename: string, offset?: number, spriteVtt?: string | null) => void;
+    canDeleteRecording: (recording: Recording) => boolean;  // Deleting needs the admin permission on the camera
+    canMergeRecording: (recording: Recording) => boolean;  // Merging needs the operator role or the admin permission on the camera
 }
 
-const RecordingList: React.FC<RecordingListProps> = ({ listVersion, onPlayRecording }) => {
+const RecordingList: React.FC<RecordingListProps> = ({ listVersion, cameras, onPlayRecording, canDeleteRecording, canMergeRecording }) => {
     const [recordings, setRecordings] = useState<Recording[]>([]);
+    const [total, setTotal] = useState(0);
+    const [form, setForm] = useState<FilterForm>(emptyFilters);
+    const [filters, setFilters] = useState<RecordingFilters>(toRecordingFilters(emptyFilters));
+    const [page, setPage] = useState(0);
+    const [rowsPerPage, setRowsPerPage] = useState(24);
     const [loading, setLoading] = useState<boolean>(true);
     const [error, setError] = useState<string | null>(null);
+    // Multi-select mode for merging; the selection is kept across pages
+    const [selecting, setSelecting] = useState(false);
+    const [selected, setSelected] = useState<Recording[]>([]);
+    const [deleteSources, setDeleteSources] = useState(false);
+    const [merging, setMerging] = useState(false);
 
-    const fetchRecordings = async () => {
+    const fetchRecordings = useCallback(async () => {
         try {
-            if (import.meta.env.DEV) console.log('[RecordingList] Fetching recordings...');
+            if (import.meta.env.DEV) console.log('[RecordingList] Fetching recordings...', filters);
             setLoading(true);
-            const data = await getRecordings();
-            if (import.meta.env.DEV) console.log(`[RecordingList] Fetched ${data.length} recordings:`, data);
-            setRecordings(data);
+            const data = await getRecordings({ ...filters, limit: rowsPerPage, offset: page * rowsPerPage });
+            if (import.meta.env.DEV) console.log(`[RecordingList] Fetched ${data.recordings.length} of ${data.total} recordings:`, data.recordings);
+            setRecordings(data.recordings);
+            setTotal(data.total);
             setError(null);
         } catch (err) {
             setError('Failed to fetch recordings.');
@@ -31,12 +120,38 @@ const RecordingList: React.FC<RecordingListProps> = ({ listVersion, onPlayRecord
         } finally {
             setLoading(false);
         }
-    };
+    }, [filters, page, rowsPerPage]);
 
     useEffect(() => {
         if (import.meta.env.DEV) console.log(`[RecordingList] useEffect triggered, listVersion: ${listVersion}`);
         fetchRecordings();
-    }, [listVersion]);
+    }, [listVersion, fetchRecordings]);
+
+    const handleApply = () => {
+        setPage(0);
+        setFilters(toRecordingFilters(form));
+    };
+
+    const handleReset = () => {
+        setForm(emptyFilters);
+        setPage(0);
+        setFilters(toRecordingFilters(emptyFilters));
+    };
+
+    const handleBookmark = async (rec: Recording) => {
+        try {
+            await setRecordingBookmark(rec.id, !rec.is_bookmarked);
+            if (filters.bookmarked) {
+                // The recording may no longer match the filter
+                await fetchRecordings();
+            } else {
+                setRecordings(current => current.map(r => (r.id === rec.id ? { ...r, is_bookmarked: !rec.is_bookmarked } : r)));
+            }
+        } catch (err) {
+            console.error('Failed to bookmark recording', err);
+            setError('Failed to bookmark the recording.');
+        }
+    };
 
     const handleDelete = async (id: number, filename: string) => {
         if (window.confirm(`Are you sure you want to delete recording "${filename}"?`)) {
@@ -51,13 +166,36 @@ const RecordingList: React.FC<RecordingListProps> = ({ listVersion, onPlayRecord
         }
     };
 
-    if (loading) {
-        return <CircularProgress />;
-    }
+    const toggleSelected = (rec: Recording) => {
+        setSelected(current => (current.some(r => r.id === rec.id) ? current.filter(r => r.id !== rec.id) : [...current, rec]));
+    };
+
+    const stopSelecting = () => {
+        setSelecting(false);
+        setSelected([]);
+        setDeleteSources(false);
+    };
+
+    const sameCamera = selected.every(rec => rec.camera_id === selected[0].camera_id);
+    const canDeleteSelected = selected.length > 0 && selected.every(canDeleteRecording);
 
-    if (error) {
-        return <Alert severity="error">{error}</Alert>;
-    }
+    const handleMerge = async () => {
+        if (deleteSources && !window.confirm(`Merge ${selected.length} recordings and delete them afterwards?`)) {
+            return;
+        }
+        try {
+            setMerging(true);
+            await mergeRecordings(selected.map(rec => rec.id), deleteSources && canDeleteSelected);
+            stopSelecting();
+            await fetchRecordings();
+        } catch (err) {
+            console.error('Failed to merge recordings', err);
+            // e.g. the recordings have different codecs or resolutions
+            setError((axios.isAxiosError(err) && err.response?.data?.error) || 'Failed to merge the recordings.');
+        } finally {
+            setMerging(false);
+        }
+    };
 
     const BACKEND_URL = 'http://localhost:3001';
 
@@ -66,7 +204,132 @@ const RecordingList: React.FC<RecordingListProps> = ({ listVersion, onPlayRecord
             <Typography variant="h4" component="h2" gutterBottom>
                 Recordings
             </Typography>
-            {recordings.length === 0 ? (
+
+            <Stack direction="row" spacing={2} sx={{ mb: 2, flexWrap: 'wrap', rowGap: 2, alignItems: 'center' }}>
+                <TextField
+                    select
+                    label="Cameras"
+                    size="small"
+                    value={form.cameraIds}
+                    onChange={(e) => {
+                        const value = e.target.value as unknown as number[] | string;
+                        setForm({ ...form, cameraIds: typeof value === 'string' ? value.split(',').map(Number) : value });
+                    }}
+                    slotProps={{
+                        select: {
+                            multiple: true,
+                            renderValue: (selected) => (selected as number[])
+                                .map(id => cameras.find(camera => camera.id === id)?.name ?? `Camera ${id}`)
+                                .join(', '),
+                        },
+                    }}
+                    sx={{ minWidth: 180, maxWidth: 300 }}
+                >
+                    {cameras.map(camera => (
+                        <MenuItem key={camera.id} value={camera.id}>
+                            <Checkbox size="small" checked={form.cameraIds.includes(camera.id)} />
+                            {camera.name}
+                        </MenuItem>
+                    ))}
+                </TextField>
+                <TextField
+                    label="From"
+                    type="datetime-local"
+                    size="small"
+                    value={form.from}
+                    onChange={(e) => setForm({ ...form, from: e.target.value })}
+                    slotProps={{ inputLabel: { shrink: true } }}
+                />
+                <TextField
+                    label="To"
+                    type="datetime-local"
+                    size="small"
+                    value={form.to}
+                    onChange={(e) => setForm({ ...form, to: e.target.value })}
+                    slotProps={{ inputLabel: { shrink: true } }}
+                />
+                <TextField
+                    select
+                    label="Length"
+                    size="small"
+                    value={form.minDuration}
+                    onChange={(e) => setForm({ ...form, minDuration: e.target.value })}
+                    sx={{ minWidth: 170 }}
+                >
+                    {MIN_DURATIONS.map(([value, label]) => (
+                        <MenuItem key={value} value={value}>{label}</MenuItem>
+                    ))}
+                </TextField>
+                <TextField
+                    select
+                    label="Sort"
+                    size="small"
+                    value={form.sort}
+                    onChange={(e) => setForm({ ...form, sort: e.target.value })}
+                    sx={{ minWidth: 150 }}
+                >
+                    {SORTS.map(([value, label]) => (
+                        <MenuItem key={value} value={value}>{label}</MenuItem>
+                    ))}
+                </TextField>
+                <FormControlLabel
+                    control={<Checkbox checked={form.hasEvents} onChange={(e) => setForm({ ...form, hasEvents: e.target.checked })} />}
+                    label="With events"
+                />
+                <FormControlLabel
+                    control={<Checkbox checked={form.bookmarked} onChange={(e) => setForm({ ...form, bookmarked: e.target.checked })} />}
+                    label="Bookmarked"
+                />
+                <Button variant="contained" onClick={handleApply}>
+                    Apply
+                </Button>
+                <Button onClick={handleReset}>
+                    Reset
+                </Button>
+                {!selecting && recordings.some(canMergeRecording) && (
+                    <Button startIcon={<CallMergeIcon />} onClick={() => setSelecting(true)}>
+                        Merge recordings
+                    </Button>
+                )}
+            </Stack>
+
+            {selecting && (
+                <Alert
+                    severity={sameCamera ? 'info' : 'warning'}
+                    sx={{ mb: 2, alignItems: 'center' }}
+                    action={
+                        <Stack direction="row" spacing={1} sx={{ alignItems: 'center' }}>
+                            {canDeleteSelected && (
+                                <FormControlLabel
+                                    control={<Checkbox size="small" checked={deleteSources} onChange={(e) => setDeleteSources(e.target.checked)} />}
+                                    label="Delete the merged recordings"
+                                />
+                            )}
+                            <Button
+                                variant="contained"
+                                size="small"
+                                onClick={handleMerge}
+                                disabled={selected.length < 2 || !sameCamera || merging}
+                            >
+                                {merging ? <CircularProgress size={20} /> : 'Merge'}
+                            </Button>
+                            <Button size="small" onClick={stopSelecting} disabled={merging}>
+                                Cancel
+                            </Button>
+                        </Stack>
+                    }
+                >
+                    {sameCamera
+                        ? `${selected.length} recording(s) selected. Select at least two recordings of one camera; they are joined in time order into a new recording without re-encoding.`
+                        : 'The selected recordings belong to different cameras. Only recordings of one camera can be merged.'}
+                </Alert>
+            )}
+
+            {error && <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>{error}</Alert>}
+
+            {loading ? (
+                <CircularProgress />
+            ) : recordings.length === 0 ? (
                 <Alert severity="info">No recordings found.</Alert>
             ) : (
                 <Box
@@ -78,7 +341,15 @@ const RecordingList: React.FC<RecordingListProps> = ({ listVersion, onPlayRecord
                     }}
                 >
                     {recordings.map((rec) => (
-                        <Card key={rec.id} sx={{ display: 'flex', flexDirection: 'column' }}>
+                        <Card
+                            key={rec.id}
+                            sx={{
+                                display: 'flex',
+                                flexDirection: 'column',
+                                outline: selected.some(r => r.id === rec.id) ? '3px solid' : 'none',
+                                outlineColor: 'primary.main',
+                            }}
+                        >
                             <CardMedia
                                 component="img"
                                 height="180"
@@ -90,10 +361,23 @@ const RecordingList: React.FC<RecordingListProps> = ({ listVersion, onPlayRecord
                                 alt={rec.filename}
                                 sx={{ objectFit: 'cover' }}
                             />
+                            <SpriteFilmstrip recording={rec} onSelect={(offset) => onPlayRecording(rec.filename, offset, rec.sprite_vtt)} />
                             <CardContent sx={{ flexGrow: 1, pb: 1 }}>
-                                <Typography variant="h6" component="div" noWrap title={rec.camera_name}>
-                                    {rec.camera_name}
-                                </Typography>
+                                <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                                    {selecting && canMergeRecording(rec) && (
+                                        <Checkbox
+                                            size="small"
+                                            sx={{ p: 0 }}
+                                            checked={selected.some(r => r.id === rec.id)}
+                                            onChange={() => toggleSelected(rec)}
+                                            slotProps={{ input: { 'aria-label': `Select ${rec.filename}` } }}
+                                        />
+                                    )}
+                                    <Typography variant="h6" component="div" noWrap title={rec.camera_name} sx={{ flexGrow: 1 }}>
+                                        {rec.camera_name}
+                                    </Typography>
+                                    {rec.has_events && <Chip label="Events" size="small" color="warning" variant="outlined" />}
+                                </Box>
                                 <Typography variant="body2" color="text.secondary" noWrap title={rec.filename}>
                                     {rec.filename}
                                 </Typography>
@@ -103,29 +387,70 @@ const RecordingList: React.FC<RecordingListProps> = ({ listVersion, onPlayRecord
                                 <Typography variant="caption" color="text.secondary" display="block">
                                     End: {new Date(rec.end_time).toLocaleString()}
                                 </Typography>
+                                {(rec.duration !== null || rec.file_size !== null) && (
+                                    <Typography variant="caption" color="text.secondary" display="block">
+                                        {[
+                                            rec.duration !== null ? formatDuration(rec.duration) : null,
+                                            rec.file_size !== null ? formatSize(rec.file_size) : null,
+                                        ].filter(Boolean).join(' · ')}
+                                    </Typography>
+                                )}
+                                {describeVideo(rec) && (
+                                    <Typography variant="caption" color="text.secondary" display="block" noWrap title={describeVideo(rec)}>
+                                        {describeVideo(rec)}
+                                    </Typography>
+                                )}
                             </CardContent>
                             <CardActions sx={{ justifyContent: 'space-between', pt: 0 }}>
                                 <Button
                                     size="small"
                                     variant="contained"
                                     startIcon={<PlayArrowIcon />}
-                                    onClick={() => onPlayRecording(rec.filename)}
+                                    onClick={() => onPlayRecording(rec.filename, undefined, rec.sprite_vtt)}
                                 >
                                     Play
                                 </Button>
-                                <IconButton
-                                    size="small"
-                                    aria-label="delete"
-                                    onClick={() => handleDelete(rec.id, rec.filename)}
-                                    color="error"
-                                >
-                                    <DeleteIcon />
-                                </IconButton>
+                                <Box>
+                                    <Tooltip title={rec.is_bookmarked ? 'Remove bookmark' : 'Bookmark'}>
+                                        <IconButton
+                                            size="small"
+                                            aria-label="bookmark"
+                                            onClick={() => handleBookmark(rec)}
+                                            color={rec.is_bookmarked ? 'warning' : 'default'}
+                                        >
+                                            {rec.is_bookmarked ? <StarIcon /> : <StarBorderIcon />}
+                                        </IconButton>
+                                    </Tooltip>
+                                    {canDeleteRecording(rec) && (
+                                        <IconButton
+                                            size="small"
+                                            aria-label="delete"
+                                            onClick={() => handleDelete(rec.id, rec.filename)}
+                                            color="error"
+                                        >
+                                            <DeleteIcon />
+                                        </IconButton>
+                                    )}
+                                </Box>
                             </CardActions>
                         </Card>
                     ))}
                 </Box>
             )}
+
+            <TablePagination
+                component="div"
+                count={total}
+                page={page}
+                onPageChange={(_event, newPage) => setPage(newPage)}
+                rowsPerPage={rowsPerPage}
+                onRowsPerPageChange={(e) => {
+                    setRowsPerPage(Number(e.target.value));
+                    setPage(0);
+                }}
+                rowsPerPageOptions={[12, 24, 48, 96]}
+                labelRowsPerPage="Recordings per page:"
+            />
         </Box>
     );
 };
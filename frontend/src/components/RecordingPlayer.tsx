@@ -0,0 +1,112 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Box, Typography } from '@mui/material';
+import { getSpriteTrack, type SpriteCue } from '../services/api';
+
+const formatTime = (seconds: number) => {
+  const total = Math.max(0, Math.floor(seconds));
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = total % 60;
+  const mmss = `${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}`;
+  return h > 0 ? `${h}:${mmss}` : mmss;
+};
+
+interface RecordingPlayerProps {
+  src: string;
+  spriteTrackUrl?: string | null;  // WebVTT thumbnails track for previews on the seek bar
+}
+
+// Video player with a seek bar that previews the frame under the mouse pointer from the recording's sprite sheet
+const RecordingPlayer: React.FC<RecordingPlayerProps> = ({ src, spriteTrackUrl }) => {
+  const videoRef = useRef<HTMLVideoElement>(null);
+  const [cues, setCues] = useState<SpriteCue[]>([]);
+  const [duration, setDuration] = useState(0);
+  const [currentTime, setCurrentTime] = useState(0);
+  const [hover, setHover] = useState<{ x: number; width: number; time: number } | null>(null);
+
+  useEffect(() => {
+    setCues([]);
+    if (!spriteTrackUrl) return;
+
+    let cancelled = false;
+    getSpriteTrack(spriteTrackUrl)
+      .then(track => {
+        if (!cancelled) setCues(track);
+      })
+      .catch(err => console.error('Failed to load the preview track:', err));
+    return () => {
+      cancelled = true;
+    };
+  }, [spriteTrackUrl]);
+
+  const timeAt = (event: React.MouseEvent<HTMLDivElement>) => {
+    const rect = event.currentTarget.getBoundingClientRect();
+    const x = Math.min(Math.max(event.clientX - rect.left, 0), rect.width);
+    return { x, width: rect.width, time: rect.width > 0 ? (x / rect.width) * duration : 0 };
+  };
+
+  const handleSeek = (event: React.MouseEvent<HTMLDivElement>) => {
+    if (videoRef.current && duration > 0) {
+      videoRef.current.currentTime = timeAt(event).time;
+    }
+  };
+
+  const cue = hover ? cues.find(c => hover.time >= c.start && hover.time < c.end) ?? cues[cues.length - 1] : undefined;
+
+  return (
+    <Box>
+      <video
+        ref={videoRef}
+        src={src}
+        controls
+        autoPlay
+        style={{ width: '100%' }}
+        onLoadedMetadata={(e) => setDuration(Number.isFinite(e.currentTarget.duration) ? e.currentTarget.duration : 0)}
+        onTimeUpdate={(e) => setCurrentTime(e.currentTarget.currentTime)}
+      />
+      {cues.length > 0 && duration > 0 && (
+        <Box
+          onMouseMove={(e) => setHover(timeAt(e))}
+          onMouseLeave={() => setHover(null)}
+          onClick={handleSeek}
+          sx={{ position: 'relative', height: 12, mt: 1, bgcolor: 'grey.300', borderRadius: 1, cursor: 'pointer' }}
+        >
+          <Box
+            sx={{
+              position: 'absolute', left: 0, top: 0, bottom: 0, borderRadius: 1, bgcolor: 'primary.main',
+              width: `${Math.min(currentTime / duration, 1) * 100}%`,
+            }}
+          />
+          {hover && cue && (
+            <Box
+              sx={{
+                position: 'absolute',
+                bottom: 20,
+                // Keep the preview inside the bar
+                left: Math.min(Math.max(hover.x - cue.width / 2, 0), Math.max(hover.width - cue.width, 0)),
+                pointerEvents: 'none',
+                border: '2px solid #fff',
+                boxShadow: 3,
+                bgcolor: 'grey.900',
+              }}
+            >
+              <Box
+                sx={{
+                  width: cue.width,
+                  height: cue.height,
+                  backgroundImage: `url(${cue.url})`,
+                  backgroundPosition: `-${cue.x}px -${cue.y}px`,
+                }}
+              />
+              <Typography variant="caption" component="div" align="center" sx={{ color: '#fff' }}>
+                {formatTime(hover.time)}
+              </Typography>
+            </Box>
+          )}
+        </Box>
+      )}
+    </Box>
+  );
+};
+
+export default RecordingPlayer;
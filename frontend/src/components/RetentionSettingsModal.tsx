@@ -0,0 +1,261 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Modal, Box, Typography, TextField, Button, CircularProgress, Alert,
+  Table, TableBody, TableCell, TableHead, TableRow, Stack
+} from '@mui/material';
+import {
+  getRetentionPolicies, updateGlobalRetentionPolicy, updateCameraRetentionPolicy,
+  deleteCameraRetentionPolicy, runRetention,
+  type Camera, type RetentionOverview, type RetentionRules
+} from '../services/api';
+
+const modalStyle = {
+  position: 'absolute' as const,
+  top: '50%',
+  left: '50%',
+  transform: 'translate(-50%, -50%)',
+  width: '80vw',
+  maxWidth: 800,
+  bgcolor: 'background.paper',
+  border: '2px solid #000',
+  boxShadow: 24,
+  p: 4,
+  maxHeight: '90vh',
+  overflow: 'auto',
+};
+
+const GB = 1024 * 1024 * 1024;
+
+// Form values are kept as strings; an empty string means "no limit"
+interface RuleForm {
+  maxAgeDays: string;
+  maxTotalGB: string;
+  minFreeGB: string;
+}
+
+const emptyForm: RuleForm = { maxAgeDays: '', maxTotalGB: '', minFreeGB: '' };
+
+const toForm = (rules: Partial<RetentionRules> | null | undefined): RuleForm => ({
+  maxAgeDays: rules?.max_age_days ? String(rules.max_age_days) : '',
+  maxTotalGB: rules?.max_total_bytes ? String(+(rules.max_total_bytes / GB).toFixed(2)) : '',
+  minFreeGB: rules?.min_free_bytes ? String(+(rules.min_free_bytes / GB).toFixed(2)) : '',
+});
+
+const toBytes = (gb: string): number | null => (gb ? Math.round(parseFloat(gb) * GB) : null);
+
+const formatGB = (bytes: number) => `${(bytes / GB).toFixed(1)} GB`;
+
+interface RetentionSettingsModalProps {
+  open: boolean;
+  onClose: () => void;
+  cameras: Camera[];
+}
+
+const RetentionSettingsModal: React.FC<RetentionSettingsModalProps> = ({ open, onClose, cameras }) => {
+  const [overview, setOverview] = useState<RetentionOverview | null>(null);
+  const [globalForm, setGlobalForm] = useState<RuleForm>(emptyForm);
+  const [cameraForms, setCameraForms] = useState<Record<number, RuleForm>>({});
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [message, setMessage] = useState<string | null>(null);
+
+  const fetchPolicies = async () => {
+    try {
+      setLoading(true);
+      const data = await getRetentionPolicies();
+      setOverview(data);
+      setGlobalForm(toForm(data.global));
+      setCameraForms(Object.fromEntries(data.cameras.map(policy => [policy.camera_id, toForm(policy)])));
+      setError(null);
+    } catch (err) {
+      console.error('Failed to fetch retention policies:', err);
+      setError('Failed to fetch retention policies.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (open) {
+      setMessage(null);
+      fetchPolicies();
+    }
+  }, [open]);
+
+  const handleSaveGlobal = async () => {
+    try {
+      await updateGlobalRetentionPolicy({
+        max_age_days: globalForm.maxAgeDays ? parseInt(globalForm.maxAgeDays, 10) : null,
+        max_total_bytes: toBytes(globalForm.maxTotalGB),
+        min_free_bytes: toBytes(globalForm.minFreeGB),
+      });
+      setMessage('Global retention policy saved.');
+      await fetchPolicies();
+    } catch (err) {
+      console.error('Failed to save global retention policy:', err);
+      setError('Failed to save the global retention policy.');
+    }
+  };
+
+  const handleSaveCamera = async (cameraId: number) => {
+    const form = cameraForms[cameraId] || emptyForm;
+    try {
+      await updateCameraRetentionPolicy(cameraId, {
+        max_age_days: form.maxAgeDays ? parseInt(form.maxAgeDays, 10) : null,
+        max_total_bytes: toBytes(form.maxTotalGB),
+      });
+      setMessage('Camera retention policy saved.');
+      await fetchPolicies();
+    } catch (err) {
+      console.error(`Failed to save retention policy for camera ${cameraId}:`, err);
+      setError('Failed to save the camera retention policy.');
+    }
+  };
+
+  const handleResetCamera = async (cameraId: number) => {
+    try {
+      await deleteCameraRetentionPolicy(cameraId);
+      setMessage('Camera now uses the global retention policy.');
+      await fetchPolicies();
+    } catch (err) {
+      console.error(`Failed to reset retention policy for camera ${cameraId}:`, err);
+      setError('Failed to reset the camera retention policy.');
+    }
+  };
+
+  const handleRunNow = async () => {
+    try {
+      const result = await runRetention();
+      setMessage(`Removed ${result.removed.length} recording(s), freed ${formatGB(result.freedBytes)}.`);
+      await fetchPolicies();
+    } catch (err) {
+      console.error('Failed to run retention:', err);
+      setError('Failed to apply the retention policies.');
+    }
+  };
+
+  const updateCameraForm = (cameraId: number, changes: Partial<RuleForm>) => {
+    setCameraForms(prev => ({ ...prev, [cameraId]: { ...(prev[cameraId] || emptyForm), ...changes } }));
+  };
+
+  const hasCameraPolicy = (cameraId: number) => !!overview?.cameras.some(policy => policy.camera_id === cameraId);
+
+  return (
+    <Modal open={open} onClose={onClose} aria-labelledby="retention-settings-modal">
+      <Box sx={modalStyle}>
+        <Typography id="retention-settings-modal" variant="h6" component="h2" gutterBottom>
+          Storage Retention
+        </Typography>
+        <Typography variant="body2" sx={{ mb: 2 }}>
+          When a limit is exceeded, the oldest finished recordings are deleted first. Leave a field empty for no limit.
+        </Typography>
+
+        {error && <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>{error}</Alert>}
+        {message && <Alert severity="success" sx={{ mb: 2 }} onClose={() => setMessage(null)}>{message}</Alert>}
+
+        {loading && !overview ? (
+          <CircularProgress />
+        ) : (
+          <>
+            {overview && (
+              <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                Disk: {formatGB(overview.disk.freeBytes)} free of {formatGB(overview.disk.totalBytes)}
+              </Typography>
+            )}
+
+            <Typography variant="subtitle1">Global Policy</Typography>
+            <Stack direction="row" spacing={2} alignItems="center" sx={{ mb: 3 }}>
+              <TextField
+                label="Max Age (days)"
+                type="number"
+                size="small"
+                value={globalForm.maxAgeDays}
+                onChange={(e) => setGlobalForm({ ...globalForm, maxAgeDays: e.target.value })}
+              />
+              <TextField
+                label="Max Total (GB)"
+                type="number"
+                size="small"
+                value={globalForm.maxTotalGB}
+                onChange={(e) => setGlobalForm({ ...globalForm, maxTotalGB: e.target.value })}
+              />
+              <TextField
+                label="Min Free Disk (GB)"
+                type="number"
+                size="small"
+                value={globalForm.minFreeGB}
+                onChange={(e) => setGlobalForm({ ...globalForm, minFreeGB: e.target.value })}
+              />
+              <Button variant="contained" onClick={handleSaveGlobal}>
+                Save
+              </Button>
+            </Stack>
+
+            <Typography variant="subtitle1">Per-Camera Overrides</Typography>
+            <Table size="small" sx={{ mb: 3 }}>
+              <TableHead>
+                <TableRow>
+                  <TableCell>Camera</TableCell>
+                  <TableCell>Max Age (days)</TableCell>
+                  <TableCell>Max Total (GB)</TableCell>
+                  <TableCell />
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {cameras.map((camera) => {
+                  const form = cameraForms[camera.id] || emptyForm;
+                  return (
+                    <TableRow key={camera.id}>
+                      <TableCell>{camera.name}</TableCell>
+                      <TableCell>
+                        <TextField
+                          type="number"
+                          size="small"
+                          placeholder="Global"
+                          value={form.maxAgeDays}
+                          onChange={(e) => updateCameraForm(camera.id, { maxAgeDays: e.target.value })}
+                        />
+                      </TableCell>
+                      <TableCell>
+                        <TextField
+                          type="number"
+                          size="small"
+                          placeholder="None"
+                          value={form.maxTotalGB}
+                          onChange={(e) => updateCameraForm(camera.id, { maxTotalGB: e.target.value })}
+                        />
+                      </TableCell>
+                      <TableCell>
+                        <Stack direction="row" spacing={1}>
+                          <Button size="small" variant="outlined" onClick={() => handleSaveCamera(camera.id)}>
+                            Save
+                          </Button>
+                          {hasCameraPolicy(camera.id) && (
+                            <Button size="small" color="error" onClick={() => handleResetCamera(camera.id)}>
+                              Reset
+                            </Button>
+                          )}
+                        </Stack>
+                      </TableCell>
+                    </TableRow>
+                  );
+                })}
+              </TableBody>
+            </Table>
+          </>
+        )}
+
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', mt: 3 }}>
+          <Button onClick={handleRunNow} variant="outlined" color="warning">
+            Apply Now
+          </Button>
+          <Button onClick={onClose} variant="outlined">
+            Close
+          </Button>
+        </Box>
+      </Box>
+    </Modal>
+  );
+};
+
+export default RetentionSettingsModal;
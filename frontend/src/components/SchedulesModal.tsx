@@ -0,0 +1,197 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Modal, Box, Typography, TextField, Button, CircularProgress, Alert,
+  List, ListItem, ListItemText, IconButton, Switch, Stack,
+  ToggleButton, ToggleButtonGroup
+} from '@mui/material';
+import DeleteIcon from '@mui/icons-material/Delete';
+import {
+  getSchedules, createSchedule, updateSchedule, deleteSchedule,
+  type Camera, type RecordingSchedule
+} from '../services/api';
+
+const modalStyle = {
+  position: 'absolute' as const,
+  top: '50%',
+  left: '50%',
+  transform: 'translate(-50%, -50%)',
+  width: 520,
+  bgcolor: 'background.paper',
+  border: '2px solid #000',
+  boxShadow: 24,
+  p: 4,
+  maxHeight: '90vh',
+  overflow: 'auto',
+};
+
+const DAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Formats a schedule's days and window, e.g. "Mon–Fri 18:00–08:00 (overnight)".
+ */
+const describeSchedule = (schedule: RecordingSchedule): string => {
+  const days = [...schedule.days].sort((a, b) => a - b).map(day => DAY_LABELS[day]).join(', ');
+  const overnight = schedule.end_time <= schedule.start_time ? ' (overnight)' : '';
+  return `${days} ${schedule.start_time}–${schedule.end_time}${overnight}`;
+};
+
+interface SchedulesModalProps {
+  open: boolean;
+  onClose: () => void;
+  camera: Camera | null;
+}
+
+const SchedulesModal: React.FC<SchedulesModalProps> = ({ open, onClose, camera }) => {
+  const [schedules, setSchedules] = useState<RecordingSchedule[]>([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [days, setDays] = useState<number[]>([1, 2, 3, 4, 5]);
+  const [startTime, setStartTime] = useState('18:00');
+  const [endTime, setEndTime] = useState('08:00');
+
+  const fetchSchedules = async (cameraId: number) => {
+    try {
+      setLoading(true);
+      setSchedules(await getSchedules(cameraId));
+      setError(null);
+    } catch (err) {
+      console.error('Failed to fetch schedules:', err);
+      setError('Failed to fetch schedules.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (open && camera) {
+      fetchSchedules(camera.id);
+    }
+  }, [open, camera]);
+
+  const handleAdd = async () => {
+    if (!camera) return;
+    try {
+      await createSchedule(camera.id, { days, start_time: startTime, end_time: endTime });
+      await fetchSchedules(camera.id);
+    } catch (err) {
+      console.error('Failed to create schedule:', err);
+      setError('Failed to create schedule. Check the days and times.');
+    }
+  };
+
+  const handleToggle = async (schedule: RecordingSchedule) => {
+    if (!camera) return;
+    try {
+      await updateSchedule(camera.id, schedule.id, { enabled: !schedule.enabled });
+      await fetchSchedules(camera.id);
+    } catch (err) {
+      console.error('Failed to update schedule:', err);
+      setError('Failed to update schedule.');
+    }
+  };
+
+  const handleDelete = async (schedule: RecordingSchedule) => {
+    if (!camera) return;
+    try {
+      await deleteSchedule(camera.id, schedule.id);
+      await fetchSchedules(camera.id);
+    } catch (err) {
+      console.error('Failed to delete schedule:', err);
+      setError('Failed to delete schedule.');
+    }
+  };
+
+  return (
+    <Modal open={open} onClose={onClose} aria-labelledby="schedules-modal-title">
+      <Box sx={modalStyle}>
+        <Typography id="schedules-modal-title" variant="h6" component="h2" gutterBottom>
+          Recording Schedules{camera ? ` – ${camera.name}` : ''}
+        </Typography>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          The server starts and stops recordings at the window boundaries, even when no browser is open.
+          Times use the server's local time zone.
+        </Typography>
+
+        {error && <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>{error}</Alert>}
+
+        {loading ? (
+          <CircularProgress />
+        ) : schedules.length === 0 ? (
+          <Alert severity="info">No schedules for this camera.</Alert>
+        ) : (
+          <List dense>
+            {schedules.map((schedule) => (
+              <ListItem
+                key={schedule.id}
+                secondaryAction={
+                  <Stack direction="row" alignItems="center">
+                    <Switch
+                      checked={schedule.enabled}
+                      onChange={() => handleToggle(schedule)}
+                      inputProps={{ 'aria-label': 'enable schedule' }}
+                    />
+                    <IconButton edge="end" aria-label="delete" color="error" onClick={() => handleDelete(schedule)}>
+                      <DeleteIcon />
+                    </IconButton>
+                  </Stack>
+                }
+              >
+                <ListItemText
+                  primary={describeSchedule(schedule)}
+                  secondary={schedule.enabled ? 'Enabled' : 'Disabled'}
+                />
+              </ListItem>
+            ))}
+          </List>
+        )}
+
+        <Typography variant="subtitle1" sx={{ mt: 3 }}>
+          Add Schedule
+        </Typography>
+        <ToggleButtonGroup
+          value={days}
+          onChange={(_event, newDays: number[]) => setDays(newDays)}
+          aria-label="days of the week"
+          size="small"
+          fullWidth
+          sx={{ my: 1 }}
+        >
+          {DAY_LABELS.map((label, day) => (
+            <ToggleButton key={day} value={day} aria-label={label}>
+              {label}
+            </ToggleButton>
+          ))}
+        </ToggleButtonGroup>
+        <Stack direction="row" spacing={2} sx={{ mt: 1 }}>
+          <TextField
+            label="Start"
+            type="time"
+            size="small"
+            value={startTime}
+            onChange={(e) => setStartTime(e.target.value)}
+            slotProps={{ inputLabel: { shrink: true } }}
+          />
+          <TextField
+            label="End"
+            type="time"
+            size="small"
+            value={endTime}
+            onChange={(e) => setEndTime(e.target.value)}
+            slotProps={{ inputLabel: { shrink: true } }}
+          />
+          <Button variant="contained" onClick={handleAdd} disabled={days.length === 0 || !startTime || !endTime}>
+            Add
+          </Button>
+        </Stack>
+
+        <Box sx={{ display: 'flex', justifyContent: 'flex-end', mt: 3 }}>
+          <Button onClick={onClose} variant="outlined">
+            Close
+          </Button>
+        </Box>
+      </Box>
+    </Modal>
+  );
+};
+
+export default SchedulesModal;
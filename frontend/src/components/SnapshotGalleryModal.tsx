@@ -0,0 +1,181 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import {
+  Modal, Box, Typography, TextField, Button, IconButton, CircularProgress, Alert, MenuItem, Chip, Stack,
+  Card, CardMedia, CardContent, CardActions, TablePagination
+} from '@mui/material';
+import DeleteIcon from '@mui/icons-material/Delete';
+import OpenInNewIcon from '@mui/icons-material/OpenInNew';
+import { getSnapshots, deleteSnapshot, type Camera, type Snapshot } from '../services/api';
+
+const BACKEND_URL = 'http://localhost:3001';
+
+const modalStyle = {
+  position: 'absolute' as const,
+  top: '50%',
+  left: '50%',
+  transform: 'translate(-50%, -50%)',
+  width: '90vw',
+  maxWidth: 1200,
+  bgcolor: 'background.paper',
+  border: '2px solid #000',
+  boxShadow: 24,
+  p: 4,
+  maxHeight: '90vh',
+  overflow: 'auto',
+};
+
+interface SnapshotGalleryModalProps {
+  open: boolean;
+  onClose: () => void;
+  cameras: Camera[];
+  canDeleteSnapshot: (snapshot: Snapshot) => boolean;
+}
+
+const SnapshotGalleryModal: React.FC<SnapshotGalleryModalProps> = ({ open, onClose, cameras, canDeleteSnapshot }) => {
+  const [snapshots, setSnapshots] = useState<Snapshot[]>([]);
+  const [total, setTotal] = useState(0);
+  const [cameraId, setCameraId] = useState('');
+  const [page, setPage] = useState(0);
+  const [rowsPerPage, setRowsPerPage] = useState(24);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const fetchSnapshots = useCallback(async () => {
+    setLoading(true);
+    try {
+      const result = await getSnapshots({
+        ...(cameraId ? { camera_id: Number(cameraId) } : {}),
+        limit: rowsPerPage,
+        offset: page * rowsPerPage,
+      });
+      setSnapshots(result.snapshots);
+      setTotal(result.total);
+      setError(null);
+    } catch (err) {
+      console.error('Failed to fetch snapshots:', err);
+      setError('Failed to fetch the snapshots.');
+    } finally {
+      setLoading(false);
+    }
+  }, [cameraId, page, rowsPerPage]);
+
+  useEffect(() => {
+    if (open) {
+      fetchSnapshots();
+    }
+  }, [open, fetchSnapshots]);
+
+  const handleDelete = async (snapshot: Snapshot) => {
+    if (!window.confirm(`Delete the snapshot of ${snapshot.camera_name ?? `camera ${snapshot.camera_id}`}?`)) {
+      return;
+    }
+    try {
+      await deleteSnapshot(snapshot.id);
+      // The last snapshot of a page moves the list back one page
+      if (snapshots.length === 1 && page > 0) {
+        setPage(page - 1);
+      } else {
+        fetchSnapshots();
+      }
+    } catch (err) {
+      console.error('Failed to delete snapshot:', err);
+      setError('Failed to delete the snapshot.');
+    }
+  };
+
+  return (
+    <Modal open={open} onClose={onClose} aria-labelledby="snapshot-gallery-title">
+      <Box sx={modalStyle}>
+        <Typography id="snapshot-gallery-title" variant="h6" component="h2" gutterBottom>
+          Snapshots
+        </Typography>
+
+        <Stack direction="row" spacing={2} sx={{ mb: 2 }}>
+          <TextField
+            select
+            label="Camera"
+            size="small"
+            value={cameraId}
+            onChange={(e) => {
+              setCameraId(e.target.value);
+              setPage(0);
+            }}
+            sx={{ minWidth: 200 }}
+          >
+            <MenuItem value="">All cameras</MenuItem>
+            {cameras.map(camera => (
+              <MenuItem key={camera.id} value={String(camera.id)}>{camera.name}</MenuItem>
+            ))}
+          </TextField>
+        </Stack>
+
+        {error && <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>{error}</Alert>}
+
+        {loading ? (
+          <CircularProgress />
+        ) : snapshots.length === 0 ? (
+          <Typography>No snapshots. Save one with the camera button in the camera list.</Typography>
+        ) : (
+          <Box sx={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(240px, 1fr))', gap: 2 }}>
+            {snapshots.map(snapshot => {
+              const imageUrl = `${BACKEND_URL}/snapshots/${snapshot.filename}`;
+              return (
+                <Card key={snapshot.id} variant="outlined">
+                  <CardMedia
+                    component="img"
+                    image={imageUrl}
+                    alt={`Snapshot of ${snapshot.camera_name ?? `camera ${snapshot.camera_id}`}`}
+                    loading="lazy"
+                    sx={{ aspectRatio: '16 / 9', objectFit: 'cover', bgcolor: 'grey.900' }}
+                  />
+                  <CardContent sx={{ pb: 0 }}>
+                    <Typography variant="subtitle2">
+                      {snapshot.camera_name ?? `Camera ${snapshot.camera_id} (deleted)`}
+                    </Typography>
+                    <Typography variant="caption" color="text.secondary" display="block">
+                      {new Date(snapshot.created_at).toLocaleString()}
+                      {snapshot.username && ` · ${snapshot.username}`}
+                    </Typography>
+                  </CardContent>
+                  <CardActions>
+                    <Chip size="small" label={snapshot.source === 'onvif' ? 'ONVIF' : 'Stream'} variant="outlined" />
+                    <Box sx={{ flexGrow: 1 }} />
+                    <IconButton size="small" aria-label="open" title="Open in a new tab" href={imageUrl} target="_blank" rel="noopener">
+                      <OpenInNewIcon fontSize="small" />
+                    </IconButton>
+                    {canDeleteSnapshot(snapshot) && (
+                      <IconButton size="small" aria-label="delete" title="Delete snapshot" color="error" onClick={() => handleDelete(snapshot)}>
+                        <DeleteIcon fontSize="small" />
+                      </IconButton>
+                    )}
+                  </CardActions>
+                </Card>
+              );
+            })}
+          </Box>
+        )}
+
+        <TablePagination
+          component="div"
+          count={total}
+          page={page}
+          onPageChange={(_event, newPage) => setPage(newPage)}
+          rowsPerPage={rowsPerPage}
+          onRowsPerPageChange={(e) => {
+            setRowsPerPage(Number(e.target.value));
+            setPage(0);
+          }}
+          rowsPerPageOptions={[12, 24, 48]}
+        />
+
+        <Box sx={{ display: 'flex', justifyContent: 'flex-end', mt: 2 }}>
+          <Button onClick={onClose} variant="outlined">
+            Close
+          </Button>
+        </Box>
+      </Box>
+    </Modal>
+  );
+};
+
+export default SnapshotGalleryModal;
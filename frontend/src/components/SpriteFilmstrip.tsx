@@ -0,0 +1,55 @@
+import React from 'react';
+import { Box } from '@mui/material';
+import type { Recording } from '../services/api';
+
+const BACKEND_URL = 'http://localhost:3001';
+
+// Number of frames shown in a filmstrip
+const FILMSTRIP_FRAMES = 5;
+
+interface SpriteFilmstripProps {
+  recording: Recording;
+  onSelect: (offset: number) => void;  // offset in seconds of the clicked frame
+}
+
+// A row of frames spread over a recording, cut out of its sprite sheet; renders nothing until the sprite sheet exists
+const SpriteFilmstrip: React.FC<SpriteFilmstripProps> = ({ recording, onSelect }) => {
+  const { sprite, sprite_interval, sprite_frames, sprite_columns, sprite_tile_width, sprite_tile_height } = recording;
+  if (!sprite || !sprite_interval || !sprite_frames || !sprite_columns || !sprite_tile_width || !sprite_tile_height) {
+    return null;
+  }
+
+  const rows = Math.ceil(sprite_frames / sprite_columns);
+  const count = Math.min(FILMSTRIP_FRAMES, sprite_frames);
+  const tiles = Array.from({ length: count }, (_, i) => (count > 1 ? Math.round(i * (sprite_frames - 1) / (count - 1)) : 0));
+
+  return (
+    <Box sx={{ display: 'flex', gap: '2px', bgcolor: 'grey.900' }}>
+      {tiles.map(tile => {
+        const column = tile % sprite_columns;
+        const row = Math.floor(tile / sprite_columns);
+        const offset = tile * sprite_interval;
+        return (
+          <Box
+            key={tile}
+            role="button"
+            title={`Play from ${new Date(offset * 1000).toISOString().slice(11, 19)}`}
+            onClick={() => onSelect(offset)}
+            sx={{
+              flex: 1,
+              cursor: 'pointer',
+              aspectRatio: `${sprite_tile_width} / ${sprite_tile_height}`,
+              backgroundImage: `url(${BACKEND_URL}/thumbnails/${sprite})`,
+              // Scale the sheet so that one tile fills the box, then move the tile into view
+              backgroundSize: `${sprite_columns * 100}% ${rows * 100}%`,
+              backgroundPosition: `${sprite_columns > 1 ? (column / (sprite_columns - 1)) * 100 : 0}% ${rows > 1 ? (row / (rows - 1)) * 100 : 0}%`,
+              '&:hover': { opacity: 0.8 },
+            }}
+          />
+        );
+      })}
+    </Box>
+  );
+};
+
+export default SpriteFilmstrip;
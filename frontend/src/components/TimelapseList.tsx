@@ -0,0 +1,291 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import axios from 'axios';
+import {
+  Box, Typography, TextField, Button, IconButton, CircularProgress, Alert, MenuItem, Chip, Stack,
+  LinearProgress, Table, TableBody, TableCell, TableHead, TableRow
+} from '@mui/material';
+import DeleteIcon from '@mui/icons-material/Delete';
+import CancelIcon from '@mui/icons-material/Cancel';
+import PlayArrowIcon from '@mui/icons-material/PlayArrow';
+import {
+  createTimelapse, getTimelapses, deleteTimelapse, subscribeToStatus, hasCameraPermission,
+  type Camera, type ExportStatus, type Timelapse, type TimelapseSource
+} from '../services/api';
+
+const STATUS_COLORS: Record<ExportStatus, 'default' | 'info' | 'success' | 'error' | 'warning'> = {
+  queued: 'default',
+  running: 'info',
+  completed: 'success',
+  failed: 'error',
+  cancelled: 'warning',
+};
+
+const formatSize = (bytes: number) => {
+  if (bytes >= 1024 ** 3) return `${(bytes / 1024 ** 3).toFixed(1)} GB`;
+  if (bytes >= 1024 ** 2) return `${(bytes / 1024 ** 2).toFixed(1)} MB`;
+  return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+};
+
+const isActive = (item: Timelapse) => item.status === 'queued' || item.status === 'running';
+
+// Form values are datetime-local and number input strings
+interface TimelapseForm {
+  cameraId: string;
+  source: TimelapseSource;
+  from: string;
+  to: string;
+  frameRate: string;
+  sampleInterval: string;
+}
+
+const emptyForm: TimelapseForm = { cameraId: '', source: 'frames', from: '', to: '', frameRate: '25', sampleInterval: '60' };
+
+interface TimelapseListProps {
+  cameras: Camera[];
+  onPlayTimelapse: (filename: string) => void;
+  canDeleteTimelapse: (timelapse: Timelapse) => boolean;
+}
+
+const TimelapseList: React.FC<TimelapseListProps> = ({ cameras, onPlayTimelapse, canDeleteTimelapse }) => {
+  const [timelapses, setTimelapses] = useState<Timelapse[]>([]);
+  const [form, setForm] = useState<TimelapseForm>(emptyForm);
+  const [loading, setLoading] = useState(true);
+  const [creating, setCreating] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  // Timelapses need the view_recordings permission on the camera
+  const availableCameras = cameras.filter(camera => hasCameraPermission(camera, 'view_recordings'));
+
+  const fetchTimelapses = useCallback(async () => {
+    try {
+      setTimelapses(await getTimelapses());
+    } catch (err) {
+      console.error('Failed to fetch timelapses:', err);
+      setError('Failed to fetch the timelapses.');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchTimelapses();
+  }, [fetchTimelapses]);
+
+  // Follow the progress of queued and running timelapses on the status channel
+  const hasActiveTimelapses = timelapses.some(isActive);
+  useEffect(() => {
+    if (!hasActiveTimelapses) return;
+    return subscribeToStatus((message) => {
+      switch (message.type) {
+        // Sent on every (re)connect: timelapses may have finished while the channel was closed
+        case 'snapshot':
+          fetchTimelapses();
+          break;
+        case 'timelapse.progress': {
+          const { timelapseId, progress } = message.data;
+          setTimelapses(current => current.map(item => (
+            item.id === timelapseId ? { ...item, status: 'running', progress } : item
+          )));
+          break;
+        }
+        case 'timelapse.finished':
+          fetchTimelapses();
+          break;
+      }
+    });
+  }, [hasActiveTimelapses, fetchTimelapses]);
+
+  const handleCreate = async () => {
+    const from = new Date(form.from);
+    const to = new Date(form.to);
+    if (!form.cameraId || isNaN(from.getTime()) || isNaN(to.getTime())) {
+      setError('Choose a camera and the start and end of the timelapse.');
+      return;
+    }
+    try {
+      setCreating(true);
+      const created = await createTimelapse({
+        camera_id: Number(form.cameraId),
+        source: form.source,
+        from,
+        to,
+        frame_rate: Number(form.frameRate),
+        ...(form.source === 'recordings' ? { sample_interval: Number(form.sampleInterval) } : {}),
+      });
+      setTimelapses(current => [created, ...current]);
+      setError(null);
+    } catch (err) {
+      console.error('Failed to create timelapse:', err);
+      // e.g. no captured frames in the time range, or the range is too long
+      setError((axios.isAxiosError(err) && err.response?.data?.error) || 'Failed to create the timelapse.');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleDelete = async (item: Timelapse) => {
+    if (!isActive(item) && !window.confirm(`Delete the timelapse of ${item.camera_name ?? `camera ${item.camera_id}`}?`)) {
+      return;
+    }
+    try {
+      await deleteTimelapse(item.id);
+      // A running timelapse stays in the list as cancelled once FFmpeg has stopped
+      if (item.status === 'running') {
+        setTimelapses(current => current.map(t => (t.id === item.id ? { ...t, status: 'cancelled' } : t)));
+      } else {
+        setTimelapses(current => current.filter(t => t.id !== item.id));
+      }
+    } catch (err) {
+      console.error('Failed to delete timelapse:', err);
+      setError('Failed to delete the timelapse.');
+    }
+  };
+
+  return (
+    <Box sx={{ mt: 4 }}>
+      <Typography variant="h4" component="h2" gutterBottom>
+        Timelapses
+      </Typography>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        Turn a time range (up to 31 days) into a short video, either from the frames a camera captures with
+        timelapse capture enabled, or from one frame per sample interval of its recordings.
+      </Typography>
+
+      <Stack direction="row" spacing={2} sx={{ mb: 2, flexWrap: 'wrap', rowGap: 2, alignItems: 'center' }}>
+        <TextField
+          select
+          label="Camera"
+          size="small"
+          value={form.cameraId}
+          onChange={(e) => setForm({ ...form, cameraId: e.target.value })}
+          sx={{ minWidth: 160 }}
+        >
+          {availableCameras.map(camera => (
+            <MenuItem key={camera.id} value={String(camera.id)}>{camera.name}</MenuItem>
+          ))}
+        </TextField>
+        <TextField
+          select
+          label="Source"
+          size="small"
+          value={form.source}
+          onChange={(e) => setForm({ ...form, source: e.target.value as TimelapseSource })}
+          sx={{ minWidth: 160 }}
+        >
+          <MenuItem value="frames">Captured frames</MenuItem>
+          <MenuItem value="recordings">Recordings</MenuItem>
+        </TextField>
+        <TextField
+          label="From"
+          type="datetime-local"
+          size="small"
+          value={form.from}
+          onChange={(e) => setForm({ ...form, from: e.target.value })}
+          slotProps={{ inputLabel: { shrink: true }, htmlInput: { step: 1 } }}
+        />
+        <TextField
+          label="To"
+          type="datetime-local"
+          size="small"
+          value={form.to}
+          onChange={(e) => setForm({ ...form, to: e.target.value })}
+          slotProps={{ inputLabel: { shrink: true }, htmlInput: { step: 1 } }}
+        />
+        <TextField
+          label="Frames per second"
+          type="number"
+          size="small"
+          value={form.frameRate}
+          onChange={(e) => setForm({ ...form, frameRate: e.target.value })}
+          slotProps={{ htmlInput: { min: 1, max: 60 } }}
+          sx={{ width: 150 }}
+        />
+        {form.source === 'recordings' && (
+          <TextField
+            label="Sample interval (s)"
+            type="number"
+            size="small"
+            value={form.sampleInterval}
+            onChange={(e) => setForm({ ...form, sampleInterval: e.target.value })}
+            slotProps={{ htmlInput: { min: 1, max: 3600 } }}
+            sx={{ width: 150 }}
+          />
+        )}
+        <Button variant="contained" onClick={handleCreate} disabled={creating}>
+          {creating ? <CircularProgress size={24} /> : 'Create'}
+        </Button>
+      </Stack>
+
+      {error && <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>{error}</Alert>}
+
+      {loading ? (
+        <CircularProgress />
+      ) : timelapses.length === 0 ? (
+        <Typography>No timelapses.</Typography>
+      ) : (
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Camera</TableCell>
+              <TableCell>Source</TableCell>
+              <TableCell>Time range</TableCell>
+              <TableCell>Status</TableCell>
+              <TableCell>Video</TableCell>
+              <TableCell align="right">Actions</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {timelapses.map(item => (
+              <TableRow key={item.id}>
+                <TableCell>{item.camera_name ?? `Camera ${item.camera_id} (deleted)`}</TableCell>
+                <TableCell>
+                  {item.source === 'frames' ? 'Captured frames' : `Recordings, every ${item.sample_interval}s`}
+                </TableCell>
+                <TableCell>
+                  {new Date(item.start_time).toLocaleString()} – {new Date(item.end_time).toLocaleString()}
+                </TableCell>
+                <TableCell sx={{ minWidth: 160 }}>
+                  <Chip size="small" label={item.status} color={STATUS_COLORS[item.status]} />
+                  {item.status === 'running' && (
+                    <LinearProgress variant="determinate" value={item.progress} sx={{ mt: 1 }} />
+                  )}
+                  {item.error && (
+                    <Typography variant="caption" display="block" color="error">{item.error}</Typography>
+                  )}
+                </TableCell>
+                <TableCell>
+                  {item.status === 'completed'
+                    ? `${item.duration !== null ? `${item.duration.toFixed(1)} s, ` : ''}${item.frame_rate} fps${item.file_size !== null ? `, ${formatSize(item.file_size)}` : ''}`
+                    : '–'}
+                </TableCell>
+                <TableCell align="right">
+                  {item.status === 'completed' && item.filename && (
+                    <IconButton
+                      aria-label="play"
+                      title="Play"
+                      onClick={() => item.filename && onPlayTimelapse(item.filename)}
+                    >
+                      <PlayArrowIcon />
+                    </IconButton>
+                  )}
+                  {canDeleteTimelapse(item) && (
+                    <IconButton
+                      aria-label={isActive(item) ? 'cancel' : 'delete'}
+                      title={isActive(item) ? 'Cancel timelapse' : 'Delete timelapse'}
+                      onClick={() => handleDelete(item)}
+                      color={isActive(item) ? 'default' : 'error'}
+                    >
+                      {isActive(item) ? <CancelIcon /> : <DeleteIcon />}
+                    </IconButton>
+                  )}
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      )}
+    </Box>
+  );
+};
+
+export default TimelapseList;
@@ -0,0 +1,154 @@
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+import {
+  Modal, Box, Typography, TextField, Button, CircularProgress, Alert,
+  Switch, FormControlLabel, Stack, Chip
+} from '@mui/material';
+import {
+  getTimelapseSettings, updateTimelapseSettings,
+  type Camera, type TimelapseSettings
+} from '../services/api';
+
+const modalStyle = {
+  position: 'absolute' as const,
+  top: '50%',
+  left: '50%',
+  transform: 'translate(-50%, -50%)',
+  width: 480,
+  bgcolor: 'background.paper',
+  border: '2px solid #000',
+  boxShadow: 24,
+  p: 4,
+  maxHeight: '90vh',
+  overflow: 'auto',
+};
+
+const formatTime = (time: number | null) => (time !== null ? new Date(time).toLocaleString() : '–');
+
+interface TimelapseSettingsModalProps {
+  open: boolean;
+  onClose: () => void;
+  camera: Camera | null;
+}
+
+const TimelapseSettingsModal: React.FC<TimelapseSettingsModalProps> = ({ open, onClose, camera }) => {
+  const [settings, setSettings] = useState<TimelapseSettings | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (!open || !camera) return;
+
+    const fetchSettings = async () => {
+      try {
+        setLoading(true);
+        setSettings(await getTimelapseSettings(camera.id));
+        setError(null);
+      } catch (err) {
+        console.error('Failed to fetch timelapse settings:', err);
+        setError('Failed to fetch timelapse settings.');
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchSettings();
+  }, [open, camera]);
+
+  const handleSave = async () => {
+    if (!camera || !settings) return;
+    setSaving(true);
+    try {
+      const { enabled, interval_seconds, width } = settings;
+      setSettings(await updateTimelapseSettings(camera.id, { enabled, interval_seconds, width }));
+      setError(null);
+    } catch (err) {
+      console.error('Failed to save timelapse settings:', err);
+      setError((axios.isAxiosError(err) && err.response?.data?.error) || 'Failed to save timelapse settings.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Modal open={open} onClose={onClose} aria-labelledby="timelapse-settings-modal-title">
+      <Box sx={modalStyle}>
+        <Stack direction="row" justifyContent="space-between" alignItems="center">
+          <Typography id="timelapse-settings-modal-title" variant="h6" component="h2">
+            Timelapse Capture{camera ? ` – ${camera.name}` : ''}
+          </Typography>
+          {settings && (
+            <Chip
+              size="small"
+              label={settings.running ? 'Capturing' : 'Stopped'}
+              color={settings.running ? 'success' : 'default'}
+            />
+          )}
+        </Stack>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          The server saves a snapshot of the camera at a fixed interval. Timelapses of the captured frames are
+          created in the Timelapses section.
+        </Typography>
+
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+        {loading || !settings ? (
+          <CircularProgress />
+        ) : (
+          <>
+            <FormControlLabel
+              control={<Switch checked={settings.enabled} onChange={(e) => setSettings({ ...settings, enabled: e.target.checked })} />}
+              label="Capture frames"
+            />
+            <TextField
+              margin="normal"
+              fullWidth
+              size="small"
+              type="number"
+              label="Interval (seconds)"
+              helperText="Time between two frames (at least 10 seconds)"
+              value={settings.interval_seconds}
+              onChange={(e) => setSettings({ ...settings, interval_seconds: parseInt(e.target.value, 10) || 10 })}
+            />
+            <TextField
+              margin="normal"
+              fullWidth
+              size="small"
+              type="number"
+              label="Frame width (pixels)"
+              helperText="Leave empty to keep the full resolution"
+              value={settings.width ?? ''}
+              onChange={(e) => setSettings({ ...settings, width: e.target.value ? parseInt(e.target.value, 10) : null })}
+            />
+
+            <Typography variant="subtitle1" sx={{ mt: 2 }}>Captured Frames</Typography>
+            <Typography variant="body2">
+              {settings.frame_count} frame(s) from {formatTime(settings.first_frame_at)} to {formatTime(settings.last_frame_at)}
+            </Typography>
+            {settings.running && (
+              <Typography variant="body2" color="text.secondary">
+                Last capture: {formatTime(settings.last_capture_at)}
+              </Typography>
+            )}
+            {settings.last_error && (
+              <Typography variant="body2" color="error">
+                Last capture failed: {settings.last_error}
+              </Typography>
+            )}
+          </>
+        )}
+
+        <Box sx={{ display: 'flex', justifyContent: 'flex-end', gap: 1, mt: 3 }}>
+          <Button onClick={onClose} variant="outlined">
+            Close
+          </Button>
+          <Button onClick={handleSave} variant="contained" disabled={!settings || saving}>
+            {saving ? 'Saving...' : 'Save'}
+          </Button>
+        </Box>
+      </Box>
+    </Modal>
+  );
+};
+
+export default TimelapseSettingsModal;
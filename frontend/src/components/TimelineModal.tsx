@@ -0,0 +1,310 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import {
+  Modal, Box, Typography, TextField, Button, IconButton, CircularProgress, Alert, Stack,
+  ToggleButton, ToggleButtonGroup, Tooltip
+} from '@mui/material';
+import ChevronLeftIcon from '@mui/icons-material/ChevronLeft';
+import ChevronRightIcon from '@mui/icons-material/ChevronRight';
+import {
+  getCameraTimeline,
+  type Camera, type CameraEventType, type CameraTimeline, type TimelineEvent
+} from '../services/api';
+
+const modalStyle = {
+  position: 'absolute' as const,
+  top: '50%',
+  left: '50%',
+  transform: 'translate(-50%, -50%)',
+  width: '90vw',
+  maxWidth: 1200,
+  bgcolor: 'background.paper',
+  border: '2px solid #000',
+  boxShadow: 24,
+  p: 4,
+  maxHeight: '90vh',
+  overflow: 'auto',
+};
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// Zoom levels: length of the visible window and the distance between axis labels
+const ZOOM_LEVELS: Record<string, { label: string; span: number; tick: number }> = {
+  day: { label: '24 h', span: 24 * HOUR, tick: 2 * HOUR },
+  quarter: { label: '6 h', span: 6 * HOUR, tick: 30 * MINUTE },
+  hour: { label: '1 h', span: HOUR, tick: 5 * MINUTE },
+};
+
+const EVENT_COLORS: Record<CameraEventType, string> = {
+  motion: '#ed6c02',
+  tampering: '#d32f2f',
+  digital_input: '#9c27b0',
+  onvif: '#0288d1',
+};
+
+const startOfDay = (time: number) => {
+  const date = new Date(time);
+  date.setHours(0, 0, 0, 0);
+  return date.getTime();
+};
+
+// Value of a date input (local time), e.g. '2026-10-19'
+const toDateInput = (time: number) => {
+  const date = new Date(time);
+  const pad = (n: number) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+const formatTime = (time: number, withSeconds = false) =>
+  new Date(time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', ...(withSeconds ? { second: '2-digit' } : {}) });
+
+interface TimelineModalProps {
+  open: boolean;
+  camera: Camera | null;
+  onClose: () => void;
+  onPlayRecording: (filename: string, offset: number, spriteVtt: string | null) => void;  // offset in seconds from the start of the recording
+}
+
+const TimelineModal: React.FC<TimelineModalProps> = ({ open, camera, onClose, onPlayRecording }) => {
+  const [zoom, setZoom] = useState('day');
+  const [windowStart, setWindowStart] = useState(() => startOfDay(Date.now()));
+  const [timeline, setTimeline] = useState<CameraTimeline | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [hoverTime, setHoverTime] = useState<number | null>(null);
+  const [message, setMessage] = useState<string | null>(null);
+
+  const span = ZOOM_LEVELS[zoom].span;
+  const windowEnd = windowStart + span;
+
+  const fetchTimeline = useCallback(async () => {
+    if (!camera) return;
+    try {
+      setLoading(true);
+      setTimeline(await getCameraTimeline(camera.id, new Date(windowStart), new Date(windowStart + span)));
+      setError(null);
+    } catch (err) {
+      console.error('Failed to fetch timeline:', err);
+      setError('Failed to fetch the timeline.');
+    } finally {
+      setLoading(false);
+    }
+  }, [camera, windowStart, span]);
+
+  useEffect(() => {
+    if (open) {
+      fetchTimeline();
+    }
+  }, [open, fetchTimeline]);
+
+  // The next timeline opens on today again
+  const handleClose = () => {
+    setZoom('day');
+    setWindowStart(startOfDay(Date.now()));
+    setTimeline(null);
+    setMessage(null);
+    onClose();
+  };
+
+  // Keep the middle of the window in view when zooming
+  const handleZoom = (newZoom: string | null) => {
+    if (!newZoom || newZoom === zoom) return;
+    const center = windowStart + span / 2;
+    const newSpan = ZOOM_LEVELS[newZoom].span;
+    setZoom(newZoom);
+    setWindowStart(newZoom === 'day' ? startOfDay(center) : Math.floor((center - newSpan / 2) / MINUTE) * MINUTE);
+  };
+
+  const handleDateChange = (value: string) => {
+    if (!value) return;
+    const [year, month, day] = value.split('-').map(Number);
+    const dayStart = new Date(year, month - 1, day).getTime();
+    // Keep the time of day of the window when moving to another day
+    setWindowStart(dayStart + (windowStart - startOfDay(windowStart)));
+  };
+
+  const handleNow = () => {
+    const now = Date.now();
+    setWindowStart(zoom === 'day' ? startOfDay(now) : Math.ceil(now / MINUTE) * MINUTE - span);
+  };
+
+  const positionOf = (time: number) => ((time - windowStart) / span) * 100;
+
+  const timeAt = (e: React.MouseEvent<HTMLElement>) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    const fraction = Math.min(Math.max((e.clientX - rect.left) / rect.width, 0), 1);
+    return windowStart + fraction * span;
+  };
+
+  const handleClick = (e: React.MouseEvent<HTMLElement>) => {
+    const time = timeAt(e);
+    const recording = timeline?.recordings.find(rec => rec.start_time <= time && time <= rec.end_time);
+    if (!recording) {
+      setMessage(`No recording at ${formatTime(time, true)}.`);
+      return;
+    }
+    setMessage(null);
+    onPlayRecording(recording.filename, (time - recording.start_time) / 1000, recording.sprite_vtt);
+  };
+
+  // Axis labels at round local times, e.g. every 2 hours from midnight
+  const ticks: number[] = [];
+  const tick = ZOOM_LEVELS[zoom].tick;
+  const midnight = startOfDay(windowStart);
+  for (let time = midnight + Math.ceil((windowStart - midnight) / tick) * tick; time <= windowEnd; time += tick) {
+    ticks.push(time);
+  }
+
+  const describeEvent = (event: TimelineEvent) =>
+    `${event.type.replace('_', ' ')} (${event.source}) ${formatTime(event.start_time, true)}` +
+    (event.end_time !== null ? ` – ${formatTime(event.end_time, true)}` : ', still active');
+
+  const recordedMs = timeline?.coverage.reduce((sum, item) => sum + item.end - item.start, 0) ?? 0;
+
+  return (
+    <Modal open={open} onClose={handleClose} aria-labelledby="timeline-modal-title">
+      <Box sx={modalStyle}>
+        <Typography id="timeline-modal-title" variant="h6" component="h2" gutterBottom>
+          Timeline: {camera?.name}
+        </Typography>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          Recorded footage is shown in blue, events as coloured markers. Click a point on the timeline to play the
+          recording from that moment.
+        </Typography>
+
+        <Stack direction="row" spacing={2} sx={{ mb: 2, flexWrap: 'wrap', rowGap: 2, alignItems: 'center' }}>
+          <TextField
+            label="Day"
+            type="date"
+            size="small"
+            value={toDateInput(windowStart)}
+            onChange={(e) => handleDateChange(e.target.value)}
+            slotProps={{ inputLabel: { shrink: true } }}
+          />
+          <ToggleButtonGroup
+            size="small"
+            exclusive
+            value={zoom}
+            onChange={(_e, value) => handleZoom(value)}
+            aria-label="zoom"
+          >
+            {Object.entries(ZOOM_LEVELS).map(([value, level]) => (
+              <ToggleButton key={value} value={value}>{level.label}</ToggleButton>
+            ))}
+          </ToggleButtonGroup>
+          <Box>
+            <IconButton aria-label="earlier" title="Earlier" onClick={() => setWindowStart(windowStart - span)}>
+              <ChevronLeftIcon />
+            </IconButton>
+            <IconButton aria-label="later" title="Later" onClick={() => setWindowStart(windowStart + span)}>
+              <ChevronRightIcon />
+            </IconButton>
+          </Box>
+          <Button variant="outlined" onClick={handleNow}>
+            Now
+          </Button>
+          {loading && <CircularProgress size={24} />}
+        </Stack>
+
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+        <Typography variant="body2" sx={{ mb: 1 }}>
+          {new Date(windowStart).toLocaleString()} – {new Date(windowEnd).toLocaleString()}
+        </Typography>
+
+        <Box
+          onClick={handleClick}
+          onMouseMove={(e) => setHoverTime(timeAt(e))}
+          onMouseLeave={() => setHoverTime(null)}
+          sx={{
+            position: 'relative',
+            height: 56,
+            bgcolor: 'grey.200',
+            borderRadius: 1,
+            cursor: 'pointer',
+            overflow: 'hidden',
+          }}
+        >
+          {timeline?.coverage.map(item => (
+            <Box
+              key={item.start}
+              sx={{
+                position: 'absolute',
+                top: 16,
+                bottom: 0,
+                left: `${positionOf(item.start)}%`,
+                width: `${positionOf(item.end) - positionOf(item.start)}%`,
+                minWidth: 2,
+                bgcolor: 'primary.main',
+              }}
+            />
+          ))}
+          {timeline?.events.map(event => {
+            const start = Math.max(event.start_time, windowStart);
+            const end = Math.min(event.end_time ?? Date.now(), windowEnd);
+            return (
+              <Tooltip key={event.id} title={describeEvent(event)}>
+                <Box
+                  sx={{
+                    position: 'absolute',
+                    top: 0,
+                    height: 16,
+                    left: `${positionOf(start)}%`,
+                    width: `${Math.max(positionOf(end) - positionOf(start), 0)}%`,
+                    minWidth: 3,
+                    bgcolor: EVENT_COLORS[event.type],
+                  }}
+                />
+              </Tooltip>
+            );
+          })}
+          {hoverTime !== null && (
+            <Box
+              sx={{
+                position: 'absolute',
+                top: 0,
+                bottom: 0,
+                left: `${positionOf(hoverTime)}%`,
+                width: '1px',
+                bgcolor: 'text.primary',
+                pointerEvents: 'none',
+              }}
+            />
+          )}
+        </Box>
+
+        <Box sx={{ position: 'relative', height: 24 }}>
+          {ticks.map(time => (
+            <Typography
+              key={time}
+              variant="caption"
+              color="text.secondary"
+              sx={{ position: 'absolute', left: `${positionOf(time)}%`, transform: 'translateX(-50%)', whiteSpace: 'nowrap' }}
+            >
+              {formatTime(time)}
+            </Typography>
+          ))}
+        </Box>
+
+        <Stack direction="row" spacing={2} sx={{ mt: 1, flexWrap: 'wrap', alignItems: 'center' }}>
+          <Typography variant="body2">
+            {hoverTime !== null ? formatTime(hoverTime, true) : '\u00a0'}
+          </Typography>
+          {timeline && (
+            <Typography variant="body2" color="text.secondary">
+              {Math.round(recordedMs / MINUTE)} min recorded in {timeline.recordings.length} recording(s), {timeline.events.length} event(s)
+            </Typography>
+          )}
+        </Stack>
+
+        {message && <Alert severity="info" sx={{ mt: 2 }} onClose={() => setMessage(null)}>{message}</Alert>}
+
+        <Box sx={{ mt: 3, display: 'flex', justifyContent: 'flex-end' }}>
+          <Button onClick={handleClose}>Close</Button>
+        </Box>
+      </Box>
+    </Modal>
+  );
+};
+
+export default TimelineModal;
@@ -1,12 +1,19 @@
-import React, { useEffect, useRef } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
 import Hls from 'hls.js';
+import { Box, IconButton, Slider, Tooltip } from '@mui/material';
+import VolumeOffIcon from '@mui/icons-material/VolumeOff';
+import VolumeUpIcon from '@mui/icons-material/VolumeUp';
 
 interface VideoPlayerProps {
   streamUrl: string;
+  hasAudio?: boolean;  // The camera's audio is included in the stream
 }
 
-const VideoPlayer: React.FC<VideoPlayerProps> = ({ streamUrl }) => {
+const VideoPlayer: React.FC<VideoPlayerProps> = ({ streamUrl, hasAudio = false }) => {
   const videoRef = useRef<HTMLVideoElement>(null);
+  // Autoplay on most browsers requires the video to be muted, so the sound is turned on by the user
+  const [muted, setMuted] = useState(true);
+  const [volume, setVolume] = useState(1);
 
   useEffect(() => {
     let hls: Hls | null = null;
@@ -20,6 +27,10 @@ const VideoPlayer: React.FC<VideoPlayerProps> = ({ streamUrl }) => {
           // Give HLS.js more time to fetch the manifest if it's not ready
           manifestLoadingMaxRetry: 9,
           manifestLoadingRetryDelay: 1000,
+          // Send the session cookie with the playlist and segment requests
+          xhrSetup: (xhr: XMLHttpRequest) => {
+            xhr.withCredentials = true;
+          },
         };
         hls = new Hls(hlsConfig);
         hls.loadSource(streamUrl);
@@ -45,14 +56,57 @@ const VideoPlayer: React.FC<VideoPlayerProps> = ({ streamUrl }) => {
     };
   }, [streamUrl]); // Re-run effect if streamUrl changes
 
+  const handleToggleMute = () => {
+    const video = videoRef.current;
+    if (!video) return;
+    video.muted = !video.muted;
+    // Unmuting at zero volume would still be silent
+    if (!video.muted && video.volume === 0) {
+      video.volume = 1;
+    }
+  };
+
+  const handleVolumeChange = (_event: Event, value: number | number[]) => {
+    const video = videoRef.current;
+    if (!video) return;
+    video.volume = (value as number) / 100;
+    video.muted = video.volume === 0;
+  };
+
   return (
-    <video
-      ref={videoRef}
-      controls
-      autoPlay
-      muted // Autoplay on most browsers requires the video to be muted
-      style={{ width: '100%', backgroundColor: '#000' }}
-    />
+    <Box>
+      <video
+        ref={videoRef}
+        controls
+        autoPlay
+        muted
+        style={{ width: '100%', backgroundColor: '#000' }}
+        // Also follows changes made with the browser's own controls
+        onVolumeChange={(e) => {
+          setMuted(e.currentTarget.muted);
+          setVolume(e.currentTarget.volume);
+        }}
+      />
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, width: 200 }}>
+        <Tooltip title={!hasAudio ? 'Audio is disabled for this camera' : muted ? 'Unmute' : 'Mute'}>
+          <span>
+            <IconButton size="small" onClick={handleToggleMute} disabled={!hasAudio}>
+              {muted || !hasAudio ? <VolumeOffIcon fontSize="small" /> : <VolumeUpIcon fontSize="small" />}
+            </IconButton>
+          </span>
+        </Tooltip>
+        <Slider
+          size="small"
+          aria-label="Volume"
+          value={muted ? 0 : Math.round(volume * 100)}
+          onChange={handleVolumeChange}
+          min={0}
+          max={100}
+          disabled={!hasAudio}
+          sx={{ flex: 1 }}
+        />
+      </Box>
+    </Box>
   );
 };
 
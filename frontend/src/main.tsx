@@ -2,9 +2,12 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.tsx'
+import AuthGate from './components/AuthGate.tsx'
 
 createRoot(document.getElementById('root')!).render(
   <StrictMode>
-    <App />
+    <AuthGate>
+      {(user, onLogout) => <App key={user.id} currentUser={user} onLogout={onLogout} />}
+    </AuthGate>
   </StrictMode>,
 )
@@ -3,6 +3,135 @@ import axios from 'axios';
 // The full URL of the backend server
 const API_URL = 'http://localhost:3001/api';
 
+// The session is kept in an HttpOnly cookie, which has to be sent with every request
+axios.defaults.withCredentials = true;
+
+export type UserRole = 'viewer' | 'operator' | 'admin';
+
+export interface User {
+  id: number;
+  username: string;
+  role: UserRole;
+  created_at: string;
+  updated_at: string;
+}
+
+// Roles from least to most privileged; each role may do everything the roles before it may do
+const ROLES: UserRole[] = ['viewer', 'operator', 'admin'];
+
+export const hasRole = (user: User | null, role: UserRole): boolean =>
+  !!user && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+
+export const login = async (username: string, password: string): Promise<User> => {
+  const response = await axios.post<{ user: User; token: string; expires_at: string }>(`${API_URL}/auth/login`, { username, password });
+  return response.data.user;
+};
+
+export const logout = async (): Promise<void> => {
+  await axios.post(`${API_URL}/auth/logout`);
+};
+
+export const getCurrentUser = async (): Promise<User> => {
+  const response = await axios.get<User>(`${API_URL}/auth/me`);
+  return response.data;
+};
+
+export const changePassword = async (currentPassword: string, newPassword: string): Promise<void> => {
+  await axios.put(`${API_URL}/auth/password`, { currentPassword, newPassword });
+};
+
+// Calls the handler whenever a request fails because the session has expired. Returns a function that removes it.
+export const onUnauthorized = (handler: () => void): (() => void) => {
+  const interceptor = axios.interceptors.response.use(undefined, (error) => {
+    if (axios.isAxiosError(error) && error.response?.status === 401 && !error.config?.url?.endsWith('/auth/login')) {
+      handler();
+    }
+    return Promise.reject(error);
+  });
+  return () => axios.interceptors.response.eject(interceptor);
+};
+
+export const getUsers = async (): Promise<User[]> => {
+  const response = await axios.get<User[]>(`${API_URL}/users`);
+  return response.data;
+};
+
+export const createUser = async (user: { username: string; password: string; role: UserRole }): Promise<User> => {
+  const response = await axios.post<User>(`${API_URL}/users`, user);
+  return response.data;
+};
+
+export const updateUser = async (id: number, changes: { role?: UserRole; password?: string }): Promise<User> => {
+  const response = await axios.put<User>(`${API_URL}/users/${id}`, changes);
+  return response.data;
+};
+
+export const deleteUser = async (id: number): Promise<void> => {
+  await axios.delete(`${API_URL}/users/${id}`);
+};
+
+// 'admin' includes the other permissions and allows changing the camera and its access list
+export type CameraPermission = 'view_live' | 'view_recordings' | 'control_ptz' | 'admin';
+
+export const hasCameraPermission = (camera: Camera, permission: CameraPermission): boolean =>
+  camera.permissions.includes('admin') || camera.permissions.includes(permission);
+
+// Recording control, time sync, schedules and motion settings need the operator role and live access,
+// or the admin permission on the camera
+export const canOperateCamera = (user: User | null, camera: Camera): boolean =>
+  hasCameraPermission(camera, 'admin') || (hasRole(user, 'operator') && hasCameraPermission(camera, 'view_live'));
+
+export interface UserGroup {
+  id: number;
+  name: string;
+  user_ids: number[];
+}
+
+export const getGroups = async (): Promise<UserGroup[]> => {
+  const response = await axios.get<UserGroup[]>(`${API_URL}/groups`);
+  return response.data;
+};
+
+export const createGroup = async (group: { name: string; user_ids?: number[] }): Promise<UserGroup> => {
+  const response = await axios.post<UserGroup>(`${API_URL}/groups`, group);
+  return response.data;
+};
+
+export const updateGroup = async (id: number, changes: { name?: string; user_ids?: number[] }): Promise<UserGroup> => {
+  const response = await axios.put<UserGroup>(`${API_URL}/groups/${id}`, changes);
+  return response.data;
+};
+
+export const deleteGroup = async (id: number): Promise<void> => {
+  await axios.delete(`${API_URL}/groups/${id}`);
+};
+
+// Access list entry of a camera for either a user or a group
+export type CameraAclEntryInput = ({ user_id: number; group_id?: null } | { group_id: number; user_id?: null }) &
+  Partial<Record<CameraPermission, boolean>>;
+
+export interface CameraAclEntry extends Record<CameraPermission, boolean> {
+  id: number;
+  camera_id: number;
+  user_id: number | null;
+  username: string | null;
+  group_id: number | null;
+  group_name: string | null;
+}
+
+export const getCameraAcl = async (cameraId: number): Promise<CameraAclEntry[]> => {
+  const response = await axios.get<CameraAclEntry[]>(`${API_URL}/cameras/${cameraId}/permissions`);
+  return response.data;
+};
+
+// Replaces the whole access list; an empty list gives access according to the global roles again
+export const setCameraAcl = async (cameraId: number, entries: CameraAclEntryInput[]): Promise<CameraAclEntry[]> => {
+  const response = await axios.put<CameraAclEntry[]>(`${API_URL}/cameras/${cameraId}/permissions`, entries);
+  return response.data;
+};
+
+export type RecordingMode = 'manual' | 'continuous';
+
 export interface Camera {
   id: number;
   name: string;
@@ -11,7 +140,12 @@ export interface Camera {
   port: number;
   xaddr?: string | null;  // ONVIF only
   stream_path?: string | null;  // RTSP only
-  // We don't need user/pass on the frontend
+  recording_mode: RecordingMode;
+  segment_duration: number;  // Segment length in seconds (continuous mode)
+  pre_event_seconds: number;  // Seconds recorded before a recording is started (0 = off)
+  audio_enabled: boolean;  // Audio is kept in the live stream and recordings (AAC)
+  has_password: boolean;  // The password itself is never sent to the frontend
+  permissions: CameraPermission[];  // Permissions of the logged in user on this camera
 }
 
 export const getCameras = async (): Promise<Camera[]> => {
@@ -28,6 +162,10 @@ export type NewCamera = {
   pass?: string;
   xaddr?: string;  // ONVIF only
   stream_path?: string;  // RTSP only
+  recording_mode?: RecordingMode;
+  segment_duration?: number;
+  pre_event_seconds?: number;
+  audio_enabled?: boolean;
 };
 
 export const addCamera = async (camera: NewCamera): Promise<Camera> => {
@@ -41,51 +179,466 @@ export interface DiscoveredDevice {
   hostname: string;
   name: string;
   manufacturer: string;
-  xaddr: string | null;
+  hardware: string | null;
+  location: string | null;
+  xaddr: string | null;  // Device service address chosen from xaddrs
+  xaddrs: string[];
+  types: string[];  // e.g. ['NetworkVideoTransmitter', 'Device']
+  scopes: string[];
+  source: 'multicast' | 'unicast';  // How the device was found
 }
 
-export const discoverCameras = async (): Promise<DiscoveredDevice[]> => {
-  // Subnet scan can take 2-3 minutes, so set a long timeout
-  const response = await axios.get<{ devices: DiscoveredDevice[] }>(`${API_URL}/cameras/discover`, {
-    timeout: 180000 // 3 minutes
-  });
-  return response.data.devices;
+export interface NetworkInterface {
+  name: string;
+  address: string;
+  netmask: string;
+  prefix: number;
+  cidr: string;  // Network, e.g. '10.20.0.0/22'
+}
+
+export interface DiscoveryInterfaces {
+  interfaces: NetworkInterface[];
+  default: { interface: string | null; address: string | null; cidr: string };  // Scanned when no ranges are given
+}
+
+export type DiscoveryJobStatus = 'running' | 'completed' | 'cancelled' | 'failed';
+
+export interface DiscoveryProgress {
+  scanned: number;
+  total: number;
+  percentage: number;
+}
+
+export interface DiscoveryJob {
+  id: string;
+  status: DiscoveryJobStatus;
+  ranges: string[];  // e.g. ['10.20.0.0/22', '192.168.1.10-192.168.1.50']
+  interface: string | null;
+  multicast: boolean;
+  progress: DiscoveryProgress;
+  devices: DiscoveredDevice[];  // Devices found so far
+  error: string | null;
+  created_at: string;
+  finished_at: string | null;
+}
+
+export interface DiscoveryOptions {
+  ranges?: string | string[];  // CIDR, address ranges or addresses; default: the local network
+  interface?: string;
+  multicast?: boolean;
+}
+
+export const getDiscoveryInterfaces = async (): Promise<DiscoveryInterfaces> => {
+  const response = await axios.get<DiscoveryInterfaces>(`${API_URL}/discovery/interfaces`);
+  return response.data;
+};
+
+// Starts a subnet scan in the background. If a scan is already running, that job is returned.
+// Progress and devices are pushed over the status channel (discovery.* messages).
+export const createDiscoveryJob = async (options: DiscoveryOptions = {}): Promise<DiscoveryJob> => {
+  const response = await axios.post<DiscoveryJob>(`${API_URL}/discovery/jobs`, options);
+  return response.data;
+};
+
+export const getDiscoveryJobs = async (): Promise<DiscoveryJob[]> => {
+  const response = await axios.get<DiscoveryJob[]>(`${API_URL}/discovery/jobs`);
+  return response.data;
 };
 
-export const startStream = async (id: number): Promise<{ streamUrl: string }> => {
-  const response = await axios.post<{ streamUrl: string }>(`${API_URL}/cameras/${id}/stream/start`);
+export const getDiscoveryJob = async (jobId: string): Promise<DiscoveryJob> => {
+  const response = await axios.get<DiscoveryJob>(`${API_URL}/discovery/jobs/${jobId}`);
   return response.data;
 };
 
-export const stopStream = async (id: number): Promise<{ success: boolean }> => {
-    const response = await axios.post<{ success: boolean }>(`${API_URL}/cameras/${id}/stream/stop`);
+export const cancelDiscoveryJob = async (jobId: string): Promise<DiscoveryJob> => {
+  const response = await axios.post<{ message: string; job: DiscoveryJob }>(`${API_URL}/discovery/jobs/${jobId}/cancel`);
+  return response.data.job;
+};
+
+// A viewer lease keeps the camera's stream running; it has to be renewed with a heartbeat every heartbeatInterval ms
+export interface StreamLease {
+  streamUrl: string;
+  leaseId: string;
+  cameraId: number;
+  expiresAt: string;
+  heartbeatInterval: number;
+}
+
+export const startStream = async (id: number): Promise<StreamLease> => {
+  const response = await axios.post<StreamLease>(`${API_URL}/cameras/${id}/stream/start`);
+  return response.data;
+};
+
+// Renews a viewer lease. Returns false if the server has dropped the lease (the stream has to be started again).
+export const sendStreamHeartbeat = async (id: number, leaseId: string): Promise<boolean> => {
+  try {
+    await axios.post(`${API_URL}/cameras/${id}/stream/heartbeat`, { leaseId });
+    return true;
+  } catch (error) {
+    if (axios.isAxiosError(error) && error.response?.status === 404) {
+      return false;
+    }
+    throw error;
+  }
+};
+
+export const stopStream = async (id: number, leaseId: string): Promise<{ success: boolean }> => {
+    const response = await axios.post<{ success: boolean }>(`${API_URL}/cameras/${id}/stream/stop`, { leaseId });
     return response.data;
 };
 
+export interface StreamViewer {
+  userId: number;
+  username: string;
+  ip: string | null;
+  since: string;
+  lastSeen: string;
+}
+
+export interface StreamSession {
+  cameraId: number;
+  cameraName: string | null;
+  health: ProcessHealth | null;
+  idleSince: string | null;  // Set while the stream has no viewers and waits for the idle timeout
+  viewers: StreamViewer[];
+}
+
+// Running streams and who is watching them (admins only)
+export const getStreamSessions = async (): Promise<StreamSession[]> => {
+  const response = await axios.get<StreamSession[]>(`${API_URL}/streams`);
+  return response.data;
+};
+
 export const startRecording = async (id: number): Promise<{ success: boolean }> => {
   const response = await axios.post(`${API_URL}/cameras/${id}/recording/start`);
   return response.data;
 };
 
+// Stops a recording once its file is finalized. Returns success: false if the camera was not recording (any more).
 export const stopRecording = async (id: number): Promise<{ success: boolean }> => {
-  const response = await axios.post(`${API_URL}/cameras/${id}/recording/stop`);
-  return response.data;
+  try {
+    const response = await axios.post<{ success: boolean }>(`${API_URL}/cameras/${id}/recording/stop`);
+    return response.data;
+  } catch (error) {
+    if (axios.isAxiosError(error) && error.response?.status === 404) {
+      return { success: false };
+    }
+    throw error;
+  }
 };
 
 export interface Recording {
   id: number;
+  camera_id: number;
   filename: string;
   start_time: string;
   end_time: string;
   camera_name: string;
   thumbnail: string | null;
+  // Read from the file after recording; null if it could not be determined
+  duration: number | null;     // Seconds
+  file_size: number | null;    // Bytes
+  video_codec: string | null;
+  width: number | null;
+  height: number | null;
+  frame_rate: number | null;
+  bitrate: number | null;      // Bits per second
+  is_bookmarked: boolean;
+  has_events: boolean;         // Events of the camera happened during the recording
+  // Scrub previews: frames every sprite_interval seconds tiled into one JPEG, generated in the background
+  // after the recording has been finalized; null until then
+  sprite: string | null;       // Served at /thumbnails/<sprite>
+  sprite_vtt: string | null;   // WebVTT thumbnails track, served at /thumbnails/<sprite_vtt>
+  sprite_interval: number | null;
+  sprite_frames: number | null;
+  sprite_columns: number | null;
+  sprite_tile_width: number | null;
+  sprite_tile_height: number | null;
+}
+
+export type RecordingSort = 'start_time' | 'end_time' | 'duration' | 'file_size' | 'camera_name';
+
+export interface RecordingFilters {
+  camera_id?: number[];
+  from?: string;  // ISO date; recordings that overlap from..to
+  to?: string;
+  min_duration?: number;  // Seconds
+  has_events?: boolean;
+  bookmarked?: boolean;
+  sort?: RecordingSort;
+  order?: 'asc' | 'desc';
+  limit?: number;
+  offset?: number;
 }
 
-export const getRecordings = async (): Promise<Recording[]> => {
-  const response = await axios.get<Recording[]>(`${API_URL}/recordings`);
+export const getRecordings = async (filters: RecordingFilters = {}): Promise<{ recordings: Recording[]; total: number }> => {
+  const { camera_id, ...params } = filters;
+  const response = await axios.get<{ recordings: Recording[]; total: number }>(`${API_URL}/recordings`, {
+    params: { ...params, ...(camera_id?.length ? { camera_id: camera_id.join(',') } : {}) },
+  });
   return response.data;
 };
 
+export const setRecordingBookmark = async (id: number, bookmarked: boolean): Promise<void> => {
+  await axios.put(`${API_URL}/recordings/${id}/bookmark`, { bookmarked });
+};
+
+// Concatenates recordings of one camera into a new recording without re-encoding; their codecs must match
+export const mergeRecordings = async (recordingIds: number[], deleteSources = false): Promise<Recording> => {
+  const response = await axios.post<Recording>(`${API_URL}/recordings/merge`, {
+    recording_ids: recordingIds,
+    delete_sources: deleteSources,
+  });
+  return response.data;
+};
+
+// Timeline of a camera; all times are milliseconds since the epoch
+export interface TimelineSpan {
+  start: number;
+  end: number;
+  recordingIds: number[];
+}
+
+export interface TimelineRecording {
+  id: number;
+  filename: string;
+  start_time: number;
+  end_time: number;
+  duration: number | null;
+  is_bookmarked: boolean;
+  sprite_vtt: string | null;  // WebVTT thumbnails track (see Recording)
+}
+
+export interface TimelineEvent {
+  id: number;
+  type: CameraEventType;
+  source: 'detector' | 'onvif';
+  start_time: number;
+  end_time: number | null;  // null while the event is still active
+}
+
+export interface CameraTimeline {
+  cameraId: number;
+  from: number;
+  to: number;
+  coverage: TimelineSpan[];  // Recorded spans (adjacent recordings merged), clipped to from..to
+  recordings: TimelineRecording[];
+  events: TimelineEvent[];
+}
+
+export const getCameraTimeline = async (id: number, from: Date, to: Date): Promise<CameraTimeline> => {
+  const response = await axios.get<CameraTimeline>(`${API_URL}/cameras/${id}/timeline`, {
+    params: { from: from.toISOString(), to: to.toISOString() },
+  });
+  return response.data;
+};
+
+// One cue of a WebVTT thumbnails track: the tile of the sprite sheet shown from start to end (seconds)
+export interface SpriteCue {
+  start: number;
+  end: number;
+  url: string;  // Sprite sheet, resolved against the URL of the track
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+}
+
+const parseCueTime = (value: string): number => {
+  const parts = value.trim().split(':').map(Number);
+  return parts.reduce((total, part) => total * 60 + part, 0);
+};
+
+// Loads a WebVTT thumbnails track (cues of the form "<sprite>#xywh=x,y,w,h")
+export const getSpriteTrack = async (trackUrl: string): Promise<SpriteCue[]> => {
+  const response = await axios.get<string>(trackUrl, { responseType: 'text' });
+  const cues: SpriteCue[] = [];
+  for (const block of response.data.split(/\r?\n\r?\n/)) {
+    const lines = block.trim().split(/\r?\n/);
+    const timing = lines.findIndex(line => line.includes('-->'));
+    const match = timing !== -1 ? lines[timing + 1]?.match(/^(.*)#xywh=(\d+),(\d+),(\d+),(\d+)$/) : null;
+    if (!match) continue;
+    const [start, end] = lines[timing].split('-->');
+    cues.push({
+      start: parseCueTime(start),
+      end: parseCueTime(end),
+      url: new URL(match[1], trackUrl).href,
+      x: Number(match[2]),
+      y: Number(match[3]),
+      width: Number(match[4]),
+      height: Number(match[5]),
+    });
+  }
+  return cues;
+};
+
+// Clip exports: a time range of a camera's recordings cut into one MP4 file by a background job
+export type ExportStatus = 'queued' | 'running' | 'completed' | 'failed' | 'cancelled';
+
+export interface RecordingExport {
+  id: number;
+  camera_id: number;
+  camera_name: string | null;  // null if the camera has been deleted
+  user_id: number | null;
+  start_time: number;
+  end_time: number;
+  status: ExportStatus;
+  progress: number;  // Percentage
+  filename: string | null;
+  file_size: number | null;
+  reencoded: boolean;  // The recordings could not be joined without re-encoding
+  error: string | null;
+  created_at: number;
+  finished_at: number | null;
+  expires_at: number | null;  // The file is deleted after this time
+}
+
+export const createExport = async (cameraId: number, from: Date, to: Date): Promise<RecordingExport> => {
+  const response = await axios.post<RecordingExport>(`${API_URL}/exports`, {
+    camera_id: cameraId,
+    from: from.toISOString(),
+    to: to.toISOString(),
+  });
+  return response.data;
+};
+
+export const getExports = async (): Promise<RecordingExport[]> => {
+  const response = await axios.get<RecordingExport[]>(`${API_URL}/exports`);
+  return response.data;
+};
+
+// Cancels a queued or running export, or deletes a finished one
+export const deleteExport = async (id: number): Promise<void> => {
+  await axios.delete(`${API_URL}/exports/${id}`);
+};
+
+// URL of the MP4 file of a completed export (downloaded with the session cookie)
+export const getExportDownloadUrl = (id: number): string => `${API_URL}/exports/${id}/download`;
+
+// Snapshots: still images from a camera's ONVIF snapshot URI, or a frame grabbed from its stream with FFmpeg
+export interface SnapshotOptions {
+  width?: number;    // Pixels (16-3840); the height keeps the aspect ratio
+  quality?: number;  // JPEG quality from 1 (smallest) to 100 (best)
+}
+
+// URL of a current still image of a camera; a different `version` makes the browser load a new image
+export const getSnapshotUrl = (cameraId: number, options: SnapshotOptions = {}, version?: number): string => {
+  const params = new URLSearchParams();
+  if (options.width) params.set('width', String(options.width));
+  if (options.quality) params.set('quality', String(options.quality));
+  if (version !== undefined) params.set('v', String(version));
+  const query = params.toString();
+  return `${API_URL}/cameras/${cameraId}/snapshot${query ? `?${query}` : ''}`;
+};
+
+// A still image saved to the snapshot gallery
+export interface Snapshot {
+  id: number;
+  camera_id: number;
+  camera_name: string | null;  // null if the camera has been deleted
+  user_id: number | null;
+  username: string | null;     // null if the user has been deleted
+  filename: string;            // Served at /snapshots/<filename>
+  file_size: number;
+  source: 'onvif' | 'ffmpeg';
+  created_at: number;
+}
+
+export const saveSnapshot = async (cameraId: number, options: SnapshotOptions = {}): Promise<Snapshot> => {
+  const response = await axios.post<Snapshot>(`${API_URL}/cameras/${cameraId}/snapshots`, options);
+  return response.data;
+};
+
+export const getSnapshots = async (filters: { camera_id?: number; limit?: number; offset?: number } = {}): Promise<{ snapshots: Snapshot[]; total: number }> => {
+  const response = await axios.get<{ snapshots: Snapshot[]; total: number }>(`${API_URL}/snapshots`, { params: filters });
+  return response.data;
+};
+
+export const deleteSnapshot = async (id: number): Promise<void> => {
+  await axios.delete(`${API_URL}/snapshots/${id}`);
+};
+
+// Timelapses: frames captured periodically from a camera, or frames sampled from its recordings, encoded into one MP4 file
+export interface TimelapseStatus {
+  running: boolean;               // The capture job is active
+  last_capture_at: number | null;
+  last_error: string | null;      // Error of the last capture attempt
+  frame_count: number;
+  first_frame_at: number | null;
+  last_frame_at: number | null;
+}
+
+export interface TimelapseSettings extends TimelapseStatus {
+  camera_id: number;
+  enabled: boolean;
+  interval_seconds: number;  // Seconds between captured frames (10-86400)
+  width: number | null;      // Frame width in pixels; null = full resolution
+}
+
+export type TimelapseSettingsUpdate = Partial<Pick<TimelapseSettings, 'enabled' | 'interval_seconds' | 'width'>>;
+
+export const getTimelapseSettings = async (cameraId: number): Promise<TimelapseSettings> => {
+  const response = await axios.get<TimelapseSettings>(`${API_URL}/cameras/${cameraId}/timelapse`);
+  return response.data;
+};
+
+export const updateTimelapseSettings = async (cameraId: number, settings: TimelapseSettingsUpdate): Promise<TimelapseSettings> => {
+  const response = await axios.put<TimelapseSettings>(`${API_URL}/cameras/${cameraId}/timelapse`, settings);
+  return response.data;
+};
+
+export type TimelapseSource = 'frames' | 'recordings';
+
+export interface Timelapse {
+  id: number;
+  camera_id: number;
+  camera_name: string | null;  // null if the camera has been deleted
+  user_id: number | null;
+  source: TimelapseSource;
+  start_time: number;
+  end_time: number;
+  frame_rate: number;
+  sample_interval: number | null;  // Seconds of recording per frame (recordings only)
+  status: ExportStatus;
+  progress: number;  // Percentage
+  filename: string | null;  // Served at /timelapses/<filename>
+  file_size: number | null;
+  duration: number | null;  // Seconds
+  error: string | null;
+  created_at: number;
+  finished_at: number | null;
+}
+
+export interface NewTimelapse {
+  camera_id: number;
+  source: TimelapseSource;
+  from: Date;
+  to: Date;
+  frame_rate?: number;       // Output frames per second (default 25)
+  sample_interval?: number;  // Recordings only: seconds between sampled frames (default 60)
+}
+
+export const createTimelapse = async ({ from, to, ...options }: NewTimelapse): Promise<Timelapse> => {
+  const response = await axios.post<Timelapse>(`${API_URL}/timelapses`, {
+    ...options,
+    from: from.toISOString(),
+    to: to.toISOString(),
+  });
+  return response.data;
+};
+
+export const getTimelapses = async (cameraId?: number): Promise<Timelapse[]> => {
+  const response = await axios.get<Timelapse[]>(`${API_URL}/timelapses`, {
+    params: cameraId !== undefined ? { camera_id: cameraId } : {},
+  });
+  return response.data;
+};
+
+// Cancels a queued or running timelapse, or deletes a finished one
+export const deleteTimelapse = async (id: number): Promise<void> => {
+  await axios.delete(`${API_URL}/timelapses/${id}`);
+};
+
 export const deleteCamera = async (id: number): Promise<void> => {
   await axios.delete(`${API_URL}/cameras/${id}`);
 };
@@ -167,4 +720,252 @@ export interface CameraCapabilities {
 export const getCameraCapabilities = async (id: number): Promise<CameraCapabilities> => {
   const response = await axios.get<CameraCapabilities>(`${API_URL}/cameras/${id}/capabilities`);
   return response.data;
-};
\ No newline at end of file
+};
+
+export interface RetentionRules {
+  max_age_days: number | null;
+  max_total_bytes: number | null;
+  min_free_bytes?: number | null;  // Global policy only
+}
+
+export interface RetentionPolicy extends RetentionRules {
+  id: number;
+  camera_id: number | null;  // null for the global policy
+  camera_name?: string | null;
+}
+
+export interface RetentionOverview {
+  global: RetentionPolicy | null;
+  cameras: RetentionPolicy[];
+  disk: {
+    totalBytes: number;
+    freeBytes: number;
+  };
+}
+
+export interface RetentionRunResult {
+  removed: { id: number; camera_id: number; filename: string; size: number; reason: string }[];
+  freedBytes: number;
+}
+
+export const getRetentionPolicies = async (): Promise<RetentionOverview> => {
+  const response = await axios.get<RetentionOverview>(`${API_URL}/retention`);
+  return response.data;
+};
+
+export const updateGlobalRetentionPolicy = async (rules: RetentionRules): Promise<RetentionPolicy> => {
+  const response = await axios.put<RetentionPolicy>(`${API_URL}/retention/global`, rules);
+  return response.data;
+};
+
+export const updateCameraRetentionPolicy = async (cameraId: number, rules: RetentionRules): Promise<RetentionPolicy> => {
+  const response = await axios.put<RetentionPolicy>(`${API_URL}/retention/cameras/${cameraId}`, rules);
+  return response.data;
+};
+
+export const deleteCameraRetentionPolicy = async (cameraId: number): Promise<void> => {
+  await axios.delete(`${API_URL}/retention/cameras/${cameraId}`);
+};
+
+export const runRetention = async (): Promise<RetentionRunResult> => {
+  const response = await axios.post<RetentionRunResult>(`${API_URL}/retention/run`);
+  return response.data;
+};
+
+export interface RecordingSchedule {
+  id: number;
+  camera_id: number;
+  days: number[];  // 0 = Sunday ... 6 = Saturday
+  start_time: string;  // 'HH:MM', server local time
+  end_time: string;  // 'HH:MM', before start_time for overnight windows
+  enabled: boolean;
+}
+
+export type NewRecordingSchedule = Pick<RecordingSchedule, 'days' | 'start_time' | 'end_time'> & { enabled?: boolean };
+
+export const getSchedules = async (cameraId: number): Promise<RecordingSchedule[]> => {
+  const response = await axios.get<RecordingSchedule[]>(`${API_URL}/cameras/${cameraId}/schedules`);
+  return response.data;
+};
+
+export const createSchedule = async (cameraId: number, schedule: NewRecordingSchedule): Promise<RecordingSchedule> => {
+  const response = await axios.post<RecordingSchedule>(`${API_URL}/cameras/${cameraId}/schedules`, schedule);
+  return response.data;
+};
+
+export const updateSchedule = async (cameraId: number, scheduleId: number, changes: Partial<NewRecordingSchedule>): Promise<RecordingSchedule> => {
+  const response = await axios.put<RecordingSchedule>(`${API_URL}/cameras/${cameraId}/schedules/${scheduleId}`, changes);
+  return response.data;
+};
+
+export const deleteSchedule = async (cameraId: number, scheduleId: number): Promise<void> => {
+  await axios.delete(`${API_URL}/cameras/${cameraId}/schedules/${scheduleId}`);
+};
+
+export interface MotionZone {
+  x: number;  // Fractions of the frame, 0-1
+  y: number;
+  width: number;
+  height: number;
+}
+
+export interface MotionSettings {
+  camera_id: number;
+  enabled: boolean;
+  sensitivity: number;  // 1 (least) - 100 (most sensitive)
+  zones: MotionZone[];  // Empty = whole frame
+  record_on_motion: boolean;
+  hold_seconds: number;
+  running: boolean;
+}
+
+export type MotionSettingsUpdate = Partial<Omit<MotionSettings, 'camera_id' | 'running'>>;
+
+export const getMotionSettings = async (cameraId: number): Promise<MotionSettings> => {
+  const response = await axios.get<MotionSettings>(`${API_URL}/cameras/${cameraId}/motion`);
+  return response.data;
+};
+
+export const updateMotionSettings = async (cameraId: number, settings: MotionSettingsUpdate): Promise<MotionSettings> => {
+  const response = await axios.put<MotionSettings>(`${API_URL}/cameras/${cameraId}/motion`, settings);
+  return response.data;
+};
+
+export type CameraEventType = 'motion' | 'tampering' | 'digital_input' | 'onvif';
+
+export interface CameraEvent {
+  id: number;
+  camera_id: number;
+  camera_name: string;
+  type: CameraEventType;
+  source: 'detector' | 'onvif';
+  topic: string | null;  // Normalised ONVIF topic, e.g. 'RuleEngine/CellMotionDetector/Motion'
+  start_time: number;
+  end_time: number | null;  // null while the event is still active
+  data: Record<string, unknown> | null;
+}
+
+export interface EventFilters {
+  type?: CameraEventType;
+  source?: 'detector' | 'onvif';
+  camera_id?: number;
+  from?: string;  // ISO date
+  to?: string;
+  after_id?: number;
+  limit?: number;
+}
+
+export const getEvents = async (filters: EventFilters = {}): Promise<CameraEvent[]> => {
+  const response = await axios.get<CameraEvent[]>(`${API_URL}/events`, { params: filters });
+  return response.data;
+};
+
+export const getCameraEvents = async (cameraId: number, filters: Omit<EventFilters, 'camera_id'> = {}): Promise<CameraEvent[]> => {
+  const response = await axios.get<CameraEvent[]>(`${API_URL}/cameras/${cameraId}/events`, { params: filters });
+  return response.data;
+};
+
+export type AuditResult = 'success' | 'denied' | 'failure';
+
+export interface AuditEntry {
+  id: number;
+  time: number;
+  user_id: number | null;
+  username: string | null;
+  ip: string | null;
+  action: string;  // e.g. 'camera.delete', 'recording.start', 'ptz.move', 'camera.sync_time'
+  camera_id: number | null;
+  recording_id: number | null;
+  params: Record<string, unknown> | null;
+  result: AuditResult;
+  status_code: number | null;
+  error: string | null;
+}
+
+export interface AuditFilters {
+  user?: string;
+  action?: string;  // An action, or a prefix ending with '.' (e.g. 'ptz.')
+  camera_id?: number;
+  recording_id?: number;
+  result?: AuditResult;
+  from?: string;  // ISO date
+  to?: string;
+  limit?: number;
+  offset?: number;
+}
+
+export const getAuditLog = async (filters: AuditFilters = {}): Promise<{ entries: AuditEntry[]; total: number }> => {
+  const response = await axios.get<{ entries: AuditEntry[]; total: number }>(`${API_URL}/audit`, { params: filters });
+  return response.data;
+};
+
+// URL of the CSV export of all entries matching the filters (downloaded with the session cookie)
+export const getAuditCsvUrl = (filters: Omit<AuditFilters, 'limit' | 'offset'> = {}): string => {
+  const params = new URLSearchParams({ format: 'csv' });
+  Object.entries(filters).forEach(([key, value]) => {
+    if (value !== undefined && value !== '') params.set(key, String(value));
+  });
+  return `${API_URL}/audit?${params}`;
+};
+
+export type CameraStatus = 'online' | 'offline';
+
+// Health of a supervised FFmpeg process (stream or recording); crashed or stalled processes are restarted with backoff
+export type HealthState = 'running' | 'restarting' | 'failed';
+
+export interface ProcessHealth {
+  state: HealthState;
+  restarts: number;  // Restarts since the stream or recording was started
+  lastError: string | null;
+  since: string;  // ISO date of the last state change
+}
+
+export interface StatusSnapshot {
+  streams: number[];  // IDs of cameras with a running (or restarting) stream
+  recordings: number[];  // IDs of cameras that are recording
+  cameras: Record<number, CameraStatus>;  // Cameras not checked yet are missing
+  streamHealth: Record<number, ProcessHealth>;
+  recordingHealth: Record<number, ProcessHealth>;
+  viewers: Record<number, number>;  // Number of viewers by camera; streams without viewers are missing
+}
+
+type StatusMessageOf<T extends string, D> = { type: T; data: D; time: string };
+
+export type StatusMessage =
+  | StatusMessageOf<'snapshot', StatusSnapshot>
+  | StatusMessageOf<'stream.started', { cameraId: number; streamUrl: string }>
+  | StatusMessageOf<'stream.stopped', { cameraId: number }>
+  | StatusMessageOf<'stream.health' | 'recording.health', { cameraId: number; health: ProcessHealth }>
+  | StatusMessageOf<'stream.viewers', { cameraId: number; viewers: number }>
+  | StatusMessageOf<'recording.started', { cameraId: number; recordingId: number | null; mode: RecordingMode }>
+  | StatusMessageOf<'recording.stopped', { cameraId: number }>
+  | StatusMessageOf<'recording.finalized', { cameraId: number; recordingId: number; filename: string; segment?: boolean }>
+  | StatusMessageOf<'recording.failed', { cameraId: number; recordingId: number | null; error: string }>
+  | StatusMessageOf<'thumbnail.ready', { cameraId: number; recordingId: number; thumbnail: string }>
+  | StatusMessageOf<'sprite.ready', { cameraId: number; recordingId: number; sprite: string; spriteVtt: string }>
+  | StatusMessageOf<'camera.online' | 'camera.offline', { cameraId: number }>
+  | StatusMessageOf<'discovery.progress', { jobId: string; progress: DiscoveryProgress }>
+  | StatusMessageOf<'discovery.device', { jobId: string; device: DiscoveredDevice }>
+  | StatusMessageOf<'discovery.finished', { jobId: string; status: DiscoveryJobStatus; error: string | null; devices: DiscoveredDevice[] }>
+  | StatusMessageOf<'export.progress', { exportId: number; cameraId: number; userId: number | null; progress: number }>
+  | StatusMessageOf<'export.finished', { exportId: number; cameraId: number; userId: number | null; status: ExportStatus; error: string | null }>
+  | StatusMessageOf<'timelapse.progress', { timelapseId: number; cameraId: number; progress: number }>
+  | StatusMessageOf<'timelapse.finished', { timelapseId: number; cameraId: number; status: ExportStatus; error: string | null }>;
+
+export const getCameraHealth = async (id: number): Promise<{ stream: ProcessHealth | null; recording: ProcessHealth | null }> => {
+  const response = await axios.get<{ stream: ProcessHealth | null; recording: ProcessHealth | null }>(`${API_URL}/cameras/${id}/health`);
+  return response.data;
+};
+
+export const getStatus = async (): Promise<StatusSnapshot> => {
+  const response = await axios.get<StatusSnapshot>(`${API_URL}/status`);
+  return response.data;
+};
+
+// Opens the live status channel (Server-Sent Events). The browser reconnects by itself,
+// and every (re)connect starts with a 'snapshot' message. Returns a function that closes it.
+export const subscribeToStatus = (onMessage: (message: StatusMessage) => void): (() => void) => {
+  const source = new EventSource(`${API_URL}/status/events`, { withCredentials: true });
+  source.onmessage = (event) => onMessage(JSON.parse(event.data) as StatusMessage);
+  return () => source.close();
+};